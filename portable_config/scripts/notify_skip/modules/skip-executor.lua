@@ -173,6 +173,11 @@ function M.perform_skip()
         mp.msg.info(string.format("Hybrid skip: direct to chapter end %.1fs (remaining: %.1fs)", 
             skip_target.target_time, skip_target.remaining))
         utils.set_time(skip_target.target_time)
+        utils.emit_bridge_event("skip-executed", {
+            mode = "chapter",
+            from = current_time,
+            to = skip_target.target_time,
+        })
         return true
         
     else
@@ -185,6 +190,10 @@ function M.perform_skip()
             if M.filter_engine then
                 M.filter_engine.start_silence_skip()
             end
+            utils.emit_bridge_event("skip-executed", {
+                mode = "fast-forward",
+                from = utils.get_time(),
+            })
             return true
         else
             -- First Tab: show confirmation prompt
@@ -216,11 +225,19 @@ function M.check_auto_skip()
                 end
                 
                 -- Skip to chapter end
+                local from_time = utils.get_time()
                 if chapter.chapter_end then
                     utils.set_time(chapter.chapter_end)
                 else
                     M.skip_to_chapter_end(chapter.index)
                 end
+                utils.emit_bridge_event("skip-executed", {
+                    mode = "auto",
+                    category = chapter.category,
+                    title = chapter.title,
+                    from = from_time,
+                    to = chapter.chapter_end,
+                })
                 return
             end
         end
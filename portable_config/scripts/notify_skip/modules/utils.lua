@@ -5,6 +5,7 @@
 --]]
 
 local mp = require 'mp'
+local mp_utils = require 'mp.utils'
 
 local M = {}
 
@@ -29,6 +30,16 @@ function M.set_mute(state)
     mp.set_property_bool('mute', state) 
 end
 
+-- Report an event to Stremio (mpv-bridge.js observes user-data/kai/bridge-event/<event>,
+-- one property per event type so back-to-back events aren't coalesced)
+function M.emit_bridge_event(event, data)
+    mp.set_property_native('user-data/kai/bridge-event/' .. event, mp_utils.format_json({
+        event = event,
+        at = mp.get_time(),
+        data = data,
+    }))
+end
+
 -- Reusable event data table (avoids creating new table on each event)
 M.event_data = {}
 
@@ -1,10 +1,11 @@
 --[[
   @name Profile Manager
   @description Hybrid profile system: static base profiles + dynamic layers
-  @version 7.1
+  @version 7.2
   @author allecsc
   
   @changelog
+    v7.2 - Reports applied profile / playback errors back to Stremio (mpv-bridge.js v3 events)
     v7.1 - Added Ultrawide Zoom support (panscan toggle via Stremio metdata)
     v7.0 - ARCHITECTURE REFACTOR: Hybrid static+dynamic approach
            - Base profiles (sdr, anime-sdr) in mpv.conf contain only static settings
@@ -167,6 +168,18 @@ local detection_reason = "None"
 local stremio_metadata = nil
 local utils = require("mp.utils")
 
+-- Report back to mpv-bridge.js (it observes user-data/kai/bridge-event/<event>)
+-- One property per event type, so events fired together aren't coalesced into one
+-- Echoes the request_id of the anime-metadata message that configured this file
+local function emit_bridge_event(event, data)
+    mp.set_property_native("user-data/kai/bridge-event/" .. event, utils.format_json({
+        event = event,
+        request_id = stremio_metadata and stremio_metadata.request_id or nil,
+        at = mp.get_time(),
+        data = data,
+    }))
+end
+
 mp.register_script_message("anime-metadata", function(json_str)
     stremio_metadata = utils.parse_json(json_str)
     if stremio_metadata then
@@ -176,6 +189,7 @@ mp.register_script_message("anime-metadata", function(json_str)
             ", hdr=" .. tostring(stremio_metadata.hdr_passthrough) ..
             ", shaders=" .. tostring(stremio_metadata.shader_preset) ..
             ", svp=" .. tostring(stremio_metadata.svp_enabled) ..
+            ", overrides=" .. table.concat(stremio_metadata.title_overrides or {}, ",") ..
             ", uw=" .. tostring(stremio_metadata.ultrawide_zoom))
             
         -- Apply Ultrawide Zoom immediately (safe to do anytime)
@@ -575,6 +589,13 @@ end)
     local svp_enabled = stremio_metadata and stremio_metadata.svp_enabled
     if svp_enabled == nil then svp_enabled = true end
     
+    -- Per-title overrides set on the details page (keys listed by the web side).
+    -- An explicit override is honored even when the title isn't detected as anime.
+    local title_overrides = {}
+    for _, key in ipairs(stremio_metadata and stremio_metadata.title_overrides or {}) do
+        title_overrides[key] = true
+    end
+    
     -- Target Peak from Stremio settings (default: "auto")
     local target_peak = stremio_metadata and stremio_metadata.target_peak or "auto"
     
@@ -652,6 +673,15 @@ end)
             log("Shaders disabled (preset: none)")
         end
         apply_anime_vf(is_legacy_anime, svp_enabled)
+    else
+        if title_overrides.shaderPreset and shader_preset ~= "none" then
+            log("Per-title shader override on non-anime content")
+            apply_anime_shaders(shader_preset, false, is_hdr and hdr_passthrough)
+        end
+        if title_overrides.svpEnabled and svp_enabled then
+            log("Per-title SVP override on non-anime content: Appending VF: SVP")
+            mp.commandv("vf", "append", VF_FILTERS.svp)
+        end
     end
 
     -- STEP 5: Apply Audio Defaults (Context Aware)
@@ -686,12 +716,34 @@ end)
     mp.unobserve_property(select_and_apply_profile)
     observer_registered = false
     log("Profile and dynamic layers applied. Observer unregistered.")
+
+    emit_bridge_event("profile-applied", {
+        profile = base_profile,
+        is_anime = is_anime,
+        is_legacy = is_legacy_anime,
+        is_hdr = is_hdr,
+        hdr_passthrough = is_passthrough_active,
+        shader_preset = shader_preset,
+        color_profile = color_profile,
+        svp_enabled = svp_enabled,
+        reason = detection_reason,
+    })
 end
 
 -- Use a self-unregistering observer to wait for metadata (crucial for streams)
 mp.observe_property('video-params', 'native', select_and_apply_profile)
 observer_registered = true
 
+-- Report playback failures to the web side
+mp.register_event('end-file', function(event)
+    if event.reason == "error" then
+        emit_bridge_event("playback-error", {
+            message = event.file_error or "Playback failed",
+            source = "mpv",
+        })
+    end
+end)
+
 -- Reset the flag when a new file is loaded
 mp.register_event('start-file', function()
     -- =======================================================================
@@ -1,10 +1,12 @@
 --[[
   @name Smart Track Selector
   @description Automatically selects best audio and subtitle tracks based on configurable preferences
-  @version 1.5.0
+  @version 1.7.0
   @author allecsc
   
   @changelog
+    v1.7.0 - Track memory can be listed/edited/cleared from Stremio (track-memory script-message)
+    v1.6.0 - Reports selected tracks back to Stremio (track-selected bridge event)
     v1.5.0 - Fixed persistence: Now correctly restores saved track preferences per series
            - Moved persistence file to scripts/smart-track-selector/track_preferences.json
            - Fixed race condition in checking stored preferences vs smart selection
@@ -110,6 +112,22 @@ local function log_verbose(msg)
     mp.msg.verbose(msg)
 end
 
+-- Report the final selection to mpv-bridge.js (observes user-data/kai/bridge-event/<event>)
+-- request_id is echoed when the selection was triggered by a config message
+local function emit_track_selected(source, request_id)
+    mp.set_property_native("user-data/kai/bridge-event/track-selected", utils.format_json({
+        event = "track-selected",
+        request_id = request_id,
+        at = mp.get_time(),
+        data = {
+            source = source,
+            aid = state.best_aid,
+            sid = state.best_sid,
+            title_id = state.title_id,
+        },
+    }))
+end
+
 --------------------------------------------------------------------------------
 -- 5. STRING MATCHING UTILITIES
 --------------------------------------------------------------------------------
@@ -585,6 +603,24 @@ local function check_stored_preference(track_list)
     return found_aid, found_sid
 end
 
+local function load_prefs()
+    if not state.prefs_cache then
+        state.prefs_cache = read_json_file(PERSISTENCE_FILE)
+    end
+    return state.prefs_cache
+end
+
+-- Send the full memory table to mpv-bridge.js (Track Memory manager in settings)
+-- request_id is echoed when the update was triggered by a track-memory message
+local function emit_track_memory(request_id)
+    mp.set_property_native("user-data/kai/bridge-event/track-memory", utils.format_json({
+        event = "track-memory",
+        request_id = request_id,
+        at = mp.get_time(),
+        data = { entries = load_prefs() },
+    }))
+end
+
 local function get_track_details(id, type)
     if not id then return nil end
     local track_list = mp.get_property_native("track-list") or {}
@@ -630,13 +666,8 @@ perform_save = function()
     
     log_info("Saving preference for " .. state.title_id)
     
-    -- Ensure cache is loaded
-    if not state.prefs_cache then
-        state.prefs_cache = read_json_file(PERSISTENCE_FILE)
-    end
-
     -- Update cache
-    state.prefs_cache[state.title_id] = {
+    load_prefs()[state.title_id] = {
         audio = audio_info,
         sub = sub_info,
         timestamp = os.time()
@@ -645,6 +676,7 @@ perform_save = function()
     -- Write-through to disk
     write_json_file(PERSISTENCE_FILE, state.prefs_cache)
     state.pending_save = nil
+    emit_track_memory()
 end
 
 queue_save = function()
@@ -684,6 +716,7 @@ local function on_file_loaded()
         state.best_sid = "no"
         mp.set_property("sid", "no")
         activate_defense()
+        emit_track_selected("subtitles-off")
         return -- Exit early
     end
 
@@ -704,6 +737,7 @@ local function on_file_loaded()
          end
          
          activate_defense() 
+         emit_track_selected("stored-preference")
          return -- Skip smart selection if we restored
     end
 
@@ -752,6 +786,7 @@ local function on_file_loaded()
     
     -- Activate defense
     activate_defense()
+    emit_track_selected("smart-selection")
 end
 
 --------------------------------------------------------------------------------
@@ -898,6 +933,7 @@ local function update_config(json_data)
          end
          -- Re-activate defense to protect our override from Stremio
          activate_defense() 
+         emit_track_selected("stored-preference", new_config.request_id)
          return
     end
 
@@ -926,8 +962,60 @@ local function update_config(json_data)
     if was_defending then
         activate_defense()
     end
+
+    emit_track_selected("config-update", new_config.request_id)
 end
 
 mp.register_script_message("track-selector-config", update_config)
 
+--------------------------------------------------------------------------------
+-- 14. TRACK MEMORY MANAGEMENT (SCRIPT MESSAGE)
+--------------------------------------------------------------------------------
+-- Payload: { action = "list"|"set"|"delete"|"clear", title_id, audio_lang,
+--            sub_lang, sub_forced, request_id }
+-- "set" with an empty audio_lang/sub_lang forgets that side only.
+-- Every action replies with the full table (track-memory bridge event).
+
+local function build_pref_side(lang, is_forced)
+    if type(lang) ~= "string" or lang == "" then return nil end
+    return { lang = lang, is_forced = is_forced == true }
+end
+
+local function handle_track_memory(json_data)
+    local success, cmd = pcall(function() return utils.parse_json(json_data or "") end)
+    if not success or type(cmd) ~= "table" then
+        log_info("Failed to parse track-memory JSON")
+        return
+    end
+
+    local prefs = load_prefs()
+    local changed = false
+
+    if cmd.action == "set" and cmd.title_id then
+        local audio = build_pref_side(cmd.audio_lang, false)
+        local sub = build_pref_side(cmd.sub_lang, cmd.sub_forced)
+        if audio or sub then
+            prefs[cmd.title_id] = { audio = audio, sub = sub, timestamp = os.time() }
+        else
+            prefs[cmd.title_id] = nil
+        end
+        changed = true
+    elseif cmd.action == "delete" and cmd.title_id then
+        prefs[cmd.title_id] = nil
+        changed = true
+    elseif cmd.action == "clear" then
+        state.prefs_cache = {}
+        changed = true
+    end
+
+    if changed then
+        log_info("Track memory updated from Stremio (" .. tostring(cmd.action) .. ")")
+        write_json_file(PERSISTENCE_FILE, state.prefs_cache)
+    end
+
+    emit_track_memory(cmd.request_id)
+end
+
+mp.register_script_message("track-memory", handle_track_memory)
+
 log_info("Smart Track Selector initialized (v1.4.0) - Dynamic Config Enabled")
\ No newline at end of file
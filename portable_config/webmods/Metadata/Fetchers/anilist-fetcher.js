@@ -0,0 +1,234 @@
+/**
+ * @name Metadata Helper - AniList Fetcher Module
+ * @description Anime enrichment from the AniList GraphQL API (score, studios, source,
+ * season, airing schedule, tags and relations). Requests go through the
+ * GlobalRateLimiter "anilist" queue.
+ */
+
+class AnilistFetcher {
+  // Upcoming episodes kept in the stored airing schedule
+  static SCHEDULE_LIMIT = 5;
+
+  // Tags below this relevance (0-100) are noise for display purposes
+  static MIN_TAG_RANK = 50;
+
+  static MEDIA_FIELDS = `
+    id
+    idMal
+    siteUrl
+    format
+    status
+    source(version: 3)
+    season
+    seasonYear
+    episodes
+    averageScore
+    meanScore
+    stats { scoreDistribution { amount } }
+    studios(isMain: true) { nodes { name siteUrl } }
+    nextAiringEpisode { episode airingAt }
+    airingSchedule(notYetAired: true, perPage: ${AnilistFetcher.SCHEDULE_LIMIT}) {
+      nodes { episode airingAt }
+    }
+    tags { name rank isMediaSpoiler isGeneralSpoiler }
+    relations {
+      edges {
+        relationType(version: 2)
+        node { id idMal type format title { romaji english } }
+      }
+    }
+  `;
+
+  static QUERY_BY_ID = `query ($id: Int) {
+    Media(id: $id, type: ANIME) { ${AnilistFetcher.MEDIA_FIELDS} }
+  }`;
+
+  static QUERY_BY_MAL_ID = `query ($idMal: Int) {
+    Media(idMal: $idMal, type: ANIME) { ${AnilistFetcher.MEDIA_FIELDS} }
+  }`;
+
+  /**
+   * @param {Object} rateLimiter - GlobalRateLimiter instance
+   */
+  constructor(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+  }
+
+  get apiBase() {
+    return (
+      window.MetadataModules.config?.METADATA_CONFIG?.anilistApiBase ||
+      "https://graphql.anilist.co"
+    );
+  }
+
+  /**
+   * Fetches anime metadata by AniList ID
+   *
+   * @param {string|number} anilistId - AniList media ID
+   * @param {boolean} priority - Whether this is a priority request
+   * @returns {Promise<Object|null>} Normalized AniList metadata or null on failure
+   */
+  async fetchByAnilistId(anilistId, priority = false) {
+    if (!anilistId) return null;
+    return this.query(
+      AnilistFetcher.QUERY_BY_ID,
+      { id: Number(anilistId) },
+      priority,
+      `AniList ID ${anilistId}`,
+    );
+  }
+
+  /**
+   * Fetches anime metadata by MAL ID (AniList keeps the MAL cross-reference)
+   *
+   * @param {string|number} malId - MyAnimeList ID
+   * @param {boolean} priority - Whether this is a priority request
+   * @returns {Promise<Object|null>} Normalized AniList metadata or null on failure
+   */
+  async fetchByMalId(malId, priority = false) {
+    if (!malId) return null;
+    return this.query(
+      AnilistFetcher.QUERY_BY_MAL_ID,
+      { idMal: Number(malId) },
+      priority,
+      `MAL ID ${malId}`,
+    );
+  }
+
+  /**
+   * @private
+   */
+  async query(query, variables, priority, label) {
+    try {
+      const response = await this.rateLimiter.makeAnilistRequest(
+        this.apiBase,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify({ query, variables }),
+        },
+        priority,
+      );
+
+      const media = response?.data?.Media;
+      if (!media) {
+        const message = response?.errors?.[0]?.message;
+        console.warn(
+          `[METADATA][Enrichment] ⚠️ AniList returned no media for ${label}${
+            message ? `: ${message}` : ""
+          }`,
+        );
+        return null;
+      }
+
+      return this.normalizeAnilistData(media);
+    } catch (error) {
+      console.warn(
+        `[METADATA][Enrichment] ❌ AniList call failed for ${label}:`,
+        error,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Normalizes a raw AniList Media object
+   *
+   * @param {Object} media - AniList Media object
+   * @returns {Object} Normalized metadata object
+   */
+  normalizeAnilistData(media) {
+    const votes = (media.stats?.scoreDistribution || []).reduce(
+      (sum, bucket) => sum + (bucket.amount || 0),
+      0,
+    );
+    const score = media.averageScore ?? media.meanScore;
+
+    const toDate = (seconds) => (seconds ? seconds * 1000 : null);
+
+    return {
+      anilist: [String(media.id)],
+      ...(media.idMal && { mal: [String(media.idMal)] }),
+
+      // Unified ratings object format (AniList scores are 0-100)
+      ratings: {
+        ...(score != null && {
+          anilist: { score, votes: votes || null },
+        }),
+      },
+      anilistUrl: media.siteUrl,
+
+      studios: (media.studios?.nodes || []).map((s) => s.name),
+      sourceMaterial: media.source
+        ? AnilistFetcher.formatEnum(media.source)
+        : null,
+      animeSeason: media.seasonYear
+        ? {
+            season: media.season
+              ? AnilistFetcher.formatEnum(media.season)
+              : null,
+            year: media.seasonYear,
+          }
+        : null,
+
+      // Airing (timestamps converted to ms)
+      airingStatus: media.status,
+      nextAiringEpisode: media.nextAiringEpisode
+        ? {
+            episode: media.nextAiringEpisode.episode,
+            airingAt: toDate(media.nextAiringEpisode.airingAt),
+          }
+        : null,
+      airingSchedule: (media.airingSchedule?.nodes || []).map((node) => ({
+        episode: node.episode,
+        airingAt: toDate(node.airingAt),
+      })),
+
+      anilistTags: (media.tags || [])
+        .filter((tag) => tag.rank >= AnilistFetcher.MIN_TAG_RANK)
+        .map((tag) => ({
+          name: tag.name,
+          rank: tag.rank,
+          spoiler: !!(tag.isMediaSpoiler || tag.isGeneralSpoiler),
+        })),
+
+      relations: (media.relations?.edges || [])
+        .filter((edge) => edge.node?.type === "ANIME")
+        .map((edge) => ({
+          relation: edge.relationType,
+          anilist: String(edge.node.id),
+          mal: edge.node.idMal ? String(edge.node.idMal) : null,
+          title: edge.node.title?.english || edge.node.title?.romaji || null,
+          format: edge.node.format,
+        })),
+
+      lastEnrichedAnilist: Date.now(),
+    };
+  }
+
+  /**
+   * "LIGHT_NOVEL" -> "Light Novel"
+   */
+  static formatEnum(value) {
+    return value
+      .toLowerCase()
+      .split("_")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" ");
+  }
+}
+
+// Export to global scope
+window.MetadataModules = window.MetadataModules || {};
+window.MetadataModules.anilistFetcher = {
+  AnilistFetcher,
+};
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).anilistFetcher = [
+  AnilistFetcher,
+  "window.MetadataModules.anilistFetcher = { AnilistFetcher };",
+].join("\n");
@@ -4,11 +4,15 @@
  * Handles all interactions with the MDBList API.
  * Provides multi-source ratings (Trakt, Letterboxd, Rotten Tomatoes, etc.)
  *
+ * Background lookups (titles discovered by DOMTitleProcessor) are collected for
+ * a short window and sent through the batch endpoint, one request per type;
+ * ids missing from a batch response fall back to single requests.
+ *
  * @module mdblist-fetcher
  * @version 1.0.0
  */
 
-(function () {
+(function mdblistFetcherModule() {
   "use strict";
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -26,6 +30,9 @@
   // ─────────────────────────────────────────────────────────────────────────────
   const API_BASE = "https://api.mdblist.com";
   const TIMEOUT_MS = 5000;
+  const BATCH_TIMEOUT_MS = 15000;
+  const BATCH_WINDOW_MS = 300; // Collect background lookups this long before sending
+  const BATCH_MAX_SIZE = 200; // Endpoint limit, a full batch is sent immediately
 
   // ─────────────────────────────────────────────────────────────────────────────
   // HELPERS
@@ -46,6 +53,10 @@
   class MDBListFetcher {
     constructor() {
       this.apiBase = API_BASE;
+
+      // mediaType -> Map<imdbId, resolve[]> waiting for the next batch
+      this.pendingBatches = { movie: new Map(), show: new Map() };
+      this.batchTimers = {};
     }
 
     /**
@@ -66,17 +77,36 @@
 
     /**
      * Fetch media info by IMDb ID
+     * Catalog scans ask for batching; every other lookup goes out on its own.
      * @param {string} imdbId - IMDb ID (tt1234567)
      * @param {string} type - 'movie' or 'series'
      * @param {boolean} priority - Whether this is a priority request
+     * @param {Object} [options]
+     * @param {boolean} [options.batch] - Wait for the next batch request (background only)
      * @returns {Promise<Object|null>}
      */
-    async fetchByImdbId(imdbId, type = "movie", priority = false) {
+    async fetchByImdbId(
+      imdbId,
+      type = "movie",
+      priority = false,
+      options = {},
+    ) {
       if (!this.isAvailable()) {
         console.debug(`[MDBList Fetcher] Not available for ${imdbId}`);
         return null;
       }
 
+      if (options.batch && !priority) {
+        return this.queueForBatch(imdbId, type);
+      }
+      return this.fetchSingle(imdbId, type, priority);
+    }
+
+    /**
+     * Fetch one title from /imdb/{type}/{id}
+     * @private
+     */
+    async fetchSingle(imdbId, type = "movie", priority = false) {
       const apiKey = this.getApiKey();
       if (!apiKey) return null;
 
@@ -93,14 +123,14 @@
           headers: {
             Accept: "application/json",
           },
+          queue: "mdblist",
+          priority,
         });
 
         if (!result.ok) {
           if (result.status === 429) {
-            getApiKeys()?.markRateLimited("MDBLIST");
-            console.warn(
-              "[MDBList Fetcher] Rate limited, marking for cooldown.",
-            );
+            // The rate limiter pauses the queue and marks the cooldown
+            console.warn("[MDBList Fetcher] Rate limited.");
           } else if (result.status === 404) {
             console.debug(`[MDBList Fetcher] No data found for ${imdbId}`);
           } else {
@@ -298,6 +328,7 @@
       const url = `${this.apiBase}/user/limits?apikey=${apiKey}`;
 
       try {
+        // Not queued: reading the quota must work even when it is used up
         const result = await fetchUtils.makeRequest(url, {
           timeout: 5000,
           headers: {
@@ -306,6 +337,15 @@
         });
 
         if (result.ok) {
+          // Keep the persisted daily quota in line with MDBList's own count
+          window.MetadataModules.rateLimiter?.instance?.setQuota(
+            "mdblist",
+            "daily",
+            {
+              limit: result.data?.api_requests,
+              count: result.data?.api_requests_count,
+            },
+          );
           return result.data;
         }
         return null;
@@ -344,22 +384,97 @@
       }
     }
 
+    // ───────────────────────────────────────────────────────────────────────────
+    // BATCHING
+    // ───────────────────────────────────────────────────────────────────────────
+
     /**
-     * Batch fetch media info for multiple IMDb IDs (up to 200)
-     * More efficient than individual calls for Hero Banner enrichment
-     * @param {string[]} imdbIds - Array of IMDb IDs
-     * @param {string} type - 'movie' or 'series'
-     * @returns {Promise<Map<string, Object>>} Map of imdbId → normalized data
+     * Wait for the title in the next batch of its type
+     * @private
+     * @returns {Promise<Object|null>}
      */
-    async fetchBatchByImdbIds(imdbIds, type = "movie") {
-      if (!this.isAvailable()) {
-        console.debug("[MDBList Fetcher] Batch: Not available");
-        return new Map();
+    queueForBatch(imdbId, type) {
+      const mediaType = type === "series" ? "show" : "movie";
+      const pending = this.pendingBatches[mediaType];
+
+      return new Promise((resolve) => {
+        if (!pending.has(imdbId)) pending.set(imdbId, []);
+        pending.get(imdbId).push(resolve);
+
+        if (pending.size >= BATCH_MAX_SIZE) {
+          this.flushBatch(mediaType);
+        } else if (!this.batchTimers[mediaType]) {
+          this.batchTimers[mediaType] = setTimeout(
+            () => this.flushBatch(mediaType),
+            BATCH_WINDOW_MS,
+          );
+        }
+      });
+    }
+
+    /**
+     * Send the collected titles of one type and hand each waiter its result
+     * @private
+     */
+    async flushBatch(mediaType) {
+      clearTimeout(this.batchTimers[mediaType]);
+      this.batchTimers[mediaType] = null;
+
+      const waiters = this.pendingBatches[mediaType];
+      this.pendingBatches[mediaType] = new Map();
+      if (waiters.size === 0) return;
+
+      const type = mediaType === "show" ? "series" : "movie";
+      const imdbIds = [...waiters.keys()];
+      const settle = (imdbId, data) =>
+        waiters.get(imdbId).forEach((resolve) => resolve(data));
+
+      // A lone title costs the same either way
+      if (imdbIds.length === 1) {
+        settle(imdbIds[0], await this.fetchSingle(imdbIds[0], type));
+        return;
       }
-      if (!imdbIds?.length) return new Map();
+
+      const batch = await this.requestBatch(imdbIds, type);
+
+      // Nothing a single request would get past (rate limit, quota, offline, cancelled)
+      if (!batch.ok && !batch.retrySingles) {
+        imdbIds.forEach((imdbId) => settle(imdbId, null));
+        return;
+      }
+
+      const missing = imdbIds.filter((imdbId) => !batch.results.has(imdbId));
+      batch.results.forEach((data, imdbId) => {
+        if (waiters.has(imdbId)) settle(imdbId, data);
+      });
+
+      if (missing.length > 0) {
+        console.debug(
+          `[MDBList Fetcher] Batch: ${missing.length} ${mediaType}s fall back to single requests`,
+        );
+        await Promise.all(
+          missing.map(async (imdbId) =>
+            settle(imdbId, await this.fetchSingle(imdbId, type)),
+          ),
+        );
+      }
+    }
+
+    /**
+     * POST a batch to /imdb/{type}
+     * @private
+     * @returns {Promise<{ ok: boolean, retrySingles: boolean, results: Map<string, Object> }>}
+     *   retrySingles is true when the batch itself failed in a way single requests may not
+     */
+    async requestBatch(imdbIds, type) {
+      const failed = (retrySingles) => ({
+        ok: false,
+        retrySingles,
+        results: new Map(),
+      });
 
       const apiKey = this.getApiKey();
-      if (!apiKey) return new Map();
+      if (!apiKey) return failed(false);
 
       const fetchUtils = getFetchUtils();
       const mediaType = type === "series" ? "show" : "movie";
@@ -370,22 +485,26 @@
       try {
         const result = await fetchUtils.makeRequest(url, {
           method: "POST",
-          timeout: 15000, // Longer timeout for batch
+          timeout: BATCH_TIMEOUT_MS, // Longer timeout for batch
           headers: {
             "Content-Type": "application/json",
             Accept: "application/json",
           },
           body: JSON.stringify({ ids: imdbIds }),
+          queue: "mdblist",
         });
 
         if (!result.ok) {
           if (result.status === 429) {
-            getApiKeys()?.markRateLimited("MDBLIST");
             console.warn("[MDBList Fetcher] Batch rate limited.");
           } else {
             console.warn(`[MDBList Fetcher] Batch failed: ${result.status}`);
           }
-          return new Map();
+          // HTTP errors and timeouts may be batch-specific; everything else
+          // (429, quota, offline, circuit open, cancelled) applies to singles too
+          return failed(
+            (result.status > 0 && result.status !== 429) || !!result.timedOut,
+          );
         }
 
         // Parse array response into Map
@@ -395,18 +514,39 @@
         for (const item of dataArray) {
           const imdbId = item.ids?.imdb;
           if (imdbId) {
-            resultMap.set(imdbId, this.normalizeResponse(item));
+            // Listed without data: known to MDBList, a single request won't do better
+            resultMap.set(
+              imdbId,
+              item.title ? this.normalizeResponse(item) : null,
+            );
           }
         }
 
         console.log(
           `[MDBList Fetcher] Batch: ${resultMap.size}/${imdbIds.length} ${mediaType}s`,
         );
-        return resultMap;
+        return { ok: true, retrySingles: false, results: resultMap };
       } catch (error) {
         console.error(`[MDBList Fetcher] Batch error:`, error);
+        return failed(false);
+      }
+    }
+
+    /**
+     * Batch fetch media info for multiple IMDb IDs (up to 200)
+     * More efficient than individual calls for Hero Banner enrichment
+     * @param {string[]} imdbIds - Array of IMDb IDs
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Promise<Map<string, Object>>} Map of imdbId → normalized data
+     */
+    async fetchBatchByImdbIds(imdbIds, type = "movie") {
+      if (!this.isAvailable()) {
+        console.debug("[MDBList Fetcher] Batch: Not available");
         return new Map();
       }
+      if (!imdbIds?.length) return new Map();
+
+      return (await this.requestBatch(imdbIds, type)).results;
     }
   }
 
@@ -425,7 +565,44 @@
     isAvailable: () => instance.isAvailable(),
     validateAuthorization: () => instance.validateAuthorization(),
     fetchUserLimits: () => instance.fetchUserLimits(),
+
+    // Provider registry descriptor
+    provider: {
+      id: "mdblist",
+      label: "MDBList",
+      order: 30,
+      timeout: TIMEOUT_MS,
+      batchTimeout: BATCH_WINDOW_MS + BATCH_TIMEOUT_MS, // Batched lookups wait for their batch
+      keyProvider: "MDBLIST",
+      fields: [
+        "plot",
+        "contentRating",
+        "poster",
+        "background",
+        "trailer",
+        "ratings",
+        "tmdb",
+        "tvdb",
+      ],
+      toFields: (data) => ({
+        ...(data.plot && { plot: data.plot }),
+        ...(data.contentRating && { contentRating: data.contentRating }),
+        ...(data.poster && { poster: data.poster }),
+        ...(data.background && { background: data.background }),
+        ...(data.trailer && { trailer: data.trailer }),
+        ...(Object.keys(data.ratings || {}).length && {
+          ratings: data.ratings,
+        }),
+        // External IDs use the schema field names (tmdb, not tmdbId)
+        ...(data.tmdbId && { tmdb: data.tmdbId }),
+        ...(data.tvdbId && { tvdb: data.tvdbId }),
+      }),
+    },
   };
 
   console.log("[MDBList Fetcher] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).mdblistFetcher =
+    `(${mdblistFetcherModule})();`;
 })();
@@ -92,6 +92,8 @@ class MetadataFetcher {
    * @param {string} currentMetaSource - Current enrichment state: "dom", "cinemeta", "imdbapi", or "complete"
    * @param {Object} databaseData - Existing metadata from database
    * @param {boolean} priority - Whether this is a priority request (e.g., user hover)
+   * @param {AbortSignal|null} [signal] - Stops before the next source once aborted (route change)
+   * @param {Object} [options] - Passed to metadataService.getEnrichedMetadata (e.g. batch)
    * @returns {Promise<Object|null>} Enriched metadata object or null if no database data
    */
   async enrichTitleProgressively(
@@ -100,6 +102,8 @@ class MetadataFetcher {
     currentMetaSource = "dom",
     databaseData = null,
     priority = false,
+    signal = null,
+    options = {},
   ) {
     // If no database data provided, we can't enrich (fetcher doesn't have DB access)
     if (!databaseData) {
@@ -107,6 +111,7 @@ class MetadataFetcher {
     }
 
     let enrichedData = { ...databaseData };
+    const registry = window.MetadataModules.providerRegistry;
     let hasCinemetaData =
       currentMetaSource === "cinemeta" || currentMetaSource === "complete";
     let hasImdbData =
@@ -133,10 +138,14 @@ class MetadataFetcher {
             metaSource: "imdbapi",
             lastUpdated: Date.now(),
           });
+          registry?.stampSources(enrichedData, "imdb", imdbData);
           hasImdbData = true;
         }
       }
 
+      // Cancelled: keep what was fetched, the next visit picks up from metaSource
+      if (signal?.aborted) return enrichedData;
+
       // Fetch Cinemeta data if needed
       if (needsCinemeta && type) {
         const cinemetaData = await this.fetchCinemetaData(
@@ -171,6 +180,7 @@ class MetadataFetcher {
               metaSource: "complete",
               lastUpdated: Date.now(),
             });
+            registry?.stampSources(enrichedData, "cinemeta", cinemetaData);
           } else {
             // Save intermediate result with Cinemeta data only
             // Use smartMerge here too to respect existing data (e.g. from Jikan)
@@ -179,10 +189,13 @@ class MetadataFetcher {
               metaSource: "cinemeta",
               lastUpdated: Date.now(),
             });
+            registry?.stampSources(enrichedData, "cinemeta", cinemetaData);
           }
         }
       }
 
+      if (signal?.aborted) return enrichedData;
+
       // Fetch IMDb data if needed (and we have type or already have Cinemeta)
       if (needsImdb && (type || hasCinemetaData)) {
         // Pass episode count from existing data (e.g. from Cinemeta) to help normalizer fix runtime
@@ -216,6 +229,7 @@ class MetadataFetcher {
             metaSource: hasCinemetaData ? "complete" : "imdbapi",
             lastUpdated: Date.now(),
           });
+          registry?.stampSources(enrichedData, "imdb", imdbData);
           hasImdbData = true;
         }
       }
@@ -227,6 +241,7 @@ class MetadataFetcher {
       const metadataService = window.MetadataModules?.metadataService;
       if (
         (hasCinemetaData || hasImdbData) &&
+        !signal?.aborted &&
         metadataService?.hasPrivateApiAvailable()
       ) {
         try {
@@ -235,12 +250,18 @@ class MetadataFetcher {
             imdbId,
             type,
             priority,
+            { batch: options.batch },
           );
 
-          if (privateData) {
+          // Providers cancelled mid-way would leave a partial result marked as enriched
+          if (privateData && !signal?.aborted) {
             // Smart Merge: Private data (TMDB/MDBList) overrides Public data where strictly better
-            // (e.g. Logos, Ratings, Content Ratings)
-            const smartMerged = this.smartMerge(enrichedData, privateData);
+            // (e.g. Logos, Ratings, Content Ratings), unless the user ranks the
+            // public source higher for that field group
+            const resolved =
+              registry?.resolveAgainst(enrichedData, privateData) ||
+              privateData;
+            const smartMerged = this.smartMerge(enrichedData, resolved);
 
             Object.assign(enrichedData, smartMerged, {
               metaSourcePrivate: privateData.metaSourcePrivate,
@@ -611,6 +632,15 @@ class MetadataFetcher {
       return this.imageUrlCache.get(cacheKey);
     }
 
+    // Then the selection persisted by an earlier session
+    const artworkCache = window.MetadataModules.artworkCache;
+    const selectionKey = `validated:${cacheKey}`;
+    const persisted = await artworkCache?.getSelection(selectionKey);
+    if (persisted) {
+      this.imageUrlCache.set(cacheKey, persisted);
+      return persisted;
+    }
+
     let validatedUrl = null;
 
     // Try TMDB sizes if path provided
@@ -633,8 +663,11 @@ class MetadataFetcher {
       }
     }
 
-    // Cache the result
+    // Cache the result (failures only for this session, the CDN may recover)
     this.imageUrlCache.set(cacheKey, validatedUrl);
+    if (validatedUrl) {
+      artworkCache?.setSelection(selectionKey, validatedUrl);
+    }
     return validatedUrl;
   }
 
@@ -929,6 +962,8 @@ class MetadataFetcher {
    * @param {Object} databaseData - Existing metadata from database
    * @param {number} maxRetries - (Unused) Maximum retries - handled by queue
    * @param {boolean} priority - Whether this is a priority request
+   * @param {AbortSignal|null} [signal] - Route signal for background enrichment
+   * @param {Object} [options] - Passed to enrichTitleProgressively
    * @returns {Promise<Object|null>} Enriched metadata
    */
   async retryIncompleteEnrichment(
@@ -938,6 +973,8 @@ class MetadataFetcher {
     databaseData,
     maxRetries = 2,
     priority = false,
+    signal = null,
+    options = {},
   ) {
     // Simply call enrichment once - queue handles API retries automatically
     return await this.enrichTitleProgressively(
@@ -946,6 +983,8 @@ class MetadataFetcher {
       initialMetaSource,
       databaseData,
       priority,
+      signal,
+      options,
     );
   }
 }
@@ -955,3 +994,10 @@ window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.metadataFetcher = {
   MetadataFetcher,
 };
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).metadataFetcher = [
+  SimpleLRUCache,
+  MetadataFetcher,
+  "window.MetadataModules.metadataFetcher = { MetadataFetcher };",
+].join("\n");
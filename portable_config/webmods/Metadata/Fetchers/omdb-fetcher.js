@@ -0,0 +1,259 @@
+/**
+ * OMDb Fetcher Module
+ *
+ * Handles all interactions with the OMDb API.
+ * Fallback ratings provider (IMDb, Rotten Tomatoes critics, Metacritic) for
+ * users without an MDBList key. Ratings use the same unified shape as
+ * MDBListFetcher.normalizeRatings.
+ *
+ * @module omdb-fetcher
+ * @version 1.0.0
+ */
+
+(function omdbFetcherModule() {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.omdbFetcher?.initialized) {
+    console.log("[OMDb Fetcher] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONFIGURATION
+  // ─────────────────────────────────────────────────────────────────────────────
+  const DEFAULT_API_BASE = "https://www.omdbapi.com";
+  const TIMEOUT_MS = 5000;
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function getApiKeys() {
+    return window.MetadataModules?.apiKeys;
+  }
+
+  function getFetchUtils() {
+    return window.MetadataModules?.fetchUtils;
+  }
+
+  /**
+   * OMDb's daily quota resets at midnight UTC
+   */
+  function msUntilUtcMidnight() {
+    const now = new Date();
+    return (
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) -
+      now.getTime()
+    );
+  }
+
+  /**
+   * Parse "87%", "74/100", "8.8/10" or "1,234,567" into a number
+   */
+  function parseNumber(value) {
+    if (value == null || value === "N/A") return null;
+    const number = parseFloat(String(value).replace(/,/g, ""));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // OMDB FETCHER CLASS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class OMDbFetcher {
+    get apiBase() {
+      return (
+        window.MetadataModules?.config?.METADATA_CONFIG?.omdbApiBase ||
+        DEFAULT_API_BASE
+      );
+    }
+
+    /**
+     * Get the API key from storage
+     */
+    getApiKey() {
+      const apiKeys = getApiKeys();
+      return apiKeys?.getKey("OMDB");
+    }
+
+    /**
+     * Check if OMDb is available (has key and not rate-limited)
+     */
+    isAvailable() {
+      const apiKeys = getApiKeys();
+      return apiKeys?.isAvailable("OMDB") ?? false;
+    }
+
+    /**
+     * Fetch ratings by IMDb ID
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - 'movie' or 'series'
+     * @param {boolean} priority - Whether this is a priority request
+     * @returns {Promise<Object|null>}
+     */
+    async fetchByImdbId(imdbId, type = "movie", priority = false) {
+      if (!this.isAvailable()) {
+        console.debug(`[OMDb Fetcher] Not available for ${imdbId}`);
+        return null;
+      }
+
+      const apiKey = this.getApiKey();
+      if (!apiKey) return null;
+
+      const fetchUtils = getFetchUtils();
+      const url = `${this.apiBase}/?apikey=${encodeURIComponent(
+        apiKey,
+      )}&i=${encodeURIComponent(imdbId)}&tomatoes=true`;
+
+      try {
+        const result = await fetchUtils.makeRequest(url, {
+          timeout: TIMEOUT_MS,
+          headers: {
+            Accept: "application/json",
+          },
+        });
+
+        // OMDb reports errors in the body, sometimes with HTTP 200
+        const apiError = result.data?.Response === "False" && result.data.Error;
+
+        if (!result.ok || apiError) {
+          const message = apiError || result.error || "";
+          if (result.status === 429 || /limit reached/i.test(message)) {
+            getApiKeys()?.markRateLimited("OMDB", msUntilUtcMidnight());
+            console.warn(
+              "[OMDb Fetcher] Daily limit reached, marking for cooldown.",
+            );
+          } else if (/not found/i.test(message)) {
+            console.debug(`[OMDb Fetcher] No data found for ${imdbId}`);
+          } else {
+            console.warn(
+              `[OMDb Fetcher] Request failed: ${result.status} ${message}`,
+            );
+          }
+          return null;
+        }
+
+        if (!result.data?.Title) {
+          console.debug(`[OMDb Fetcher] No media data returned for ${imdbId}`);
+          return null;
+        }
+
+        const normalized = this.normalizeResponse(result.data);
+        console.debug(
+          `[OMDb Fetcher] Fetched ${imdbId}: ${
+            Object.keys(normalized.ratings).length
+          } rating sources`,
+        );
+        return normalized;
+      } catch (error) {
+        console.error(`[OMDb Fetcher] Error for ${imdbId}:`, error);
+        return null;
+      }
+    }
+
+    /**
+     * Normalize the API response to internal format
+     * OMDb only supplies ratings here; other fields come from better sources.
+     */
+    normalizeResponse(data) {
+      return {
+        ratings: this.normalizeRatings(data),
+
+        // Source tracking
+        source: "omdb",
+      };
+    }
+
+    /**
+     * Normalize OMDb rating fields to the unified ratings object
+     * @param {Object} data - OMDb response
+     * @returns {Object} Normalized ratings object
+     */
+    normalizeRatings(data) {
+      const ratings = {};
+
+      const imdbScore = parseNumber(data.imdbRating);
+      if (imdbScore != null) {
+        ratings.imdb = {
+          score: imdbScore,
+          votes: parseNumber(data.imdbVotes) || 0,
+        };
+      }
+
+      for (const rating of data.Ratings || []) {
+        const score = parseNumber(rating.Value);
+        if (score == null) continue;
+
+        switch (rating.Source) {
+          case "Rotten Tomatoes":
+            ratings.rottenTomatoes = {
+              score,
+              votes: parseNumber(data.tomatoReviews) || 0,
+            };
+            break;
+
+          case "Metacritic":
+            ratings.metacritic = {
+              score,
+              votes: 0,
+            };
+            break;
+        }
+      }
+
+      // tomatoes=true adds the audience score when OMDb still has it
+      const audienceScore = parseNumber(data.tomatoUserMeter);
+      if (audienceScore != null) {
+        ratings.rottenTomatoesAudience = {
+          score: audienceScore,
+          votes: parseNumber(data.tomatoUserReviews) || 0,
+        };
+      }
+
+      // Metascore is sometimes present without a Ratings entry
+      const metascore = parseNumber(data.Metascore);
+      if (!ratings.metacritic && metascore != null) {
+        ratings.metacritic = { score: metascore, votes: 0 };
+      }
+
+      return ratings;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  const instance = new OMDbFetcher();
+
+  window.MetadataModules.omdbFetcher = {
+    initialized: true,
+    instance,
+
+    // Convenience methods
+    fetchByImdbId: (...args) => instance.fetchByImdbId(...args),
+    isAvailable: () => instance.isAvailable(),
+
+    // Provider registry descriptor
+    provider: {
+      id: "omdb",
+      label: "OMDb",
+      order: 40,
+      timeout: 5000,
+      keyProvider: "OMDB",
+      // Only needed when MDBList can't supply RT / Metacritic
+      fallbackFor: "mdblist",
+      fields: ["ratings"],
+    },
+  };
+
+  console.log("[OMDb Fetcher] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).omdbFetcher =
+    `(${omdbFetcherModule})();`;
+})();
@@ -448,3 +448,9 @@ window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.titleSearch = {
   TitleSearchService,
 };
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).titleSearch = [
+  TitleSearchService,
+  "window.MetadataModules.titleSearch = { TitleSearchService };",
+].join("\n");
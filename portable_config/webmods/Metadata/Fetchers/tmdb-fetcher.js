@@ -8,7 +8,7 @@
  * @version 1.0.0
  */
 
-(function () {
+(function tmdbFetcherModule() {
   "use strict";
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -33,6 +33,7 @@
     profile: ["w185", "w300", "original"],
     poster: ["w500", "w780", "original"],
     backdrop: ["original", "w2160", "w1440", "w1280"],
+    still: ["w300", "w780", "original"],
   };
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -126,12 +127,10 @@
       try {
         const result = await fetchUtils.makeRequest(url, {
           timeout: TIMEOUT_MS,
+          queue: "tmdb",
         });
 
         if (!result.ok) {
-          if (result.status === 429) {
-            getApiKeys()?.markRateLimited("TMDB");
-          }
           console.warn(`[TMDB Fetcher] Find failed: ${result.error}`);
           return null;
         }
@@ -173,14 +172,10 @@
       try {
         const result = await fetchUtils.makeRequest(url, {
           timeout: TIMEOUT_MS,
+          queue: "tmdb",
         });
 
-        if (!result.ok) {
-          if (result.status === 429) {
-            getApiKeys()?.markRateLimited("TMDB");
-          }
-          return null;
-        }
+        if (!result.ok) return null;
 
         return this.normalizeMovieData(result.data);
       } catch (error) {
@@ -207,14 +202,10 @@
       try {
         const result = await fetchUtils.makeRequest(url, {
           timeout: TIMEOUT_MS,
+          queue: "tmdb",
         });
 
-        if (!result.ok) {
-          if (result.status === 429) {
-            getApiKeys()?.markRateLimited("TMDB");
-          }
-          return null;
-        }
+        if (!result.ok) return null;
 
         return this.normalizeTVData(result.data);
       } catch (error) {
@@ -223,6 +214,56 @@
       }
     }
 
+    /**
+     * Fetch the episodes of one TV season
+     * @param {number} tmdbId - TMDB TV ID
+     * @param {number} seasonNumber - Season number (0 = specials)
+     * @returns {Promise<Array<Object>|null>} Normalized episodes or null on failure
+     */
+    async fetchSeason(tmdbId, seasonNumber) {
+      const apiKey = this.getApiKey();
+      if (!apiKey) return null;
+
+      const fetchUtils = getFetchUtils();
+      const userLang =
+        window.MetadataModules?.preferences?.get("language") || "en";
+      const url = `${this.apiBase}/tv/${tmdbId}/season/${seasonNumber}?api_key=${apiKey}&language=${userLang}`;
+
+      try {
+        const result = await fetchUtils.makeRequest(url, {
+          timeout: TIMEOUT_MS,
+          queue: "tmdb",
+        });
+
+        if (!result.ok) return null;
+
+        return (result.data.episodes || []).map((episode) =>
+          this.normalizeEpisode(episode),
+        );
+      } catch (error) {
+        console.error(`[TMDB Fetcher] Season details error:`, error);
+        return null;
+      }
+    }
+
+    /**
+     * Normalize a season episode to the episodes table shape
+     */
+    normalizeEpisode(episode) {
+      return {
+        season: episode.season_number,
+        episode: episode.episode_number,
+        title: episode.name || null,
+        overview: episode.overview || null,
+        still: buildImageUrl(episode.still_path, "still"),
+        airDate: episode.air_date || null,
+        runtime: episode.runtime || null,
+        rating: episode.vote_count
+          ? { score: episode.vote_average, votes: episode.vote_count }
+          : null,
+      };
+    }
+
     /**
      * Fetch alternative titles for a title
      * @param {number} tmdbId - TMDB ID
@@ -238,7 +279,10 @@
       const url = `${this.apiBase}/${mediaType}/${tmdbId}/alternative_titles?api_key=${apiKey}`;
 
       try {
-        const result = await fetchUtils.makeRequest(url, { timeout: 5000 });
+        const result = await fetchUtils.makeRequest(url, {
+          timeout: 5000,
+          queue: "tmdb",
+        });
 
         if (!result.ok) return [];
 
@@ -406,6 +450,13 @@
         tagline: data.tagline || null,
         contentRating: this.extractMovieRating(data.release_dates),
 
+        // Per-language variants for the fallback chain
+        originalLanguage: data.original_language || null,
+        localized: this.extractLocalized(
+          data.translations,
+          data.original_language,
+        ),
+
         // Cast & Crew (per plan: cast→stars)
         stars: this.extractCast(credits.cast || [], 8),
         directors: this.extractCrew(credits.crew || [], "Director", 2),
@@ -469,6 +520,13 @@
         tagline: data.tagline || null,
         contentRating: this.extractTVRating(data.content_ratings),
 
+        // Per-language variants for the fallback chain
+        originalLanguage: data.original_language || null,
+        localized: this.extractLocalized(
+          data.translations,
+          data.original_language,
+        ),
+
         // Cast & Crew (per plan: cast→stars)
         stars: this.extractCast(credits.cast || [], 8),
         directors: this.extractCrew(credits.crew || [], "Director", 2),
@@ -550,6 +608,40 @@
       );
     }
 
+    /**
+     * Extract title / overview / tagline variants for the languages in the
+     * user's fallback chain (see localization-utils.js) plus the original
+     * language. Languages without a translation map to an empty object so
+     * they are not requested again.
+     * @param {Object} translations - TMDB translations object
+     * @param {string} originalLanguage - ISO 639-1 code of the original language
+     * @returns {Object} { [lang]: {title?, plot?, tagline?} }
+     */
+    extractLocalized(translations, originalLanguage) {
+      const localizationUtils = window.MetadataModules?.localizationUtils;
+      const languages = localizationUtils?.getStoredLanguages(
+        originalLanguage,
+      ) || [window.MetadataModules?.preferences?.get("language") || "en"];
+      const list = translations?.translations || [];
+
+      const localized = {};
+      for (const lang of languages) {
+        // Regional variants (pt-BR / pt-PT) share a code - prefer one with an overview
+        const matches = list.filter((t) => t.iso_639_1 === lang);
+        const data = (matches.find((t) => t.data?.overview) || matches[0])
+          ?.data;
+
+        localized[lang] = {
+          ...((data?.title || data?.name) && {
+            title: data.title || data.name,
+          }),
+          ...(data?.overview && { plot: data.overview }),
+          ...(data?.tagline && { tagline: data.tagline }),
+        };
+      }
+      return localized;
+    }
+
     /**
      * Validate API key by making a test request
      */
@@ -581,18 +673,24 @@
     async getImages(imdbId, type) {
       if (!this.isAvailable()) return null;
 
-      const tmdbId = await this.convertToTmdbId(imdbId, type);
-      if (!tmdbId) return null;
-
-      const apiKey = this.getApiKey();
-      const fetchUtils = getFetchUtils();
-
       // Get user language
       const userLang =
         window.MetadataModules?.preferences?.get("language") || "en";
 
       const mediaType = type === "series" ? "tv" : "movie";
 
+      // Selections are persisted per title and language across sessions
+      const artworkCache = window.MetadataModules?.artworkCache;
+      const selectionKey = `images:${mediaType}:${imdbId}:${userLang}`;
+      const persisted = await artworkCache?.getSelection(selectionKey);
+      if (persisted) return persisted;
+
+      const tmdbId = await this.convertToTmdbId(imdbId, type);
+      if (!tmdbId) return null;
+
+      const apiKey = this.getApiKey();
+      const fetchUtils = getFetchUtils();
+
       // We explicitly ask for:
       // 1. User Language (for Logos/Posters)
       // 2. English (Fallback)
@@ -603,7 +701,10 @@
       const url = `${this.apiBase}/${mediaType}/${tmdbId}/images?api_key=${apiKey}&include_image_language=${uniqueLangs}`;
 
       try {
-        const result = await fetchUtils.makeRequest(url, { timeout: 5000 });
+        const result = await fetchUtils.makeRequest(url, {
+          timeout: 5000,
+          queue: "tmdb",
+        });
         if (!result.ok) return null;
 
         const data = result.data;
@@ -736,7 +837,7 @@
           );
         }
 
-        return {
+        const images = {
           backdrop: bestBackdrop
             ? buildImageUrl(bestBackdrop.file_path, "backdrop", 0)
             : null,
@@ -746,6 +847,9 @@
             : null,
           tmdbId,
         };
+
+        artworkCache?.setSelection(selectionKey, images);
+        return images;
       } catch (error) {
         console.error(`[TMDB Fetcher] Image fetch error:`, error);
         return null;
@@ -814,12 +918,65 @@
     fetchByImdbId: (...args) => instance.fetchByImdbId(...args),
     convertToTmdbId: (...args) => instance.convertToTmdbId(...args),
     getImages: (...args) => instance.getImages(...args),
+    fetchSeason: (...args) => instance.fetchSeason(...args),
     isAvailable: () => instance.isAvailable(),
     validateAuthorization: () => instance.validateAuthorization(),
 
     // Image URL helper
     buildImageUrl,
+
+    // Provider registry descriptor
+    provider: {
+      id: "tmdb",
+      label: "TMDB",
+      order: 10,
+      timeout: 8000,
+      keyProvider: "TMDB",
+      fields: [
+        "title",
+        "originalTitle",
+        "englishTitle",
+        "plot",
+        "tagline",
+        "contentRating",
+        "poster",
+        "background",
+        "logo",
+        "network",
+        "studio",
+        "originalLanguage",
+        "localized",
+      ],
+      // Cast / crew stay with the public sources: TMDB credits would
+      // overwrite their fuller lists. Network is only kept for series.
+      toFields: (data, type) => {
+        return {
+          ...(data.title && { title: data.title }),
+          ...(data.originalTitle && { originalTitle: data.originalTitle }),
+          ...(data.englishTitle && { englishTitle: data.englishTitle }),
+          ...(data.plot && { plot: data.plot }),
+          ...(data.tagline && { tagline: data.tagline }),
+          ...(data.contentRating && { contentRating: data.contentRating }),
+          ...(data.poster && { poster: data.poster }),
+          ...(data.background && { background: data.background }),
+          ...(data.logo && { logo: data.logo }),
+          ...(type === "series" && data.network && { network: data.network }),
+          ...(data.studio && { studio: data.studio }),
+          ...(data.originalLanguage && {
+            originalLanguage: data.originalLanguage,
+          }),
+          ...(data.localized &&
+            Object.keys(data.localized).length && {
+              localized: data.localized,
+            }),
+        };
+      },
+    },
   };
 
   console.log("[TMDB Fetcher] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).tmdbFetcher =
+    `(${tmdbFetcherModule})();`;
 })();
@@ -0,0 +1,434 @@
+/**
+ * TVDB Fetcher Module
+ *
+ * Handles all interactions with the TVDB v4 API.
+ * Provides series episode lists in aired (official), DVD and absolute order,
+ * used to fix episode data for series whose season numbering differs between
+ * providers (long-running anime, split seasons, specials).
+ *
+ * Bearer tokens are cached in localStorage for METADATA_CONFIG.cacheTTL.authToken.
+ *
+ * @module tvdb-fetcher
+ * @version 1.0.0
+ */
+
+(function tvdbFetcherModule() {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.tvdbFetcher?.initialized) {
+    console.log("[TVDB Fetcher] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONFIGURATION
+  // ─────────────────────────────────────────────────────────────────────────────
+  const DEFAULT_API_BASE = "https://api4.thetvdb.com/v4";
+  const DEFAULT_TOKEN_TTL = 28 * 24 * 60 * 60 * 1000; // TVDB tokens last 1 month
+  const TIMEOUT_MS = 8000;
+  const TOKEN_STORAGE_KEY = "kai-tvdb-token";
+
+  // Safety cap on episode pages (TVDB returns up to 500 episodes per page)
+  const MAX_EPISODE_PAGES = 10;
+
+  /** Season orders supported by /series/{id}/episodes/{season-type} */
+  const SEASON_TYPES = Object.freeze({
+    official: "Aired Order",
+    dvd: "DVD Order",
+    absolute: "Absolute Order",
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function getApiKeys() {
+    return window.MetadataModules?.apiKeys;
+  }
+
+  function getFetchUtils() {
+    return window.MetadataModules?.fetchUtils;
+  }
+
+  function getConfig() {
+    return window.MetadataModules?.config?.METADATA_CONFIG || {};
+  }
+
+  /**
+   * Short non-reversible fingerprint so a cached token is dropped when the key changes
+   */
+  function fingerprint(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+      hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    }
+    return hash.toString(36);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TVDB FETCHER CLASS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class TVDBFetcher {
+    constructor() {
+      this.loginPromise = null;
+    }
+
+    get apiBase() {
+      return getConfig().tvdbApiBase || DEFAULT_API_BASE;
+    }
+
+    /**
+     * Get the API key from storage
+     */
+    getApiKey() {
+      const apiKeys = getApiKeys();
+      return apiKeys?.getKey("TVDB");
+    }
+
+    /**
+     * Check if TVDB is available (has key and not rate-limited)
+     */
+    isAvailable() {
+      const apiKeys = getApiKeys();
+      return apiKeys?.isAvailable("TVDB") ?? false;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // AUTHENTICATION
+    // ───────────────────────────────────────────────────────────────────────────
+
+    readCachedToken(apiKey) {
+      try {
+        const cached = JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY));
+        if (
+          cached?.token &&
+          cached.key === fingerprint(apiKey) &&
+          Date.now() < cached.expiresAt
+        ) {
+          return cached.token;
+        }
+      } catch {
+        // Corrupt cache, log in again
+      }
+      return null;
+    }
+
+    clearToken() {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+
+    /**
+     * Exchange an API key for a bearer token
+     * @param {string} apiKey - TVDB project API key
+     * @returns {Promise<{token: string|null, status: number, error?: string}>}
+     */
+    async login(apiKey) {
+      const fetchUtils = getFetchUtils();
+      const result = await fetchUtils.makeRequest(`${this.apiBase}/login`, {
+        method: "POST",
+        timeout: TIMEOUT_MS,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ apikey: apiKey }),
+      });
+
+      const token = result.ok ? result.data?.data?.token : null;
+      return {
+        token: token || null,
+        status: result.status,
+        error: token ? null : result.error || "No token returned",
+      };
+    }
+
+    /**
+     * Get a valid bearer token, logging in at most once concurrently
+     * @param {boolean} [forceRefresh=false] - Ignore the cached token
+     * @returns {Promise<string|null>}
+     */
+    async getToken(forceRefresh = false) {
+      const apiKey = this.getApiKey();
+      if (!apiKey) return null;
+
+      if (!forceRefresh) {
+        const cached = this.readCachedToken(apiKey);
+        if (cached) return cached;
+      }
+
+      if (!this.loginPromise) {
+        this.loginPromise = this.login(apiKey)
+          .then(({ token, status, error }) => {
+            if (!token) {
+              if (status === 429) getApiKeys()?.markRateLimited("TVDB");
+              console.warn(`[TVDB Fetcher] Login failed: ${error}`);
+              return null;
+            }
+
+            const ttl = getConfig().cacheTTL?.authToken || DEFAULT_TOKEN_TTL;
+            localStorage.setItem(
+              TOKEN_STORAGE_KEY,
+              JSON.stringify({
+                token,
+                key: fingerprint(apiKey),
+                expiresAt: Date.now() + ttl,
+              }),
+            );
+            console.debug("[TVDB Fetcher] Logged in, token cached.");
+            return token;
+          })
+          .finally(() => {
+            this.loginPromise = null;
+          });
+      }
+
+      return this.loginPromise;
+    }
+
+    /**
+     * Authenticated GET; retries once with a fresh token on 401
+     * @param {string} path - Path below the API base (e.g. "/series/123")
+     * @returns {Promise<Object|null>} Response `data` field or null
+     */
+    async request(path, retried = false) {
+      const token = await this.getToken(retried);
+      if (!token) return null;
+
+      const result = await getFetchUtils().makeRequest(
+        `${this.apiBase}${path}`,
+        {
+          timeout: TIMEOUT_MS,
+          headers: {
+            Accept: "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      if (result.ok) return result.data || null;
+
+      if (result.status === 401 && !retried) {
+        this.clearToken();
+        return this.request(path, true);
+      }
+      if (result.status === 429) {
+        getApiKeys()?.markRateLimited("TVDB");
+        console.warn("[TVDB Fetcher] Rate limited, marking for cooldown.");
+      } else if (result.status === 404) {
+        console.debug(`[TVDB Fetcher] Not found: ${path}`);
+      } else {
+        console.warn(
+          `[TVDB Fetcher] Request failed: ${result.status} ${result.error}`,
+        );
+      }
+      return null;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // LOOKUPS
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Resolve an IMDb ID to a TVDB series ID
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @returns {Promise<number|null>}
+     */
+    async findSeriesId(imdbId) {
+      const response = await this.request(
+        `/search/remoteid/${encodeURIComponent(imdbId)}`,
+      );
+      const match = (response?.data || []).find((item) => item.series?.id);
+      return match ? match.series.id : null;
+    }
+
+    /**
+     * Series record with its available season types
+     * @param {number} seriesId - TVDB series ID
+     * @returns {Promise<Object|null>}
+     */
+    async fetchSeries(seriesId) {
+      const response = await this.request(
+        `/series/${seriesId}/extended?short=true`,
+      );
+      return response?.data || null;
+    }
+
+    /**
+     * All episodes of a series in the given order
+     * @param {number} seriesId - TVDB series ID
+     * @param {"official"|"dvd"|"absolute"} [seasonType="official"]
+     * @returns {Promise<Object[]|null>} Raw TVDB episode records
+     */
+    async fetchEpisodes(seriesId, seasonType = "official") {
+      const type = SEASON_TYPES[seasonType] ? seasonType : "official";
+      const episodes = [];
+
+      for (let page = 0; page < MAX_EPISODE_PAGES; page++) {
+        const response = await this.request(
+          `/series/${seriesId}/episodes/${type}?page=${page}`,
+        );
+        if (!response) return page === 0 ? null : episodes;
+
+        episodes.push(...(response.data?.episodes || []));
+        if (!response.links?.next) break;
+      }
+
+      return episodes;
+    }
+
+    /**
+     * Fetch series episode data by IMDb ID
+     * @param {string} imdbId - IMDb ID (tt1234567)
+     * @param {string} type - 'movie' or 'series' (movies are skipped)
+     * @param {boolean} priority - Whether this is a priority request
+     * @param {Object} [options]
+     * @param {number} [options.tvdbId] - Known TVDB ID (skips the remote ID search)
+     * @param {"official"|"dvd"|"absolute"} [options.seasonType] - Episode order
+     * @returns {Promise<Object|null>}
+     */
+    async fetchByImdbId(
+      imdbId,
+      type = "series",
+      priority = false,
+      options = {},
+    ) {
+      if (type !== "series") return null;
+      if (!this.isAvailable()) {
+        console.debug(`[TVDB Fetcher] Not available for ${imdbId}`);
+        return null;
+      }
+
+      const seasonType =
+        options.seasonType ||
+        window.MetadataModules?.preferences?.get("tvdbSeasonType") ||
+        "official";
+
+      try {
+        const seriesId = options.tvdbId || (await this.findSeriesId(imdbId));
+        if (!seriesId) {
+          console.debug(`[TVDB Fetcher] No series found for ${imdbId}`);
+          return null;
+        }
+
+        const [series, episodes] = await Promise.all([
+          this.fetchSeries(seriesId),
+          this.fetchEpisodes(seriesId, seasonType),
+        ]);
+        if (!episodes) return null;
+
+        const normalized = this.normalizeResponse(
+          seriesId,
+          series,
+          episodes,
+          seasonType,
+        );
+        console.debug(
+          `[TVDB Fetcher] Fetched ${imdbId}: ${normalized.episodes.length} episodes (${seasonType})`,
+        );
+        return normalized;
+      } catch (error) {
+        console.error(`[TVDB Fetcher] Error for ${imdbId}:`, error);
+        return null;
+      }
+    }
+
+    /**
+     * Normalize the API response to internal format
+     * Episodes use the same field names as Cinemeta videos (season, episode,
+     * title, overview, released, thumbnail) plus absoluteEpisode.
+     */
+    normalizeResponse(seriesId, series, episodes, seasonType) {
+      return {
+        tvdbId: seriesId,
+        seasonType,
+
+        // Orders this series actually has (e.g. no DVD order for most anime)
+        seasonTypes: (series?.seasonTypes || [])
+          .map((t) => t.type)
+          .filter((t) => SEASON_TYPES[t]),
+
+        episodes: episodes
+          .filter((ep) => ep.number != null)
+          .map((ep) => ({
+            season: ep.seasonNumber ?? null,
+            episode: ep.number,
+            absoluteEpisode: ep.absoluteNumber || null,
+            title: ep.name || null,
+            overview: ep.overview || null,
+            released: ep.aired || null,
+            thumbnail: ep.image || null,
+            tvdbId: ep.id,
+          })),
+
+        // Source tracking
+        source: "tvdb",
+      };
+    }
+
+    /**
+     * Validate API key by logging in
+     */
+    async validateAuthorization() {
+      const apiKey = this.getApiKey();
+      if (!apiKey) return { valid: false, error: "No API key" };
+
+      try {
+        const { token, error } = await this.login(apiKey);
+        return { valid: !!token, error: token ? null : error };
+      } catch (error) {
+        return { valid: false, error: error.message };
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  const instance = new TVDBFetcher();
+
+  window.MetadataModules.tvdbFetcher = {
+    initialized: true,
+    instance,
+    SEASON_TYPES,
+
+    // Convenience methods
+    fetchByImdbId: (...args) => instance.fetchByImdbId(...args),
+    fetchEpisodes: (...args) => instance.fetchEpisodes(...args),
+    findSeriesId: (...args) => instance.findSeriesId(...args),
+    isAvailable: () => instance.isAvailable(),
+    validateAuthorization: () => instance.validateAuthorization(),
+    clearToken: () => instance.clearToken(),
+
+    // Provider registry descriptor
+    provider: {
+      id: "tvdb",
+      label: "TVDB",
+      order: 20,
+      types: ["series"],
+      timeout: 12000, // Login + ID lookup + paged episode lists
+      keyProvider: "TVDB",
+      fields: ["tvdb", "tvdbEpisodes", "tvdbSeasonType"],
+      // Kept apart from Cinemeta videos so the episode injector can match by
+      // aired, DVD or absolute numbering
+      toFields: (data) => ({
+        ...(data.tvdbId && { tvdb: data.tvdbId }),
+        ...(data.episodes?.length > 0 && {
+          tvdbEpisodes: data.episodes,
+          tvdbSeasonType: data.seasonType,
+        }),
+      }),
+    },
+  };
+
+  console.log("[TVDB Fetcher] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).tvdbFetcher =
+    `(${tvdbFetcherModule})();`;
+})();
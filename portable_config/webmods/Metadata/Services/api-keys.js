@@ -1,13 +1,13 @@
 /**
  * API Keys Management Module
  *
- * Centralized management for user-provided private API keys (TMDB, MDBList).
+ * Centralized management for user-provided private API keys (TMDB, MDBList, TVDB, OMDb).
  * Handles storage (obfuscated), validation, and rate limit tracking.
  *
  * @module api-keys
  */
 
-(function () {
+(function apiKeysModule() {
   "use strict";
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -26,17 +26,23 @@
   const PROVIDERS = Object.freeze({
     TMDB: "tmdb",
     MDBLIST: "mdblist",
+    TVDB: "tvdb",
+    OMDB: "omdb",
   });
 
   const STORAGE_KEYS = Object.freeze({
     TMDB: "kai-api-key-tmdb",
     MDBLIST: "kai-api-key-mdblist",
+    TVDB: "kai-api-key-tvdb",
+    OMDB: "kai-api-key-omdb",
     RATE_LIMIT_PREFIX: "kai-api-ratelimit-",
   });
 
   const VALIDATION_ENDPOINTS = Object.freeze({
     TMDB: "https://api.themoviedb.org/3/configuration", // Uses api_key query param
     MDBLIST: "https://api.mdblist.com/user",
+    TVDB: "https://api4.thetvdb.com/v4/login", // Fallback when config isn't loaded
+    OMDB: "https://www.omdbapi.com/", // Uses apikey query param
   });
 
   // Rate limit cooldown: 1 hour
@@ -316,6 +322,59 @@
           }
           break;
 
+        case "TVDB": {
+          const apiBase =
+            window.MetadataModules?.config?.METADATA_CONFIG?.tvdbApiBase;
+          response = await fetch(
+            apiBase ? `${apiBase}/login` : VALIDATION_ENDPOINTS.TVDB,
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ apikey: trimmedKey }),
+              signal: controller.signal,
+            },
+          );
+          clearTimeout(timeoutId);
+
+          if (response.ok) {
+            const json = await response.json().catch(() => null);
+            const token = json?.data?.token;
+            result = token
+              ? { valid: true, token }
+              : { valid: false, error: "No token returned" };
+          } else if (response.status === 401) {
+            result = { valid: false, error: "Invalid API key" };
+          } else {
+            result = { valid: false, error: `HTTP ${response.status}` };
+          }
+          break;
+        }
+
+        case "OMDB": {
+          // Any known title works, OMDb reports key problems in the body
+          response = await fetch(
+            `${VALIDATION_ENDPOINTS.OMDB}?apikey=${encodeURIComponent(
+              trimmedKey,
+            )}&i=tt0111161`,
+            {
+              signal: controller.signal,
+            },
+          );
+          clearTimeout(timeoutId);
+
+          const json = await response.json().catch(() => null);
+          if (response.ok && json?.Response === "True") {
+            result = { valid: true };
+          } else if (json?.Error) {
+            result = { valid: false, error: json.Error };
+          } else if (response.status === 401) {
+            result = { valid: false, error: "Invalid API key" };
+          } else {
+            result = { valid: false, error: `HTTP ${response.status}` };
+          }
+          break;
+        }
+
         default:
           clearTimeout(timeoutId);
           result = { valid: false, error: `Unknown provider: ${provider}` };
@@ -360,4 +419,8 @@
   };
 
   console.log("[API Keys] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).apiKeys =
+    `(${apiKeysModule})();`;
 })();
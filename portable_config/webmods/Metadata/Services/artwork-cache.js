@@ -0,0 +1,469 @@
+/**
+ * Artwork Cache Module
+ *
+ * Keeps posters, backdrops, logos and cast photos as blobs in Cache Storage so
+ * the hover popup, hero banner and details page can show them from disk
+ * (through object URLs) instead of the network. An LRU index in its own
+ * database (ArtworkCacheDB) tracks size and last use of every cached image;
+ * the least recently used images are evicted once the total exceeds
+ * artworkCache.maxBytes.
+ *
+ * The same database persists image selections (best TMDB images for a title,
+ * validated TMDB sizes) so they are not recomputed every session.
+ *
+ * Only images on artworkCache.hosts are cached, and only when the host allows
+ * CORS reads; anything else keeps loading from its original URL.
+ *
+ * @module artwork-cache
+ */
+
+(function () {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.artworkCache?.initialized) {
+    console.log("[Artwork Cache] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  const CACHE_NAME = "kai-artwork-v1";
+  const DB_NAME = "ArtworkCacheDB";
+
+  const DEFAULTS = {
+    maxBytes: 200 * 1024 * 1024, // 200 MB of image blobs
+    maxEntryBytes: 10 * 1024 * 1024, // Larger images are served, not stored
+    maxObjectUrls: 500, // Object URLs kept alive for the session
+    touchInterval: 60 * 1000, // Min spacing between lastUsed writes per image
+    selectionTTL: 14 * 24 * 60 * 60 * 1000, // Persisted image selections
+    fetchTimeout: 10000,
+    hosts: [],
+  };
+
+  const getConfig = () => ({
+    ...DEFAULTS,
+    ...(window.MetadataModules?.config?.METADATA_CONFIG?.artworkCache || {}),
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // ARTWORK CACHE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class ArtworkCache {
+    constructor() {
+      this.db = null;
+      this.initPromise = null;
+      this.totalBytes = 0;
+
+      // url -> object URL, insertion ordered so the oldest are revoked first
+      this.objectUrls = new Map();
+      // url -> in-flight get() promise
+      this.pending = new Map();
+      // urls that could not be cached this session (CORS, 404, too large)
+      this.failed = new Set();
+      // url -> last lastUsed write
+      this.touchedAt = new Map();
+    }
+
+    /**
+     * @returns {boolean} True if Cache Storage and object URLs are available
+     */
+    isSupported() {
+      try {
+        return (
+          typeof caches !== "undefined" &&
+          typeof URL?.createObjectURL === "function"
+        );
+      } catch {
+        return false;
+      }
+    }
+
+    init() {
+      if (!this.initPromise) {
+        this.initPromise = this.initDatabase();
+      }
+      return this.initPromise;
+    }
+
+    async initDatabase() {
+      const localDb = window.MetadataModules.localDb;
+      this.db = await localDb.openDatabase(DB_NAME, (db) => {
+        db.version(1).stores({
+          artwork: "&url, lastUsed",
+          selections: "&key, savedAt",
+        });
+      });
+
+      const rows = await this.db.artwork.toArray();
+      this.totalBytes = rows.reduce((sum, row) => sum + (row.size || 0), 0);
+    }
+
+    /**
+     * True if the URL is on one of the configured artwork hosts
+     */
+    isCacheable(url) {
+      if (typeof url !== "string" || !/^https?:\/\//.test(url)) return false;
+      try {
+        const { hostname } = new URL(url);
+        return getConfig().hosts.some(
+          (host) => hostname === host || hostname.endsWith(`.${host}`),
+        );
+      } catch {
+        return false;
+      }
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // IMAGES
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Object URL for an image already loaded this session
+     * @param {string} url - Original image URL
+     * @returns {string|null}
+     */
+    peek(url) {
+      return this.objectUrls.get(url) || null;
+    }
+
+    /**
+     * Object URL for an image, read from Cache Storage or downloaded into it
+     * @param {string} url - Original image URL
+     * @returns {Promise<string|null>} Object URL, or null if it can't be cached
+     */
+    async get(url) {
+      const hot = this.peek(url);
+      if (hot) {
+        this.touch(url);
+        return hot;
+      }
+
+      if (
+        !this.isSupported() ||
+        !this.isCacheable(url) ||
+        this.failed.has(url)
+      ) {
+        return null;
+      }
+
+      if (!this.pending.has(url)) {
+        const pending = this.load(url).finally(() => this.pending.delete(url));
+        this.pending.set(url, pending);
+      }
+      return this.pending.get(url);
+    }
+
+    /**
+     * @private
+     */
+    async load(url) {
+      try {
+        await this.init();
+        const cache = await caches.open(CACHE_NAME);
+
+        let blob = null;
+        const cached = await cache.match(url);
+        if (cached) {
+          blob = await cached.blob();
+          this.touch(url);
+        } else {
+          blob = await this.download(cache, url);
+        }
+
+        if (!blob) {
+          this.failed.add(url);
+          return null;
+        }
+
+        return this.remember(url, URL.createObjectURL(blob));
+      } catch (error) {
+        console.warn(
+          `[Artwork Cache] Failed to load ${url}:`,
+          error?.message || error,
+        );
+        this.failed.add(url);
+        return null;
+      }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Blob|null>} Downloaded image (stored when it fits)
+     */
+    async download(cache, url) {
+      const connectivity = window.MetadataModules.connectivity;
+      if (connectivity?.isOnline() === false) return null;
+
+      const { fetchTimeout, maxEntryBytes } = getConfig();
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), fetchTimeout);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          mode: "cors",
+          credentials: "omit",
+          signal: controller.signal,
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const contentType = response.headers.get("content-type") || "";
+      if (!response.ok || !contentType.startsWith("image/")) return null;
+
+      const blob = await response.blob();
+      if (blob.size > maxEntryBytes) return blob;
+
+      await cache.put(
+        url,
+        new Response(blob, {
+          headers: {
+            "content-type": contentType,
+            "content-length": String(blob.size),
+          },
+        }),
+      );
+
+      const previous = await this.db.artwork.get(url);
+      this.totalBytes += blob.size - (previous?.size || 0);
+      await this.db.artwork.put({ url, size: blob.size, lastUsed: Date.now() });
+      this.touchedAt.set(url, Date.now());
+
+      await this.evict(cache);
+      return blob;
+    }
+
+    /**
+     * @private
+     */
+    remember(url, objectUrl) {
+      this.objectUrls.set(url, objectUrl);
+
+      const { maxObjectUrls } = getConfig();
+      while (this.objectUrls.size > maxObjectUrls) {
+        const [oldestUrl, oldestObjectUrl] = this.objectUrls
+          .entries()
+          .next().value;
+        this.objectUrls.delete(oldestUrl);
+        URL.revokeObjectURL(oldestObjectUrl);
+      }
+
+      return objectUrl;
+    }
+
+    /**
+     * Record a use of an image (throttled per image)
+     * @private
+     */
+    touch(url) {
+      const now = Date.now();
+      if (now - (this.touchedAt.get(url) || 0) < getConfig().touchInterval) {
+        return;
+      }
+      this.touchedAt.set(url, now);
+
+      // Refresh Map order so hot object URLs are revoked last
+      const objectUrl = this.objectUrls.get(url);
+      if (objectUrl) {
+        this.objectUrls.delete(url);
+        this.objectUrls.set(url, objectUrl);
+      }
+
+      this.db?.artwork.update(url, { lastUsed: now }).catch(() => {});
+    }
+
+    /**
+     * Drop least recently used images until the total fits maxBytes
+     * @private
+     */
+    async evict(cache) {
+      const { maxBytes } = getConfig();
+      if (this.totalBytes <= maxBytes) return;
+
+      const rows = await this.db.artwork.orderBy("lastUsed").toArray();
+      const evicted = [];
+
+      for (const row of rows) {
+        if (this.totalBytes <= maxBytes) break;
+        await cache.delete(row.url);
+        evicted.push(row.url);
+        this.totalBytes -= row.size || 0;
+        this.touchedAt.delete(row.url);
+      }
+
+      await this.db.artwork.bulkDelete(evicted);
+      console.log(
+        `[Artwork Cache] Evicted ${evicted.length} image(s), ${formatBytes(this.totalBytes)} in use`,
+      );
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // DOM HELPERS
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Synchronous src for templates: the object URL when the image is already
+     * loaded this session, the original URL otherwise
+     */
+    src(url) {
+      return this.peek(url) || url;
+    }
+
+    /**
+     * Point an <img> at an image, through the cache when possible.
+     * Uncached images are downloaded first; on failure the original URL is used.
+     *
+     * @param {HTMLImageElement} img
+     * @param {string} url - Original image URL
+     * @returns {Promise<void>}
+     */
+    async apply(img, url) {
+      if (!img || !url) return;
+
+      img.dataset.artworkUrl = url;
+      const hot = this.peek(url);
+      if (hot || !this.isCacheable(url)) {
+        img.src = hot || url;
+        return;
+      }
+
+      const objectUrl = await this.get(url);
+      // Another apply() may have retargeted the element meanwhile
+      if (img.dataset.artworkUrl !== url) return;
+      img.src = objectUrl || url;
+    }
+
+    /**
+     * Swap cacheable <img> sources under root to cached object URLs
+     * (images with data-src are left to their lazy loaders)
+     *
+     * @param {Element} root
+     */
+    hydrate(root) {
+      if (!root?.querySelectorAll || !this.isSupported()) return;
+
+      root.querySelectorAll("img[src]:not([data-src])").forEach((img) => {
+        const url = img.getAttribute("src");
+        if (this.isCacheable(url)) this.apply(img, url);
+      });
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // SELECTIONS
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Read a persisted image selection
+     * @param {string} key - e.g. "images:tv:tt0903747:en"
+     * @returns {Promise<*>} Stored value, or undefined if missing or expired
+     */
+    async getSelection(key) {
+      try {
+        await this.init();
+        const row = await this.db.selections.get(key);
+        if (!row) return undefined;
+        if (Date.now() - row.savedAt > getConfig().selectionTTL) {
+          await this.db.selections.delete(key);
+          return undefined;
+        }
+        return row.value;
+      } catch (error) {
+        console.warn(`[Artwork Cache] Failed to read selection ${key}:`, error);
+        return undefined;
+      }
+    }
+
+    async setSelection(key, value) {
+      try {
+        await this.init();
+        await this.db.selections.put({ key, value, savedAt: Date.now() });
+      } catch (error) {
+        console.warn(`[Artwork Cache] Failed to save selection ${key}:`, error);
+      }
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // MAINTENANCE
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * @returns {Promise<{supported: boolean, count: number, bytes: number, maxBytes: number}>}
+     */
+    async getStats() {
+      const { maxBytes } = getConfig();
+      if (!this.isSupported()) {
+        return { supported: false, count: 0, bytes: 0, maxBytes };
+      }
+
+      await this.init();
+      return {
+        supported: true,
+        count: await this.db.artwork.count(),
+        bytes: this.totalBytes,
+        maxBytes,
+      };
+    }
+
+    /**
+     * Remove every cached image and persisted selection
+     */
+    async clear() {
+      await this.init();
+
+      if (this.isSupported()) {
+        await caches.delete(CACHE_NAME);
+      }
+      await this.db.artwork.clear();
+      await this.db.selections.clear();
+
+      this.objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+      this.objectUrls.clear();
+      this.failed.clear();
+      this.touchedAt.clear();
+      this.totalBytes = 0;
+
+      console.log("[Artwork Cache] Cleared");
+    }
+  }
+
+  /**
+   * "512 KB", "12.3 MB"
+   */
+  function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  const instance = new ArtworkCache();
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  window.MetadataModules.artworkCache = {
+    initialized: true,
+    instance,
+
+    isSupported: () => instance.isSupported(),
+    isCacheable: (url) => instance.isCacheable(url),
+    get: (url) => instance.get(url),
+    src: (url) => instance.src(url),
+    apply: (img, url) => instance.apply(img, url),
+    hydrate: (root) => instance.hydrate(root),
+    getSelection: (key) => instance.getSelection(key),
+    setSelection: (key, value) => instance.setSelection(key, value),
+    getStats: () => instance.getStats(),
+    clear: () => instance.clear(),
+    formatBytes,
+
+    CACHE_NAME,
+  };
+
+  console.log(
+    `[Artwork Cache] Module initialized (${instance.isSupported() ? "Cache Storage" : "unsupported, images load from network"}).`,
+  );
+})();
@@ -0,0 +1,1153 @@
+/**
+ * @name Metadata Helper - Core Worker
+ * @description Runs the enrichment core (rate limiter, fetchers, storage) in a Web Worker
+ *
+ * Webmods are injected as source text, so there is no script URL a worker could load.
+ * Each worker-side module registers its source text in MetadataModules.workerSources
+ * (its named IIFE, or its top-level classes and exports) and the worker script is
+ * assembled from those into a Blob URL. Dexie is the exception: the vendored bundle is
+ * loaded with importScripts from coreWorker.dexieUrl.
+ *
+ * The UI thread keeps a PersistentCore-compatible facade (WorkerCore) whose services are
+ * proxies: window.metadataStorage, window.metadataServices, window.dbMaintenance, ... keep
+ * their API. Class methods are forwarded over postMessage and answered with a Promise
+ * (callbacks and AbortSignals in the arguments are passed by reference); data members
+ * are read from the worker's last snapshot.
+ *
+ * Bridged over postMessage as well:
+ * - localStorage: only the core's own keys (CORE_STORAGE_KEYS). The worker starts from
+ *   a snapshot of them and sends its writes back; API key and preference changes made
+ *   on the UI thread are pushed to it.
+ * - Events: metadata-updated / kai-enrichment-complete are re-dispatched on window, the
+ *   worker's connectivity state is applied to the UI thread's monitor; route changes,
+ *   API key saves and pagehide are re-dispatched in the worker
+ * - Images: ImageUtils.validateUrl needs Image() and artwork selections live in the UI
+ *   thread's artwork cache, the worker asks the UI thread for both
+ * - Quotas / provider health: pushed as a snapshot for the synchronous settings readers
+ *
+ * Dexie tables can't be posted, so metadataStorage.db on the UI thread is a second
+ * connection to the same IndexedDB database (watch history, metadataHelper.db).
+ * If the worker can't start, the same proxies are served by an in-thread PersistentCore.
+ */
+
+(function () {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.coreWorker?.initialized) {
+    console.log("[Core Worker] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  // Evaluation order inside the worker (dependencies first)
+  const WORKER_MODULES = [
+    "config",
+    "localDb",
+    "connectivity",
+    "fetchUtils",
+    "rateLimiter",
+    "titleUtils",
+    "animeDetection",
+    "preferences",
+    "localizationUtils",
+    "apiKeys",
+    "providerRegistry",
+    "metadataService",
+    "metadataFetcher",
+    "anilistFetcher",
+    "mdblistFetcher",
+    "omdbFetcher",
+    "tmdbFetcher",
+    "tvdbFetcher",
+    "idConversion",
+    "titleSearch",
+    "idLookup",
+    "metadataStorage",
+    "episodeService",
+    "dbMaintenance",
+  ];
+
+  // localStorage keys read or written by the worker's modules (prefixes end in "-")
+  const CORE_STORAGE_KEYS = [
+    "kai-api-key-", // api-keys.js
+    "kai-api-ratelimit-", // api-keys.js rate limit flags
+    "kai-pref-", // preferences.js
+    "kai-metadata-debug", // metadata-service.js
+    "kai-rate-limit-quotas", // rate-limiter.js
+    "kai-tvdb-token", // tvdb-fetcher.js
+    "kai-db-maintenance", // db-maintenance.js last run report
+  ];
+
+  // apiKeys writers, routed so their localStorage writes reach the worker
+  const API_KEY_WRITERS = [
+    "setKey",
+    "clearKey",
+    "markRateLimited",
+    "clearRateLimited",
+  ];
+
+  // Dispatched in the worker, handled on the UI thread
+  const WORKER_EVENTS = [
+    "metadata-updated",
+    "kai-enrichment-complete",
+    "kai-connectivity-changed",
+  ];
+
+  // Dispatched on window, re-dispatched in the worker
+  const WINDOW_EVENTS = ["kai-route-changed", "kai-api-key-saved", "pagehide"];
+
+  // metadataService methods that do enrichment work (the rest only read local state)
+  const REMOTE_SERVICE_METHODS = [
+    "getEnrichedMetadata",
+    "triggerLazyJikan",
+    "triggerLazyAnilist",
+    "triggerLazyPrivateEnrichment",
+    "triggerInitialEnrichment",
+  ];
+
+  // Pure MetadataStorage helpers, run on the UI thread (callers use them synchronously)
+  const LOCAL_STORAGE_METHODS = [
+    "isStale",
+    "getStaleGroups",
+    "_needsTranslations",
+  ];
+
+  const DEFAULTS = {
+    enabled: true,
+    dexieUrl: "https://unpkg.com/dexie@3.2.4/dist/dexie.min.js",
+    readyTimeout: 15000,
+    snapshotInterval: 2000,
+  };
+
+  const getConfig = () => ({
+    ...DEFAULTS,
+    ...(window.MetadataModules?.config?.METADATA_CONFIG?.coreWorker || {}),
+  });
+
+  const getSources = () => window.MetadataModules.workerSources || {};
+
+  const isCoreStorageKey = (key) =>
+    typeof key === "string" &&
+    CORE_STORAGE_KEYS.some((prefix) => key.startsWith(prefix));
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SHARED WITH THE WORKER
+  // These run on both threads: the worker gets them through Function#toString,
+  // so they must not reference anything outside their own body.
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * One side of the call protocol
+   *
+   * call {id, target, method, args} is answered by result {id, value} or
+   * error {id, error}. Functions and AbortSignals in the arguments (top level or
+   * one level deep in an options object) are replaced by references: callbacks
+   * come back as "__callback" calls, aborts as abort {id, reason}. References are
+   * released once the call settles.
+   *
+   * @param {Function} post - Sends a message to the other side
+   * @param {Function} handle - (target, method, args) => value, serves incoming calls
+   * @returns {{call: Function, receive: Function, rejectAll: Function}}
+   */
+  function createRpcEndpoint(post, handle) {
+    let nextId = 1;
+    const pending = new Map(); // call id -> { resolve, reject, release }
+    const callbacks = new Map(); // ref id -> function passed to the other side
+    const controllers = new Map(); // ref id -> AbortController for a signal we received
+
+    const serializeError = (error) => ({
+      name: error?.name || "Error",
+      message: error?.message || String(error),
+      stack: error?.stack,
+    });
+
+    const toError = (error) =>
+      Object.assign(new Error(error?.message), {
+        name: error?.name || "Error",
+        stack: error?.stack,
+      });
+
+    // Options objects and data (structured cloning drops prototypes either way)
+    const isPlainObject = (value) =>
+      Object.prototype.toString.call(value) === "[object Object]";
+
+    const mapArgs = (args, mapValue) =>
+      args.map((arg) =>
+        isPlainObject(arg) && !arg.__rpcRef
+          ? Object.fromEntries(
+              Object.entries(arg).map(([key, value]) => [key, mapValue(value)]),
+            )
+          : mapValue(arg),
+      );
+
+    function encode(value, release) {
+      if (typeof value === "function") {
+        const id = nextId++;
+        callbacks.set(id, value);
+        release.push(() => callbacks.delete(id));
+        return { __rpcRef: "callback", id };
+      }
+      if (value instanceof AbortSignal) {
+        const id = nextId++;
+        const onAbort = () =>
+          post({ kind: "abort", id, reason: serializeError(value.reason) });
+        value.addEventListener("abort", onAbort, { once: true });
+        release.push(() => value.removeEventListener("abort", onAbort));
+        return {
+          __rpcRef: "signal",
+          id,
+          aborted: value.aborted,
+          reason: value.aborted ? serializeError(value.reason) : null,
+        };
+      }
+      return value;
+    }
+
+    function decode(value, release) {
+      if (value?.__rpcRef === "callback") {
+        return (...args) => call("__callback", value.id, args);
+      }
+      if (value?.__rpcRef === "signal") {
+        const controller = new AbortController();
+        if (value.aborted) {
+          controller.abort(toError(value.reason));
+        } else {
+          controllers.set(value.id, controller);
+          release.push(() => controllers.delete(value.id));
+        }
+        return controller.signal;
+      }
+      return value;
+    }
+
+    function call(target, method, args = []) {
+      const id = nextId++;
+      const release = [];
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, release });
+        try {
+          post({
+            kind: "call",
+            id,
+            target,
+            method,
+            args: mapArgs(args, (value) => encode(value, release)),
+          });
+        } catch (error) {
+          settle(id);
+          reject(error);
+        }
+      });
+    }
+
+    function settle(id) {
+      const entry = pending.get(id);
+      pending.delete(id);
+      entry?.release.forEach((fn) => fn());
+      return entry;
+    }
+
+    async function serve({ id, target, method, args }) {
+      const release = [];
+      try {
+        const decoded = mapArgs(args, (value) => decode(value, release));
+        const value =
+          target === "__callback"
+            ? await callbacks.get(method)?.(...decoded)
+            : await handle(target, method, decoded);
+        post({ kind: "result", id, value });
+      } catch (error) {
+        post({ kind: "error", id, error: serializeError(error) });
+      } finally {
+        release.forEach((fn) => fn());
+      }
+    }
+
+    /**
+     * @param {Object} message - Incoming message
+     * @returns {boolean} True if the message belonged to the protocol
+     */
+    function receive(message) {
+      switch (message?.kind) {
+        case "call":
+          serve(message);
+          return true;
+        case "result":
+          settle(message.id)?.resolve(message.value);
+          return true;
+        case "error":
+          settle(message.id)?.reject(toError(message.error));
+          return true;
+        case "abort":
+          controllers.get(message.id)?.abort(toError(message.reason));
+          return true;
+        default:
+          return false;
+      }
+    }
+
+    function rejectAll(error) {
+      [...pending.keys()].forEach((id) => settle(id).reject(error));
+    }
+
+    return { call, receive, rejectAll };
+  }
+
+  /**
+   * Services reachable through the proxies, keyed by PersistentCore property
+   * @param {PersistentCore} core
+   */
+  function getServiceTargets(core) {
+    return {
+      rateLimiter: core.rateLimiter,
+      metadataFetcher: core.metadataFetcher,
+      anilistFetcher: core.anilistFetcher,
+      idConverter: core.idConverter,
+      titleSearcher: core.titleSearcher,
+      idLookup: core.idLookup,
+      metadataStorage: core.metadataStorage,
+      episodeService: core.episodeService,
+      dbMaintenance: core.dbMaintenance,
+    };
+  }
+
+  /**
+   * Call a service method (plain properties return their value)
+   */
+  function invokeService(targets, target, method, args) {
+    const service = targets[target];
+    if (!service) throw new Error(`Unknown core service: ${target}`);
+
+    const member = service[method];
+    return typeof member === "function" ? member.apply(service, args) : member;
+  }
+
+  /**
+   * Data members of each service, as the UI thread's proxies serve them: values
+   * (primitives, arrays, plain objects) as JSON copies, references to another
+   * service by its target name. Everything else (Maps, Dexie tables, ...) is left out.
+   * @param {Object} targets - See getServiceTargets
+   * @returns {Object<string, {values: Object, services: Object<string, string>}>}
+   */
+  function describeServices(targets) {
+    const names = new Map(
+      Object.entries(targets).map(([name, service]) => [service, name]),
+    );
+    const isData = (value) =>
+      value === null ||
+      ["string", "number", "boolean"].includes(typeof value) ||
+      Array.isArray(value) ||
+      (Object.prototype.toString.call(value) === "[object Object]" &&
+        [Object.prototype, null].includes(Object.getPrototypeOf(value)));
+
+    const describe = (service) => {
+      const keys = new Set(Object.keys(service));
+      for (
+        let proto = Object.getPrototypeOf(service);
+        proto && proto !== Object.prototype;
+        proto = Object.getPrototypeOf(proto)
+      ) {
+        Object.entries(Object.getOwnPropertyDescriptors(proto)).forEach(
+          ([key, descriptor]) => descriptor.get && keys.add(key),
+        );
+      }
+
+      const values = {};
+      const services = {};
+      keys.forEach((key) => {
+        try {
+          const value = service[key];
+          if (names.has(value)) services[key] = names.get(value);
+          else if (isData(value))
+            values[key] = JSON.parse(JSON.stringify(value));
+        } catch {
+          // Getter that needs state the service doesn't have yet, or not JSON data
+        }
+      });
+      return { values, services };
+    };
+
+    return Object.fromEntries(
+      Object.entries(targets)
+        .filter(([, service]) => service)
+        .map(([name, service]) => [name, describe(service)]),
+    );
+  }
+
+  /**
+   * Worker entry point: waits for "init", evaluates the modules, builds the core
+   * @param {Function} loadModules - Evaluates the worker sources in order
+   * @param {{workerEvents: string[]}} options
+   */
+  function workerMain(loadModules, { workerEvents }) {
+    const post = (message) => self.postMessage(message);
+    const dispatch = self.dispatchEvent.bind(self);
+    let targets = {};
+    let routeController = new AbortController();
+
+    const rpc = createRpcEndpoint(post, (target, method, args) =>
+      invokeService(targets, target, method, args),
+    );
+
+    // localStorage stand-in: starts from the UI thread's core keys, writes go back to it
+    class MirrorStorage {
+      constructor(entries) {
+        this.items = new Map(Object.entries(entries));
+      }
+
+      get length() {
+        return this.items.size;
+      }
+
+      key(index) {
+        return [...this.items.keys()][index] ?? null;
+      }
+
+      getItem(key) {
+        return this.items.get(String(key)) ?? null;
+      }
+
+      setItem(key, value) {
+        this.items.set(String(key), String(value));
+        post({ kind: "storage", key: String(key), value: String(value) });
+      }
+
+      removeItem(key) {
+        if (!this.items.delete(String(key))) return;
+        post({ kind: "storage", key: String(key), value: null });
+      }
+
+      // Only the mirrored keys, the rest of the UI thread's storage isn't ours
+      clear() {
+        [...this.items.keys()].forEach((key) => this.removeItem(key));
+      }
+
+      // Write from the UI thread (not echoed back)
+      apply(key, value) {
+        if (value === null) this.items.delete(key);
+        else this.items.set(key, value);
+      }
+    }
+
+    function installGlobals(storage) {
+      self.localStorage = new MirrorStorage(storage);
+
+      // Route-scoped signals, renewed when the UI thread reports a route change
+      self.RouteDetector = {
+        getRouteSignal: () => routeController.signal,
+      };
+      self.addEventListener("kai-route-changed", () => {
+        const previous = routeController;
+        routeController = new AbortController();
+        previous.abort(new DOMException("Route changed", "AbortError"));
+      });
+
+      self.dispatchEvent = (event) => {
+        if (workerEvents.includes(event.type)) {
+          try {
+            post({
+              kind: "event",
+              type: event.type,
+              detail: event.detail ?? null,
+            });
+          } catch (error) {
+            console.warn(`[Core Worker] Can't forward ${event.type}:`, error);
+          }
+        }
+        return dispatch(event);
+      };
+    }
+
+    // The worker's api-keys module caches rate limit flags in memory
+    function applyStorage({ key, value }) {
+      if (!self.localStorage) return; // Startup failed, the host falls back
+      self.localStorage.apply(key, value);
+
+      const apiKeys = self.MetadataModules?.apiKeys;
+      const prefix = apiKeys?.STORAGE_KEYS.RATE_LIMIT_PREFIX;
+      if (value === null && key.startsWith(prefix)) {
+        apiKeys.clearRateLimited(key.slice(prefix.length));
+      }
+    }
+
+    async function start({ storage, snapshotInterval, dexieUrl }) {
+      // Before the modules: local-db opens the database through the global Dexie
+      importScripts(dexieUrl);
+      installGlobals(storage);
+      loadModules();
+
+      // Image() and the artwork cache's selections are on the UI thread
+      const { imageUtils, metadataService } = self.MetadataModules;
+      imageUtils.ImageUtils.validateUrl = (url, timeoutMs) =>
+        rpc
+          .call("imageUtils", "validateUrl", [url, timeoutMs])
+          .catch(() => false);
+      self.MetadataModules.artworkCache = {
+        getSelection: (key) =>
+          rpc
+            .call("artworkCache", "getSelection", [key])
+            .catch(() => undefined),
+        setSelection: (key, value) =>
+          rpc
+            .call("artworkCache", "setSelection", [key, value])
+            .catch(() => {}),
+      };
+
+      const core = new PersistentCore({ watchHistory: false });
+      targets = { ...getServiceTargets(core), metadataService };
+
+      // Read by metadata-service, as on the UI thread
+      self.metadataStorage = core.metadataStorage;
+      self.metadataServices = {
+        idConverter: core.idConverter,
+        rateLimiter: core.rateLimiter,
+        metadataFetcher: core.metadataFetcher,
+        anilistFetcher: core.anilistFetcher,
+        titleSearcher: core.titleSearcher,
+        idLookup: core.idLookup,
+        episodeService: core.episodeService,
+      };
+
+      await core.metadataStorage.init();
+
+      const takeSnapshot = () => ({
+        quotas: core.rateLimiter.getQuotas(),
+        providerHealth: metadataService.getProviderHealth(),
+        members: describeServices(getServiceTargets(core)),
+      });
+      let snapshot = takeSnapshot();
+      let lastSnapshot = JSON.stringify(snapshot);
+
+      post({
+        kind: "ready",
+        persistent: core.metadataStorage.isPersistent,
+        snapshot,
+      });
+
+      setInterval(() => {
+        snapshot = takeSnapshot();
+        const json = JSON.stringify(snapshot);
+        if (json === lastSnapshot) return;
+        lastSnapshot = json;
+        post({ kind: "snapshot", snapshot });
+      }, snapshotInterval);
+    }
+
+    self.addEventListener("message", ({ data: message }) => {
+      switch (message?.kind) {
+        case "init":
+          start(message).catch((error) =>
+            post({
+              kind: "failed",
+              error: {
+                name: error?.name,
+                message: error?.message || String(error),
+              },
+            }),
+          );
+          break;
+        case "storage":
+          applyStorage(message);
+          break;
+        case "event":
+          dispatch(new CustomEvent(message.type, { detail: message.detail }));
+          break;
+        default:
+          rpc.receive(message);
+      }
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // UI THREAD
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Assemble the worker script from the registered module sources
+   * @param {Function} PersistentCore - Core class from main.js
+   * @returns {string}
+   */
+  function buildWorkerSource(PersistentCore) {
+    const sources = getSources();
+    // One block per module, so top-level classes and consts don't collide
+    const modules = WORKER_MODULES.map((name) => `{\n${sources[name]}\n}`);
+
+    return [
+      "self.window = self;",
+      "self.MetadataModules = {};",
+      `const createRpcEndpoint = ${createRpcEndpoint};`,
+      `const getServiceTargets = ${getServiceTargets};`,
+      `const invokeService = ${invokeService};`,
+      `const describeServices = ${describeServices};`,
+      `const PersistentCore = ${PersistentCore};`,
+      `function loadModules() {\n${modules.join("\n")}\n}`,
+      `(${workerMain})(loadModules, ${JSON.stringify({ workerEvents: WORKER_EVENTS })});`,
+    ].join("\n");
+  }
+
+  /**
+   * @returns {Object<string, string>} This window's values for CORE_STORAGE_KEYS
+   */
+  function readCoreStorage() {
+    const entries = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (isCoreStorageKey(key)) entries[key] = localStorage.getItem(key);
+    }
+    return entries;
+  }
+
+  /**
+   * Method names of a service class (prototype chain, getters excluded)
+   * @param {Function} Service
+   * @returns {Set<string>}
+   */
+  function getMethodNames(Service) {
+    const names = new Set();
+    for (
+      let proto = Service.prototype;
+      proto && proto !== Object.prototype;
+      proto = Object.getPrototypeOf(proto)
+    ) {
+      Object.entries(Object.getOwnPropertyDescriptors(proto)).forEach(
+        ([name, descriptor]) => {
+          if (
+            name !== "constructor" &&
+            typeof descriptor.value === "function"
+          ) {
+            names.add(name);
+          }
+        },
+      );
+    }
+    return names;
+  }
+
+  /**
+   * Owns the worker: startup handshake, message routing, the localStorage / event /
+   * image bridges and the in-thread fallback
+   */
+  class CoreWorkerHost {
+    constructor(PersistentCore) {
+      this.PersistentCore = PersistentCore;
+      this.worker = null;
+      this.local = null; // In-thread core after a fallback
+      this.localTargets = null;
+      this.db = null; // UI thread connection to MetadataDB
+      this.snapshot = { quotas: [], providerHealth: {}, members: {} };
+      this.teardown = [];
+
+      // Served to the worker
+      this.rpc = createRpcEndpoint(
+        (message) => this.worker.postMessage(message),
+        (target, method, args) =>
+          invokeService(
+            {
+              imageUtils: window.MetadataModules.imageUtils?.ImageUtils,
+              artworkCache: window.MetadataModules.artworkCache,
+            },
+            target,
+            method,
+            args,
+          ),
+      );
+
+      this.ready = this.start();
+    }
+
+    /**
+     * Start the worker, or build the core on this thread if that fails
+     */
+    async start() {
+      const { readyTimeout } = getConfig();
+      const localDb = window.MetadataModules.localDb;
+
+      try {
+        await this.waitForSources(readyTimeout);
+        const { persistent, snapshot } = await this.startWorker(readyTimeout);
+        if (!persistent) throw new Error("IndexedDB unavailable in the worker");
+        this.snapshot = snapshot;
+
+        const { MetadataStorage } = window.MetadataModules.metadataStorage;
+        this.db = await localDb.openDatabase("MetadataDB", (db) =>
+          MetadataStorage.prototype.defineSchema(db),
+        );
+        if (localDb.isMemoryDatabase(this.db)) {
+          throw new Error("IndexedDB unavailable on the UI thread");
+        }
+
+        this.installMetadataService();
+        console.log("[Core Worker] Enrichment core running in a Web Worker.");
+      } catch (error) {
+        console.warn(
+          "[Core Worker] Worker unavailable, running the core on the UI thread:",
+          error?.message || error,
+        );
+        this.stopWorker();
+
+        this.local = new this.PersistentCore({ watchHistory: false });
+        this.localTargets = {
+          ...getServiceTargets(this.local),
+          metadataService: window.MetadataModules.metadataService,
+        };
+        await this.local.metadataStorage.init();
+        this.db = this.local.metadataStorage.db;
+      }
+    }
+
+    /**
+     * Module load order is arbitrary, wait until every worker source has registered
+     */
+    async waitForSources(timeout) {
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const missing = WORKER_MODULES.filter((name) => !getSources()[name]);
+        if (!missing.length) return;
+        if (Date.now() >= deadline) {
+          throw new Error(`Worker sources not loaded: ${missing.join(", ")}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+    }
+
+    /**
+     * @returns {Promise<{persistent: boolean, snapshot: Object}>} The worker's ready message
+     */
+    startWorker(timeout) {
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(
+          new Blob([buildWorkerSource(this.PersistentCore)], {
+            type: "text/javascript",
+          }),
+        );
+        let settled = false;
+        let timer = null;
+
+        const finish = (error, message) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          URL.revokeObjectURL(url);
+          if (error) reject(error);
+          else resolve(message);
+        };
+
+        try {
+          this.worker = new Worker(url, { name: "kai-metadata-core" });
+        } catch (error) {
+          finish(error);
+          return;
+        }
+
+        timer = setTimeout(
+          () => finish(new Error(`no ready message after ${timeout}ms`)),
+          timeout,
+        );
+
+        this.worker.addEventListener("error", (event) => {
+          event.preventDefault();
+          if (!settled) {
+            finish(new Error(event.message || "worker script failed to load"));
+          } else {
+            console.error(
+              "[Core Worker] Uncaught error in worker:",
+              event.message,
+            );
+          }
+        });
+
+        this.worker.addEventListener("message", ({ data: message }) => {
+          switch (message?.kind) {
+            case "ready":
+              finish(null, message);
+              break;
+            case "failed":
+              finish(new Error(message.error.message));
+              break;
+            case "snapshot":
+              this.snapshot = message.snapshot;
+              break;
+            case "storage":
+              this.applyStorage(message.key, message.value);
+              break;
+            case "event":
+              this.handleWorkerEvent(message.type, message.detail);
+              break;
+            default:
+              this.rpc.receive(message);
+          }
+        });
+
+        this.bridgeStorage();
+        this.bridgeWindowEvents();
+        this.worker.postMessage({
+          kind: "init",
+          storage: readCoreStorage(),
+          snapshotInterval: getConfig().snapshotInterval,
+          dexieUrl: getConfig().dexieUrl,
+        });
+      });
+    }
+
+    stopWorker() {
+      this.teardown.forEach((fn) => fn());
+      this.teardown = [];
+      this.worker?.terminate();
+      this.worker = null;
+      this.rpc.rejectAll(new Error("Core worker stopped"));
+    }
+
+    post(message) {
+      try {
+        this.worker?.postMessage(message);
+      } catch (error) {
+        console.warn("[Core Worker] postMessage failed:", error);
+      }
+    }
+
+    /**
+     * Send this window's current value of a core key to the worker
+     */
+    pushStorage(key) {
+      this.post({ kind: "storage", key, value: localStorage.getItem(key) });
+    }
+
+    /**
+     * Keep the worker's copy of CORE_STORAGE_KEYS current. On this thread those keys
+     * are written by the settings through apiKeys and preferences, or by another window.
+     */
+    bridgeStorage() {
+      // API keys and rate limit flags: route the module's writers
+      const apiKeys = window.MetadataModules.apiKeys;
+      const { STORAGE_KEYS } = apiKeys;
+      const routed = { ...apiKeys };
+      API_KEY_WRITERS.forEach((method) => {
+        routed[method] = (provider, ...args) => {
+          const result = apiKeys[method](provider, ...args);
+          const name = String(provider).toUpperCase();
+          [STORAGE_KEYS[name], STORAGE_KEYS.RATE_LIMIT_PREFIX + name]
+            .filter(isCoreStorageKey)
+            .forEach((key) => this.pushStorage(key));
+          return result;
+        };
+      });
+      window.MetadataModules.apiKeys = routed;
+
+      // preferences.set and settings profiles announce their writes
+      const onPreference = ({ detail }) => {
+        if (detail?.key) this.pushStorage(`kai-pref-${detail.key}`);
+      };
+      window.addEventListener("kai-pref-changed", onPreference);
+
+      // Writes from other windows
+      const onStorage = (event) => {
+        if (event.storageArea !== window.localStorage) return;
+        if (isCoreStorageKey(event.key)) this.pushStorage(event.key);
+      };
+      window.addEventListener("storage", onStorage);
+
+      this.teardown.push(() => {
+        window.MetadataModules.apiKeys = apiKeys;
+        window.removeEventListener("kai-pref-changed", onPreference);
+        window.removeEventListener("storage", onStorage);
+      });
+    }
+
+    /**
+     * Apply a worker write (the worker only reports keys it mirrors)
+     */
+    applyStorage(key, value) {
+      if (!isCoreStorageKey(key)) return;
+      try {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+      } catch (error) {
+        console.warn(
+          `[Core Worker] localStorage write failed for ${key}:`,
+          error,
+        );
+      }
+    }
+
+    bridgeWindowEvents() {
+      WINDOW_EVENTS.forEach((type) => {
+        const forward = (event) =>
+          this.post({ kind: "event", type, detail: event.detail ?? null });
+        window.addEventListener(type, forward);
+        this.teardown.push(() => window.removeEventListener(type, forward));
+      });
+    }
+
+    handleWorkerEvent(type, detail) {
+      // The UI thread's monitor dispatches its own kai-connectivity-changed
+      if (type === "kai-connectivity-changed") {
+        const monitor = window.MetadataModules.connectivity?.instance;
+        if (detail?.online) monitor?.setOnline();
+        else monitor?.setOffline(detail?.reason || "worker");
+        return;
+      }
+      window.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Route the enrichment entry points of MetadataModules.metadataService to the
+     * worker (status getters keep reading this thread's keys and preferences)
+     */
+    installMetadataService() {
+      const local = window.MetadataModules.metadataService;
+      const service = { ...local };
+
+      REMOTE_SERVICE_METHODS.forEach((method) => {
+        service[method] = (...args) =>
+          this.call("metadataService", method, args);
+      });
+      service.getProviderHealth = () => this.snapshot.providerHealth;
+      service.setDebug = (enabled) => {
+        local.setDebug(enabled);
+        this.call("metadataService", "setDebug", [enabled]);
+      };
+
+      window.MetadataModules.metadataService = service;
+    }
+
+    /**
+     * Call a core service method once the core is up (worker or fallback)
+     * @param {string} target - PersistentCore property (or "metadataService")
+     * @param {string} method
+     * @param {Array} args
+     * @returns {Promise<any>}
+     */
+    async call(target, method, args) {
+      await this.ready;
+      if (this.local) {
+        return invokeService(this.localTargets, target, method, args);
+      }
+      return this.rpc.call(target, method, args);
+    }
+
+    /**
+     * Data member of a core service: from the fallback core, or from the worker's
+     * last snapshot (references to other services come back as their target name)
+     * @returns {{value: any, service: (string|undefined)}}
+     */
+    getMember(target, prop) {
+      if (this.local) return { value: this.localTargets[target]?.[prop] };
+
+      const members = this.snapshot.members[target];
+      return {
+        value: members?.values[prop],
+        service: members?.services[prop],
+      };
+    }
+  }
+
+  /**
+   * Service proxy: class methods are async calls into the core, data members are
+   * read from it (see CoreWorkerHost#getMember), overrides are served on this thread.
+   * Anything else is undefined, as on the service itself.
+   * @param {WorkerCore} core
+   * @param {string} target - PersistentCore property
+   * @param {Function} Service - The service's class (its methods are forwarded)
+   * @param {Object} [overrides] - Members (and getters) served locally
+   */
+  function createServiceProxy(core, target, Service, overrides = {}) {
+    const { host } = core;
+    const methodNames = getMethodNames(Service);
+    const methods = new Map();
+
+    return new Proxy(overrides, {
+      get(overrides, prop, receiver) {
+        if (prop in overrides) return Reflect.get(overrides, prop, receiver);
+        if (typeof prop !== "string") return undefined;
+
+        if (methodNames.has(prop)) {
+          if (!methods.has(prop)) {
+            methods.set(prop, (...args) => host.call(target, prop, args));
+          }
+          return methods.get(prop);
+        }
+
+        const { value, service } = host.getMember(target, prop);
+        return service ? core[service] : value;
+      },
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // WORKER CORE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * PersistentCore facade for the UI thread. Services are proxies to the worker;
+   * watch history stays here (it follows the player route and mpv).
+   */
+  class WorkerCore {
+    constructor(PersistentCore) {
+      console.log("[METADATA] Initializing Persistent Core (worker)...");
+      const modules = window.MetadataModules;
+      const host = new CoreWorkerHost(PersistentCore);
+      this.host = host;
+
+      const proxy = (target, Service, overrides) =>
+        createServiceProxy(this, target, Service, overrides);
+      const db = {
+        get db() {
+          return host.db;
+        },
+      };
+
+      this.rateLimiter = proxy(
+        "rateLimiter",
+        modules.rateLimiter.GlobalRateLimiter,
+        {
+          hasQueue: (apiName) =>
+            apiName in modules.config.METADATA_CONFIG.rateLimits.apis,
+          getQuotas: () =>
+            host.local
+              ? host.local.rateLimiter.getQuotas()
+              : host.snapshot.quotas,
+        },
+      );
+      // Shared by fetchUtils.makeRequest({ queue }) and the Hero Banner
+      modules.rateLimiter.instance = this.rateLimiter;
+
+      this.metadataFetcher = proxy(
+        "metadataFetcher",
+        modules.metadataFetcher.MetadataFetcher,
+      );
+      this.anilistFetcher = proxy(
+        "anilistFetcher",
+        modules.anilistFetcher.AnilistFetcher,
+      );
+      this.idConverter = proxy(
+        "idConverter",
+        modules.idConversion.IdConversionService,
+      );
+      this.titleSearcher = proxy(
+        "titleSearcher",
+        modules.titleSearch.TitleSearchService,
+      );
+      this.idLookup = proxy("idLookup", modules.idLookup.IdLookupService);
+      this.metadataStorage = proxy(
+        "metadataStorage",
+        modules.metadataStorage.MetadataStorage,
+        this.createStorageOverrides(),
+      );
+      this.episodeService = proxy(
+        "episodeService",
+        modules.episodeService.EpisodeService,
+        db,
+      );
+      this.dbMaintenance = proxy(
+        "dbMaintenance",
+        modules.dbMaintenance.DatabaseMaintenanceService,
+        db,
+      );
+
+      this.watchHistory = new modules.watchHistory.WatchHistoryService(
+        this.metadataStorage,
+      );
+      this.watchHistory.start();
+
+      // Resolves once the proxies are served (worker or fallback) and db is open
+      this.ready = host.ready;
+    }
+
+    /**
+     * MetadataStorage members that can't (or needn't) cross the thread boundary
+     */
+    createStorageOverrides() {
+      const host = this.host;
+      const { MetadataStorage } = window.MetadataModules.metadataStorage;
+      const overrides = {
+        get db() {
+          return host.db;
+        },
+
+        init: () => host.ready,
+
+        /**
+         * Extracts on this thread (the element can't be posted) and enriches in the core
+         * @see MetadataStorage#processAndSaveTitleElement
+         */
+        processAndSaveTitleElement: async (
+          element,
+          processor,
+          priority = false,
+          options = {},
+        ) => {
+          const signal = MetadataStorage.getRouteSignal(priority);
+          try {
+            const processedData = await processor.processTitleElement(element);
+            if (!processedData) return null;
+
+            const result = await this.metadataStorage.processAndSaveData(
+              processedData,
+              priority,
+              signal,
+              options,
+            );
+
+            // Cancelled by navigation: let the next scan pick the element up again
+            if (signal?.aborted) delete element.dataset.metadataProcessed;
+
+            return result;
+          } catch (error) {
+            console.error(
+              "[METADATA][Storage] processAndSaveTitleElement failed:",
+              error,
+            );
+            return null;
+          }
+        },
+      };
+
+      LOCAL_STORAGE_METHODS.forEach((method) => {
+        overrides[method] = (...args) =>
+          MetadataStorage.prototype[method].apply(this.metadataStorage, args);
+      });
+      return overrides;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @returns {boolean} True if the core can run in a worker here
+   */
+  function isSupported() {
+    if (getConfig().enabled === false) return false;
+    return (
+      typeof Worker !== "undefined" &&
+      typeof Blob !== "undefined" &&
+      typeof URL.createObjectURL === "function" &&
+      !!window.MetadataModules.localDb?.isIndexedDbAvailable()
+    );
+  }
+
+  window.MetadataModules.coreWorker = {
+    initialized: true,
+
+    WORKER_MODULES,
+    CORE_STORAGE_KEYS,
+    isSupported,
+
+    /**
+     * @param {Function} PersistentCore - Core class from main.js (rebuilt in the worker)
+     * @returns {WorkerCore} Usable right away, calls wait for `ready`
+     */
+    createCore: (PersistentCore) => new WorkerCore(PersistentCore),
+
+    // Exposed for tests
+    createRpcEndpoint,
+    buildWorkerSource,
+  };
+
+  console.log("[Core Worker] Module initialized.");
+})();
@@ -0,0 +1,462 @@
+/**
+ * @name Metadata Helper - Database Maintenance Module
+ * @description Keeps MetadataDB.titles bounded and free of leftovers
+ *
+ * A run (daily, or on demand from settings) does, in order:
+ * 1. Merges entries that share a MAL / AniList / Kitsu id into one entry
+ * 2. Purges temporary entries that never got an IMDb id
+ * 3. Evicts the least recently accessed titles once the entry or size cap is hit
+ * Library titles (watch history, per-title mpv overrides) are never removed.
+ * Sizes are estimated from the serialized entries.
+ */
+
+class DatabaseMaintenanceService {
+  constructor(storage) {
+    this.storage = storage;
+    this.timer = null;
+    this.running = null;
+    this.started = false;
+  }
+
+  // localStorage key for the last run's report (settings "Database Maintenance" row)
+  static REPORT_STORAGE_KEY = "kai-db-maintenance";
+
+  // Cross-reference ids that identify the same anime across entries
+  static ANIME_ID_FIELDS = ["mal", "anilist", "kitsu"];
+
+  // Entries without an IMDb id updated this recently may still be mid-enrichment
+  static IN_FLIGHT_GRACE_MS = 60 * 60 * 1000;
+
+  // Entries measured between yields to the UI thread
+  static CHUNK_SIZE = 500;
+
+  get db() {
+    return this.storage.db;
+  }
+
+  static getConfig() {
+    return window.MetadataModules.config.METADATA_CONFIG.dbMaintenance;
+  }
+
+  /**
+   * Schedule automatic runs: the first after startDelay (or when the last
+   * run is a full interval old, whichever is later), then every interval
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const { interval, startDelay } = DatabaseMaintenanceService.getConfig();
+    const lastRun = this.getLastReport()?.ranAt || 0;
+    this.schedule(Math.max(startDelay, lastRun + interval - Date.now()));
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run().catch((error) =>
+        console.error("[METADATA][DB Maintenance] Run failed:", error),
+      );
+    }, delay);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // RUN
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Merge duplicates, purge orphans and enforce the cap.
+   * Concurrent calls share the run in progress.
+   * @returns {Promise<{ranAt: number, durationMs: number, merged: number, ambiguous: number, orphansPurged: number, evicted: number, protected: number, entries: number, bytes: number}>}
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.runMaintenance().finally(() => {
+        this.running = null;
+        // A manual run counts as the scheduled one
+        if (this.started) {
+          this.schedule(DatabaseMaintenanceService.getConfig().interval);
+        }
+      });
+    }
+    return this.running;
+  }
+
+  async runMaintenance() {
+    await this.storage.init();
+
+    const report = {
+      ranAt: Date.now(),
+      durationMs: 0,
+      merged: 0,
+      ambiguous: 0,
+      orphansPurged: 0,
+      evicted: 0,
+      protected: 0,
+      entries: 0,
+      bytes: 0,
+    };
+
+    const libraryKeys = await this.getLibraryKeys();
+    let entries = await this.db.titles.toArray();
+
+    entries = await this.mergeDuplicates(entries, report);
+    entries = await this.purgeOrphans(entries, libraryKeys, report);
+    entries = await this.enforceCap(entries, libraryKeys, report);
+
+    report.entries = entries.length;
+    report.protected = entries.filter((entry) =>
+      this.isProtected(entry, libraryKeys),
+    ).length;
+    report.durationMs = Date.now() - report.ranAt;
+
+    this.saveReport(report);
+    console.log(
+      `[METADATA][DB Maintenance] ${DatabaseMaintenanceService.describe(report)} (${report.durationMs}ms)`,
+    );
+    return report;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // LIBRARY PROTECTION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Keys of titles with watch history: IMDb ids and "source:id" anime keys
+   * @returns {Promise<Set<string>>}
+   */
+  async getLibraryKeys() {
+    const sessions = await this.db.watchSessions.toArray();
+    const keys = new Set();
+    sessions.forEach((session) => {
+      if (session.titleKey) keys.add(session.titleKey);
+      if (session.imdb) keys.add(session.imdb);
+    });
+    return keys;
+  }
+
+  isProtected(entry, libraryKeys) {
+    if (entry.mpvOverrides && Object.keys(entry.mpvOverrides).length) {
+      return true;
+    }
+    if (entry.imdb && libraryKeys.has(entry.imdb)) return true;
+
+    return DatabaseMaintenanceService.getAnimeKeys(entry).some((key) =>
+      libraryKeys.has(key),
+    );
+  }
+
+  /**
+   * "source:id" keys for an entry's anime ids (stored as arrays or scalars)
+   * @returns {string[]} e.g. ["mal:5114", "anilist:5114"]
+   */
+  static getAnimeKeys(entry) {
+    return DatabaseMaintenanceService.ANIME_ID_FIELDS.flatMap((field) =>
+      []
+        .concat(entry[field] ?? [])
+        .filter((id) => id != null && id !== "")
+        .map((id) => `${field}:${id}`),
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // DUPLICATES
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Fold entries sharing an anime id into one. The IMDb entry is kept when
+   * there is one; groups spanning several IMDb ids are left alone.
+   * @returns {Promise<Object[]>} Remaining entries
+   */
+  async mergeDuplicates(entries, report) {
+    const now = Date.now();
+    const candidates = entries.filter(
+      (entry) =>
+        entry.imdb ||
+        now - (entry.lastUpdated || 0) >
+          DatabaseMaintenanceService.IN_FLIGHT_GRACE_MS,
+    );
+
+    // Union entries that share any anime key
+    const parent = candidates.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const owners = new Map();
+    candidates.forEach((entry, index) => {
+      DatabaseMaintenanceService.getAnimeKeys(entry).forEach((key) => {
+        if (owners.has(key)) {
+          parent[find(index)] = find(owners.get(key));
+        } else {
+          owners.set(key, index);
+        }
+      });
+    });
+
+    const groups = new Map();
+    candidates.forEach((entry, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(entry);
+    });
+
+    const removed = new Set();
+    const updated = new Map();
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      // One transaction, so the duplicates can't go without the merged entry.
+      // The group is re-read in it: saveTitle may have written since the scan.
+      const ids = group.map((entry) => entry.id);
+      const result = await this.db.transaction(
+        "rw",
+        this.db.titles,
+        async () => {
+          const rows = (await this.db.titles.bulkGet(ids)).filter(Boolean);
+          if (rows.length < 2) return { rows };
+
+          const imdbIds = new Set(
+            rows.map((entry) => entry.imdb).filter(Boolean),
+          );
+          if (imdbIds.size > 1) return { rows, ambiguous: true };
+
+          const { merged, otherIds } = this.mergeGroup(rows);
+          await this.db.titles.bulkDelete(otherIds);
+          await this.db.titles.put(merged);
+          return { rows, merged, otherIds };
+        },
+      );
+
+      // Rows deleted since the scan are gone either way
+      const found = new Set(result.rows.map((entry) => entry.id));
+      ids.filter((id) => !found.has(id)).forEach((id) => removed.add(id));
+
+      if (result.ambiguous) {
+        report.ambiguous++;
+      } else if (result.merged) {
+        result.otherIds.forEach((id) => removed.add(id));
+        updated.set(result.merged.id, result.merged);
+        report.merged += result.otherIds.length;
+      } else {
+        result.rows.forEach((entry) => updated.set(entry.id, entry));
+      }
+    }
+
+    return entries
+      .filter((entry) => !removed.has(entry.id))
+      .map((entry) => updated.get(entry.id) || entry);
+  }
+
+  /**
+   * Fold a group of rows into its keeper: the IMDb entry if there is one,
+   * otherwise the most recently updated
+   * @param {Object[]} rows - Current rows of one duplicate group
+   * @returns {{merged: Object, otherIds: number[]}}
+   */
+  mergeGroup(rows) {
+    const byRecency = [...rows].sort(
+      (a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0),
+    );
+    const keeper = byRecency.find((entry) => entry.imdb) || byRecency[0];
+    const others = byRecency.filter((entry) => entry !== keeper);
+
+    // Keeper fields win; the others only fill gaps and add ids
+    let merged = keeper;
+    for (const { id, ...data } of others) {
+      const provenance = this.storage._mergeProvenance(
+        data.provenance,
+        merged.provenance,
+      );
+      merged = { ...this.storage._mergeEntryData(data, merged), provenance };
+    }
+    // Except the anime ids: the merged entry carries every row's ids
+    DatabaseMaintenanceService.ANIME_ID_FIELDS.forEach((field) => {
+      const ids = [
+        ...new Set(
+          rows
+            .flatMap((entry) => [].concat(entry[field] ?? []))
+            .filter((id) => id != null && id !== ""),
+        ),
+      ];
+      merged[field] = ids.length ? ids : null;
+    });
+    merged.id = keeper.id;
+    merged.lastUpdated = Math.max(
+      ...rows.map((entry) => entry.lastUpdated || 0),
+    );
+    merged.lastAccessed = Math.max(
+      ...rows.map((entry) => entry.lastAccessed || 0),
+    );
+
+    return { merged, otherIds: others.map((entry) => entry.id) };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // ORPHANS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Delete temporary entries that never resolved to an IMDb id
+   * @returns {Promise<Object[]>} Remaining entries
+   */
+  async purgeOrphans(entries, libraryKeys, report) {
+    const cutoff =
+      Date.now() - DatabaseMaintenanceService.getConfig().orphanAge;
+    const orphans = entries.filter(
+      (entry) =>
+        !entry.imdb &&
+        (entry.lastUpdated || 0) < cutoff &&
+        !this.isProtected(entry, libraryKeys),
+    );
+    if (!orphans.length) return entries;
+
+    const ids = new Set(orphans.map((entry) => entry.id));
+    await this.db.titles.bulkDelete([...ids]);
+    report.orphansPurged = ids.size;
+
+    return entries.filter((entry) => !ids.has(entry.id));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SIZE CAP
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Evict least recently accessed, unprotected titles (and their episodes)
+   * down to targetRatio of the caps once either cap is exceeded
+   * @returns {Promise<Object[]>} Remaining entries
+   */
+  async enforceCap(entries, libraryKeys, report) {
+    const { maxEntries, maxBytes, targetRatio } =
+      DatabaseMaintenanceService.getConfig();
+
+    const sizes = await this.measure(entries);
+    let bytes = 0;
+    sizes.forEach((size) => (bytes += size));
+    let count = entries.length;
+
+    if (count > maxEntries || bytes > maxBytes) {
+      const targetEntries = Math.floor(maxEntries * targetRatio);
+      const targetBytes = maxBytes * targetRatio;
+      const lastUsed = (entry) => entry.lastAccessed || entry.lastUpdated || 0;
+
+      const evicted = [];
+      const candidates = entries
+        .filter((entry) => !this.isProtected(entry, libraryKeys))
+        .sort((a, b) => lastUsed(a) - lastUsed(b));
+
+      for (const entry of candidates) {
+        if (count <= targetEntries && bytes <= targetBytes) break;
+        evicted.push(entry);
+        count--;
+        bytes -= sizes.get(entry.id);
+      }
+
+      if (evicted.length) {
+        const ids = new Set(evicted.map((entry) => entry.id));
+        const imdbIds = evicted.map((entry) => entry.imdb).filter(Boolean);
+        await this.db.transaction(
+          "rw",
+          this.db.titles,
+          this.db.episodes,
+          async () => {
+            await this.db.titles.bulkDelete([...ids]);
+            if (imdbIds.length) {
+              await this.db.episodes.where("imdb").anyOf(imdbIds).delete();
+            }
+          },
+        );
+        report.evicted = evicted.length;
+        entries = entries.filter((entry) => !ids.has(entry.id));
+      }
+    }
+
+    report.bytes = bytes;
+    return entries;
+  }
+
+  /**
+   * Estimated size per entry id, yielding between chunks
+   * @returns {Promise<Map<number, number>>}
+   */
+  async measure(entries) {
+    const sizes = new Map();
+    for (let i = 0; i < entries.length; i++) {
+      if (i > 0 && i % DatabaseMaintenanceService.CHUNK_SIZE === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+      sizes.set(entries[i].id, JSON.stringify(entries[i]).length);
+    }
+    return sizes;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // REPORTING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  getLastReport() {
+    try {
+      return JSON.parse(
+        localStorage.getItem(DatabaseMaintenanceService.REPORT_STORAGE_KEY),
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  saveReport(report) {
+    try {
+      localStorage.setItem(
+        DatabaseMaintenanceService.REPORT_STORAGE_KEY,
+        JSON.stringify(report),
+      );
+    } catch (error) {
+      console.warn("[METADATA][DB Maintenance] Failed to save report:", error);
+    }
+  }
+
+  /**
+   * Current entry count and caps, with the last run's report
+   * @returns {Promise<{entries: number, maxEntries: number, maxBytes: number, lastReport: Object|null}>}
+   */
+  async getStatus() {
+    await this.storage.init();
+    const { maxEntries, maxBytes } = DatabaseMaintenanceService.getConfig();
+    return {
+      entries: await this.db.titles.count(),
+      maxEntries,
+      maxBytes,
+      lastReport: this.getLastReport(),
+    };
+  }
+
+  /**
+   * One-line summary of a report
+   * @returns {string} e.g. "Merged 2 duplicates, purged 5 orphans, evicted 0 titles - 1200 titles, 8.4 MB"
+   */
+  static describe(report) {
+    const megabytes = (report.bytes / (1024 * 1024)).toFixed(1);
+    const ambiguous = report.ambiguous
+      ? ` (${report.ambiguous} ambiguous groups skipped)`
+      : "";
+    return `Merged ${report.merged} duplicates${ambiguous}, purged ${report.orphansPurged} orphans, evicted ${report.evicted} titles - ${report.entries} titles, ${megabytes} MB`;
+  }
+}
+
+// Export to global scope
+window.MetadataModules = window.MetadataModules || {};
+window.MetadataModules.dbMaintenance = {
+  DatabaseMaintenanceService,
+};
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).dbMaintenance = [
+  DatabaseMaintenanceService,
+  "window.MetadataModules.dbMaintenance = { DatabaseMaintenanceService };",
+].join("\n");
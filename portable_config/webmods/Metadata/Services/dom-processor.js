@@ -1,6 +1,10 @@
 /**
  * @name Metadata Helper - DOM Processor Module
  * @description DOM monitoring and title element processing
+ *
+ * Background enrichment is scoped to the route it started on (see
+ * RouteDetector.getRouteSignal): work for titles the user navigated away from is
+ * cancelled, and titles in the viewport are queued before off-screen ones.
  */
 
 // DOM Title Processor Service
@@ -54,6 +58,17 @@ class DOMTitleProcessor {
     // Initial check
     this.handleRouteChange();
 
+    // Titles still on screen whose enrichment was cancelled go back in the queue
+    this.boundHandleRouteScopeChange = () => {
+      setTimeout(() => {
+        if (this.observer) this.processExistingTitles();
+      }, this.DEBOUNCE_DELAY);
+    };
+    window.addEventListener(
+      "kai-route-changed",
+      this.boundHandleRouteScopeChange,
+    );
+
     // Add delayed re-scan for continue watching elements that load later
     setTimeout(() => {
       this.processExistingTitles();
@@ -75,6 +90,13 @@ class DOMTitleProcessor {
       window.removeEventListener("hashchange", this.boundHandleRouteChange);
       this.boundHandleRouteChange = null;
     }
+    if (this.boundHandleRouteScopeChange) {
+      window.removeEventListener(
+        "kai-route-changed",
+        this.boundHandleRouteScopeChange,
+      );
+      this.boundHandleRouteScopeChange = null;
+    }
 
     this.pendingNodes.clear();
     this.processing.clear();
@@ -116,13 +138,15 @@ class DOMTitleProcessor {
   async processExistingTitles() {
     // Use requestIdleCallback to avoid blocking main thread during initial load
     this.runIdle(() => {
-      const elements = this.findTitleElements();
+      const elements = this.sortByViewport(this.findTitleElements());
       // Process titles one by one to respect rate limits
       for (const element of elements) {
         // Skip if already processed
         if (element.dataset.metadataProcessed) continue;
 
-        this.storage.processAndSaveTitleElement(element, this);
+        this.storage.processAndSaveTitleElement(element, this, false, {
+          batch: true,
+        });
         element.dataset.metadataProcessed = "true";
       }
 
@@ -134,6 +158,30 @@ class DOMTitleProcessor {
     });
   }
 
+  /**
+   * Visible elements first, so their requests are queued ahead of off-screen ones
+   * @param {Element[]} elements
+   * @returns {Element[]}
+   */
+  sortByViewport(elements) {
+    const visible = [];
+    const offscreen = [];
+    const height = window.innerHeight;
+    const width = window.innerWidth;
+
+    for (const element of elements) {
+      const rect = element.getBoundingClientRect();
+      const inViewport =
+        rect.bottom > 0 &&
+        rect.right > 0 &&
+        rect.top < height &&
+        rect.left < width;
+      (inViewport ? visible : offscreen).push(element);
+    }
+
+    return visible.concat(offscreen);
+  }
+
   // Wrapper for requestIdleCallback with fallback
   runIdle(callback) {
     if (window.requestIdleCallback) {
@@ -321,15 +369,18 @@ class DOMTitleProcessor {
         const titleElements = this.findTitleElementsInNode(node);
         if (titleElements.length > 0) {
           allNewElements.push(...titleElements);
-          titleElements.forEach((el) => {
-            if (el.dataset.metadataProcessed) return;
-
-            this.storage.processAndSaveTitleElement(el, this);
-            el.dataset.metadataProcessed = "true";
-          });
         }
       }
 
+      this.sortByViewport(allNewElements).forEach((el) => {
+        if (el.dataset.metadataProcessed) return;
+
+        this.storage.processAndSaveTitleElement(el, this, false, {
+          batch: true,
+        });
+        el.dataset.metadataProcessed = "true";
+      });
+
       // Notify subscribers of all new elements found in this batch
       if (allNewElements.length > 0) {
         this.notifySubscribers(allNewElements);
@@ -0,0 +1,299 @@
+/**
+ * @name Metadata Helper - Episode Service Module
+ * @description Per-episode metadata (episodes table in MetadataDB)
+ *
+ * Rows are keyed by series IMDb id + season + episode and filled from
+ * Cinemeta `videos` (stored whenever a series is saved) and TMDB season
+ * endpoints (fetched on demand when a season is shown). Each field remembers
+ * which source set it so Cinemeta re-fetches don't overwrite TMDB data.
+ */
+
+class EpisodeService {
+  constructor(storage) {
+    this.storage = storage;
+    this.pendingSeasons = new Map();
+  }
+
+  // Sources in order of preference for a field (first wins)
+  static SOURCE_PRIORITY = ["tmdb", "cinemeta"];
+
+  // Fields copied from normalized episodes into table rows
+  static FIELDS = [
+    "title",
+    "overview",
+    "still",
+    "airDate",
+    "runtime",
+    "rating",
+  ];
+
+  get db() {
+    return this.storage.db;
+  }
+
+  get config() {
+    return window.MetadataModules.config.METADATA_CONFIG;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // NORMALIZATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Convert a Cinemeta `videos` item to the episode row shape
+   * @param {Object} video - Cinemeta video ({season, episode|number, name, overview, thumbnail, released})
+   * @returns {Object|null} Normalized episode or null if it has no numbering
+   */
+  static fromCinemetaVideo(video) {
+    const season = parseInt(video?.season, 10);
+    const episode = parseInt(video?.episode ?? video?.number, 10);
+    if (!Number.isInteger(season) || !Number.isInteger(episode)) return null;
+
+    const score = parseFloat(video.rating);
+
+    return {
+      season,
+      episode,
+      title: video.name || video.title || null,
+      overview: video.overview || video.description || null,
+      still: video.thumbnail || null,
+      airDate: video.released || video.firstAired || null,
+      runtime: null,
+      rating: score > 0 ? { score, votes: null } : null,
+    };
+  }
+
+  /**
+   * Merge an incoming episode into its stored row, field by field
+   * A field is replaced unless it was set by a higher-priority source.
+   */
+  static mergeEpisode(existing, incoming, source) {
+    const rank = (id) => {
+      const index = EpisodeService.SOURCE_PRIORITY.indexOf(id);
+      return index === -1 ? EpisodeService.SOURCE_PRIORITY.length : index;
+    };
+
+    const merged = { ...existing, sources: { ...existing?.sources } };
+
+    for (const field of EpisodeService.FIELDS) {
+      const value = incoming[field];
+      if (value == null || value === "") continue;
+
+      const currentSource = merged.sources[field];
+      if (
+        merged[field] != null &&
+        currentSource &&
+        rank(currentSource) < rank(source)
+      ) {
+        continue;
+      }
+
+      merged[field] = value;
+      merged.sources[field] = source;
+    }
+
+    return merged;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // WRITES
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Upsert episodes for a series
+   * @param {string} imdb - Series IMDb id
+   * @param {Array<Object>} episodes - Normalized episodes ({season, episode, ...})
+   * @param {string} source - "tmdb" or "cinemeta"
+   * @returns {Promise<number>} Number of rows written
+   */
+  async saveEpisodes(imdb, episodes, source) {
+    if (!imdb || !Array.isArray(episodes) || episodes.length === 0) return 0;
+    await this.storage.init();
+
+    const existingRows = await this.db.episodes
+      .where("imdb")
+      .equals(imdb)
+      .toArray();
+    const byKey = new Map(
+      existingRows.map((row) => [`${row.season}:${row.episode}`, row]),
+    );
+
+    const now = Date.now();
+    const rows = episodes.map((episode) => {
+      const existing = byKey.get(`${episode.season}:${episode.episode}`);
+      const merged = EpisodeService.mergeEpisode(
+        existing || {
+          imdb,
+          season: episode.season,
+          episode: episode.episode,
+        },
+        episode,
+        source,
+      );
+      merged.fetchedAt = { ...existing?.fetchedAt, [source]: now };
+      merged.lastUpdated = now;
+      return merged;
+    });
+
+    await this.db.episodes.bulkPut(rows);
+    return rows.length;
+  }
+
+  /**
+   * Store the Cinemeta `videos` array of a series
+   * @param {string} imdb - Series IMDb id
+   * @param {Array<Object>} videos - Cinemeta videos
+   */
+  async saveFromCinemeta(imdb, videos) {
+    const episodes = (videos || [])
+      .map((video) => EpisodeService.fromCinemetaVideo(video))
+      .filter(Boolean);
+
+    try {
+      return await this.saveEpisodes(imdb, episodes, "cinemeta");
+    } catch (error) {
+      console.warn(
+        `[METADATA][Episodes] Failed to store Cinemeta episodes for ${imdb}:`,
+        error,
+      );
+      return 0;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // READS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} imdb - Series IMDb id
+   * @returns {Promise<Array<Object>>} All stored episodes, season then episode order
+   */
+  async getEpisodes(imdb) {
+    await this.storage.init();
+    const rows = await this.db.episodes.where("imdb").equals(imdb).toArray();
+    return rows.sort((a, b) => a.season - b.season || a.episode - b.episode);
+  }
+
+  /**
+   * @param {string} imdb - Series IMDb id
+   * @param {number} season - Season number
+   * @returns {Promise<Array<Object>>} Stored episodes of the season in order
+   */
+  async getSeason(imdb, season) {
+    await this.storage.init();
+    return this.db.episodes
+      .where("[imdb+season]")
+      .equals([imdb, season])
+      .sortBy("episode");
+  }
+
+  /**
+   * @returns {Promise<Object|undefined>} Stored episode row
+   */
+  async getEpisode(imdb, season, episode) {
+    await this.storage.init();
+    return this.db.episodes
+      .where("[imdb+season+episode]")
+      .equals([imdb, season, episode])
+      .first();
+  }
+
+  /**
+   * Load a season, fetching it from TMDB first when it has not been fetched
+   * yet or the fetch is older than cacheTTL.episodes
+   *
+   * @param {Object} title - Stored series entry
+   * @param {number} season - Season number
+   * @returns {Promise<Array<Object>>} Episodes of the season
+   */
+  async ensureSeason(title, season) {
+    if (!title?.imdb || title.type !== "series") return [];
+
+    const rows = await this.getSeason(title.imdb, season);
+    if (!this.needsTmdbRefresh(rows)) return rows;
+
+    const tmdbFetcher = window.MetadataModules.tmdbFetcher;
+    const connectivity = window.MetadataModules.connectivity;
+    if (!tmdbFetcher?.isAvailable() || connectivity?.isOnline() === false) {
+      return rows;
+    }
+
+    // Several injector passes can ask for the same season at once
+    const key = `${title.imdb}:${season}`;
+    if (!this.pendingSeasons.has(key)) {
+      const pending = this.fetchTmdbSeason(title, season).finally(() =>
+        this.pendingSeasons.delete(key),
+      );
+      this.pendingSeasons.set(key, pending);
+    }
+
+    const fetched = await this.pendingSeasons.get(key);
+    return fetched ? this.getSeason(title.imdb, season) : rows;
+  }
+
+  /**
+   * True if the season was never fetched from TMDB or that fetch expired
+   * (TMDB may omit episodes Cinemeta lists, so the latest fetch counts)
+   */
+  needsTmdbRefresh(rows) {
+    if (rows.length === 0) return true;
+    const fetchedAt = Math.max(...rows.map((row) => row.fetchedAt?.tmdb || 0));
+    return !fetchedAt || Date.now() - fetchedAt > this.config.cacheTTL.episodes;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<boolean>} True if TMDB returned episodes
+   */
+  async fetchTmdbSeason(title, season) {
+    const tmdbFetcher = window.MetadataModules.tmdbFetcher;
+
+    try {
+      const tmdbId =
+        title.tmdb || (await tmdbFetcher.convertToTmdbId(title.imdb, "series"));
+      if (!tmdbId) return false;
+
+      const episodes = await tmdbFetcher.fetchSeason(tmdbId, season);
+      if (!episodes?.length) return false;
+
+      await this.saveEpisodes(title.imdb, episodes, "tmdb");
+      console.log(
+        `[METADATA][Episodes] Stored ${episodes.length} TMDB episodes: ${title.title} S${season}`,
+      );
+      return true;
+    } catch (error) {
+      console.warn(
+        `[METADATA][Episodes] TMDB season ${season} failed for ${title.imdb}:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // MAINTENANCE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  async deleteSeries(imdb) {
+    await this.storage.init();
+    return this.db.episodes.where("imdb").equals(imdb).delete();
+  }
+
+  async clear() {
+    await this.storage.init();
+    await this.db.episodes.clear();
+    console.log("[METADATA][Episodes] Episodes cleared");
+  }
+}
+
+// Export to global scope
+window.MetadataModules = window.MetadataModules || {};
+window.MetadataModules.episodeService = {
+  EpisodeService,
+};
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).episodeService = [
+  EpisodeService,
+  "window.MetadataModules.episodeService = { EpisodeService };",
+].join("\n");
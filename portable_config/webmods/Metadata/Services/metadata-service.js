@@ -3,13 +3,13 @@
  *
  * Central orchestrator for fetching metadata from all available sources.
  * Executes API calls in parallel using Promise.allSettled for graceful degradation.
- * Merges results with priority ordering: Private APIs > Public APIs.
+ * Providers and per-field-group source priority come from the provider registry.
  *
  * @module metadata-service
  * @version 1.0.0
  */
 
-(function () {
+(function metadataServiceModule() {
   "use strict";
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -25,12 +25,18 @@
   // ─────────────────────────────────────────────────────────────────────────────
   // CONFIGURATION
   // ─────────────────────────────────────────────────────────────────────────────
+  // Private provider timeouts live in each fetcher's registry descriptor
   const CONFIG = {
-    TMDB_TIMEOUT: 8000,
-    MDBLIST_TIMEOUT: 5000,
     PUBLIC_TIMEOUT: 5000,
   };
 
+  // Health panel names for providers outside the registry
+  const PROVIDER_LABELS = {
+    imdbScraper: "IMDb Scraper",
+    haglund: "Haglund (ID mapping)",
+    anilist: "AniList",
+  };
+
   // ─────────────────────────────────────────────────────────────────────────────
   // HELPERS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -39,6 +45,22 @@
     return window.MetadataModules?.[name];
   }
 
+  /**
+   * Route-scoped signal for background work (priority work isn't cancelled)
+   * @returns {AbortSignal|null}
+   */
+  function getRouteSignal(priority) {
+    return priority ? null : window.RouteDetector?.getRouteSignal() || null;
+  }
+
+  /**
+   * Defer a task for replay if the pipeline is in cache-only mode
+   * @returns {boolean} True if deferred
+   */
+  function deferIfOffline(key, task) {
+    return getModule("connectivity")?.deferIfOffline(key, task) || false;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // METADATA SERVICE CLASS
   // ─────────────────────────────────────────────────────────────────────────────
@@ -72,173 +94,81 @@
      * @param {string} imdbId - IMDb ID (tt1234567)
      * @param {string} type - 'movie' or 'series'
      * @param {boolean} priority - Whether this is a priority request (hover vs background)
+     * @param {Object} [options]
+     * @param {string[]} [options.groups] - Only query providers supplying these field groups
+     * @param {boolean} [options.batch] - Providers that batch may hold the lookup for their next batch request
      * @returns {Promise<Object>} Merged metadata from all sources
      */
-    async getEnrichedMetadata(imdbId, type, priority = false) {
+    async getEnrichedMetadata(imdbId, type, priority = false, options = {}) {
       const fetchUtils = getModule("fetchUtils");
-      const apiKeys = getModule("apiKeys");
-      const tmdbFetcher = getModule("tmdbFetcher");
-      const mdblistFetcher = getModule("mdblistFetcher");
+      const registry = getModule("providerRegistry");
 
-      if (!fetchUtils) {
-        console.warn("[Metadata Service] fetchUtils not available");
+      if (!fetchUtils || !registry) {
+        console.warn(
+          "[Metadata Service] fetchUtils or providerRegistry not available",
+        );
         return this.getEmptyResult(imdbId);
       }
 
       const startTime = performance.now();
-      const availableSources = [];
+      const batch = !!options.batch && !priority;
 
-      // Build parallel promise array based on available keys
-      const promises = {};
+      // Providers with a key, not rate-limited and supporting this type
+      let providers = registry.getActiveProviders(type);
 
-      // TMDB (if key available and not rate-limited)
-      if (tmdbFetcher?.isAvailable()) {
-        availableSources.push("tmdb");
-        promises.tmdb = fetchUtils.withTimeout(
-          () => tmdbFetcher.fetchByImdbId(imdbId, type, priority),
-          null,
-          { timeout: CONFIG.TMDB_TIMEOUT, getContext: () => `TMDB:${imdbId}` },
+      if (options.groups) {
+        const fields = options.groups.flatMap(
+          (group) => registry.FIELD_GROUPS[group]?.fields || [],
         );
-      } else {
-        promises.tmdb = Promise.resolve(null);
-      }
-
-      // MDBList (if key available and not rate-limited)
-      if (mdblistFetcher?.isAvailable()) {
-        availableSources.push("mdblist");
-        promises.mdblist = fetchUtils.withTimeout(
-          () => mdblistFetcher.fetchByImdbId(imdbId, type, priority),
-          null,
-          {
-            timeout: CONFIG.MDBLIST_TIMEOUT,
-            getContext: () => `MDBList:${imdbId}`,
-          },
+        providers = providers.filter((p) =>
+          p.fields?.some((field) => fields.includes(field)),
         );
-      } else {
-        promises.mdblist = Promise.resolve(null);
       }
 
       // Execute all private API calls in parallel
-      const [tmdbResult, mdblistResult] = await Promise.all([
-        promises.tmdb,
-        promises.mdblist,
-      ]);
+      const settled = await Promise.all(
+        providers.map((provider) =>
+          fetchUtils.withTimeout(
+            () => provider.fetch(imdbId, type, priority, { batch }),
+            null,
+            {
+              timeout: (batch && provider.batchTimeout) || provider.timeout,
+              getContext: () => `${provider.label}:${imdbId}`,
+            },
+          ),
+        ),
+      );
 
-      // Track which sources succeeded
-      const successSources = [];
-      if (tmdbResult) successSources.push("tmdb");
-      if (mdblistResult) successSources.push("mdblist");
+      const results = {};
+      providers.forEach((provider, index) => {
+        if (settled[index]) results[provider.id] = settled[index];
+      });
 
       const elapsed = Math.round(performance.now() - startTime);
       this.log(
         `Completed ${imdbId} in ${elapsed}ms, sources: ${
-          successSources.join(", ") || "none"
+          Object.keys(results).join(", ") || "none"
         }`,
       );
 
-      // Merge results with priority ordering
-      return this.mergeResults({
-        tmdb: tmdbResult,
-        mdblist: mdblistResult,
-        imdbId,
-        type,
-      });
+      // Merge results with per-field-group priority
+      return this.mergeResults({ ...results, imdbId, type });
     }
 
     /**
-     * Merge results from multiple sources with priority ordering
-     * Private APIs take precedence over each other based on data quality
+     * Merge results from multiple sources
+     * Which provider wins each field group (titles, overview, artwork, ratings,
+     * cast, runtime) comes from the provider registry's source priority, so new
+     * providers only need a descriptor.
      *
-     * Priority order:
-     * - Cast/Crew: TMDB (best photos)
-     * - Ratings: MDBList (multi-source) > TMDB
-     * - Seasons: TMDB
-     *
-     * @param {Object} sources - Results from each source
-     * @returns {Object} Merged metadata
+     * @param {Object} sources - Results keyed by provider id, plus imdbId and type
+     * @returns {Object} Merged metadata (only fields with actual values)
      */
-    mergeResults({ tmdb, mdblist, imdbId, type }) {
-      // CRITICAL: Only include fields that have actual non-null values
-      // This prevents overwriting existing data with nulls
-      // NOTE: We don't include imdbId here - callers add the correct 'imdb' field
-      const result = {
-        type,
-      };
-
-      // Track which private sources contributed
-      if (tmdb) result.metaSourcePrivate = "tmdb";
-      else if (mdblist) result.metaSourcePrivate = "mdblist";
-
-      // ─────────────────────────────────────────────────────────────────
-      // CONTENT - Only add if we have actual values
-      // ─────────────────────────────────────────────────────────────────
-      const title = tmdb?.title || mdblist?.title;
-      if (title) result.title = title;
-
-      const originalTitle = tmdb?.originalTitle || mdblist?.originalTitle;
-      if (originalTitle) result.originalTitle = originalTitle;
-
-      // English title for smart tooltips (from TMDB translations)
-      const englishTitle = tmdb?.englishTitle;
-      if (englishTitle) result.englishTitle = englishTitle;
-
-      const plot = tmdb?.plot || mdblist?.plot;
-      if (plot) result.plot = plot;
-
-      const tagline = tmdb?.tagline;
-      if (tagline) result.tagline = tagline;
-
-      // ─────────────────────────────────────────────────────────────────
-      // METADATA (MDBList)
-      // ─────────────────────────────────────────────────────────────────
-      const contentRating = tmdb?.contentRating || mdblist?.contentRating;
-      if (contentRating) result.contentRating = contentRating;
-
-      // ─────────────────────────────────────────────────────────────────
-      // IMAGES - Only add if we have actual URLs
-      // ─────────────────────────────────────────────────────────────────
-      const poster = tmdb?.poster || mdblist?.poster;
-      if (poster) result.poster = poster;
-
-      const background = tmdb?.background || mdblist?.background;
-      if (background) result.background = background;
-
-      const logo = tmdb?.logo || mdblist?.logo;
-      if (logo) result.logo = logo;
-
-      const trailer = mdblist?.trailer;
-      if (trailer) result.trailer = trailer;
-
-      // ─────────────────────────────────────────────────────────────────
-      // EXTERNAL IDs - Use correct schema field names (tmdb not tmdbId)
-      // Only add if we have actual values
-      // ─────────────────────────────────────────────────────────────────
-      if (mdblist?.tmdbId) result.tmdb = mdblist.tmdbId;
-      if (mdblist?.tvdbId) result.tvdb = mdblist.tvdbId;
-
-      // ─────────────────────────────────────────────────────────────────
-      // RATINGS - Pass through for storage._mergeRatings to handle
-      // Don't merge here, let storage do the merge with existing
-      // ─────────────────────────────────────────────────────────────────
-      if (mdblist?.ratings && Object.keys(mdblist.ratings).length > 0) {
-        result.ratings = mdblist.ratings;
-      }
-
-      // ─────────────────────────────────────────────────────────────────
-      // NETWORK & STUDIO - Enabled with strict single-entry filtering
-      // ─────────────────────────────────────────────────────────────────
-      if (type === "series" && tmdb?.network) result.network = tmdb.network;
-
-      // New: Studio for anime
-      if (tmdb?.studio) result.studio = tmdb.studio;
+    mergeResults({ imdbId, type, ...results }) {
+      const registry = getModule("providerRegistry");
+      if (!registry) return { type };
 
-      // NOTE: We explicitly do NOT include:
-      // - stars/directors (public APIs handle this)
-      // - status (public APIs handle this)
-      // - cast (public APIs handle this)
-      // This prevents overwriting good data with incomplete/null data
-
-      return result;
+      return registry.mergeResults(results, type);
     }
 
     /**
@@ -309,10 +239,7 @@
      * Check if any private API is available
      */
     hasPrivateApiAvailable() {
-      const tmdb = getModule("tmdbFetcher");
-      const mdblist = getModule("mdblistFetcher");
-
-      return tmdb?.isAvailable() || mdblist?.isAvailable();
+      return getModule("providerRegistry")?.hasAvailableProvider() ?? false;
     }
 
     /**
@@ -320,21 +247,60 @@
      */
     getApiStatus() {
       const apiKeys = getModule("apiKeys");
-      const tmdb = getModule("tmdbFetcher");
-      const mdblist = getModule("mdblistFetcher");
+      const providers = getModule("providerRegistry")?.getProviders() || [];
+
+      const status = {};
+      for (const provider of providers) {
+        const keyProvider = provider.keyProvider;
+        status[provider.id] = {
+          hasKey: keyProvider ? (apiKeys?.hasKey(keyProvider) ?? false) : true,
+          isAvailable: provider.isAvailable(),
+          isRateLimited: keyProvider
+            ? (apiKeys?.isRateLimited(keyProvider) ?? false)
+            : false,
+        };
+      }
+      return status;
+    }
 
-      return {
-        tmdb: {
-          hasKey: apiKeys?.hasKey("TMDB") ?? false,
-          isAvailable: tmdb?.isAvailable() ?? false,
-          isRateLimited: apiKeys?.isRateLimited("TMDB") ?? false,
-        },
-        mdblist: {
-          hasKey: apiKeys?.hasKey("MDBLIST") ?? false,
-          isAvailable: mdblist?.isAvailable() ?? false,
-          isRateLimited: apiKeys?.isRateLimited("MDBLIST") ?? false,
-        },
-      };
+    /**
+     * Health of every provider: private API key status merged with the
+     * fetchUtils circuit breaker (state, latency, error counts)
+     * @returns {Object<string, Object>} provider id -> { label, state, latency, failures, isRateLimited, ... }
+     */
+    getProviderHealth() {
+      const apiStatus = this.getApiStatus();
+      const circuits = getModule("fetchUtils")?.getCircuitHealth() || {};
+      const hosts = getModule("config")?.METADATA_CONFIG.circuitBreaker?.hosts;
+      const registry = getModule("providerRegistry");
+
+      // Every known provider, even before its first request
+      const ids = new Set([
+        ...Object.values(hosts || {}),
+        ...Object.keys(apiStatus),
+        ...Object.keys(circuits),
+      ]);
+
+      const health = {};
+      for (const id of ids) {
+        const circuit = circuits[id];
+        health[id] = {
+          label: registry?.getProvider(id)?.label || PROVIDER_LABELS[id] || id,
+          hasKey: true,
+          isAvailable: true,
+          isRateLimited: false,
+          ...apiStatus[id],
+          state: circuit?.state || "closed",
+          openUntil: circuit?.openUntil || 0,
+          latency: circuit?.latency ?? null,
+          requests: circuit?.requests || 0,
+          failures: circuit?.failures || 0,
+          windowRequests: circuit?.windowRequests || 0,
+          windowFailures: circuit?.windowFailures || 0,
+          lastError: circuit?.lastError || null,
+        };
+      }
+      return health;
     }
 
     // ─────────────────────────────────────────────────────────────────────────────
@@ -366,6 +332,14 @@
       // Skip if already has MAL rating in unified format
       if (entry?.ratings?.mal?.score != null) return null;
 
+      if (
+        deferIfOffline(`jikan:${entry?.imdb}`, () =>
+          this.triggerLazyJikan(entry, false),
+        )
+      ) {
+        return null;
+      }
+
       let malId = null;
       const malIds = Array.isArray(entry?.mal)
         ? entry.mal
@@ -429,8 +403,14 @@
         try {
           const jikanData = await fetcher.fetchJikanData(malId, priority);
           if (jikanData) {
+            const resolved =
+              getModule("providerRegistry")?.resolveAgainst(
+                entry,
+                jikanData,
+                "jikan",
+              ) || jikanData;
             const updatePayload = {
-              ...jikanData,
+              ...resolved,
               id: entry.id,
               imdb: entry.imdb,
               type: entry.type,
@@ -454,6 +434,97 @@
       return fetchPromise;
     }
 
+    /**
+     * Whether stored AniList data should be refreshed
+     * Airing titles go stale as soon as the announced next episode has aired.
+     */
+    needsAnilistEnrichment(entry) {
+      if (!entry?.lastEnrichedAnilist) return true;
+
+      const nextAiring = entry.nextAiringEpisode?.airingAt;
+      if (nextAiring && nextAiring <= Date.now()) return true;
+
+      const ttl =
+        getModule("config")?.METADATA_CONFIG?.cacheTTL?.metadata ||
+        7 * 24 * 60 * 60 * 1000;
+      return Date.now() - entry.lastEnrichedAnilist > ttl;
+    }
+
+    /**
+     * Trigger lazy AniList enrichment for anime entries
+     * Needs an AniList or MAL ID (Jikan's reverse lookup stores them first).
+     * @param {Object} entry - Database entry
+     * @param {boolean} priority - Whether this is a priority request
+     * @returns {Promise<Object|null>} Updated entry or null
+     */
+    async triggerLazyAnilist(entry, priority = false) {
+      if (!this.anilistPending) this.anilistPending = new Map();
+
+      const storage = window.metadataStorage;
+      const fetcher = window.metadataServices?.anilistFetcher;
+
+      if (!storage || !fetcher) {
+        console.warn(
+          "[Metadata Service] Storage or AniList fetcher not available for AniList enrichment",
+        );
+        return null;
+      }
+
+      const firstId = (ids) => (Array.isArray(ids) ? ids[0] : ids) || null;
+      const anilistId = firstId(entry?.anilist);
+      const malId = firstId(entry?.mal);
+      if (!anilistId && !malId) return null;
+
+      if (!this.needsAnilistEnrichment(entry)) return null;
+
+      if (
+        deferIfOffline(`anilist:${entry?.imdb}`, () =>
+          this.triggerLazyAnilist(entry, false),
+        )
+      ) {
+        return null;
+      }
+
+      const pendingKey = anilistId ? `anilist:${anilistId}` : `mal:${malId}`;
+      if (this.anilistPending.has(pendingKey)) {
+        this.log(`⏳ Joining active AniList fetch for ${entry.title}`);
+        return this.anilistPending.get(pendingKey);
+      }
+
+      this.log(`🟡 Starting AniList fetch for ${entry.title} (${pendingKey})`);
+
+      const fetchPromise = (async () => {
+        try {
+          const anilistData = anilistId
+            ? await fetcher.fetchByAnilistId(anilistId, priority)
+            : await fetcher.fetchByMalId(malId, priority);
+          if (anilistData) {
+            const updatePayload = {
+              ...anilistData,
+              provenanceSource: "anilist",
+              id: entry.id,
+              imdb: entry.imdb,
+              type: entry.type,
+            };
+            this.log(`🟢 AniList success: ${entry.title}`);
+            return await storage.saveTitle(updatePayload);
+          }
+          return null;
+        } catch (e) {
+          console.warn(
+            `[Metadata Service] AniList failed for ${entry.title}:`,
+            e,
+          );
+          return null;
+        } finally {
+          this.anilistPending.delete(pendingKey);
+        }
+      })();
+
+      this.anilistPending.set(pendingKey, fetchPromise);
+      return fetchPromise;
+    }
+
     /**
      * Trigger lazy private API enrichment for an entry
      * @param {Object} entry - Database entry
@@ -463,6 +534,8 @@
     async triggerLazyPrivateEnrichment(entry, priority = false) {
       if (!entry?.imdb) return null;
 
+      const signal = getRouteSignal(priority);
+
       const storage = window.metadataStorage;
       if (!storage) return null;
 
@@ -480,6 +553,14 @@
         return null;
       }
 
+      if (
+        deferIfOffline(`private:${entry.imdb}`, () =>
+          this.triggerLazyPrivateEnrichment(entry, false),
+        )
+      ) {
+        return null;
+      }
+
       this.log(
         `🟡 Starting private enrichment for ${entry.title} (${entry.imdb})`,
       );
@@ -491,9 +572,19 @@
           priority,
         );
 
+        // Left the route: providers were cancelled, don't store a partial result
+        if (signal?.aborted) {
+          this.log(`⚪ Private enrichment cancelled: ${entry.title}`);
+          return null;
+        }
+
         if (privateData && privateData.metaSourcePrivate) {
+          // Keep field groups the user prefers from the entry's current source
+          const resolved =
+            getModule("providerRegistry")?.resolveAgainst(entry, privateData) ||
+            privateData;
           const updatePayload = {
-            ...privateData,
+            ...resolved,
             id: entry.id,
             imdb: entry.imdb,
             type: entry.type,
@@ -612,8 +703,14 @@
 
               // Save to DB
               if (storage && merged && Object.keys(merged).length > 0) {
+                const existing = await storage.getTitle(item.imdb);
+                const resolved =
+                  getModule("providerRegistry")?.resolveAgainst(
+                    existing,
+                    merged,
+                  ) || merged;
                 await storage.saveTitle({
-                  ...merged,
+                  ...resolved,
                   id: item.id || item.imdb,
                   imdb: item.imdb,
                   type: item.type,
@@ -709,6 +806,7 @@
 
     // Lazy enrichment orchestration
     triggerLazyJikan: (...args) => instance.triggerLazyJikan(...args),
+    triggerLazyAnilist: (...args) => instance.triggerLazyAnilist(...args),
     triggerLazyPrivateEnrichment: (...args) =>
       instance.triggerLazyPrivateEnrichment(...args),
     needsPrivateEnrichment: (...args) =>
@@ -720,10 +818,15 @@
     // Status methods
     hasPrivateApiAvailable: () => instance.hasPrivateApiAvailable(),
     getApiStatus: () => instance.getApiStatus(),
+    getProviderHealth: () => instance.getProviderHealth(),
 
     // Debug
     setDebug: (enabled) => instance.setDebug(enabled),
   };
 
   console.log("[Metadata Service] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).metadataService =
+    `(${metadataServiceModule})();`;
 })();
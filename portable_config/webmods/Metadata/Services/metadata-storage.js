@@ -12,25 +12,46 @@ class MetadataStorage {
     this.idLookup = idLookup;
     this.db = null;
     this.initPromise = null;
+    this.isPersistent = false;
+    this.episodeService = null;
     // Cache IdUtils for easy access
     this.IdUtils = window.MetadataModules.idUtils.IdUtils;
 
     this.init();
   }
 
-  async init() {
-    await this.initDatabase();
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.initDatabase();
+    }
+    return this.initPromise;
   }
 
   async initDatabase() {
-    while (typeof Dexie === "undefined") {
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
+    const localDb = window.MetadataModules.localDb;
+    this.db = await localDb.openDatabase("MetadataDB", (db) =>
+      this.defineSchema(db),
+    );
+    this.isPersistent = !localDb.isMemoryDatabase(this.db);
 
-    this.db = new Dexie("MetadataDB");
+    if (this.isPersistent) {
+      console.log(
+        `[METADATA][Metadata Storage] IndexedDB initialized successfully (v${MetadataStorage.SCHEMA_VERSION})`,
+      );
+    } else {
+      console.warn(
+        `[METADATA][Metadata Storage] Using in-memory database (v${MetadataStorage.SCHEMA_VERSION}) - cache will not persist across restarts`,
+      );
+    }
+  }
 
+  /**
+   * Declares all schema versions on a Dexie (or in-memory fallback) database
+   * @param {Dexie|MemoryDatabase} db
+   */
+  defineSchema(db) {
     // Version 2: Original schema with multi-entry indexes
-    this.db.version(2).stores({
+    db.version(2).stores({
       titles:
         "++id, &imdb, *anilist, *kitsu, *mal, tmdb, tvdb, [type+title], type, title, originalTitle, year, status, genres, interests, demographics, ratingsImdb, ratingsMal, rankMal, ratingsMetacritic, runtime, awards, seasons, episodes, originCountry, metaSource, lastUpdated",
     });
@@ -38,27 +59,80 @@ class MetadataStorage {
     // Version 3: Extended schema for private API data
     // New fields: ratings (multi-source object), cast, directors, writers, keywords, videos,
     // contentRating, altTitles, collection, metaSourcePrivate, lastEnrichedPrivate
-    this.db.version(3).stores({
+    db.version(3).stores({
       titles:
         "++id, &imdb, *anilist, *kitsu, *mal, tmdb, tvdb, [type+title], type, title, originalTitle, year, status, genres, interests, demographics, runtime, awards, seasons, episodes, originCountry, metaSource, lastUpdated, metaSourcePrivate, lastEnrichedPrivate, contentRating",
     });
 
     // Version 4: Added isAnime field for anime detection caching
-    this.db.version(4).stores({
+    db.version(4).stores({
       titles:
         "++id, &imdb, *anilist, *kitsu, *mal, tmdb, tvdb, [type+title], type, title, originalTitle, year, status, genres, interests, demographics, ratingsImdb, ratingsMal, rankMal, ratingsMetacritic, runtime, awards, seasons, episodes, originCountry, metaSource, lastUpdated, metaSourcePrivate, lastEnrichedPrivate, contentRating, isAnime, animeReason",
     });
 
     // Version 5: Added network field for TV shows
-    this.db.version(5).stores({
+    db.version(5).stores({
       titles:
         "++id, &imdb, *anilist, *kitsu, *mal, tmdb, tvdb, [type+title], type, title, originalTitle, year, status, genres, interests, demographics, runtime, awards, seasons, episodes, originCountry, metaSource, lastUpdated, metaSourcePrivate, lastEnrichedPrivate, contentRating, isAnime, animeReason, network",
     });
 
-    await this.db.open();
-    console.log(
-      "[METADATA][Metadata Storage] IndexedDB initialized successfully (v5)",
-    );
+    // Version 6: Watch history (player sessions, see watch-history.js)
+    db.version(6).stores({
+      watchSessions: "++id, titleKey, imdb, type, startedAt, endedAt, isAnime",
+    });
+
+    // Version 7: Per-episode metadata (see episode-service.js)
+    db.version(MetadataStorage.SCHEMA_VERSION).stores({
+      episodes:
+        "++id, &[imdb+season+episode], [imdb+season], imdb, airDate, lastUpdated",
+    });
+  }
+
+  // Current Dexie schema version (see defineSchema)
+  static SCHEMA_VERSION = 7;
+
+  // Identifier for exported cache files
+  static EXPORT_FORMAT = "kai-metadata-cache";
+
+  // Cache file layout version, bumped only when the file itself changes shape.
+  // Files from before it existed carry the Dexie schemaVersion instead; they are version 1.
+  static EXPORT_VERSION = 1;
+
+  // Allowed per-title mpv overrides (stored as entry.mpvOverrides, applied by mpv-bridge).
+  // A missing field means "follow the global mpv setting".
+  static MPV_OVERRIDE_OPTIONS = {
+    shaderPreset: ["none", "optimized", "fast", "hq"],
+    svpEnabled: [true, false],
+    colorProfile: ["original", "kai", "vivid"],
+  };
+
+  // Entry keys that describe the entry itself rather than provider data,
+  // so they get no provenance record
+  static UNTRACKED_FIELDS = new Set([
+    "id",
+    "imdb",
+    "type",
+    "metaSource",
+    "metaSourcePrivate",
+    "fieldSources",
+    "provenance",
+    "provenanceSource",
+    "isAnime",
+    "animeReason",
+    "mpvOverrides",
+  ]);
+
+  // Minimum gap between background refresh attempts for the same title
+  static REFRESH_RETRY_INTERVAL = 60 * 60 * 1000;
+
+  /**
+   * Signal background work is scoped to: aborted when the user leaves the
+   * route it started on. Priority work (the title the user is looking at) isn't.
+   * @param {boolean} priority
+   * @returns {AbortSignal|null}
+   */
+  static getRouteSignal(priority = false) {
+    return priority ? null : window.RouteDetector?.getRouteSignal() || null;
   }
 
   /**
@@ -284,6 +358,24 @@ class MetadataStorage {
         continue;
       }
 
+      // Language variants - replace per language, keep the others
+      if (key === "localized") {
+        merged.localized = { ...existing.localized, ...newValue };
+        continue;
+      }
+
+      // Source hints are consumed by _recordProvenance, not stored
+      if (key === "fieldSources" || key === "provenanceSource") continue;
+
+      // Imported provenance - keep the newer record per field
+      if (key === "provenance") {
+        merged.provenance = this._mergeProvenance(
+          existing.provenance,
+          newValue,
+        );
+        continue;
+      }
+
       // Special handling for anime ID arrays - merge, don't replace
       if (key === "mal" || key === "anilist" || key === "kitsu") {
         merged[key] = this.IdUtils.mergeIdArrays(existing[key], newValue);
@@ -322,14 +414,105 @@ class MetadataStorage {
       }
     }
 
+    merged.provenance = this._recordProvenance(existing, merged, newData);
+
     // Update timestamp
     merged.lastUpdated = Date.now();
 
     return merged;
   }
 
+  /**
+   * Record which provider set each field written by a merge, and when
+   *
+   * A field gets a new record when its value changed, or when the payload
+   * names a source for it (a re-fetch confirming the same value counts as
+   * fresh). Sources come from the payload's fieldSources, then its
+   * provenanceSource, then its metaSource marker.
+   *
+   * @param {Object} before - Entry before the merge
+   * @param {Object} after - Entry after the merge
+   * @param {Object} newData - Payload that was merged
+   * @returns {Object} Provenance map ({field: {source, updatedAt}})
+   */
+  _recordProvenance(before, after, newData) {
+    const registry = window.MetadataModules.providerRegistry;
+    const provenance = { ...after.provenance };
+
+    // Imported entries carry their own provenance
+    if (newData.provenance) return provenance;
+
+    const hints = newData.fieldSources || {};
+    const fallbackSource =
+      newData.provenanceSource ||
+      registry?.sourceForMetaSource(newData.metaSource) ||
+      newData.metaSource ||
+      "unknown";
+    const now = Date.now();
+
+    const record = (key, value, previous, hint) => {
+      if (value == null || value === "") return;
+      const changed = JSON.stringify(value) !== JSON.stringify(previous);
+      if (!changed && !hint) return;
+      provenance[key] = { source: hint || fallbackSource, updatedAt: now };
+    };
+
+    for (const key of Object.keys(newData)) {
+      if (MetadataStorage.UNTRACKED_FIELDS.has(key) || key.startsWith("last")) {
+        continue;
+      }
+
+      // Ratings are tracked per rating site
+      if (key === "ratings") {
+        for (const site of Object.keys(newData.ratings || {})) {
+          record(
+            `ratings.${site}`,
+            after.ratings?.[site],
+            before?.ratings?.[site],
+            hints[`ratings.${site}`] || hints.ratings,
+          );
+        }
+        continue;
+      }
+
+      record(key, after[key], before?.[key], hints[key]);
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Merge two provenance maps, keeping the newer record per field
+   */
+  _mergeProvenance(current, incoming) {
+    const merged = { ...current };
+    for (const [key, entry] of Object.entries(incoming || {})) {
+      if (!merged[key] || (entry?.updatedAt || 0) > merged[key].updatedAt) {
+        merged[key] = entry;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Route Cinemeta episode lists to the episodes table instead of the entry
+   * @param {EpisodeService} episodeService
+   */
+  setEpisodeService(episodeService) {
+    this.episodeService = episodeService;
+  }
+
   async saveTitle(richData) {
     try {
+      // Series episode lists are stored per episode, not on the title entry
+      if (this.episodeService && Array.isArray(richData.videos)) {
+        const { videos, ...titleData } = richData;
+        richData = titleData;
+        if (titleData.imdb && titleData.type === "series") {
+          await this.episodeService.saveFromCinemeta(titleData.imdb, videos);
+        }
+      }
+
       // Check for existing by any available ID (comprehensive check)
       let existing = null;
       const idChecks = [
@@ -423,7 +606,15 @@ class MetadataStorage {
           logo: richData.logo,
           // Add network
           network: richData.network,
+          // Language variants (see localization-utils.js)
+          originalLanguage: richData.originalLanguage,
+          localized: richData.localized,
         };
+        storageData.provenance = this._recordProvenance(
+          null,
+          storageData,
+          richData,
+        );
 
         // Compute and cache isAnime status using shared detection utility
         const { isAnime, reason } = window.AnimeDetection?.detect(
@@ -546,6 +737,13 @@ class MetadataStorage {
             : conflictingEntry.directors,
         lastUpdated: Date.now(),
       };
+      delete updated.fieldSources;
+      delete updated.provenanceSource;
+      updated.provenance = this._recordProvenance(
+        conflictingEntry,
+        updated,
+        richData,
+      );
 
       await this.db.titles.put(updated);
       return updated; // Return updated object
@@ -562,6 +760,7 @@ class MetadataStorage {
     try {
       if (!imdbId) return null;
       const title = await this.db.titles.where("imdb").equals(imdbId).first();
+      if (title) this.touchTitle(title);
 
       // Check if stale and trigger background refresh
       if (title && this.isStale(title)) {
@@ -578,27 +777,224 @@ class MetadataStorage {
     }
   }
 
-  // Check if title metadata is stale (>3 days old)
+  /**
+   * Record a read for least recently used eviction (db-maintenance.js),
+   * at most once per dbMaintenance.touchInterval
+   * @param {Object} title - Stored entry
+   */
+  touchTitle(title) {
+    const interval =
+      window.MetadataModules.config.METADATA_CONFIG.dbMaintenance
+        ?.touchInterval;
+    const now = Date.now();
+    if (!interval || now - (title.lastAccessed || 0) < interval) return;
+
+    title.lastAccessed = now;
+    this.db.titles.update(title.id, { lastAccessed: now }).catch((error) => {
+      console.warn(
+        `[METADATA][Storage] Failed to record access for ${title.imdb}:`,
+        error,
+      );
+    });
+  }
+
+  // Check if title metadata is stale (per field group when provenance is tracked)
   isStale(title) {
     if (!title || !title.lastUpdated) return false;
+
+    const staleGroups = this.getStaleGroups(title);
+    if (staleGroups) return staleGroups.length > 0;
+
     const staleThreshold =
       window.MetadataModules.config.METADATA_CONFIG.staleThreshold;
     return Date.now() - title.lastUpdated > staleThreshold;
   }
 
+  /**
+   * Field groups whose oldest provenance record is past its TTL
+   * (METADATA_CONFIG.cacheTTL.fieldGroups, staleThreshold for unlisted groups)
+   * @param {Object} title - Stored entry
+   * @returns {string[]|null} Stale group ids, or null for untracked entries
+   */
+  getStaleGroups(title) {
+    const registry = window.MetadataModules.providerRegistry;
+    if (!title?.provenance || !registry) return null;
+
+    const config = window.MetadataModules.config.METADATA_CONFIG;
+    const ttls = config.cacheTTL?.fieldGroups || {};
+    const now = Date.now();
+
+    const hasValue = (value) =>
+      value != null &&
+      value !== "" &&
+      !(Array.isArray(value) && value.length === 0) &&
+      !(typeof value === "object" && Object.keys(value).length === 0);
+
+    return Object.entries(registry.FIELD_GROUPS)
+      .filter(([group, { fields }]) => {
+        if (group === "translations" && this._needsTranslations(title)) {
+          return true;
+        }
+        if (!fields.some((field) => hasValue(title[field]))) return false;
+
+        // Fields stored before tracking count from the last save
+        const keys = registry.getProvenanceKeys(title, group);
+        const updatedAt = keys.length
+          ? Math.min(...keys.map((key) => title.provenance[key].updatedAt))
+          : title.lastUpdated || 0;
+
+        return now - updatedAt > (ttls[group] || config.staleThreshold);
+      })
+      .map(([group]) => group);
+  }
+
+  /**
+   * True when a language in the fallback chain has never been fetched for
+   * this entry (e.g. after a language switch) and a provider can supply it
+   */
+  _needsTranslations(title) {
+    const localization = window.MetadataModules.localizationUtils;
+    const registry = window.MetadataModules.providerRegistry;
+    if (!localization || !(title.localized || title.metaSourcePrivate)) {
+      return false;
+    }
+
+    const canTranslate = registry
+      .getActiveProviders(title.type)
+      .some((provider) => provider.fields?.includes("localized"));
+    return canTranslate && localization.getMissingLanguages(title).length > 0;
+  }
+
+  /**
+   * Re-fetch only the given field groups from the sources that own them
+   * @param {Object} title - Stored entry
+   * @param {string[]} groups - Stale field group ids
+   * @param {AbortSignal|null} [signal] - Stops before the next source once aborted
+   * @returns {Promise<Object|null>} Updated entry or null if nothing changed
+   */
+  async refreshFieldGroups(title, groups, signal = null) {
+    const registry = window.MetadataModules.providerRegistry;
+    const service = window.MetadataModules.metadataService;
+    if (!registry || !groups.length) return null;
+
+    const plan = registry.planRefresh(title, groups);
+    const payloads = [];
+
+    if (plan.cinemeta.length) {
+      const data = await this.fetcher.fetchCinemetaData(title.imdb, title.type);
+      if (data) {
+        payloads.push(
+          registry.resolveAgainst(
+            title,
+            registry.pickGroups(data, plan.cinemeta),
+            "cinemeta",
+          ),
+        );
+      }
+    }
+
+    if (plan.imdb.length && !signal?.aborted) {
+      const data = await this.fetcher.fetchImdbData(
+        title.imdb,
+        false,
+        title.episodes || 1,
+      );
+      if (data) {
+        payloads.push(
+          registry.resolveAgainst(
+            title,
+            registry.pickGroups(data, plan.imdb),
+            "imdb",
+          ),
+        );
+      }
+    }
+
+    if (plan.private.length && service && !signal?.aborted) {
+      const data = await service.getEnrichedMetadata(
+        title.imdb,
+        title.type,
+        false,
+        { groups: plan.private },
+      );
+      if (data?.metaSourcePrivate && !signal?.aborted) {
+        payloads.push(
+          registry.resolveAgainst(
+            title,
+            registry.pickGroups(data, plan.private),
+          ),
+        );
+      }
+    }
+
+    let updated = null;
+    for (const payload of payloads) {
+      if (Object.keys(payload).every((key) => key === "fieldSources")) continue;
+      updated = await this.saveTitle({
+        ...payload,
+        id: title.id,
+        imdb: title.imdb,
+        type: title.type,
+      });
+    }
+    return updated;
+  }
+
   // Refresh title in background (non-blocking)
   async refreshTitleInBackground(title) {
+    // Offline: keep cached data and refresh once connectivity returns
+    if (
+      window.MetadataModules.connectivity?.deferIfOffline(
+        `refresh:${title.imdb}`,
+        () => this.refreshTitleInBackground(title),
+      )
+    ) {
+      return;
+    }
+
+    // Sources without newer data leave groups stale - don't retry on every read
+    if (!this.refreshAttempts) this.refreshAttempts = new Map();
+    const lastAttempt = this.refreshAttempts.get(title.imdb);
+    if (
+      lastAttempt &&
+      Date.now() - lastAttempt < MetadataStorage.REFRESH_RETRY_INTERVAL
+    ) {
+      return;
+    }
+    this.refreshAttempts.set(title.imdb, Date.now());
+
+    const staleGroups = this.getStaleGroups(title);
+    const signal = MetadataStorage.getRouteSignal();
+
     // Run after small delay to avoid blocking
     setTimeout(async () => {
       try {
+        // Tracked entries: only re-fetch what went stale
+        if (staleGroups) {
+          const updated = await this.refreshFieldGroups(
+            title,
+            staleGroups,
+            signal,
+          );
+          if (updated) {
+            console.log(
+              `[METADATA][Storage] ✅ Refreshed ${staleGroups.join(", ")}: ${title.title}`,
+            );
+          }
+          return;
+        }
+
         const enrichedData = await this.fetcher.retryIncompleteEnrichment(
           title.imdb,
           title.type,
           title.metaSource,
           title,
+          2,
+          false,
+          signal,
         );
 
-        if (enrichedData) {
+        if (enrichedData && !signal?.aborted) {
           await this.saveTitle(enrichedData);
           console.log(
             `[METADATA][Storage] ✅ Lazy refresh completed: ${title.title}`,
@@ -609,6 +1005,9 @@ class MetadataStorage {
           `[METADATA][Storage] ⚠️ Lazy refresh failed for ${title.imdb}:`,
           error,
         );
+      } finally {
+        // Left the route before the refresh finished: retry on the next read
+        if (signal?.aborted) this.refreshAttempts.delete(title.imdb);
       }
     }, 100); // Small delay to avoid blocking
   }
@@ -626,6 +1025,80 @@ class MetadataStorage {
     }
   }
 
+  /**
+   * Resolve the DB entry for a player route (IMDb first, then MAL/AniList/Kitsu)
+   * @param {{id: string|null, animeIds?: {mal: string|null, anilist: string|null, kitsu: string|null}}} routeState
+   * @returns {Promise<Object|null>}
+   */
+  async findTitleForPlayback(routeState) {
+    if (!routeState) return null;
+
+    if (routeState.id) {
+      const byImdb = await this.getTitle(routeState.id);
+      if (byImdb) return byImdb;
+    }
+
+    for (const field of ["mal", "anilist", "kitsu"]) {
+      const value = routeState.animeIds?.[field];
+      if (!value) continue;
+
+      try {
+        // Anime ids are stored as strings or numbers depending on the source
+        const entry = await this.db.titles
+          .where(field)
+          .anyOf([String(value), Number(value)])
+          .first();
+        if (entry) return entry;
+      } catch (error) {
+        console.error(
+          `[METADATA][Storage] Failed to look up ${field}:${value}:`,
+          error,
+        );
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Set per-title mpv overrides. Null/undefined fields are cleared (follow global).
+   * @param {string} imdbId - IMDb id of the entry
+   * @param {{shaderPreset?: string|null, svpEnabled?: boolean|null, colorProfile?: string|null}} overrides
+   * @returns {Promise<Object|null>} Cleaned overrides, or null if none remain
+   * @throws {Error} If the title is unknown or a value is not allowed
+   */
+  async setMpvOverrides(imdbId, overrides = {}) {
+    await this.ensureDatabaseReady();
+
+    const entry = await this.db.titles.where("imdb").equals(imdbId).first();
+    if (!entry) throw new Error(`No metadata entry for ${imdbId}`);
+
+    const cleaned = {};
+    for (const [field, value] of Object.entries(overrides)) {
+      const allowed = MetadataStorage.MPV_OVERRIDE_OPTIONS[field];
+      if (!allowed) throw new Error(`Unknown mpv override "${field}"`);
+      if (value == null) continue;
+      if (!allowed.includes(value)) {
+        throw new Error(`Invalid value for ${field}: ${value}`);
+      }
+      cleaned[field] = value;
+    }
+
+    const updated = { ...entry };
+    if (Object.keys(cleaned).length > 0) {
+      updated.mpvOverrides = cleaned;
+    } else {
+      delete updated.mpvOverrides;
+    }
+    await this.db.titles.put(updated);
+
+    console.log(
+      `[METADATA][Storage] mpv overrides for ${imdbId}:`,
+      updated.mpvOverrides || "none",
+    );
+    return updated.mpvOverrides || null;
+  }
+
   async enrichTitleIds(imdbId, additionalData) {
     try {
       if (!additionalData || Object.keys(additionalData).length === 0) return;
@@ -1101,19 +1574,33 @@ class MetadataStorage {
     }, 3000);
   }
 
-  async enrichFromAPIs(finalEntry, processedData, priority) {
+  async enrichFromAPIs(
+    finalEntry,
+    processedData,
+    priority,
+    signal = null,
+    options = {},
+  ) {
     const { extractedType } = processedData;
 
     if (!finalEntry.imdb) {
       return finalEntry;
     }
 
-    // LAZY JIKAN ENRICHMENT (Side Effect)
-    // Trigger this even if entry is 'complete', as it might be missing MAL ratings
+    // LAZY JIKAN + ANILIST ENRICHMENT (Side Effect)
+    // Trigger this even if entry is 'complete', as it might be missing MAL ratings.
+    // AniList runs after Jikan so it can use MAL IDs found by the reverse lookup.
     if (priority) {
       const metadataService = window.MetadataModules?.metadataService;
       if (metadataService?.triggerLazyJikan) {
-        metadataService.triggerLazyJikan(finalEntry, priority);
+        Promise.resolve(metadataService.triggerLazyJikan(finalEntry, priority))
+          .then((updated) =>
+            metadataService.triggerLazyAnilist?.(
+              updated || finalEntry,
+              priority,
+            ),
+          )
+          .catch(() => {});
       }
     }
 
@@ -1129,8 +1616,15 @@ class MetadataStorage {
       finalEntry,
       2,
       priority,
+      signal,
+      options,
     );
 
+    // Cancelled before any source answered: nothing new to save
+    if (signal?.aborted && enrichedData?.metaSource === finalEntry.metaSource) {
+      return finalEntry;
+    }
+
     if (enrichedData) {
       enrichedData = await this.saveTitle(enrichedData);
       console.log(
@@ -1152,14 +1646,37 @@ class MetadataStorage {
   // Main Processing Method (REFACTORED)
   // ========================================
 
-  async processAndSaveTitleElement(element, processor, priority = false) {
+  /**
+   * Extract a title from a DOM element and run the enrichment pipeline
+   * @param {HTMLElement} element - Catalog item
+   * @param {DOMTitleProcessor} processor - Extracts the title data
+   * @param {boolean} [priority=false] - Whether to prioritize API calls
+   * @param {Object} [options] - Passed to processAndSaveData
+   */
+  async processAndSaveTitleElement(
+    element,
+    processor,
+    priority = false,
+    options = {},
+  ) {
+    const signal = MetadataStorage.getRouteSignal(priority);
     await this.ensureDatabaseReady();
 
     try {
       const processedData = await this.extractFromDOM(element, processor);
       if (!processedData) return null;
 
-      return await this.processAndSaveData(processedData, priority);
+      const result = await this.processAndSaveData(
+        processedData,
+        priority,
+        signal,
+        options,
+      );
+
+      // Cancelled by navigation: let the next scan pick the element up again
+      if (signal?.aborted) delete element.dataset.metadataProcessed;
+
+      return result;
     } catch (error) {
       console.error(`[METADATA][Storage] processAndSaveTitleElement failed:`, {
         message: error?.message,
@@ -1176,8 +1693,16 @@ class MetadataStorage {
    * Takes standardized data object and runs the full enrichment pipeline
    * @param {Object} processedData - Standardized data object
    * @param {boolean} priority - Whether to prioritize API calls
+   * @param {AbortSignal|null} [signal] - Cancels the remaining steps (defaults to the route's signal for background work)
+   * @param {Object} [options]
+   * @param {boolean} [options.batch] - Let providers collect the lookup into a batch request (catalog scans)
    */
-  async processAndSaveData(processedData, priority = false) {
+  async processAndSaveData(
+    processedData,
+    priority = false,
+    signal = MetadataStorage.getRouteSignal(priority),
+    options = {},
+  ) {
     await this.ensureDatabaseReady();
 
     // SANITIZATION: Ensure all IDs are strings to prevent conversion errors
@@ -1195,7 +1720,19 @@ class MetadataStorage {
       let currentEntry = await this.findOrCreateEntry(processedData);
       if (!currentEntry) return null;
 
+      // Cache-only mode: serve what we have, replay enrichment when back online
+      const { extractedIds, extractedTitle, extractedType } = processedData;
+      if (
+        window.MetadataModules.connectivity?.deferIfOffline(
+          `process:${extractedType}:${extractedIds?.imdb || currentEntry.imdb || extractedTitle}`,
+          () => this.processAndSaveData(processedData, false),
+        )
+      ) {
+        return currentEntry;
+      }
+
       currentEntry = await this.enrichWithCrossReferenceIds(currentEntry);
+      if (signal?.aborted) return currentEntry;
 
       const finalEntry = await this.resolveImdbId(
         currentEntry,
@@ -1203,8 +1740,15 @@ class MetadataStorage {
         priority,
       );
       if (!finalEntry) return currentEntry;
+      if (signal?.aborted) return finalEntry;
 
-      return await this.enrichFromAPIs(finalEntry, processedData, priority);
+      return await this.enrichFromAPIs(
+        finalEntry,
+        processedData,
+        priority,
+        signal,
+        options,
+      );
     } catch (error) {
       console.error(
         `[METADATA][Storage] processAndSaveData failed for "${processedData?.extractedTitle}":`,
@@ -1228,16 +1772,129 @@ class MetadataStorage {
       return {
         totalTitles,
         needRefresh,
+        persistent: this.isPersistent,
       };
     } catch (error) {
       console.error(`[METADATA][Storage] Failed to get stats:`, error);
-      return { totalTitles: 0, needRefresh: 0 };
+      return { totalTitles: 0, needRefresh: 0, persistent: this.isPersistent };
+    }
+  }
+
+  // ========================================
+  // Cache Export / Import
+  // ========================================
+
+  /**
+   * Serializes all titles into a portable cache file payload.
+   * Local auto-increment ids are dropped; entries are matched by IMDb id on import.
+   * @returns {Promise<Object>} { format, version, exportedAt, count, titles }
+   */
+  async exportTitles() {
+    await this.ensureDatabaseReady();
+
+    const rows = await this.db.titles.toArray();
+    const titles = rows
+      .filter((row) => row.imdb)
+      .map(({ id, ...entry }) => entry);
+
+    return {
+      format: MetadataStorage.EXPORT_FORMAT,
+      version: MetadataStorage.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      count: titles.length,
+      titles,
+    };
+  }
+
+  /**
+   * Merges an exported cache file into the local database.
+   * Existing entries (same IMDb id) are merged with _mergeEntryData, newest data last.
+   * @param {Object} payload - Parsed export file
+   * @returns {Promise<{inserted: number, merged: number, skipped: number}>}
+   * @throws {Error} If the file is not a metadata cache or has a newer version
+   */
+  async importTitles(payload) {
+    await this.ensureDatabaseReady();
+
+    if (
+      payload?.format !== MetadataStorage.EXPORT_FORMAT ||
+      !Array.isArray(payload.titles)
+    ) {
+      throw new Error("Not a Stremio Kai metadata cache file");
     }
+    const version =
+      payload.version ?? (Number.isInteger(payload.schemaVersion) ? 1 : null);
+    if (
+      !Number.isInteger(version) ||
+      version > MetadataStorage.EXPORT_VERSION
+    ) {
+      throw new Error(
+        `Unsupported cache file version ${version} (supported: ${MetadataStorage.EXPORT_VERSION})`,
+      );
+    }
+
+    const counts = { inserted: 0, merged: 0, skipped: 0 };
+
+    for (const row of payload.titles) {
+      if (
+        !row ||
+        typeof row !== "object" ||
+        !this.IdUtils.isValidImdbId(row.imdb)
+      ) {
+        counts.skipped++;
+        continue;
+      }
+
+      const { id, ...incoming } = row;
+
+      try {
+        const existing = await this.db.titles
+          .where("imdb")
+          .equals(incoming.imdb)
+          .first();
+
+        if (!existing) {
+          await this.db.titles.put(incoming);
+          counts.inserted++;
+          continue;
+        }
+
+        // Apply whichever side is newer last so fresher fields win
+        const incomingIsNewer =
+          (incoming.lastUpdated || 0) > (existing.lastUpdated || 0);
+        const merged = incomingIsNewer
+          ? this._mergeEntryData(existing, incoming)
+          : this._mergeEntryData(incoming, existing);
+
+        merged.id = existing.id;
+        merged.lastUpdated = Math.max(
+          incoming.lastUpdated || 0,
+          existing.lastUpdated || 0,
+        );
+
+        await this.db.titles.put(merged);
+        counts.merged++;
+      } catch (error) {
+        if (error.name !== "ConstraintError") {
+          console.warn(
+            `[METADATA][Storage] Import failed for ${incoming.imdb}:`,
+            error,
+          );
+        }
+        counts.skipped++;
+      }
+    }
+
+    console.log(
+      `[METADATA][Storage] Cache import: ${counts.inserted} inserted, ${counts.merged} merged, ${counts.skipped} skipped`,
+    );
+    return counts;
   }
 
   async clear() {
     try {
       await this.db.titles.clear();
+      await this.db.episodes.clear();
       console.log("[METADATA][Storage] Database cleared");
     } catch (error) {
       console.error(`[METADATA][Storage] Failed to clear database:`, error);
@@ -1250,3 +1907,9 @@ window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.metadataStorage = {
   MetadataStorage,
 };
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).metadataStorage = [
+  MetadataStorage,
+  "window.MetadataModules.metadataStorage = { MetadataStorage };",
+].join("\n");
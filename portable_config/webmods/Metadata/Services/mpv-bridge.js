@@ -1,18 +1,32 @@
 /**
  * @name MPV Bridge
  * @description Bridges Stremio metadata to mpv for anime profile detection
- * @version 2.1.0
+ *   and reports what mpv actually did back to the web side
+ * @version 3.3.2
  * @author allecsc
  * @changelog
  *   v1.0.0 - Initial implementation of Stremio → mpv anime detection bridge
  *   v2.0.0 - Use shared AnimeDetection utility with T1-T3 detection tiers
  *   v2.1.0 - Added Smart Track Selector configuration bridging
  *   v2.1.1 - Added retry limits to initialization and dependency checks
+ *   v2.2.0 - Exposed config push for settings profiles (no player restart)
+ *   v3.0.0 - Two-way bridge: inbound events, typed event bus, request IDs,
+ *            swappable transport (mock transport for headless testing)
+ *   v3.1.0 - Pluggable transport contract, recording fake with decoded payloads,
+ *            pre-seeded transport via window.MpvBridgeTransport
+ *   v3.2.0 - Per-title overrides (entry.mpvOverrides) for shaders, SVP and color
+ *            profile; anime-only player routes resolved by MAL/AniList/Kitsu id
+ *   v3.3.0 - Track memory: list/edit/clear Smart Track Selector's per-title
+ *            audio/subtitle choices (track-memory script-message)
+ *   v3.3.1 - One event property per type, so back-to-back Lua events aren't coalesced
+ *   v3.3.2 - createMockTransport (v3.0 API) restored as a wrapper around the
+ *            recording fake, with `sent` holding the raw parsed shell messages
  *
  * @requires {window.RouteDetector} - For player page detection and IMDb ID extraction
  * @requires {window.metadataHelper} - For IndexedDB metadata queries
  * @requires {window.AnimeDetection} - For shared anime detection logic
  * @requires {window.chrome.webview} - For WebView2 → C++ → mpv communication
+ *   (default transport; any BridgeTransport can be swapped in, see setTransport)
  *
  * Communication Flow:
  *   1. Detects player route via RouteDetector
@@ -20,6 +34,22 @@
  *   3. Queries metadataHelper.getTitle() for database entry
  *   4. Uses AnimeDetection.detect() to determine if anime
  *   5. Sends script-message to profile-manager.lua via WebView bridge
+ *
+ * Inbound Flow (mpv → web):
+ *   1. Lua scripts write JSON events to `user-data/kai/bridge-event/<type>`, one
+ *      property per event type: mpv coalesces changes of a single property, so
+ *      events fired in the same tick (profile-applied + track-selected at file
+ *      load) would otherwise overwrite each other before the shell reports them
+ *   2. The bridge asks the shell to observe those properties (mpv-observe-prop)
+ *   3. The shell forwards changes as `mpv-prop-change` transport messages
+ *   4. Events are dispatched on the bus; a matching `request_id` resolves the
+ *      pending request that caused it
+ *
+ * @example
+ * MpvBridge.on("profile-applied", (e) => console.log(e.data.profile));
+ * const event = await MpvBridge.request(
+ *   "profile_manager", "anime-metadata", { imdb_id: "tt0388629" }, "profile-applied",
+ * );
  */
 
 (function () {
@@ -29,27 +59,436 @@
   if (window.MpvBridge?.initialized) return;
   window.MpvBridge = { initialized: true };
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONSTANTS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** mpv property prefix the Lua scripts write their events to (+ event type) */
+  const EVENT_PROPERTY_PREFIX = "user-data/kai/bridge-event/";
+
+  /** Inbound event types (anything else from mpv is ignored) */
+  const EVENT_TYPES = Object.freeze([
+    "profile-applied",
+    "track-selected",
+    "skip-executed",
+    "playback-error",
+    "track-memory",
+  ]);
+
+  const REQUEST_TIMEOUT = 10000;
+
+  /** Last track memory table reported by smart-track-selector */
+  const TRACK_MEMORY_CACHE_KEY = "kai-track-memory-cache";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TRANSPORT
+  // ─────────────────────────────────────────────────────────────────────────────
+
   /**
-   * Send command to mpv via WebView bridge
+   * Transport contract. The bridge never touches chrome.webview directly, so a
+   * headless harness can provide its own implementation, either by assigning
+   * `window.MpvBridgeTransport` before this script loads or via setTransport().
+   *
+   * @typedef {Object} BridgeTransport
+   * @property {function(string): void} send - Post a serialized shell message
+   * @property {function(function(*): void): function(): void} subscribe -
+   *   Register an inbound handler, returns an unsubscribe function
    */
-  function sendToMpv(command, args) {
+
+  function assertTransport(candidate) {
+    if (
+      typeof candidate?.send !== "function" ||
+      typeof candidate?.subscribe !== "function"
+    ) {
+      throw new TypeError(
+        "[MPV Bridge] Transport must implement send(message) and subscribe(handler)",
+      );
+    }
+    return candidate;
+  }
+
+  /**
+   * Default transport: WebView2 host (stremio-shell-ng)
+   * @type {BridgeTransport}
+   */
+  const webViewTransport = {
+    send(message) {
+      window.chrome?.webview?.postMessage(message);
+    },
+    subscribe(handler) {
+      const webview = window.chrome?.webview;
+      if (!webview?.addEventListener) return () => {};
+
+      const listener = (e) => handler(e.data);
+      webview.addEventListener("message", listener);
+      return () => webview.removeEventListener("message", listener);
+    },
+  };
+
+  /**
+   * Decode a serialized shell message into an assertion-friendly record
+   * @param {string} raw - JSON sent through the transport
+   * @returns {{raw: string, shellCommand: string, command: string|null, target: string|null, message: string|null, payload: *}}
+   */
+  function decodeShellMessage(raw) {
+    const [shellCommand, detail] = JSON.parse(raw).args || [];
+    const record = {
+      raw,
+      shellCommand,
+      command: null,
+      target: null,
+      message: null,
+      payload: null,
+    };
+
+    if (shellCommand !== "mpv-command" || !Array.isArray(detail)) {
+      record.payload = detail ?? null;
+      return record;
+    }
+
+    const [command, ...args] = detail;
+    record.command = command;
+    if (command === "script-message-to") {
+      [record.target, record.message] = args;
+    } else if (command === "script-message") {
+      [record.message] = args;
+    }
+
+    const json = args.at(-1);
+    try {
+      record.payload = JSON.parse(json);
+    } catch {
+      record.payload = json ?? null;
+    }
+    return record;
+  }
+
+  /**
+   * Recording fake for headless use (console, jsdom harness).
+   * Keeps every outbound message decoded, in order, and lets callers inject
+   * inbound messages or simulate Lua events.
+   * @returns {BridgeTransport & {
+   *   sent: Object[],
+   *   scriptMessages: function(string=): Object[],
+   *   clear: function(): void,
+   *   emit: function(*): void,
+   *   reply: function(string, Object=, string=): void
+   * }}
+   */
+  function createRecordingTransport() {
+    const handlers = new Set();
+    const sent = [];
+
+    return {
+      sent,
+      send(message) {
+        sent.push(decodeShellMessage(message));
+      },
+      subscribe(handler) {
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+      },
+      /** Recorded script messages, optionally filtered by message name */
+      scriptMessages(name) {
+        return sent.filter(
+          (record) => record.message && (!name || record.message === name),
+        );
+      },
+      clear() {
+        sent.length = 0;
+      },
+      /** Deliver a raw inbound message to the bridge */
+      emit(message) {
+        handlers.forEach((handler) => handler(message));
+      },
+      /**
+       * Simulate a Lua event. Echoes the request_id of the last script
+       * message unless one is given.
+       */
+      reply(event, data = {}, requestId) {
+        requestId ??= this.scriptMessages().at(-1)?.payload?.request_id ?? null;
+        this.emit({
+          type: 1,
+          object: "transport",
+          args: [
+            "mpv-prop-change",
+            {
+              name: EVENT_PROPERTY_PREFIX + event,
+              data: JSON.stringify({ event, request_id: requestId, data }),
+            },
+          ],
+        });
+      },
+    };
+  }
+
+  /**
+   * v3.0 mock transport, kept for existing harnesses. Same as the recording
+   * fake, except `sent` holds the raw parsed shell messages, not decoded records.
+   * @returns {ReturnType<typeof createRecordingTransport>}
+   */
+  function createMockTransport() {
+    const recording = createRecordingTransport();
+    const sent = [];
+
+    return {
+      ...recording,
+      sent,
+      send(message) {
+        sent.push(JSON.parse(message));
+        recording.send(message);
+      },
+      clear() {
+        sent.length = 0;
+        recording.clear();
+      },
+    };
+  }
+
+  let transport = window.MpvBridgeTransport
+    ? assertTransport(window.MpvBridgeTransport)
+    : webViewTransport;
+  let unsubscribeTransport = null;
+
+  /**
+   * Swap the transport (e.g. a recording fake) and re-attach the inbound listener
+   * @param {BridgeTransport} [nextTransport] - Omit to restore the WebView transport
+   */
+  function setTransport(nextTransport) {
+    const resolved = nextTransport
+      ? assertTransport(nextTransport)
+      : webViewTransport;
+    unsubscribeTransport?.();
+    transport = resolved;
+    unsubscribeTransport = transport.subscribe(handleInbound);
+    observeEvents();
+  }
+
+  function sendToShell(args) {
     const payload = {
       type: 6,
       object: "transport",
       method: "handleInboundJSON",
-      args: ["mpv-command", [command, ...args]],
+      args,
     };
-    window.chrome?.webview?.postMessage(JSON.stringify(payload));
+    transport.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Send command to mpv via WebView bridge
+   */
+  function sendToMpv(command, args) {
+    sendToShell(["mpv-command", [command, ...args]]);
+  }
+
+  /**
+   * Ask the shell to forward changes of each Lua event property
+   */
+  function observeEvents() {
+    EVENT_TYPES.forEach((type) =>
+      sendToShell(["mpv-observe-prop", EVENT_PROPERTY_PREFIX + type]),
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // EVENT BUS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map(EVENT_TYPES.map((type) => [type, new Set()]));
+
+  function assertEventType(type) {
+    if (!listeners.has(type)) {
+      throw new TypeError(
+        `[MPV Bridge] Unknown event "${type}" (expected: ${EVENT_TYPES.join(", ")})`,
+      );
+    }
+  }
+
+  /**
+   * Subscribe to an inbound mpv event
+   * @param {"profile-applied"|"track-selected"|"skip-executed"|"playback-error"|"track-memory"} type
+   * @param {function({type: string, requestId: string|null, data: Object, receivedAt: number}): void} handler
+   * @returns {function(): void} Unsubscribe function
+   */
+  function on(type, handler) {
+    assertEventType(type);
+    listeners.get(type).add(handler);
+    return () => off(type, handler);
+  }
+
+  function off(type, handler) {
+    assertEventType(type);
+    listeners.get(type).delete(handler);
+  }
+
+  /**
+   * Subscribe for a single occurrence
+   * @returns {function(): void} Unsubscribe function
+   */
+  function once(type, handler) {
+    const unsubscribe = on(type, (event) => {
+      unsubscribe();
+      handler(event);
+    });
+    return unsubscribe;
+  }
+
+  function emit(event) {
+    listeners.get(event.type).forEach((handler) => {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error(`[MPV Bridge] "${event.type}" handler failed:`, e);
+      }
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // REQUEST CORRELATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  let requestCounter = 0;
+
+  /** requestId -> { expect, resolve, reject, timer } */
+  const pendingRequests = new Map();
+
+  function nextRequestId() {
+    requestCounter = (requestCounter + 1) % Number.MAX_SAFE_INTEGER;
+    return `kai-${Date.now().toString(36)}-${requestCounter}`;
+  }
+
+  /**
+   * Send a JSON script-message and wait for the event it causes
+   * @param {string|null} target - Script name for script-message-to, null to broadcast
+   * @param {string} message - Script message name
+   * @param {Object} data - JSON payload (request_id is added)
+   * @param {string} expect - Event type that answers this request
+   * @param {number} [timeout=REQUEST_TIMEOUT] - Milliseconds before rejecting
+   * @returns {Promise<Object>} Resolves with the matching bus event
+   */
+  function request(target, message, data, expect, timeout = REQUEST_TIMEOUT) {
+    assertEventType(expect);
+    const requestId = nextRequestId();
+
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(requestId);
+        reject(
+          new Error(`[MPV Bridge] ${message} timed out waiting for ${expect}`),
+        );
+      }, timeout);
+      pendingRequests.set(requestId, { expect, resolve, reject, timer });
+    });
+
+    sendScriptMessage(target, message, { ...data, request_id: requestId });
+    return promise;
+  }
+
+  function sendScriptMessage(target, message, data) {
+    const json = JSON.stringify(data);
+    if (target) {
+      sendToMpv("script-message-to", [target, message, json]);
+    } else {
+      sendToMpv("script-message", [message, json]);
+    }
+  }
+
+  function settleRequest(event) {
+    const pending = event.requestId && pendingRequests.get(event.requestId);
+    if (!pending) return;
+
+    const failed = event.type === "playback-error";
+    if (event.type !== pending.expect && !failed) return;
+
+    pendingRequests.delete(event.requestId);
+    clearTimeout(pending.timer);
+
+    if (failed) {
+      pending.reject(new Error(event.data?.message || "Playback error"));
+    } else {
+      pending.resolve(event);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INBOUND
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function parseJson(value) {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a raw shell message into a bus event
+   * @returns {{type: string, requestId: string|null, data: Object}|null}
+   */
+  function toBridgeEvent(raw) {
+    const message = parseJson(raw);
+    const [name, payload] = message?.args || [];
+
+    // Lua scripts → user-data property → shell property change
+    if (
+      name === "mpv-prop-change" &&
+      payload?.name?.startsWith(EVENT_PROPERTY_PREFIX)
+    ) {
+      const envelope = parseJson(payload.data);
+      if (!envelope?.event) return null;
+      return {
+        type: envelope.event,
+        requestId: envelope.request_id || null,
+        data: envelope.data || {},
+      };
+    }
+
+    // Shell-level playback failure (file could not be opened, etc.)
+    if (name === "mpv-event-ended" && payload?.error) {
+      return {
+        type: "playback-error",
+        requestId: null,
+        data: { message: String(payload.error), source: "shell" },
+      };
+    }
+
+    return null;
+  }
+
+  function handleInbound(raw) {
+    const event = toBridgeEvent(raw);
+    if (!event) return;
+
+    if (!listeners.has(event.type)) {
+      console.warn(`[MPV Bridge] Ignoring unknown event "${event.type}"`);
+      return;
+    }
+
+    event.receivedAt = Date.now();
+    console.log(
+      `[MPV Bridge] Received: ${event.type}${event.requestId ? ` (${event.requestId})` : ""}`,
+      event.data,
+    );
+
+    settleRequest(event);
+    emit(event);
   }
 
   /**
    * Send anime metadata to profile-manager.lua
    * Reads cached isAnime from DB entry (computed during enrichment)
+   * Per-title overrides (entry.mpvOverrides) win over the global settings;
+   * their keys go out as title_overrides so the Lua side applies an explicit
+   * shader/SVP override even when the title isn't detected as anime
    */
   function sendAnimeMetadata(imdbId, entry, contentType) {
     // Read cached detection result from DB entry
     const isAnime = entry?.isAnime || false;
     const reason = entry?.animeReason || null;
+    const overrides = entry?.mpvOverrides || {};
 
     // Read preferences from mpv-settings.js
     const hdrPassthrough =
@@ -57,15 +496,18 @@
       localStorage.getItem("kai-hdr-passthrough") === "true";
 
     const shaderPreset =
+      overrides.shaderPreset ||
       window.MpvSettings?.getAnime4kPreset?.() ||
       localStorage.getItem("kai-anime4k-preset") ||
       "optimized";
 
     const svpEnabled =
+      overrides.svpEnabled ??
       window.MpvSettings?.getSvpEnabled?.() ??
       localStorage.getItem("kai-svp-enabled") !== "false"; // Default true
 
     const colorProfile =
+      overrides.colorProfile ||
       window.MpvSettings?.getColorProfile?.() ||
       localStorage.getItem("kai-color-profile") ||
       "kai"; // Default "kai"
@@ -83,10 +525,13 @@
       window.MpvSettings?.getUltrawideZoom?.() ||
       localStorage.getItem("kai-ultrawide-zoom") === "true"; // Default false
 
-    const metadata = JSON.stringify({
+    const requestId = nextRequestId();
+    const metadata = {
+      request_id: requestId,
       is_anime: isAnime,
       detection_reason: reason,
-      imdb_id: imdbId,
+      imdb_id: imdbId || entry?.imdb || null,
+      title_overrides: Object.keys(overrides),
       content_type: contentType || "unknown", // "movie" or "series"
       hdr_passthrough: hdrPassthrough,
       shader_preset: shaderPreset,
@@ -98,16 +543,13 @@
       osd_profile_messages: osdProfileMessages,
       vulkan_mode: vulkanMode,
       ultrawide_zoom: ultrawideZoom,
-    });
+    };
 
-    sendToMpv("script-message-to", [
-      "profile_manager",
-      "anime-metadata",
-      metadata,
-    ]);
+    sendScriptMessage("profile_manager", "anime-metadata", metadata);
     console.log(
       `[MPV Bridge] Sent: ${imdbId} → anime:${isAnime}, type:${contentType}, HDR:${hdrPassthrough}, peak:${targetPeak}, shaders:${shaderPreset}, SVP:${svpEnabled}, Color:${colorProfile}, ICC:${iccProfile}, OSD:${osdProfileMessages}, Vulkan:${vulkanMode}, Ultrawide:${ultrawideZoom}`,
     );
+    return requestId;
   }
 
   /**
@@ -159,7 +601,9 @@
       .join(",");
     const subKeywords = localProfile.subtitlePriorityKeywords?.join(",") || "";
 
-    const payload = JSON.stringify({
+    const requestId = nextRequestId();
+    const payload = {
+      request_id: requestId,
       sub_preferred_langs: subLangs,
       audio_preferred_langs: audioLangs,
       sub_priority_keywords: subKeywords, // From Stremio Native
@@ -180,10 +624,11 @@
         : null,
       remember_track_selection: localProfile.rememberTrackSelection ?? false,
       subtitle_selection_mode: localProfile.subtitleSelectionMode || "default",
-    });
+    };
 
-    sendToMpv("script-message", ["track-selector-config", payload]);
+    sendScriptMessage(null, "track-selector-config", payload);
     console.log("[MPV Bridge] Sent track selector config");
+    return requestId;
   }
 
   function sendNotifySkipConfig() {
@@ -208,7 +653,7 @@
     window.RouteDetector.invalidateCache();
     const state = window.RouteDetector.getRouteState();
 
-    if (state.view !== "PLAYER" || !state.id) return;
+    if (state.view !== "PLAYER" || (!state.id && !state.animeIds)) return;
 
     // Send content type to notify_skip immediately (no async dependency)
     sendContentMetadata(state);
@@ -218,13 +663,39 @@
     sendNotifySkipConfig();
 
     // Wait for metadataHelper for anime detection
-    waitForMetadata(state.id, state.type);
+    waitForMetadata(state);
+  }
+
+  /**
+   * Re-send every config to the running player (no-op outside the player)
+   * @returns {boolean} True if configs were pushed
+   */
+  function pushPlayerConfig() {
+    if (!window.RouteDetector) return false;
+
+    const state = window.RouteDetector.getRouteState();
+    if (state.view !== "PLAYER") return false;
+
+    sendTrackSelectorConfig();
+    sendNotifySkipConfig();
+    // Re-send anime/profile metadata (HDR, Ultrawide, etc.)
+    waitForMetadata(state);
+    return true;
   }
 
-  function waitForMetadata(imdbId, contentType, retryCount = 0) {
-    if (window.metadataHelper?.getTitle) {
-      window.metadataHelper
-        .getTitle(imdbId)
+  /**
+   * Look up the DB entry for the player route, then send anime metadata
+   * @param {Object} state - RouteDetector player state (id, type, animeIds)
+   */
+  function waitForMetadata(state, retryCount = 0) {
+    const { id: imdbId, type: contentType } = state;
+    const helper = window.metadataHelper;
+
+    if (helper?.getTitle) {
+      const lookup = helper.findTitleForPlayback
+        ? helper.findTitleForPlayback(state)
+        : helper.getTitle(imdbId);
+      lookup
         .then((entry) => sendAnimeMetadata(imdbId, entry, contentType))
         .catch(() => sendAnimeMetadata(imdbId, null, contentType));
       return;
@@ -237,9 +708,79 @@
       return;
     }
 
-    setTimeout(() => waitForMetadata(imdbId, contentType, retryCount + 1), 200);
+    setTimeout(() => waitForMetadata(state, retryCount + 1), 200);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TRACK MEMORY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @typedef {Object} TrackMemoryEntry
+   * @property {{lang: string, is_forced: boolean}} [audio]
+   * @property {{lang: string, is_forced: boolean}} [sub] - lang "none" = subtitles off
+   * @property {number} [timestamp] - Unix seconds of the last save
+   */
+
+  /**
+   * Lua encodes an empty table as [], normalize to a plain object
+   * @returns {Object<string, TrackMemoryEntry>}
+   */
+  function normalizeTrackMemory(entries) {
+    if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+      return {};
+    }
+    return entries;
+  }
+
+  function getCachedTrackMemory() {
+    try {
+      return normalizeTrackMemory(
+        JSON.parse(localStorage.getItem(TRACK_MEMORY_CACHE_KEY)),
+      );
+    } catch {
+      return {};
+    }
+  }
+
+  function cacheTrackMemory(event) {
+    const entries = normalizeTrackMemory(event.data?.entries);
+    localStorage.setItem(TRACK_MEMORY_CACHE_KEY, JSON.stringify(entries));
+    return entries;
+  }
+
+  /**
+   * Send a track-memory action to smart-track-selector.lua
+   * @param {Object} data - { action, title_id?, audio_lang?, sub_lang?, sub_forced? }
+   * @returns {Promise<Object<string, TrackMemoryEntry>>} Updated memory table
+   */
+  function trackMemoryRequest(data) {
+    return request(null, "track-memory", data, "track-memory").then(
+      cacheTrackMemory,
+    );
   }
 
+  const trackMemory = {
+    list: () => trackMemoryRequest({ action: "list" }),
+    /**
+     * @param {string} titleId - Title id as sent in track-selector-config
+     * @param {{audioLang?: string, subLang?: string, subForced?: boolean}} prefs
+     *   Empty language forgets that side, subLang "none" keeps subtitles off
+     */
+    set: (titleId, { audioLang = "", subLang = "", subForced = false } = {}) =>
+      trackMemoryRequest({
+        action: "set",
+        title_id: titleId,
+        audio_lang: audioLang.trim(),
+        sub_lang: subLang.trim(),
+        sub_forced: subForced,
+      }),
+    remove: (titleId) =>
+      trackMemoryRequest({ action: "delete", title_id: titleId }),
+    clear: () => trackMemoryRequest({ action: "clear" }),
+    getCached: getCachedTrackMemory,
+  };
+
   let initRetryCount = 0;
   const MAX_RETRIES = 50; // 5 seconds max
 
@@ -260,14 +801,15 @@
 
     window.addEventListener("hashchange", onRouteChange);
 
+    // Inbound channel (mpv → web)
+    setTransport(transport);
+
+    // Keep the settings cache current when the player saves a new choice
+    on("track-memory", cacheTrackMemory);
+
     const handleSettingsChange = () => {
-      const state = window.RouteDetector.getRouteState();
-      if (state.view === "PLAYER") {
-        console.log("[MPV Bridge] Settings changed, updating all configs...");
-        sendTrackSelectorConfig();
-        sendNotifySkipConfig();
-        // Re-send anime/profile metadata (HDR, Ultrawide, etc.)
-        waitForMetadata(state.id, state.type);
+      if (pushPlayerConfig()) {
+        console.log("[MPV Bridge] Settings changed, updated all configs");
       }
     };
 
@@ -291,5 +833,23 @@
     );
   }
 
+  // Public surface for settings modules (profiles, backup)
+  window.MpvBridge.sendTrackSelectorConfig = sendTrackSelectorConfig;
+  window.MpvBridge.sendNotifySkipConfig = sendNotifySkipConfig;
+  window.MpvBridge.pushPlayerConfig = pushPlayerConfig;
+
+  // Two-way channel
+  window.MpvBridge.EVENT_TYPES = EVENT_TYPES;
+  window.MpvBridge.on = on;
+  window.MpvBridge.off = off;
+  window.MpvBridge.once = once;
+  window.MpvBridge.request = request;
+  window.MpvBridge.setTransport = setTransport;
+  window.MpvBridge.getTransport = () => transport;
+  window.MpvBridge.createRecordingTransport = createRecordingTransport;
+  window.MpvBridge.createMockTransport = createMockTransport;
+  window.MpvBridge.decodeShellMessage = decodeShellMessage;
+  window.MpvBridge.trackMemory = trackMemory;
+
   init();
 })();
@@ -0,0 +1,618 @@
+/**
+ * Provider Registry Module
+ *
+ * Single list of metadata providers and the fields each one can supply.
+ * Private fetchers declare themselves with a `provider` descriptor on their
+ * public API; public sources (Cinemeta, IMDb, Jikan) are built in so their
+ * data can be ranked against private data.
+ *
+ * Fields are grouped (titles, overview, artwork, ratings, cast, runtime) and
+ * each group has a user-configurable source priority stored in the
+ * `sourcePriority` preference. Providers missing from a saved order fall
+ * back to the default order, then registration order.
+ *
+ * Descriptor shape:
+ *   {
+ *     id: "tmdb",                  // Matches the source name stored on entries
+ *     label: "TMDB",
+ *     fields: ["title", "plot"],   // Entry fields this provider can supply
+ *     types: ["movie", "series"],  // Content types it supports
+ *     timeout: 8000,               // Per-request timeout (ms)
+ *     batchTimeout: 15000,         // Optional: timeout for lookups that may wait for a batch
+ *     keyProvider: "TMDB",         // apiKeys provider name (status display)
+ *     fallbackFor: "mdblist",      // Only queried while that provider is unavailable
+ *     toFields: (data, type) => {} // Optional: map a fetch result to entry fields
+ *   }
+ *
+ * @module provider-registry
+ * @version 1.0.0
+ */
+
+(function providerRegistryModule() {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.providerRegistry?.initialized) {
+    console.log("[Provider Registry] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONFIGURATION
+  // ─────────────────────────────────────────────────────────────────────────────
+  const PRIORITY_PREF_KEY = "sourcePriority";
+  const DEFAULT_TIMEOUT = 5000;
+
+  /** Field groups users can rank sources for */
+  const FIELD_GROUPS = Object.freeze({
+    titles: {
+      label: "Titles",
+      fields: ["title", "originalTitle", "englishTitle"],
+    },
+    overview: { label: "Overview", fields: ["plot", "tagline"] },
+    translations: {
+      label: "Translations",
+      fields: ["localized", "originalLanguage"],
+    },
+    artwork: {
+      label: "Artwork",
+      fields: ["poster", "background", "logo", "trailer"],
+    },
+    ratings: { label: "Ratings", fields: ["ratings"] },
+    cast: { label: "Cast & Crew", fields: ["stars", "directors"] },
+    runtime: { label: "Runtime", fields: ["runtime"] },
+  });
+
+  /** Default order per group (matches the pre-registry hand-written merge) */
+  const DEFAULT_PRIORITY = Object.freeze({
+    titles: ["tmdb", "mdblist", "cinemeta", "imdb"],
+    overview: ["tmdb", "mdblist", "cinemeta", "imdb"],
+    translations: ["tmdb"],
+    artwork: ["tmdb", "mdblist", "cinemeta"],
+    ratings: ["mdblist", "omdb", "imdb", "cinemeta", "jikan"],
+    cast: ["cinemeta", "imdb"],
+    runtime: ["jikan", "cinemeta", "imdb"],
+  });
+
+  /** Public sources, fetched by MetadataFetcher rather than through the registry */
+  const PUBLIC_PROVIDERS = [
+    {
+      id: "cinemeta",
+      label: "Cinemeta",
+      fields: [
+        "title",
+        "plot",
+        "poster",
+        "background",
+        "logo",
+        "stars",
+        "directors",
+        "runtime",
+        "ratings",
+      ],
+    },
+    {
+      id: "imdb",
+      label: "IMDb",
+      fields: ["title", "plot", "stars", "directors", "runtime", "ratings"],
+    },
+    {
+      id: "jikan",
+      label: "MyAnimeList",
+      fields: ["runtime", "ratings"],
+    },
+  ];
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function getPreferences() {
+    return window.MetadataModules?.preferences;
+  }
+
+  function isEmpty(value) {
+    if (value == null || value === "") return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === "object") return Object.keys(value).length === 0;
+    return false;
+  }
+
+  /** Field name -> group id */
+  const GROUP_BY_FIELD = Object.entries(FIELD_GROUPS).reduce(
+    (map, [group, { fields }]) => {
+      fields.forEach((field) => (map[field] = group));
+      return map;
+    },
+    {},
+  );
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PROVIDER REGISTRY CLASS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class ProviderRegistry {
+    constructor() {
+      // Providers registered explicitly (outside window.MetadataModules)
+      this.registered = new Map();
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // REGISTRATION
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Register a private provider that is not exposed as a MetadataModules entry
+     * @param {Object} descriptor - Provider descriptor with fetch() and isAvailable()
+     */
+    register(descriptor) {
+      if (!descriptor?.id || typeof descriptor.fetch !== "function") {
+        console.warn("[Provider Registry] Invalid provider descriptor.");
+        return;
+      }
+      this.registered.set(descriptor.id, this.normalize(descriptor));
+    }
+
+    /**
+     * @private
+     */
+    normalize(descriptor, module = null) {
+      return {
+        types: ["movie", "series"],
+        timeout: DEFAULT_TIMEOUT,
+        ...descriptor,
+        fetch:
+          descriptor.fetch ||
+          ((imdbId, type, priority, options) =>
+            module.fetchByImdbId(imdbId, type, priority, options)),
+        isAvailable:
+          descriptor.isAvailable || (() => module?.isAvailable() ?? false),
+      };
+    }
+
+    /**
+     * Private providers in registration order
+     * Fetcher modules are discovered by their `provider` descriptor, so a new
+     * fetcher only has to declare one to take part in merges.
+     * @returns {Object[]}
+     */
+    getProviders() {
+      const providers = new Map();
+
+      for (const module of Object.values(window.MetadataModules || {})) {
+        const descriptor = module?.provider;
+        if (descriptor?.id && !providers.has(descriptor.id)) {
+          providers.set(descriptor.id, this.normalize(descriptor, module));
+        }
+      }
+      for (const [id, provider] of this.registered) {
+        if (!providers.has(id)) providers.set(id, provider);
+      }
+
+      return [...providers.values()].sort(
+        (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity),
+      );
+    }
+
+    getProvider(id) {
+      return (
+        this.getProviders().find((p) => p.id === id) ||
+        PUBLIC_PROVIDERS.find((p) => p.id === id) ||
+        null
+      );
+    }
+
+    /**
+     * Private providers that should be queried for this content type
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Object[]}
+     */
+    getActiveProviders(type) {
+      const providers = this.getProviders();
+      const isAvailable = (id) =>
+        providers.find((p) => p.id === id)?.isAvailable() ?? false;
+
+      return providers.filter(
+        (p) =>
+          (!type || p.types.includes(type)) &&
+          p.isAvailable() &&
+          !(p.fallbackFor && isAvailable(p.fallbackFor)),
+      );
+    }
+
+    hasAvailableProvider() {
+      return this.getProviders().some((p) => p.isAvailable());
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // PRIORITY
+    // ───────────────────────────────────────────────────────────────────────────
+
+    getGroup(field) {
+      return GROUP_BY_FIELD[field] || null;
+    }
+
+    /**
+     * Providers (public and private) that can supply a field group
+     * @param {string} group - Field group id
+     * @returns {Object[]}
+     */
+    getGroupProviders(group) {
+      const fields = FIELD_GROUPS[group]?.fields || [];
+      return [...PUBLIC_PROVIDERS, ...this.getProviders()].filter((p) =>
+        p.fields?.some((field) => fields.includes(field)),
+      );
+    }
+
+    /**
+     * Effective source order for a group: saved order, then defaults, then
+     * any other provider that supplies the group
+     * @param {string} group - Field group id
+     * @returns {string[]} Provider ids, highest priority first
+     */
+    getPriority(group) {
+      const saved = getPreferences()?.get(PRIORITY_PREF_KEY)?.[group];
+      const supplied = this.getGroupProviders(group).map((p) => p.id);
+      const order = [
+        ...(Array.isArray(saved) ? saved : []),
+        ...(DEFAULT_PRIORITY[group] || []),
+        ...supplied,
+      ];
+      return [...new Set(order)].filter((id) => supplied.includes(id));
+    }
+
+    /**
+     * Save a full source order for a group
+     * @param {string} group - Field group id
+     * @param {string[]} order - Provider ids, highest priority first
+     */
+    setPriority(group, order) {
+      const preferences = getPreferences();
+      if (!preferences || !FIELD_GROUPS[group]) return;
+      preferences.setSubField(PRIORITY_PREF_KEY, group, [...order]);
+    }
+
+    /**
+     * Move a provider to the top of a group, keeping the rest in order
+     */
+    setPreferred(group, providerId) {
+      const order = this.getPriority(group).filter((id) => id !== providerId);
+      this.setPriority(group, [providerId, ...order]);
+    }
+
+    resetPriority() {
+      getPreferences()?.set(PRIORITY_PREF_KEY, {});
+    }
+
+    /**
+     * Position of a provider in a group (lower wins, unknown sources last)
+     * @param {string} group - Field group id
+     * @param {string} providerId
+     * @param {string[]} [order] - getPriority(group), when ranking several providers
+     */
+    rank(group, providerId, order = this.getPriority(group)) {
+      const index = order.indexOf(providerId);
+      return index === -1 ? Infinity : index;
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // MERGING
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Map a provider's fetch result to entry fields
+     * @private
+     */
+    toFields(provider, data, type) {
+      if (typeof provider.toFields === "function") {
+        return provider.toFields(data, type) || {};
+      }
+      const fields = {};
+      for (const field of provider.fields || []) {
+        if (!isEmpty(data[field])) fields[field] = data[field];
+      }
+      return fields;
+    }
+
+    /**
+     * Merge private provider results by field-group priority
+     * Only fields with actual values are included, so callers never overwrite
+     * existing data with nulls. Ratings are layered per rating site, with the
+     * higher-priority provider winning when two report the same site.
+     *
+     * @param {Object} results - Fetch results keyed by provider id
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Object} Merged metadata with `fieldSources` ({field: providerId},
+     *   rating sites as "ratings.<site>")
+     */
+    mergeResults(results, type) {
+      // NOTE: We don't include imdbId here - callers add the correct 'imdb' field
+      const result = { type };
+
+      const providers = this.getProviders().filter((p) => results[p.id]);
+      if (!providers.length) return result;
+
+      // Track which private source contributed first
+      result.metaSourcePrivate = providers[0].id;
+
+      const supplied = new Map(
+        providers.map((p) => [p.id, this.toFields(p, results[p.id], type)]),
+      );
+      const fieldNames = new Set(
+        [...supplied.values()].flatMap((fields) => Object.keys(fields)),
+      );
+
+      const fieldSources = {};
+      // Priority lookups read preferences, so resolve each group once
+      const orders = new Map();
+
+      for (const field of fieldNames) {
+        const group = this.getGroup(field);
+        if (group && !orders.has(group)) {
+          orders.set(group, this.getPriority(group));
+        }
+        const order = orders.get(group);
+        const ordered = group
+          ? [...providers].sort(
+              (a, b) =>
+                this.rank(group, a.id, order) - this.rank(group, b.id, order),
+            )
+          : providers;
+        const candidates = ordered.filter(
+          (p) => !isEmpty(supplied.get(p.id)[field]),
+        );
+        if (!candidates.length) continue;
+
+        if (field === "ratings") {
+          // First candidate reporting a site wins that site
+          result.ratings = {};
+          for (const p of candidates) {
+            for (const [site, rating] of Object.entries(
+              supplied.get(p.id).ratings,
+            )) {
+              if (site in result.ratings) continue;
+              result.ratings[site] = rating;
+              fieldSources[`ratings.${site}`] = p.id;
+            }
+          }
+        } else {
+          result[field] = supplied.get(candidates[0].id)[field];
+          fieldSources[field] = candidates[0].id;
+        }
+      }
+
+      if (Object.keys(fieldSources).length > 0) {
+        result.fieldSources = fieldSources;
+      }
+      return result;
+    }
+
+    /**
+     * Source name for an entry's metaSource marker
+     */
+    sourceForMetaSource(metaSource) {
+      if (metaSource === "imdbapi") return "imdb";
+      if (metaSource === "complete" || !metaSource) return "cinemeta";
+      return metaSource;
+    }
+
+    /**
+     * Provenance keys of an entry that belong to a group
+     * ("ratings.<site>" keys count towards the ratings group)
+     */
+    getProvenanceKeys(entry, group) {
+      const fields = FIELD_GROUPS[group]?.fields || [];
+      return Object.keys(entry?.provenance || {}).filter(
+        (key) => fields.includes(key) || fields.includes(key.split(".")[0]),
+      );
+    }
+
+    /**
+     * Source that supplied a group on an entry
+     * Checks in-flight fieldSources, then stored provenance; entries stored
+     * before source tracking are attributed to their public source.
+     */
+    getFieldSource(entry, group) {
+      const fields = FIELD_GROUPS[group]?.fields || [];
+
+      for (const field of fields) {
+        if (entry?.fieldSources?.[field]) return entry.fieldSources[field];
+      }
+      for (const field of fields) {
+        if (entry?.provenance?.[field]) return entry.provenance[field].source;
+      }
+      const [ratingKey] = this.getProvenanceKeys(entry, group);
+      if (ratingKey) return entry.provenance[ratingKey].source;
+
+      if (!fields.some((field) => !isEmpty(entry?.[field]))) return null;
+      return this.sourceForMetaSource(entry.metaSource);
+    }
+
+    /**
+     * Drop incoming field groups that a higher-priority source already
+     * supplied on the existing entry
+     * Ratings are never dropped: storage merges them per rating site.
+     *
+     * @param {Object} existing - Current entry data
+     * @param {Object} incoming - New data (with fieldSources, or from one provider)
+     * @param {string} [providerId] - Source of incoming fields without fieldSources
+     * @returns {Object} Filtered copy of incoming with merged fieldSources
+     */
+    resolveAgainst(existing, incoming, providerId = null) {
+      if (!incoming) return incoming;
+
+      const resolved = { ...incoming };
+      const incomingSources = { ...incoming.fieldSources };
+
+      if (providerId) {
+        for (const key of Object.keys(incoming)) {
+          if (key === "ratings") {
+            for (const site of Object.keys(incoming.ratings || {})) {
+              incomingSources[`ratings.${site}`] ||= providerId;
+            }
+          } else if (key !== "fieldSources" && !isEmpty(incoming[key])) {
+            incomingSources[key] ||= providerId;
+          }
+        }
+      }
+
+      for (const [group, { fields }] of Object.entries(FIELD_GROUPS)) {
+        if (group === "ratings") continue;
+
+        const present = fields.filter((field) => !isEmpty(incoming[field]));
+        if (!present.length) continue;
+
+        const source = incomingSources[present[0]];
+        if (!source) continue;
+
+        const current = this.getFieldSource(existing, group);
+        if (!current || current === source) continue;
+
+        const order = this.getPriority(group);
+        if (
+          this.rank(group, current, order) < this.rank(group, source, order)
+        ) {
+          fields.forEach((field) => {
+            delete resolved[field];
+            delete incomingSources[field];
+          });
+        }
+      }
+
+      const fieldSources = { ...existing?.fieldSources, ...incomingSources };
+      if (Object.keys(fieldSources).length > 0) {
+        resolved.fieldSources = fieldSources;
+      } else {
+        delete resolved.fieldSources;
+      }
+      return resolved;
+    }
+
+    /**
+     * Record a provider as the source of the fields it just wrote to target
+     * For merges with their own fixed rules (Cinemeta/IMDb public merge).
+     */
+    stampSources(target, providerId, data) {
+      if (!target || !data) return;
+
+      for (const [field, value] of Object.entries(data)) {
+        if (isEmpty(value) || target[field] !== value) continue;
+        target.fieldSources = { ...target.fieldSources, [field]: providerId };
+      }
+    }
+
+    // ───────────────────────────────────────────────────────────────────────────
+    // REFRESH
+    // ───────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Keep only the fields of the given groups (and their sources)
+     * @param {Object} data - Merged or single-provider data
+     * @param {string[]} groups - Field group ids
+     * @returns {Object}
+     */
+    pickGroups(data, groups) {
+      const picked = {};
+      const fieldSources = {};
+
+      for (const group of groups) {
+        for (const field of FIELD_GROUPS[group]?.fields || []) {
+          if (isEmpty(data?.[field])) continue;
+          picked[field] = data[field];
+          for (const [key, source] of Object.entries(data.fieldSources || {})) {
+            if (key === field || key.startsWith(`${field}.`)) {
+              fieldSources[key] = source;
+            }
+          }
+        }
+      }
+
+      if (Object.keys(fieldSources).length > 0) {
+        picked.fieldSources = fieldSources;
+      }
+      return picked;
+    }
+
+    /**
+     * Decide where each stale group should be re-fetched from
+     * Private providers are used when one is active for the group; otherwise
+     * the group goes back to its public source (Cinemeta or IMDb). Groups
+     * owned by Jikan/AniList refresh through their own lazy enrichment.
+     *
+     * @param {Object} entry - Stored entry
+     * @param {string[]} groups - Stale field group ids
+     * @returns {{private: string[], cinemeta: string[], imdb: string[]}}
+     */
+    planRefresh(entry, groups) {
+      const plan = { private: [], cinemeta: [], imdb: [] };
+      const active = this.getActiveProviders(entry?.type);
+
+      for (const group of groups) {
+        const fields = FIELD_GROUPS[group]?.fields || [];
+        const privateSupplier = active.some((p) =>
+          p.fields?.some((field) => fields.includes(field)),
+        );
+        const current = this.getFieldSource(entry, group);
+
+        if (privateSupplier) {
+          plan.private.push(group);
+        } else if (current === "imdb" || group === "ratings") {
+          plan.imdb.push(group);
+        } else if (current === "cinemeta") {
+          plan.cinemeta.push(group);
+        }
+      }
+      return plan;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  const instance = new ProviderRegistry();
+
+  window.MetadataModules.providerRegistry = {
+    initialized: true,
+    instance,
+    FIELD_GROUPS,
+    DEFAULT_PRIORITY,
+
+    // Providers
+    register: (descriptor) => instance.register(descriptor),
+    getProviders: () => instance.getProviders(),
+    getProvider: (id) => instance.getProvider(id),
+    getActiveProviders: (type) => instance.getActiveProviders(type),
+    getGroupProviders: (group) => instance.getGroupProviders(group),
+    hasAvailableProvider: () => instance.hasAvailableProvider(),
+
+    // Priority
+    getGroup: (field) => instance.getGroup(field),
+    getPriority: (group) => instance.getPriority(group),
+    setPriority: (group, order) => instance.setPriority(group, order),
+    setPreferred: (group, id) => instance.setPreferred(group, id),
+    resetPriority: () => instance.resetPriority(),
+
+    // Merging
+    mergeResults: (...args) => instance.mergeResults(...args),
+    resolveAgainst: (...args) => instance.resolveAgainst(...args),
+    stampSources: (...args) => instance.stampSources(...args),
+    getFieldSource: (...args) => instance.getFieldSource(...args),
+    sourceForMetaSource: (metaSource) =>
+      instance.sourceForMetaSource(metaSource),
+
+    // Refresh
+    getProvenanceKeys: (...args) => instance.getProvenanceKeys(...args),
+    pickGroups: (...args) => instance.pickGroups(...args),
+    planRefresh: (...args) => instance.planRefresh(...args),
+  };
+
+  console.log("[Provider Registry] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).providerRegistry =
+    `(${providerRegistryModule})();`;
+})();
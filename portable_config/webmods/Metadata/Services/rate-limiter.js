@@ -1,65 +1,76 @@
 /**
  * @name Metadata Helper - Rate Limiter Module
- * @description Queue-based API rate limiting service for IMDb, Haglund, Cinemeta, and IMDb Scraper APIs.
- * Uses configuration-driven approach to eliminate code duplication.
- * 
+ * @description Queue-based API rate limiting service for IMDb, Haglund, Cinemeta, IMDb Scraper, Jikan, AniList, TMDB and MDBList APIs.
+ * Each API is a token bucket configured in METADATA_CONFIG.rateLimits.apis; a queue only
+ * schedules a timer while it has work waiting.
+ * Rate limit headers (Retry-After, X-RateLimit-*) pause a queue until the provider's reset,
+ * and 429s without headers back off exponentially per API.
+ * Daily / monthly quotas are persisted in localStorage so restarts don't reset them; the
+ * last `reservedForPriority` share of a quota is kept for user-initiated (priority) requests.
+ * Queues pause while the connectivity monitor reports offline (cache-only mode).
+ * Background (non-priority) requests are scoped to the current route: navigating away
+ * drops them from the queue and aborts the ones in flight.
+ *
  * @example
  * const limiter = new GlobalRateLimiter();
  * const data = await limiter.makeImdbRequest('https://api.imdbapi.dev/title/tt1234567');
  * const searchData = await limiter.makeImdbScraperRequest('https://imdb.iamidiotareyoutoo.com/search?q=Matrix');
+ * const result = await limiter.fetch('tmdb', 'https://api.themoviedb.org/3/movie/603?api_key=...');
  */
 
 class GlobalRateLimiter {
+    // localStorage key for quota counters ({api: {daily: {limit, count, resetAt}, monthly: {...}}})
+    static QUOTA_STORAGE_KEY = 'kai-rate-limit-quotas';
+
+    static QUOTA_PERIODS = ['daily', 'monthly'];
+
+    // Counter writes are batched: at most one localStorage write per delay
+    static QUOTA_SAVE_DELAY = 2000;
+
     /**
      * Creates a new GlobalRateLimiter instance
-     * Initializes API configurations and starts queue processors
+     * Builds one token bucket per API from METADATA_CONFIG.rateLimits
      */
     constructor() {
-        // API configurations - single source of truth
-        this.apis = {
-            imdb: {
-                queue: [],
-                processing: false,
-                lastRequest: 0,
-                interval: 200,          // 5 req/sec
-                useTimestamp: true      // Dual-layer protection
-            },
-            haglund: {
-                queue: [],
-                processing: false,
-                interval: 500           // 2 req/sec
-            },
-            cinemeta: {
-                queue: [],
-                processing: false,
-                interval: 50            // 20 req/sec
-            },
-            imdbScraper: {
-                queue: [],
-                processing: false,
-                lastRequest: 0,
-                interval: 100,          // 10 req/sec
-                useTimestamp: true,
-                dailyLimit: 500,
-                dailyCount: 0,
-                dailyResetTime: this.getNextMidnight()
-            },
-            jikan: {
+        const { apis } = this.settings;
+
+        // API state - configuration is the single source of truth
+        this.apis = {};
+        Object.entries(apis).forEach(([apiName, config]) => {
+            this.apis[apiName] = {
+                ...config,
                 queue: [],
-                processing: false,
-                lastRequest: 0,
-                interval: 1000,          // 1 req/sec
-                useTimestamp: true
-            }
-        };
+                active: 0,
+                tokens: config.burst,
+                lastRefill: Date.now(),
+                timer: null,
+                pausedUntil: 0,
+                backoffLevel: 0,
+                quota: {}
+            };
+        });
+        this.quotaSaveTimer = null;
+        this.loadQuotas();
 
-        // Start queue processors for each API
-        Object.keys(this.apis).forEach(apiName => {
-            const config = this.apis[apiName];
-            setInterval(() => this.processQueue(apiName), config.interval);
+        // Write counters still waiting on the save delay before the window goes away
+        window.addEventListener('pagehide', () => this.flushQuotas());
+
+        // Queues paused while offline resume when connectivity returns
+        window.addEventListener('kai-connectivity-changed', (event) => {
+            if (event.detail?.online) {
+                Object.keys(this.apis).forEach(apiName => this.pump(apiName));
+            }
         });
     }
 
+    /**
+     * Rate limit settings from the metadata config
+     * @private
+     */
+    get settings() {
+        return window.MetadataModules.config.METADATA_CONFIG.rateLimits;
+    }
+
     // ==========================================
     // PUBLIC API METHODS (backwards compatible)
     // ==========================================
@@ -113,7 +124,7 @@ class GlobalRateLimiter {
     }
 
     /**
-     * Enqueues a Jikan API request with rate limiting (2 requests/second)
+     * Enqueues a Jikan API request with rate limiting (1 request/second)
      * @param {string} url - Full API URL to request
      * @param {RequestInit} [options={}] - Fetch options
      * @param {boolean} [priority=false] - Priority flag
@@ -123,171 +134,614 @@ class GlobalRateLimiter {
         return this.makeRequest('jikan', url, options, priority);
     }
 
+    /**
+     * Enqueues an AniList GraphQL request with rate limiting (1 request/2 seconds)
+     * @param {string} url - GraphQL endpoint URL
+     * @param {RequestInit} [options={}] - Fetch options (POST body with query and variables)
+     * @param {boolean} [priority=false] - Priority flag
+     * @returns {Promise<any>} Resolves with parsed JSON response
+     */
+    async makeAnilistRequest(url, options = {}, priority = false) {
+        return this.makeRequest('anilist', url, options, priority);
+    }
+
+    /**
+     * Enqueues a fetch-utils request (used by fetchUtils.makeRequest's `queue` option).
+     * Never rejects: failures resolve to a fetch-utils result with ok: false.
+     * @param {string} apiName - Queue name (e.g. 'tmdb', 'mdblist')
+     * @param {string} url - Full API URL to request
+     * @param {Object} [options={}] - fetchUtils.makeRequest options (options.signal overrides the route signal)
+     * @param {boolean} [priority=false] - Priority flag
+     * @returns {Promise<{ ok: boolean, status: number, data?: any, error?: string, offline?: boolean, aborted?: boolean, rateLimit?: Object }>}
+     */
+    async fetch(apiName, url, options = {}, priority = false) {
+        const fetchUtils = window.MetadataModules.fetchUtils;
+
+        try {
+            return await this.schedule(apiName, async (signal) => {
+                const result = await fetchUtils.makeRequest(url, { ...options, signal });
+                this.observe(apiName, result.status, result.rateLimit);
+                return result;
+            }, priority, options.signal);
+        } catch (error) {
+            return {
+                ok: false,
+                status: 0,
+                offline: error.message === 'Offline',
+                aborted: error.name === 'AbortError',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * @param {string} apiName - Queue name
+     * @returns {boolean} True if the API has a queue
+     */
+    hasQueue(apiName) {
+        return apiName in this.apis;
+    }
+
+    /**
+     * Snapshot of a queue for diagnostics
+     * @param {string} apiName - Queue name
+     * @returns {{queued: number, active: number, tokens: number, pausedUntil: number, backoffLevel: number}|null}
+     */
+    getState(apiName) {
+        const api = this.apis[apiName];
+        if (!api) return null;
+
+        this.refill(api, Date.now());
+        return {
+            queued: api.queue.length,
+            active: api.active,
+            tokens: api.tokens,
+            pausedUntil: api.pausedUntil,
+            backoffLevel: api.backoffLevel
+        };
+    }
+
     // ==========================================
     // CORE QUEUE LOGIC (DRY implementation)
     // ==========================================
 
     /**
-     * Generic request enqueuing method
+     * Generic request enqueuing method for JSON APIs
      * @private
-     * @param {string} apiName - Name of API (imdb, haglund, cinemeta, imdbScraper)
+     * @param {string} apiName - Name of API (imdb, haglund, cinemeta, imdbScraper, jikan, anilist)
      * @param {string} url - Full API URL to request
-     * @param {RequestInit} options - Fetch options
+     * @param {RequestInit} options - Fetch options (options.signal overrides the route signal)
      * @param {boolean} priority - Priority flag
      * @returns {Promise<any>} Resolves with parsed JSON response
      */
     async makeRequest(apiName, url, options = {}, priority = false) {
-        const config = this.apis[apiName];
-
-        // Check daily limit if applicable
-        if (config.dailyLimit) {
-            this.resetDailyCountIfNeeded(apiName);
-            
-            if (config.dailyCount >= config.dailyLimit) {
-                this.log('warn', `${apiName} daily limit exceeded (${config.dailyLimit}/day)`, { 
-                    count: config.dailyCount,
-                    resetTime: new Date(config.dailyResetTime).toISOString()
-                });
-                return Promise.reject(new Error('Daily limit exceeded'));
-            }
+        return this.schedule(
+            apiName,
+            (signal) => this.executeRequest(apiName, url, { ...options, signal }),
+            priority,
+            options.signal
+        );
+    }
+
+    /**
+     * Queues a task behind the API's token bucket
+     * @param {string} apiName - Queue name
+     * @param {Function} task - Async function performing the request, called with the request's AbortSignal
+     * @param {boolean} [priority=false] - If true, adds to front of queue
+     * @param {AbortSignal|null} [signal] - Cancels the request; background requests default to the route's signal
+     * @returns {Promise<any>} Resolves with the task's result
+     * @throws {Error} 'Offline' when the connectivity monitor reports no network, 'Daily limit exceeded',
+     *   'Monthly limit exceeded', or an AbortError when cancelled
+     */
+    schedule(apiName, task, priority = false, signal = this.getRouteSignal(priority)) {
+        const api = this.apis[apiName];
+        if (!api) {
+            return Promise.reject(new Error(`Unknown rate limiter queue: ${apiName}`));
+        }
+
+        if (signal?.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        // Cache-only mode: fail fast instead of piling up requests that can't succeed
+        if (!this.isOnline()) {
+            return Promise.reject(new Error('Offline'));
+        }
+
+        // Check quotas if applicable (background requests stop at the priority reserve)
+        const exhausted = this.getExhaustedPeriod(apiName, priority);
+        if (exhausted) {
+            const { limit, count, resetAt } = api.quota[exhausted];
+            this.log('warn', `${apiName} ${exhausted} limit exceeded (${limit})`, {
+                count,
+                priority,
+                resetTime: new Date(resetAt).toISOString()
+            });
+            return Promise.reject(new Error(exhausted === 'daily' ? 'Daily limit exceeded' : 'Monthly limit exceeded'));
         }
 
         return new Promise((resolve, reject) => {
-            const request = { url, options, resolve, reject };
+            const request = { task, resolve, reject, priority, signal };
+
+            // Drop the request if it's still waiting when its route is left
+            if (signal) {
+                request.onAbort = () => {
+                    const index = api.queue.indexOf(request);
+                    if (index === -1) return;
+                    api.queue.splice(index, 1);
+                    reject(this.createAbortError());
+                    this.pump(apiName);
+                };
+                signal.addEventListener('abort', request.onAbort, { once: true });
+            }
+
             if (priority) {
-                config.queue.unshift(request); // Add to front for priority
+                api.queue.unshift(request); // Add to front for priority
             } else {
-                config.queue.push(request); // Add to back for regular
+                api.queue.push(request); // Add to back for regular
             }
+            this.pump(apiName);
         });
     }
 
     /**
-     * Generic queue processor
+     * Dispatches queued requests while tokens and concurrency allow,
+     * then sleeps until the next token (or the end of a pause)
      * @private
      * @param {string} apiName - Name of API to process
      */
-    async processQueue(apiName) {
-        const config = this.apis[apiName];
+    pump(apiName) {
+        const api = this.apis[apiName];
 
-        if (config.queue.length === 0 || config.processing) {
-            return; // Early exit
+        clearTimeout(api.timer);
+        api.timer = null;
+
+        // Nothing to do - no timer keeps running for an idle queue
+        if (api.queue.length === 0) {
+            return;
         }
 
-        // Check daily limit if applicable
-        if (config.dailyLimit) {
-            this.resetDailyCountIfNeeded(apiName);
-            if (config.dailyCount >= config.dailyLimit) {
-                return; // Don't process, wait for reset
-            }
+        // Paused while offline - resumed by the connectivity listener
+        if (!this.isOnline()) {
+            return;
         }
 
-        // Timestamp validation for dual-layer protection
-        if (config.useTimestamp) {
-            const now = Date.now();
-            const timeSinceLastRequest = now - config.lastRequest;
-            
-            if (timeSinceLastRequest < config.interval) {
-                return; // Too soon, skip this cycle
-            }
-            
-            config.processing = true;
-            config.lastRequest = now;
-            
-            // Increment daily counter if applicable
-            if (config.dailyLimit) {
-                config.dailyCount++;
-            }
-        } else {
-            // Interval-only protection
-            config.processing = true;
+        const now = Date.now();
+        if (now < api.pausedUntil) {
+            this.wakeIn(apiName, api.pausedUntil - now);
+            return;
+        }
+
+        this.refill(api, now);
+
+        // Priority requests sit at the front, so a blocked head blocks the rest
+        while (
+            api.queue.length > 0 &&
+            api.tokens >= 1 &&
+            api.active < api.concurrency &&
+            !this.getExhaustedPeriod(apiName, api.queue[0].priority)
+        ) {
+            api.tokens -= 1;
+            this.countRequest(apiName);
+            this.dispatch(apiName, api.queue.shift());
+        }
+
+        // Out of quota: the rest of the queue can't run before the period resets
+        const exhausted = api.queue.length > 0 && this.getExhaustedPeriod(apiName, api.queue[0].priority);
+        if (exhausted) {
+            const error = new Error(exhausted === 'daily' ? 'Daily limit exceeded' : 'Monthly limit exceeded');
+            api.queue.splice(0).forEach(request => request.reject(error));
+            this.log('warn', `${apiName} ${exhausted} limit reached, dropped queued requests`);
+            return;
         }
 
+        // A finishing request pumps again when concurrency is the limit
+        if (api.queue.length > 0 && api.active < api.concurrency && api.tokens < 1) {
+            this.wakeIn(apiName, ((1 - api.tokens) / api.rate) * 1000);
+        }
+    }
+
+    /**
+     * Runs one queued task and frees its concurrency slot
+     * @private
+     */
+    async dispatch(apiName, { task, resolve, reject, signal, onAbort }) {
+        const api = this.apis[apiName];
+        api.active++;
+
+        // In flight: the task passes the signal on to fetch
+        signal?.removeEventListener('abort', onAbort);
+
         try {
-            const request = config.queue.shift();
-            await this.executeRequest(request);
+            resolve(await task(signal));
+        } catch (error) {
+            reject(error);
         } finally {
-            config.processing = false;
+            api.active--;
+            this.pump(apiName);
         }
     }
 
-    // ==========================================
-    // DAILY LIMIT HELPERS
-    // ==========================================
+    /**
+     * Signal background requests are scoped to (priority requests aren't cancelled)
+     * @private
+     * @param {boolean} priority - Priority flag
+     * @returns {AbortSignal|null}
+     */
+    getRouteSignal(priority) {
+        return priority ? null : window.RouteDetector?.getRouteSignal() || null;
+    }
 
     /**
-     * Gets the timestamp for next midnight (daily reset)
      * @private
-     * @returns {number} Timestamp for next midnight
      */
-    getNextMidnight() {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        return tomorrow.getTime();
+    createAbortError() {
+        const error = new Error('Cancelled');
+        error.name = 'AbortError';
+        return error;
     }
 
     /**
-     * Resets daily counter if past midnight
      * @private
-     * @param {string} apiName - Name of API
      */
-    resetDailyCountIfNeeded(apiName) {
-        const config = this.apis[apiName];
-        if (!config.dailyLimit) return;
+    wakeIn(apiName, delay) {
+        const api = this.apis[apiName];
+        clearTimeout(api.timer);
+        api.timer = setTimeout(() => this.pump(apiName), Math.max(0, Math.ceil(delay)));
+    }
+
+    /**
+     * Adds tokens earned since the last refill (capped at burst)
+     * @private
+     */
+    refill(api, now) {
+        const elapsed = (now - api.lastRefill) / 1000;
+        api.tokens = Math.min(api.burst, api.tokens + elapsed * api.rate);
+        api.lastRefill = now;
+    }
+
+    // ==========================================
+    // ADAPTIVE BACKOFF
+    // ==========================================
+
+    /**
+     * Adapts an API's schedule to a response
+     * @param {string} apiName - Queue name
+     * @param {number} status - HTTP status (0 for network errors)
+     * @param {Object|null} [rateLimit] - Parsed headers from fetchUtils.parseRateLimitHeaders
+     */
+    observe(apiName, status, rateLimit = null) {
+        const api = this.apis[apiName];
+        if (!api) return;
 
         const now = Date.now();
-        if (now >= config.dailyResetTime) {
-            config.dailyCount = 0;
-            config.dailyResetTime = this.getNextMidnight();
-            this.log('info', `${apiName} daily counter reset`);
+
+        if (status === 429 || (status === 503 && rateLimit?.retryAfter != null)) {
+            const { backoffBase, backoffMax } = this.settings;
+            const backoff = Math.min(backoffMax, backoffBase * 2 ** api.backoffLevel);
+            api.backoffLevel++;
+
+            let delay = backoff;
+            if (rateLimit?.retryAfter != null) {
+                delay = rateLimit.retryAfter;
+            } else if (rateLimit?.resetAt > now) {
+                delay = rateLimit.resetAt - now;
+            }
+
+            this.pause(apiName, delay, `HTTP ${status}`);
+            return;
+        }
+
+        // Any real answer ends the backoff streak
+        if (status > 0 && status < 500) {
+            api.backoffLevel = 0;
+        }
+
+        // Providers whose headers report the daily quota keep the counter in sync
+        if (api.quotaFromHeaders && rateLimit?.limit != null && rateLimit.remaining != null) {
+            this.setQuota(apiName, 'daily', {
+                limit: rateLimit.limit,
+                count: rateLimit.limit - rateLimit.remaining,
+                resetAt: rateLimit.resetAt
+            });
+        }
+
+        if (rateLimit?.remaining != null) {
+            api.tokens = Math.min(api.tokens, rateLimit.remaining);
+            if (rateLimit.remaining === 0 && rateLimit.resetAt > now) {
+                this.pause(apiName, rateLimit.resetAt - now, 'quota exhausted');
+            }
+        }
+    }
+
+    /**
+     * Holds an API's queue for a while
+     * Providers with an API key are also marked rate-limited for the same duration,
+     * so availability checks skip them instead of queueing behind the pause.
+     * @private
+     */
+    pause(apiName, delay, reason) {
+        const api = this.apis[apiName];
+        const duration = Math.min(Math.max(0, delay), this.settings.maxPause);
+        const until = Date.now() + duration;
+
+        api.tokens = 0;
+        if (until <= api.pausedUntil) return;
+        api.pausedUntil = until;
+
+        this.log('warn', `${apiName} paused (${reason})`, {
+            seconds: Math.round(duration / 1000),
+            backoffLevel: api.backoffLevel
+        });
+
+        if (api.keyProvider) {
+            window.MetadataModules.apiKeys?.markRateLimited(api.keyProvider, duration);
         }
+
+        this.pump(apiName);
     }
 
     // ==========================================
-    // REQUEST EXECUTION
+    // CONNECTIVITY HELPERS
+    // ==========================================
+
+    /**
+     * Checks the shared connectivity monitor (assumes online if not loaded)
+     * @private
+     * @returns {boolean} True if requests may be sent
+     */
+    isOnline() {
+        const connectivity = window.MetadataModules.connectivity;
+        return connectivity ? connectivity.isOnline() : true;
+    }
+
+    // ==========================================
+    // QUOTA HELPERS
     // ==========================================
 
     /**
-     * Executes a single HTTP request with timeout protection
-     * @param {Object} request - Request object from queue
-     * @param {string} request.url - URL to fetch
-     * @param {RequestInit} request.options - Fetch options
-     * @param {Function} request.resolve - Promise resolve function
-     * @param {Function} request.reject - Promise reject function
+     * Gets the timestamp when a quota period rolls over
+     * @private
+     * @param {string} period - 'daily' or 'monthly'
+     * @param {boolean} [utc=false] - Provider counts in UTC instead of local time
+     * @returns {number} Timestamp of the next midnight / first of next month
+     */
+    getNextReset(period, utc = false) {
+        const date = new Date();
+        if (utc) {
+            return period === 'monthly'
+                ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+                : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+        }
+        return period === 'monthly'
+            ? new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime()
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+    }
+
+    /**
+     * Restores quota counters saved by a previous session
+     * Limits learned from the provider (e.g. MDBList /user/limits) override configured ones.
      * @private
      */
-    async executeRequest({ url, options, resolve, reject }) {
+    loadQuotas() {
+        let saved = {};
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), window.MetadataModules.config.METADATA_CONFIG.timeout);
-
-            const response = await fetch(url, { ...options, signal: controller.signal });
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                if (response.status === 429) {
-                    this.log('error', '429 Rate Limited', { url });
-                    reject(new Error('Rate limited'));
-                    return;
-                }
-                this.log('error', `HTTP ${response.status}`, { url });
-                reject(new Error(`HTTP ${response.status}`));
-                return;
+            saved = JSON.parse(localStorage.getItem(GlobalRateLimiter.QUOTA_STORAGE_KEY)) || {};
+        } catch (error) {
+            this.log('warn', 'Failed to read saved quotas', { error: error.message });
+        }
+
+        Object.entries(this.apis).forEach(([apiName, api]) => {
+            GlobalRateLimiter.QUOTA_PERIODS.forEach(period => {
+                const stored = saved[apiName]?.[period];
+                const limit = stored?.limit ?? api.quotas?.[period];
+                if (!limit) return;
+
+                const current = stored?.resetAt > Date.now();
+                api.quota[period] = {
+                    limit,
+                    count: current ? stored.count || 0 : 0,
+                    resetAt: current ? stored.resetAt : this.getNextReset(period, api.quotaUtc)
+                };
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    saveQuotas() {
+        clearTimeout(this.quotaSaveTimer);
+        this.quotaSaveTimer = null;
+
+        const data = {};
+        Object.entries(this.apis).forEach(([apiName, api]) => {
+            if (Object.keys(api.quota).length > 0) {
+                data[apiName] = api.quota;
             }
+        });
 
-            const data = await response.json();
-            resolve(data);
+        try {
+            localStorage.setItem(GlobalRateLimiter.QUOTA_STORAGE_KEY, JSON.stringify(data));
         } catch (error) {
-            if (error.name === 'AbortError') {
-                this.log('warn', 'Request Timeout', { url, timeout: window.MetadataModules.config.METADATA_CONFIG.timeout });
-                reject(new Error('Timeout'));
-            } else {
-                this.log('error', 'Request Failed', { url, error: error.message });
-                reject(error);
+            this.log('warn', 'Failed to save quotas', { error: error.message });
+        }
+    }
+
+    /**
+     * Saves quotas after QUOTA_SAVE_DELAY, coalescing the requests counted meanwhile
+     * @private
+     */
+    scheduleQuotaSave() {
+        if (this.quotaSaveTimer) return;
+        this.quotaSaveTimer = setTimeout(() => this.saveQuotas(), GlobalRateLimiter.QUOTA_SAVE_DELAY);
+    }
+
+    /**
+     * Saves a pending quota write right away
+     * @private
+     */
+    flushQuotas() {
+        if (this.quotaSaveTimer) this.saveQuotas();
+    }
+
+    /**
+     * Resets quota periods that rolled over
+     * @private
+     */
+    resetExpiredQuotas(apiName) {
+        const api = this.apis[apiName];
+        const now = Date.now();
+
+        Object.entries(api.quota).forEach(([period, quota]) => {
+            if (now >= quota.resetAt) {
+                quota.count = 0;
+                quota.resetAt = this.getNextReset(period, api.quotaUtc);
+                this.log('info', `${apiName} ${period} counter reset`);
+                this.saveQuotas();
             }
+        });
+    }
+
+    /**
+     * First quota period a request may not use
+     * Background requests leave `reservedForPriority` of each quota untouched.
+     * @private
+     * @param {string} apiName - Name of API
+     * @param {boolean} [priority=false] - User-initiated request
+     * @returns {string|null} 'daily', 'monthly' or null if within budget
+     */
+    getExhaustedPeriod(apiName, priority = false) {
+        this.resetExpiredQuotas(apiName);
+        const api = this.apis[apiName];
+
+        for (const [period, quota] of Object.entries(api.quota)) {
+            const allowance = priority
+                ? quota.limit
+                : Math.floor(quota.limit * (1 - this.settings.reservedForPriority));
+            if (quota.count >= allowance) {
+                return period;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Counts a dispatched request against every quota period
+     * @private
+     */
+    countRequest(apiName) {
+        const api = this.apis[apiName];
+        const periods = Object.values(api.quota);
+        if (periods.length === 0) return;
+
+        periods.forEach(quota => quota.count++);
+        this.scheduleQuotaSave();
+        this.markIfExhausted(apiName);
+    }
+
+    /**
+     * Marks a keyed provider unavailable until its exhausted quota resets
+     * @private
+     */
+    markIfExhausted(apiName) {
+        const api = this.apis[apiName];
+        if (!api.keyProvider) return;
+
+        const exhausted = Object.values(api.quota).filter(quota => quota.count >= quota.limit);
+        if (exhausted.length > 0) {
+            const resetAt = Math.max(...exhausted.map(quota => quota.resetAt));
+            window.MetadataModules.apiKeys?.markRateLimited(api.keyProvider, resetAt - Date.now());
+        }
+    }
+
+    /**
+     * Updates a quota from provider-reported usage
+     * @param {string} apiName - Queue name
+     * @param {string} period - 'daily' or 'monthly'
+     * @param {{limit: number, count: number, resetAt?: number|null}} usage
+     */
+    setQuota(apiName, period, { limit, count, resetAt = null }) {
+        const api = this.apis[apiName];
+        if (!api || !(limit > 0)) return;
+
+        const quota = api.quota[period] || { resetAt: this.getNextReset(period, api.quotaUtc) };
+        api.quota[period] = {
+            limit,
+            count: Math.max(0, count || 0),
+            resetAt: resetAt > Date.now() ? resetAt : quota.resetAt
+        };
+
+        this.saveQuotas();
+        this.markIfExhausted(apiName);
+    }
+
+    /**
+     * Quota usage of every API that has one (for the settings display)
+     * @returns {Array<{api: string, period: string, limit: number, count: number, reserved: number, resetAt: number}>}
+     */
+    getQuotas() {
+        const quotas = [];
+        Object.entries(this.apis).forEach(([apiName, api]) => {
+            this.resetExpiredQuotas(apiName);
+            Object.entries(api.quota).forEach(([period, quota]) => {
+                quotas.push({
+                    api: apiName,
+                    period,
+                    ...quota,
+                    reserved: quota.limit - Math.floor(quota.limit * (1 - this.settings.reservedForPriority))
+                });
+            });
+        });
+        return quotas;
+    }
+
+    // ==========================================
+    // REQUEST EXECUTION
+    // ==========================================
+
+    /**
+     * Executes a single HTTP request through fetchUtils (timeout, circuit breaker)
+     * @param {string} apiName - Queue the request belongs to
+     * @param {string} url - URL to fetch
+     * @param {RequestInit} options - Fetch options
+     * @returns {Promise<any>} Parsed JSON response
+     * @private
+     */
+    async executeRequest(apiName, url, options) {
+        const timeout = window.MetadataModules.config.METADATA_CONFIG.timeout;
+        const result = await window.MetadataModules.fetchUtils.makeRequest(url, { ...options, timeout });
+
+        if (result.status) {
+            this.observe(apiName, result.status, result.rateLimit);
+        }
+
+        if (result.ok) return result.data;
+
+        if (result.offline) throw new Error('Offline');
+        if (result.aborted) {
+            this.log('debug', 'Request Cancelled', { url });
+            throw this.createAbortError();
+        }
+        if (result.circuitOpen) {
+            this.log('debug', 'Circuit Open', { url });
+            throw new Error('Circuit open');
+        }
+        if (result.timedOut) {
+            this.log('warn', 'Request Timeout', { url, timeout });
+            throw new Error('Timeout');
+        }
+        if (result.status === 429) {
+            this.log('error', '429 Rate Limited', { url });
+            throw new Error('Rate limited');
         }
+        if (result.status >= 400) {
+            this.log('error', `HTTP ${result.status}`, { url });
+            throw new Error(`HTTP ${result.status}`);
+        }
+
+        this.log('error', 'Request Failed', { url, error: result.error });
+        throw new Error(result.error);
     }
 
     /**
@@ -321,8 +775,14 @@ class GlobalRateLimiter {
     }
 }
 
-// Export to global scope
+// Export to global scope (main.js registers the shared `instance`)
 window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.rateLimiter = {
     GlobalRateLimiter
-};
\ No newline at end of file
+};
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).rateLimiter = [
+    GlobalRateLimiter,
+    'window.MetadataModules.rateLimiter = { GlobalRateLimiter };',
+].join('\n');
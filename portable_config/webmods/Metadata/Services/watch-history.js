@@ -0,0 +1,366 @@
+/**
+ * @name Metadata Helper - Watch History Module
+ * @description Records player sessions (watchSessions table in MetadataDB)
+ *
+ * A session starts when the player route is entered and ends when the route
+ * changes (another episode, another page) or the window is closed. Sessions
+ * left open by a crash are closed on the next start using their last heartbeat.
+ */
+
+class WatchHistoryService {
+  constructor(storage) {
+    this.storage = storage;
+    this.activeSession = null;
+    this.heartbeatTimer = null;
+    this.unsubscribeProfile = null;
+    this.started = false;
+    // Route changes are handled one at a time (startSession awaits the DB)
+    this.routeQueue = Promise.resolve();
+
+    this.handleRouteChange = this.handleRouteChange.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  // Sessions shorter than this are treated as accidental and discarded
+  static MIN_SESSION_MS = 30 * 1000;
+
+  // How often the active session records that it is still alive
+  static HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+  // Open sessions older than this are ignored when recovering from a crash
+  static RECOVERY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+  get db() {
+    return this.storage.db;
+  }
+
+  /**
+   * Begin tracking player routes
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await this.storage.init();
+    await this.closeStaleSessions();
+
+    window.addEventListener("hashchange", this.handleRouteChange);
+    window.addEventListener("pagehide", this.handlePageHide);
+
+    // In case the app was opened straight into the player
+    this.handleRouteChange();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SESSION TRACKING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Stable grouping key: IMDb id, or the first anime id for anime-only routes
+   * @param {Object} routeState - RouteDetector player state
+   * @returns {string|null}
+   */
+  static getTitleKey(routeState) {
+    if (routeState.id) return routeState.id;
+
+    const animeIds = routeState.animeIds || {};
+    const source = ["mal", "anilist", "kitsu"].find((s) => animeIds[s]);
+    return source ? `${source}:${animeIds[source]}` : null;
+  }
+
+  /**
+   * Queue a route check behind the one in progress, so quick successive
+   * hash changes can't each see no active session and start their own
+   * @returns {Promise<void>}
+   */
+  handleRouteChange() {
+    this.routeQueue = this.routeQueue
+      .then(() => this.syncRoute())
+      .catch((error) =>
+        console.error("[METADATA][Watch History] Route change failed:", error),
+      );
+    return this.routeQueue;
+  }
+
+  async syncRoute() {
+    if (!window.RouteDetector) return;
+
+    window.RouteDetector.invalidateCache();
+    const state = window.RouteDetector.getRouteState();
+    const titleKey =
+      state.view === "PLAYER" ? WatchHistoryService.getTitleKey(state) : null;
+
+    const active = this.activeSession;
+    if (
+      active &&
+      titleKey === active.titleKey &&
+      state.season === active.season &&
+      state.episode === active.episode
+    ) {
+      return; // Same video, nothing to do
+    }
+
+    if (active) await this.endSession();
+    if (titleKey) await this.startSession(state, titleKey);
+  }
+
+  handlePageHide() {
+    // Best effort: the write may not finish, closeStaleSessions covers it
+    if (this.activeSession) this.endSession();
+  }
+
+  async startSession(state, titleKey) {
+    const now = Date.now();
+    const session = {
+      titleKey,
+      imdb: state.id || null,
+      type: state.type || null,
+      season: state.season ?? null,
+      episode: state.episode ?? null,
+      animeIds: state.animeIds || null,
+      title: null,
+      isAnime: null,
+      profile: null,
+      startedAt: now,
+      lastSeenAt: now,
+      endedAt: null,
+    };
+
+    try {
+      session.id = await this.db.watchSessions.add(session);
+    } catch (error) {
+      console.error(
+        "[METADATA][Watch History] Failed to start session:",
+        error,
+      );
+      return;
+    }
+
+    this.activeSession = session;
+    this.subscribeToProfile();
+    this.heartbeatTimer = setInterval(
+      () => this.updateActive({ lastSeenAt: Date.now() }),
+      WatchHistoryService.HEARTBEAT_INTERVAL_MS,
+    );
+
+    // Title name and anime flag from the metadata DB (mpv's verdict wins later)
+    this.storage
+      .findTitleForPlayback(state)
+      .then((entry) => {
+        if (!entry || this.activeSession?.id !== session.id) return;
+        const changes = { title: entry.title || null };
+        if (session.isAnime === null) changes.isAnime = !!entry.isAnime;
+        return this.updateActive(changes);
+      })
+      .catch(() => {});
+
+    console.log(
+      `[METADATA][Watch History] Session started: ${titleKey}${
+        session.season !== null ? ` S${session.season}E${session.episode}` : ""
+      }`,
+    );
+  }
+
+  async endSession() {
+    const session = this.activeSession;
+    this.activeSession = null;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (!session) return;
+
+    const endedAt = Date.now();
+    try {
+      if (endedAt - session.startedAt < WatchHistoryService.MIN_SESSION_MS) {
+        await this.db.watchSessions.delete(session.id);
+        return;
+      }
+      await this.db.watchSessions.update(session.id, {
+        endedAt,
+        lastSeenAt: endedAt,
+      });
+    } catch (error) {
+      console.error("[METADATA][Watch History] Failed to end session:", error);
+    }
+  }
+
+  async updateActive(changes) {
+    const session = this.activeSession;
+    if (!session) return;
+
+    Object.assign(session, changes);
+    try {
+      await this.db.watchSessions.update(session.id, changes);
+    } catch (error) {
+      console.warn(
+        "[METADATA][Watch History] Failed to update session:",
+        error,
+      );
+    }
+  }
+
+  /**
+   * Attach the applied mpv profile (profile-applied bridge event) to the session.
+   * mpv-bridge.js is not a metadata module, so subscribe lazily.
+   */
+  subscribeToProfile() {
+    if (this.unsubscribeProfile || !window.MpvBridge?.on) return;
+
+    this.unsubscribeProfile = window.MpvBridge.on("profile-applied", (event) =>
+      this.updateActive({
+        profile: event.data?.profile || null,
+        isAnime: !!event.data?.is_anime,
+      }),
+    );
+  }
+
+  /**
+   * Close sessions left open by a crash or a pagehide write that never landed
+   */
+  async closeStaleSessions() {
+    try {
+      const since = Date.now() - WatchHistoryService.RECOVERY_WINDOW_MS;
+      const open = await this.db.watchSessions
+        .where("startedAt")
+        .above(since)
+        .filter((session) => !session.endedAt)
+        .toArray();
+
+      for (const session of open) {
+        if (
+          session.lastSeenAt - session.startedAt <
+          WatchHistoryService.MIN_SESSION_MS
+        ) {
+          await this.db.watchSessions.delete(session.id);
+        } else {
+          await this.db.watchSessions.update(session.id, {
+            endedAt: session.lastSeenAt,
+          });
+        }
+      }
+
+      if (open.length > 0) {
+        console.log(
+          `[METADATA][Watch History] Closed ${open.length} interrupted session(s)`,
+        );
+      }
+    } catch (error) {
+      console.warn(
+        "[METADATA][Watch History] Failed to close stale sessions:",
+        error,
+      );
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // QUERIES
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Time spent on the player route, pauses included (not playback time)
+   * @param {Object} session
+   * @returns {number} Milliseconds
+   */
+  static getDuration(session) {
+    const end = session.endedAt || session.lastSeenAt || session.startedAt;
+    return Math.max(0, end - session.startedAt);
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {number} [filters.since] - Only sessions started after this timestamp
+   * @param {string} [filters.type] - "movie" or "series"
+   * @param {boolean} [filters.isAnime] - Only anime (true) or non-anime (false)
+   * @param {string} [filters.query] - Case-insensitive title/id search
+   * @param {string} [filters.titleKey] - Only sessions of one title
+   * @returns {Promise<Object[]>} Sessions, newest first
+   */
+  async getSessions(filters = {}) {
+    await this.storage.init();
+
+    const collection =
+      filters.since > 0
+        ? this.db.watchSessions.where("startedAt").above(filters.since)
+        : this.db.watchSessions.toCollection();
+
+    const query = filters.query?.trim().toLowerCase();
+    const sessions = await collection
+      .filter((session) => {
+        if (filters.type && session.type !== filters.type) return false;
+        if (
+          typeof filters.isAnime === "boolean" &&
+          !!session.isAnime !== filters.isAnime
+        ) {
+          return false;
+        }
+        if (filters.titleKey && session.titleKey !== filters.titleKey) {
+          return false;
+        }
+        if (
+          query &&
+          !(session.title || "").toLowerCase().includes(query) &&
+          !session.titleKey.toLowerCase().includes(query)
+        ) {
+          return false;
+        }
+        return true;
+      })
+      .toArray();
+
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Per-title totals for the History view
+   * @param {Object} [filters] - Same as getSessions
+   * @returns {Promise<Array<{titleKey: string, imdb: string|null, title: string|null, type: string|null, isAnime: boolean, sessionCount: number, totalMs: number, lastWatchedAt: number, lastSeason: number|null, lastEpisode: number|null, lastProfile: string|null}>>}
+   *   Most recently watched first
+   */
+  async getTitleAggregates(filters = {}) {
+    const sessions = await this.getSessions(filters);
+    const byTitle = new Map();
+
+    // Sessions are newest first, so the first one seen per title is the latest
+    sessions.forEach((session) => {
+      let aggregate = byTitle.get(session.titleKey);
+      if (!aggregate) {
+        aggregate = {
+          titleKey: session.titleKey,
+          imdb: session.imdb,
+          title: session.title,
+          type: session.type,
+          isAnime: !!session.isAnime,
+          sessionCount: 0,
+          totalMs: 0,
+          lastWatchedAt: session.startedAt,
+          lastSeason: session.season,
+          lastEpisode: session.episode,
+          lastProfile: session.profile,
+        };
+        byTitle.set(session.titleKey, aggregate);
+      }
+
+      aggregate.sessionCount++;
+      aggregate.totalMs += WatchHistoryService.getDuration(session);
+      aggregate.title = aggregate.title || session.title;
+    });
+
+    return [...byTitle.values()];
+  }
+
+  async deleteTitle(titleKey) {
+    await this.storage.init();
+    return this.db.watchSessions.where("titleKey").equals(titleKey).delete();
+  }
+
+  async clear() {
+    await this.storage.init();
+    await this.db.watchSessions.clear();
+    console.log("[METADATA][Watch History] History cleared");
+  }
+}
+
+// Export to global scope
+window.MetadataModules = window.MetadataModules || {};
+window.MetadataModules.watchHistory = {
+  WatchHistoryService,
+};
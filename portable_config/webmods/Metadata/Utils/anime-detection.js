@@ -14,7 +14,7 @@
  *   T3: Explicit anime IDs (MAL, AniList, Kitsu) - may be incomplete
  */
 
-(function () {
+(function animeDetectionModule() {
   "use strict";
 
   // Idempotency Guard
@@ -85,4 +85,9 @@
   window.AnimeDetection = AnimeDetection;
 
   console.log("[AnimeDetection] Utility loaded");
+
+  // Core worker source (see core-worker.js)
+  window.MetadataModules = window.MetadataModules || {};
+  (window.MetadataModules.workerSources ||= {}).animeDetection =
+    `(${animeDetectionModule})();`;
 })();
@@ -0,0 +1,299 @@
+/**
+ * Connectivity Monitor Module
+ *
+ * Tracks whether the metadata pipeline can reach the network, combining
+ * navigator.onLine with failure heuristics reported by fetch-utils and the
+ * rate limiter. While offline the pipeline runs cache-only: requests are
+ * short-circuited, rate limiter queues are paused and enrichment work is
+ * deferred, then replayed once a probe confirms connectivity is back.
+ *
+ * Emits `kai-connectivity-changed` on window with `{ online, reason }`.
+ *
+ * @module connectivity
+ */
+
+(function connectivityModule() {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.connectivity?.initialized) {
+    console.log("[Connectivity] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  const DEFAULTS = {
+    probeUrl: "https://v3-cinemeta.strem.io/manifest.json",
+    probeInterval: 15000,
+    failureThreshold: 3,
+    maxDeferredTasks: 200,
+    replayDelay: 250,
+  };
+
+  const getConfig = () => ({
+    ...DEFAULTS,
+    ...(window.MetadataModules?.config?.METADATA_CONFIG?.connectivity || {}),
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONNECTIVITY MONITOR
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class ConnectivityMonitor {
+    constructor() {
+      this.online = navigator.onLine !== false;
+      this.reason = this.online ? null : "navigator";
+      this.changedAt = Date.now();
+      this.consecutiveFailures = 0;
+      this.probeTimer = null;
+      this.probing = false;
+      this.replaying = false;
+
+      // key -> task, insertion ordered so the oldest entries are dropped first
+      this.deferredTasks = new Map();
+
+      window.addEventListener("online", () => this.probe());
+      window.addEventListener("offline", () => this.setOffline("navigator"));
+
+      if (!this.online) {
+        this.scheduleProbe();
+      }
+    }
+
+    isOnline() {
+      return this.online;
+    }
+
+    /**
+     * @returns {{online: boolean, reason: string|null, since: number, deferred: number}}
+     */
+    getState() {
+      return {
+        online: this.online,
+        reason: this.reason,
+        since: this.changedAt,
+        deferred: this.deferredTasks.size,
+      };
+    }
+
+    // ==========================================
+    // FAILURE HEURISTICS
+    // ==========================================
+
+    /**
+     * Record a request that reached the server (any HTTP status)
+     */
+    reportSuccess() {
+      this.consecutiveFailures = 0;
+      if (!this.online) {
+        this.setOnline();
+      }
+    }
+
+    /**
+     * Record a request that failed without a response (network error / timeout)
+     * @param {string} source - Provider or module name for logging
+     */
+    reportFailure(source) {
+      if (!this.online) return;
+
+      this.consecutiveFailures++;
+      if (this.consecutiveFailures >= getConfig().failureThreshold) {
+        console.warn(
+          `[Connectivity] ${this.consecutiveFailures} consecutive network failures (last: ${source})`,
+        );
+        this.setOffline("requests-failing");
+      }
+    }
+
+    // ==========================================
+    // STATE TRANSITIONS
+    // ==========================================
+
+    setOffline(reason) {
+      if (!this.online) return;
+
+      this.online = false;
+      this.reason = reason;
+      this.changedAt = Date.now();
+      console.warn(
+        `[Connectivity] Offline (${reason}) - switching to cache-only mode`,
+      );
+      this.notify();
+      this.scheduleProbe();
+    }
+
+    setOnline() {
+      if (this.online) return;
+
+      this.online = true;
+      this.reason = null;
+      this.changedAt = Date.now();
+      this.consecutiveFailures = 0;
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+
+      console.log(
+        `[Connectivity] Back online - replaying ${this.deferredTasks.size} deferred task(s)`,
+      );
+      this.notify();
+      this.replayDeferred();
+    }
+
+    notify() {
+      window.dispatchEvent(
+        new CustomEvent("kai-connectivity-changed", {
+          detail: { online: this.online, reason: this.reason },
+        }),
+      );
+    }
+
+    // ==========================================
+    // RECONNECTION PROBE
+    // ==========================================
+
+    scheduleProbe() {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = setTimeout(
+        () => this.probe(),
+        getConfig().probeInterval,
+      );
+    }
+
+    /**
+     * Check connectivity with a lightweight request.
+     * Opaque (no-cors) responses are enough to prove the network is reachable.
+     * @returns {Promise<boolean>} Current online state
+     */
+    async probe() {
+      if (this.probing) return this.online;
+      this.probing = true;
+
+      try {
+        if (navigator.onLine === false) {
+          this.setOffline("navigator");
+          return false;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+        try {
+          await fetch(getConfig().probeUrl, {
+            method: "HEAD",
+            mode: "no-cors",
+            cache: "no-store",
+            signal: controller.signal,
+          });
+          this.setOnline();
+        } catch {
+          if (this.online) {
+            this.setOffline("probe-failed");
+          }
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      } finally {
+        this.probing = false;
+        if (!this.online) {
+          this.scheduleProbe();
+        }
+      }
+
+      return this.online;
+    }
+
+    // ==========================================
+    // DEFERRED ENRICHMENT
+    // ==========================================
+
+    /**
+     * Keep a task to run once connectivity returns.
+     * Tasks with the same key replace each other (latest wins).
+     *
+     * @param {string} key - Dedupe key (e.g. "refresh:tt1234567")
+     * @param {Function} task - Async function to replay
+     */
+    defer(key, task) {
+      this.deferredTasks.delete(key);
+      this.deferredTasks.set(key, task);
+
+      const { maxDeferredTasks } = getConfig();
+      while (this.deferredTasks.size > maxDeferredTasks) {
+        const oldestKey = this.deferredTasks.keys().next().value;
+        this.deferredTasks.delete(oldestKey);
+      }
+    }
+
+    /**
+     * Defer a task only if currently offline
+     * @returns {boolean} True if deferred (caller should skip network work)
+     */
+    deferIfOffline(key, task) {
+      if (this.online) return false;
+      this.defer(key, task);
+      return true;
+    }
+
+    async replayDeferred() {
+      if (this.replaying) return;
+      this.replaying = true;
+
+      try {
+        const { replayDelay } = getConfig();
+        let replayed = 0;
+
+        while (this.online && this.deferredTasks.size > 0) {
+          const [key, task] = this.deferredTasks.entries().next().value;
+          this.deferredTasks.delete(key);
+
+          try {
+            await task();
+            replayed++;
+          } catch (error) {
+            console.warn(
+              `[Connectivity] Deferred task failed (${key}):`,
+              error?.message || error,
+            );
+          }
+
+          await new Promise((resolve) => setTimeout(resolve, replayDelay));
+        }
+
+        if (replayed > 0) {
+          console.log(`[Connectivity] Replayed ${replayed} deferred task(s)`);
+        }
+      } finally {
+        this.replaying = false;
+      }
+    }
+  }
+
+  const instance = new ConnectivityMonitor();
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  window.MetadataModules.connectivity = {
+    initialized: true,
+    instance,
+
+    isOnline: () => instance.isOnline(),
+    getState: () => instance.getState(),
+    reportSuccess: () => instance.reportSuccess(),
+    reportFailure: (source) => instance.reportFailure(source),
+    probe: () => instance.probe(),
+    defer: (key, task) => instance.defer(key, task),
+    deferIfOffline: (key, task) => instance.deferIfOffline(key, task),
+  };
+
+  console.log(
+    `[Connectivity] Module initialized (${instance.isOnline() ? "online" : "offline"}).`,
+  );
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).connectivity =
+    `(${connectivityModule})();`;
+})();
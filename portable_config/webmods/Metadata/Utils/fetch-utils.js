@@ -2,12 +2,14 @@
  * Fetch Utilities Module
  *
  * Shared utilities for API requests inspired by AIOStreams patterns.
- * Includes retry logic, timeout handling, and response validation.
+ * Includes retry logic, timeout handling, response validation and a
+ * per-provider circuit breaker (closed / open / half-open) that fails fast
+ * while a provider is down.
  *
  * @module fetch-utils
  */
 
-(function () {
+(function fetchUtilsModule() {
   "use strict";
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -196,10 +198,231 @@
     };
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CIRCUIT BREAKER
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  const BREAKER_DEFAULTS = {
+    windowMs: 60000,
+    minRequests: 5,
+    errorRate: 0.5,
+    consecutiveFailures: 3,
+    openDuration: 30000,
+    maxOpenDuration: 600000,
+    latencySamples: 20,
+    hosts: {},
+  };
+
+  const getBreakerConfig = () => ({
+    ...BREAKER_DEFAULTS,
+    ...(window.MetadataModules?.config?.METADATA_CONFIG?.circuitBreaker || {}),
+  });
+
+  // provider -> breaker state
+  const breakers = new Map();
+
+  /**
+   * Provider a URL belongs to (circuitBreaker.hosts), or null if untracked
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function getProviderForUrl(url) {
+    return getBreakerConfig().hosts[getHost(url)] || null;
+  }
+
+  function getBreaker(provider) {
+    if (!breakers.has(provider)) {
+      breakers.set(provider, {
+        state: "closed",
+        openUntil: 0,
+        trips: 0, // Consecutive trips, doubles the open duration
+        trialInFlight: false,
+        consecutiveFailures: 0,
+        samples: [], // {at, ok} inside the error-rate window
+        latencies: [], // Most recent successful latencies (ms)
+        requests: 0,
+        failures: 0,
+        lastError: null,
+        lastFailureAt: 0,
+        changedAt: Date.now(),
+      });
+    }
+    return breakers.get(provider);
+  }
+
+  function setBreakerState(provider, breaker, state) {
+    if (breaker.state === state) return;
+    breaker.state = state;
+    breaker.changedAt = Date.now();
+
+    const seconds = Math.round((breaker.openUntil - Date.now()) / 1000);
+    const detail = state === "open" ? ` for ${seconds}s` : "";
+    console[state === "open" ? "warn" : "log"](
+      `[Fetch Utils] ${provider} circuit ${state}${detail}`,
+    );
+  }
+
+  /**
+   * Whether a request to the provider may be sent. An open circuit lets one
+   * trial request through (half-open) once its cool-off has passed.
+   * @param {string} provider
+   * @returns {boolean}
+   */
+  function canRequest(provider) {
+    const breaker = getBreaker(provider);
+
+    if (breaker.state === "open") {
+      if (Date.now() < breaker.openUntil) return false;
+      setBreakerState(provider, breaker, "half-open");
+    }
+
+    if (breaker.state === "half-open") {
+      if (breaker.trialInFlight) return false;
+      breaker.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record the outcome of a request to a provider
+   * @param {string} provider
+   * @param {{ ok: boolean, latency?: number, error?: string }} outcome
+   *   ok is false for network errors, timeouts and 5xx responses
+   */
+  function recordResult(provider, { ok, latency = null, error = null }) {
+    const config = getBreakerConfig();
+    const breaker = getBreaker(provider);
+    const now = Date.now();
+
+    breaker.requests++;
+    breaker.samples.push({ at: now, ok });
+    breaker.samples = breaker.samples.filter(
+      (sample) => now - sample.at <= config.windowMs,
+    );
+
+    if (ok) {
+      breaker.consecutiveFailures = 0;
+      if (latency !== null) {
+        breaker.latencies.push(latency);
+        breaker.latencies = breaker.latencies.slice(-config.latencySamples);
+      }
+    } else {
+      breaker.failures++;
+      breaker.consecutiveFailures++;
+      breaker.lastError = error;
+      breaker.lastFailureAt = now;
+    }
+
+    // Half-open trial decides between closing and re-opening
+    if (breaker.state === "half-open") {
+      breaker.trialInFlight = false;
+      if (ok) {
+        breaker.trips = 0;
+        breaker.samples = [];
+        setBreakerState(provider, breaker, "closed");
+      } else {
+        openBreaker(provider, breaker, config);
+      }
+      return;
+    }
+
+    if (ok || breaker.state !== "closed") return;
+
+    const failed = breaker.samples.filter((sample) => !sample.ok).length;
+    const rateExceeded =
+      breaker.samples.length >= config.minRequests &&
+      failed / breaker.samples.length >= config.errorRate;
+
+    if (
+      rateExceeded ||
+      breaker.consecutiveFailures >= config.consecutiveFailures
+    ) {
+      openBreaker(provider, breaker, config);
+    }
+  }
+
+  function openBreaker(provider, breaker, config) {
+    const duration = Math.min(
+      config.maxOpenDuration,
+      config.openDuration * 2 ** breaker.trips,
+    );
+    breaker.trips++;
+    breaker.openUntil = Date.now() + duration;
+    breaker.consecutiveFailures = 0;
+    setBreakerState(provider, breaker, "open");
+  }
+
+  /**
+   * Health snapshot of every provider seen so far
+   * @returns {Object<string, { state: string, openUntil: number, latency: number|null, lastLatency: number|null, requests: number, failures: number, windowRequests: number, windowFailures: number, lastError: string|null, lastFailureAt: number }>}
+   */
+  function getCircuitHealth() {
+    const { windowMs } = getBreakerConfig();
+    const now = Date.now();
+    const health = {};
+
+    breakers.forEach((breaker, provider) => {
+      const samples = breaker.samples.filter(
+        (sample) => now - sample.at <= windowMs,
+      );
+      const { latencies } = breaker;
+
+      health[provider] = {
+        // An open circuit past its cool-off is half-open for the next request
+        state:
+          breaker.state === "open" && now >= breaker.openUntil
+            ? "half-open"
+            : breaker.state,
+        openUntil: breaker.openUntil,
+        latency: latencies.length
+          ? Math.round(
+              latencies.reduce((sum, value) => sum + value, 0) /
+                latencies.length,
+            )
+          : null,
+        lastLatency: latencies.length ? latencies[latencies.length - 1] : null,
+        requests: breaker.requests,
+        failures: breaker.failures,
+        windowRequests: samples.length,
+        windowFailures: samples.filter((sample) => !sample.ok).length,
+        lastError: breaker.lastError,
+        lastFailureAt: breaker.lastFailureAt,
+      };
+    });
+
+    return health;
+  }
+
+  /**
+   * Close a provider's circuit and forget its history
+   * @param {string} [provider] - All providers when omitted
+   */
+  function resetCircuit(provider) {
+    if (provider) {
+      breakers.delete(provider);
+    } else {
+      breakers.clear();
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // HTTP REQUEST UTILITY
   // ─────────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Hostname of a URL for connectivity logging
+   * @param {string} url
+   * @returns {string}
+   */
+  function getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return "unknown";
+    }
+  }
+
   /**
    * Make an HTTP request with timeout and error handling
    *
@@ -207,29 +430,80 @@
    * @param {Object} options - Fetch options plus custom options
    * @param {number} [options.timeout=5000] - Request timeout in ms
    * @param {boolean} [options.parseJson=true] - Whether to parse response as JSON
-   * @returns {Promise<{ ok: boolean, status: number, data?: any, error?: string }>}
+   * @param {string} [options.queue] - Rate limiter queue to send the request through (e.g. "tmdb")
+   * @param {boolean} [options.priority=false] - Front of the rate limiter queue
+   * @param {string} [options.provider] - Circuit breaker provider (defaults to circuitBreaker.hosts lookup)
+   * @param {AbortSignal} [options.signal] - Cancels the request (queued requests default to the route's signal)
+   * @returns {Promise<{ ok: boolean, status: number, data?: any, error?: string, offline?: boolean, timedOut?: boolean, circuitOpen?: boolean, aborted?: boolean, rateLimit?: Object|null }>}
    */
   async function makeRequest(url, options = {}) {
+    const { queue, priority = false, ...requestOptions } = options;
+
+    // Queued requests come back here (without `queue`) once a token is free
+    const rateLimiter = window.MetadataModules?.rateLimiter?.instance;
+    if (queue && rateLimiter?.hasQueue(queue)) {
+      return rateLimiter.fetch(queue, url, requestOptions, priority);
+    }
+
     const {
       timeout = DEFAULT_TIMEOUT,
       parseJson = true,
+      provider = getProviderForUrl(url),
+      signal,
       ...fetchOptions
-    } = options;
+    } = requestOptions;
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
+    if (signal?.aborted) {
+      return {
+        ok: false,
+        status: 0,
+        aborted: true,
+        error: "Request cancelled",
+      };
+    }
+
+    // Cache-only mode: don't hit the network while the monitor reports offline
+    const connectivity = window.MetadataModules?.connectivity;
+    if (connectivity && !connectivity.isOnline()) {
+      return {
+        ok: false,
+        status: 0,
+        offline: true,
+        error: "Offline (cache-only mode)",
+      };
+    }
+
+    // Provider is failing: don't wait for another timeout
+    if (provider && !canRequest(provider)) {
+      return {
+        ok: false,
+        status: 0,
+        circuitOpen: true,
+        error: `${provider} is unavailable (circuit open)`,
+      };
+    }
 
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    // Route signals outlive their requests: the listener is removed in finally
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
       const response = await fetch(url, {
         ...fetchOptions,
         signal: controller.signal,
       });
 
       clearTimeout(timeoutId);
+      connectivity?.reportSuccess();
+      const latency = Date.now() - startedAt;
 
       const result = {
         ok: response.ok,
         status: response.status,
+        rateLimit: parseRateLimitHeaders(response.headers),
       };
 
       if (parseJson) {
@@ -268,24 +542,59 @@
         } else {
           result.error = `HTTP ${response.status}: ${response.statusText}`;
         }
-        return result;
+      }
+
+      // Cancelled while the body was read
+      if (signal?.aborted && !result.ok) {
+        if (provider) getBreaker(provider).trialInFlight = false;
+        return { ...result, aborted: true, error: "Request cancelled" };
+      }
+
+      // 4xx are answers (not found, bad key, rate limited), not outages
+      if (provider) {
+        const failed = response.status >= 500 || (response.ok && !result.ok);
+        recordResult(provider, {
+          ok: !failed,
+          latency,
+          error: failed ? result.error : null,
+        });
       }
 
       return result;
     } catch (error) {
-      if (error.name === "AbortError") {
+      // Cancelled by the caller: says nothing about the network or the provider
+      if (signal?.aborted) {
+        if (provider) getBreaker(provider).trialInFlight = false;
         return {
           ok: false,
           status: 0,
-          error: `Request timed out after ${timeout}ms`,
+          aborted: true,
+          error: "Request cancelled",
         };
       }
 
-      return {
-        ok: false,
-        status: 0,
-        error: error.message || "Network error",
-      };
+      connectivity?.reportFailure(getHost(url));
+
+      const timedOut = error.name === "AbortError";
+      const message = timedOut
+        ? `Request timed out after ${timeout}ms`
+        : error.message || "Network error";
+
+      // Failures caused by our own connection going down don't count against the provider
+      if (provider) {
+        if (connectivity && !connectivity.isOnline()) {
+          getBreaker(provider).trialInFlight = false;
+        } else {
+          recordResult(provider, { ok: false, error: message });
+        }
+      }
+
+      return timedOut
+        ? { ok: false, status: 0, timedOut: true, error: message }
+        : { ok: false, status: 0, error: message };
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", onAbort);
     }
   }
 
@@ -316,6 +625,62 @@
     );
   }
 
+  /**
+   * Parse a header holding seconds or an HTTP date into milliseconds from now
+   * @returns {number|null}
+   */
+  function parseDelayHeader(value) {
+    if (value == null || value === "") return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Read rate limit headers (Retry-After, X-RateLimit-* and the draft
+   * RateLimit-* names). Cross-origin responses only expose them when the API
+   * lists them in Access-Control-Expose-Headers.
+   *
+   * @param {Headers} headers - Response headers
+   * @returns {{ limit: number|null, remaining: number|null, resetAt: number|null, retryAfter: number|null }|null}
+   *   resetAt is a timestamp in ms, retryAfter a delay in ms; null when no header is present
+   */
+  function parseRateLimitHeaders(headers) {
+    if (!headers?.get) return null;
+
+    const read = (name) =>
+      headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`);
+    const toNumber = (value) => {
+      const number = value == null || value === "" ? NaN : Number(value);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    const limit = toNumber(read("limit"));
+    const remaining = toNumber(read("remaining"));
+    const retryAfter = parseDelayHeader(headers.get("retry-after"));
+
+    // Reset is either an epoch timestamp (seconds) or seconds until reset
+    let resetAt = null;
+    const reset = toNumber(read("reset"));
+    if (reset !== null) {
+      resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+    }
+
+    if (
+      limit === null &&
+      remaining === null &&
+      resetAt === null &&
+      retryAfter === null
+    ) {
+      return null;
+    }
+
+    return { limit, remaining, resetAt, retryAfter };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // PARALLEL EXECUTION
   // ─────────────────────────────────────────────────────────────────────────────
@@ -374,9 +739,17 @@
     // HTTP
     makeRequest,
 
+    // Circuit breaker
+    getProviderForUrl,
+    canRequest,
+    recordResult,
+    getCircuitHealth,
+    resetCircuit,
+
     // Rate limit helpers
     isRateLimitResponse,
     isRateLimitError,
+    parseRateLimitHeaders,
 
     // Parallel execution
     executeParallel,
@@ -387,4 +760,8 @@
   };
 
   console.log("[Fetch Utils] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).fetchUtils =
+    `(${fetchUtilsModule})();`;
 })();
@@ -498,3 +498,9 @@ window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.idConversion = {
   IdConversionService,
 };
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).idConversion = [
+  IdConversionService,
+  "window.MetadataModules.idConversion = { IdConversionService };",
+].join("\n");
@@ -274,4 +274,10 @@ class IdLookupService {
 window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.idLookup = {
     IdLookupService
-};
\ No newline at end of file
+};
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).idLookup = [
+    IdLookupService,
+    'window.MetadataModules.idLookup = { IdLookupService };',
+].join('\n');
\ No newline at end of file
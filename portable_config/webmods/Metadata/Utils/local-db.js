@@ -0,0 +1,712 @@
+/**
+ * Local Database Module
+ *
+ * Opens the metadata database on IndexedDB through the bundled Dexie.js
+ * (Metadata/Vendor/dexie.min.js). When Dexie or IndexedDB is unavailable
+ * (private mode, blocked storage, failed open) it falls back to an in-memory
+ * store that implements the subset of the Dexie API used by the metadata
+ * system, so lookups keep working for the current session.
+ *
+ * @module local-db
+ */
+
+(function localDbModule() {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.localDb?.initialized) {
+    console.log("[Local DB] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  const DEXIE_WAIT_TIMEOUT = 5000;
+  const DEXIE_POLL_INTERVAL = 100;
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // KEY HELPERS (IndexedDB key semantics)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Rank of a value in IndexedDB key order, or -1 if it is not a valid key.
+   * Booleans, null and undefined are not valid keys and are never indexed.
+   */
+  function keyRank(value) {
+    if (typeof value === "number") return Number.isNaN(value) ? -1 : 1;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? -1 : 2;
+    if (typeof value === "string") return 3;
+    if (Array.isArray(value)) return value.every(isValidKey) ? 4 : -1;
+    return -1;
+  }
+
+  function isValidKey(value) {
+    return keyRank(value) !== -1;
+  }
+
+  /**
+   * Compare two valid keys the way IndexedDB does
+   * (number < Date < string < array, arrays element-wise)
+   */
+  function compareKeys(a, b) {
+    const rankA = keyRank(a);
+    const rankB = keyRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (rankA === 4) {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const result = compareKeys(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    }
+
+    const valueA = rankA === 2 ? a.getTime() : a;
+    const valueB = rankB === 2 ? b.getTime() : b;
+    if (valueA < valueB) return -1;
+    if (valueA > valueB) return 1;
+    return 0;
+  }
+
+  function cloneValue(value) {
+    if (value === undefined) return undefined;
+    if (typeof structuredClone === "function") return structuredClone(value);
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  function createError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SCHEMA PARSING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Parse a Dexie store definition ("++id, &imdb, *mal, [type+title]")
+   * @returns {{primaryKey: Object, indexes: Map<string, Object>}}
+   */
+  function parseStoreSchema(definition) {
+    const parts = definition
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    const parseIndex = (spec) => {
+      const index = {
+        name: spec,
+        unique: false,
+        multi: false,
+        autoIncrement: false,
+        keyPath: null,
+      };
+
+      let name = spec;
+      if (name.startsWith("++")) {
+        index.autoIncrement = true;
+        name = name.slice(2);
+      } else if (name.startsWith("&")) {
+        index.unique = true;
+        name = name.slice(1);
+      } else if (name.startsWith("*")) {
+        index.multi = true;
+        name = name.slice(1);
+      }
+
+      index.name = name;
+      index.keyPath =
+        name.startsWith("[") && name.endsWith("]")
+          ? name.slice(1, -1).split("+")
+          : name;
+      return index;
+    };
+
+    const [primarySpec = "++id", ...indexSpecs] = parts;
+    const primaryKey = parseIndex(primarySpec);
+    const indexes = new Map();
+    indexSpecs.forEach((spec) => {
+      const index = parseIndex(spec);
+      indexes.set(index.name, index);
+    });
+
+    return { primaryKey, indexes };
+  }
+
+  function readKeyPath(record, keyPath) {
+    if (Array.isArray(keyPath)) {
+      return keyPath.map((path) => readKeyPath(record, path));
+    }
+    return keyPath
+      .split(".")
+      .reduce(
+        (value, segment) => (value == null ? undefined : value[segment]),
+        record,
+      );
+  }
+
+  /**
+   * Index keys a record contributes to an index (several for multi-entry)
+   */
+  function getIndexKeys(record, index) {
+    const value = readKeyPath(record, index.keyPath);
+    if (index.multi && Array.isArray(value)) {
+      return value.filter(isValidKey);
+    }
+    return isValidKey(value) ? [value] : [];
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // IN-MEMORY COLLECTION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Lazy query over a MemoryTable, mirroring Dexie.Collection
+   */
+  class MemoryCollection {
+    constructor(table, index = null, range = null) {
+      this.table = table;
+      this.index = index;
+      this.range = range;
+      this.filters = [];
+      this.isReversed = false;
+      this.skip = 0;
+      this.max = Infinity;
+    }
+
+    _entries() {
+      const entries = [];
+
+      for (const [primaryKey, record] of this.table.records) {
+        if (!this.index) {
+          entries.push({ key: primaryKey, primaryKey, record });
+          continue;
+        }
+
+        const keys = getIndexKeys(record, this.index);
+        const matched = this.range ? keys.filter(this.range) : keys;
+        if (matched.length === 0) continue;
+
+        // Multi-entry indexes yield each record once, sorted by its lowest key
+        const key = matched.sort(compareKeys)[0];
+        entries.push({ key, primaryKey, record });
+      }
+
+      entries.sort(
+        (a, b) =>
+          compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey),
+      );
+      if (this.isReversed) entries.reverse();
+
+      const filtered = entries.filter(({ record }) =>
+        this.filters.every((filter) => filter(record)),
+      );
+      return filtered.slice(this.skip, this.skip + this.max);
+    }
+
+    filter(fn) {
+      this.filters.push(fn);
+      return this;
+    }
+
+    and(fn) {
+      return this.filter(fn);
+    }
+
+    limit(count) {
+      this.max = count;
+      return this;
+    }
+
+    offset(count) {
+      this.skip = count;
+      return this;
+    }
+
+    reverse() {
+      this.isReversed = !this.isReversed;
+      return this;
+    }
+
+    async toArray() {
+      return this._entries().map(({ record }) => cloneValue(record));
+    }
+
+    async first() {
+      const [entry] = this._entries();
+      return entry ? cloneValue(entry.record) : undefined;
+    }
+
+    async last() {
+      const entries = this._entries();
+      const entry = entries[entries.length - 1];
+      return entry ? cloneValue(entry.record) : undefined;
+    }
+
+    async count() {
+      return this._entries().length;
+    }
+
+    async primaryKeys() {
+      return this._entries().map(({ primaryKey }) => primaryKey);
+    }
+
+    async each(callback) {
+      this._entries().forEach(({ record, primaryKey }) =>
+        callback(cloneValue(record), { primaryKey }),
+      );
+    }
+
+    async sortBy(keyPath) {
+      const records = await this.toArray();
+      return records.sort((a, b) => {
+        const valueA = readKeyPath(a, keyPath);
+        const valueB = readKeyPath(b, keyPath);
+        if (!isValidKey(valueA)) return isValidKey(valueB) ? 1 : 0;
+        if (!isValidKey(valueB)) return -1;
+        return compareKeys(valueA, valueB);
+      });
+    }
+
+    async modify(changes) {
+      const entries = this._entries();
+      for (const { record } of entries) {
+        const updated = cloneValue(record);
+        if (typeof changes === "function") {
+          changes(updated);
+        } else {
+          Object.assign(updated, changes);
+        }
+        await this.table.put(updated);
+      }
+      return entries.length;
+    }
+
+    async delete() {
+      const keys = await this.primaryKeys();
+      keys.forEach((key) => this.table.records.delete(key));
+      return keys.length;
+    }
+  }
+
+  /**
+   * Range builder returned by table.where(index), mirroring Dexie.WhereClause
+   */
+  class MemoryWhereClause {
+    constructor(table, index) {
+      this.table = table;
+      this.index = index;
+    }
+
+    _collection(range) {
+      return new MemoryCollection(this.table, this.index, range);
+    }
+
+    equals(value) {
+      return this._collection((key) => compareKeys(key, value) === 0);
+    }
+
+    anyOf(...values) {
+      const list = values.flat();
+      return this._collection((key) =>
+        list.some(
+          (value) => isValidKey(value) && compareKeys(key, value) === 0,
+        ),
+      );
+    }
+
+    above(value) {
+      return this._collection((key) => compareKeys(key, value) > 0);
+    }
+
+    aboveOrEqual(value) {
+      return this._collection((key) => compareKeys(key, value) >= 0);
+    }
+
+    below(value) {
+      return this._collection((key) => compareKeys(key, value) < 0);
+    }
+
+    belowOrEqual(value) {
+      return this._collection((key) => compareKeys(key, value) <= 0);
+    }
+
+    between(lower, upper, includeLower = true, includeUpper = false) {
+      return this._collection((key) => {
+        const low = compareKeys(key, lower);
+        const high = compareKeys(key, upper);
+        return (
+          (includeLower ? low >= 0 : low > 0) &&
+          (includeUpper ? high <= 0 : high < 0)
+        );
+      });
+    }
+
+    startsWith(prefix) {
+      return this._collection(
+        (key) => typeof key === "string" && key.startsWith(prefix),
+      );
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // IN-MEMORY TABLE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class MemoryTable {
+    constructor(name, definition) {
+      this.name = name;
+      this.records = new Map();
+      this.nextId = 1;
+      this.setSchema(definition);
+    }
+
+    setSchema(definition) {
+      const { primaryKey, indexes } = parseStoreSchema(definition);
+      this.primaryKey = primaryKey;
+      this.indexes = indexes;
+    }
+
+    _getIndex(name) {
+      if (name === this.primaryKey.name || name === ":id") {
+        return this.primaryKey;
+      }
+      const index = this.indexes.get(name);
+      if (!index) {
+        throw createError(
+          "SchemaError",
+          `KeyPath ${name} on object store ${this.name} is not indexed`,
+        );
+      }
+      return index;
+    }
+
+    _assertUnique(record, primaryKey) {
+      for (const index of this.indexes.values()) {
+        if (!index.unique) continue;
+        const keys = getIndexKeys(record, index);
+        if (keys.length === 0) continue;
+
+        for (const [otherKey, other] of this.records) {
+          if (compareKeys(otherKey, primaryKey) === 0) continue;
+          const otherKeys = getIndexKeys(other, index);
+          if (
+            keys.some((key) => otherKeys.some((k) => compareKeys(k, key) === 0))
+          ) {
+            throw createError(
+              "ConstraintError",
+              `Unable to add key to index '${index.name}': at least one key does not satisfy the uniqueness requirements.`,
+            );
+          }
+        }
+      }
+    }
+
+    _store(item, mustBeNew) {
+      const record = cloneValue(item);
+      const keyPath = this.primaryKey.keyPath;
+      let primaryKey = readKeyPath(record, keyPath);
+
+      if (!isValidKey(primaryKey)) {
+        if (!this.primaryKey.autoIncrement) {
+          throw createError("DataError", `Missing primary key in ${this.name}`);
+        }
+        primaryKey = this.nextId;
+        record[keyPath] = primaryKey;
+        item[keyPath] = primaryKey; // Dexie assigns generated ids to the input object
+      }
+
+      if (mustBeNew && this.records.has(primaryKey)) {
+        throw createError(
+          "ConstraintError",
+          `Key already exists in ${this.name}`,
+        );
+      }
+
+      this._assertUnique(record, primaryKey);
+
+      if (typeof primaryKey === "number" && primaryKey >= this.nextId) {
+        this.nextId = Math.floor(primaryKey) + 1;
+      }
+      this.records.set(primaryKey, record);
+      return primaryKey;
+    }
+
+    async get(keyOrCriteria) {
+      if (
+        keyOrCriteria &&
+        typeof keyOrCriteria === "object" &&
+        !Array.isArray(keyOrCriteria)
+      ) {
+        const [field, value] = Object.entries(keyOrCriteria)[0] || [];
+        return field ? this.where(field).equals(value).first() : undefined;
+      }
+      return cloneValue(this.records.get(keyOrCriteria));
+    }
+
+    async bulkGet(keys) {
+      return keys.map((key) => cloneValue(this.records.get(key)));
+    }
+
+    async put(item) {
+      return this._store(item, false);
+    }
+
+    async add(item) {
+      return this._store(item, true);
+    }
+
+    async bulkPut(items) {
+      let lastKey;
+      for (const item of items) {
+        lastKey = this._store(item, false);
+      }
+      return lastKey;
+    }
+
+    async bulkAdd(items) {
+      let lastKey;
+      for (const item of items) {
+        lastKey = this._store(item, true);
+      }
+      return lastKey;
+    }
+
+    async update(key, changes) {
+      const record = this.records.get(key);
+      if (!record) return 0;
+      this._store({ ...cloneValue(record), ...changes }, false);
+      return 1;
+    }
+
+    async delete(key) {
+      this.records.delete(key);
+    }
+
+    async bulkDelete(keys) {
+      keys.forEach((key) => this.records.delete(key));
+    }
+
+    async clear() {
+      this.records.clear();
+    }
+
+    async count() {
+      return this.records.size;
+    }
+
+    async toArray() {
+      return this.toCollection().toArray();
+    }
+
+    toCollection() {
+      return new MemoryCollection(this);
+    }
+
+    where(indexName) {
+      return new MemoryWhereClause(this, this._getIndex(indexName));
+    }
+
+    orderBy(indexName) {
+      return new MemoryCollection(this, this._getIndex(indexName));
+    }
+
+    filter(fn) {
+      return this.toCollection().filter(fn);
+    }
+
+    limit(count) {
+      return this.toCollection().limit(count);
+    }
+
+    reverse() {
+      return this.toCollection().reverse();
+    }
+
+    each(callback) {
+      return this.toCollection().each(callback);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // IN-MEMORY DATABASE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Non-persistent stand-in for a Dexie database.
+   * Supports version().stores(), table properties and the table/collection
+   * methods above. Data lives until the page is reloaded.
+   */
+  class MemoryDatabase {
+    constructor(name) {
+      this.name = name;
+      this.verno = 0;
+      this.tables = [];
+      this.isMemory = true;
+      this._isOpen = false;
+    }
+
+    version(versionNumber) {
+      return {
+        stores: (schema) => {
+          this.verno = Math.max(this.verno, versionNumber);
+          Object.entries(schema).forEach(([tableName, definition]) => {
+            this._defineTable(tableName, definition);
+          });
+          return this;
+        },
+      };
+    }
+
+    _defineTable(tableName, definition) {
+      const existing = this.tables.find((table) => table.name === tableName);
+
+      if (definition === null) {
+        this.tables = this.tables.filter((table) => table.name !== tableName);
+        delete this[tableName];
+        return;
+      }
+
+      if (existing) {
+        existing.setSchema(definition);
+        return;
+      }
+
+      const table = new MemoryTable(tableName, definition);
+      this.tables.push(table);
+      this[tableName] = table;
+    }
+
+    table(tableName) {
+      const table = this.tables.find((t) => t.name === tableName);
+      if (!table) {
+        throw createError(
+          "InvalidTableError",
+          `Table ${tableName} does not exist`,
+        );
+      }
+      return table;
+    }
+
+    async transaction(...args) {
+      const scope = args[args.length - 1];
+      return typeof scope === "function" ? scope() : undefined;
+    }
+
+    async open() {
+      this._isOpen = true;
+      return this;
+    }
+
+    isOpen() {
+      return this._isOpen;
+    }
+
+    close() {
+      this._isOpen = false;
+    }
+
+    async delete() {
+      this.tables.forEach((table) => table.records.clear());
+      this._isOpen = false;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // DATABASE FACTORY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Check that IndexedDB exists and is accessible
+   * (reading window.indexedDB throws in some sandboxed contexts)
+   */
+  function isIndexedDbAvailable() {
+    try {
+      return typeof indexedDB !== "undefined" && indexedDB !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Wait for the bundled Dexie.js script to register its global
+   * @param {number} [timeout] - Maximum wait in ms
+   * @returns {Promise<boolean>} True if Dexie is available
+   */
+  async function waitForDexie(timeout = DEXIE_WAIT_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    while (typeof Dexie === "undefined") {
+      if (Date.now() >= deadline) return false;
+      await new Promise((resolve) => setTimeout(resolve, DEXIE_POLL_INTERVAL));
+    }
+    return true;
+  }
+
+  /**
+   * Open a database, preferring Dexie/IndexedDB and falling back to memory
+   *
+   * @param {string} name - Database name
+   * @param {Function} defineSchema - Receives the db and declares its versions
+   * @returns {Promise<Dexie|MemoryDatabase>} Opened database
+   */
+  async function openDatabase(name, defineSchema) {
+    const hasDexie = await waitForDexie();
+
+    if (hasDexie && isIndexedDbAvailable()) {
+      const db = new Dexie(name);
+      defineSchema(db);
+      try {
+        await db.open();
+        return db;
+      } catch (error) {
+        console.warn(
+          `[Local DB] Failed to open IndexedDB "${name}", using in-memory store:`,
+          error?.message || error,
+        );
+        db.close();
+      }
+    } else {
+      console.warn(
+        `[Local DB] ${hasDexie ? "IndexedDB" : "Dexie.js"} unavailable, "${name}" will use in-memory store (not persisted)`,
+      );
+    }
+
+    const memoryDb = new MemoryDatabase(name);
+    defineSchema(memoryDb);
+    await memoryDb.open();
+    return memoryDb;
+  }
+
+  /**
+   * @returns {boolean} True if db is the non-persistent fallback
+   */
+  function isMemoryDatabase(db) {
+    return db instanceof MemoryDatabase;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  window.MetadataModules.localDb = {
+    initialized: true,
+
+    openDatabase,
+    waitForDexie,
+    isIndexedDbAvailable,
+    isMemoryDatabase,
+
+    MemoryDatabase,
+
+    DEXIE_WAIT_TIMEOUT,
+  };
+
+  console.log("[Local DB] Module initialized.");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).localDb =
+    `(${localDbModule})();`;
+})();
@@ -0,0 +1,145 @@
+/**
+ * Localization Utilities - Language fallback chain for localized metadata
+ * Used by: tmdb-fetcher.js, metadata-storage.js, hover-popup.js,
+ * details-enhancer.js, Hero Banner ui.js
+ *
+ * Entries keep per-language variants in entry.localized
+ * ({ro: {title, plot, tagline}, en: {...}}). Renderers resolve each field
+ * through the chain [language, ...languageFallback, "original"]; "original"
+ * means the original-language title and the provider's base fields.
+ */
+
+(function localizationUtilsModule() {
+  "use strict";
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CONSTANTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const ORIGINAL = "original";
+
+  // Entry fields that have per-language variants
+  const LOCALIZED_FIELDS = ["title", "plot", "tagline"];
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LANGUAGE CHAIN
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function getPreferences() {
+    return window.MetadataModules?.preferences;
+  }
+
+  function getPrimaryLanguage() {
+    return getPreferences()?.get("language") || "en";
+  }
+
+  /**
+   * Fallback chain from preferences, always ending with "original"
+   * @returns {string[]} e.g. ["ro", "en", "original"]
+   */
+  function getLanguageChain() {
+    const fallback = getPreferences()?.get("languageFallback");
+    const chain = [
+      getPrimaryLanguage(),
+      ...(Array.isArray(fallback) ? fallback : []),
+    ].filter((lang) => lang && lang !== ORIGINAL);
+    return [...new Set(chain), ORIGINAL];
+  }
+
+  /**
+   * Languages whose variants are kept on entries
+   * @param {string} [originalLanguage] - Title's original language, kept too
+   * @returns {string[]} ISO 639-1 codes
+   */
+  function getStoredLanguages(originalLanguage) {
+    const languages = getLanguageChain().filter((lang) => lang !== ORIGINAL);
+    if (originalLanguage) languages.push(originalLanguage);
+    return [...new Set(languages)];
+  }
+
+  /**
+   * Chain languages the entry has not been fetched in yet
+   * (a fetched language with no translation is stored as an empty object)
+   */
+  function getMissingLanguages(entry) {
+    const localized = entry?.localized || {};
+    return getStoredLanguages().filter((lang) => !(lang in localized));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RESOLUTION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Resolve one field through the language chain
+   * @param {Object} entry - Stored title entry
+   * @param {string} field - "title", "plot" or "tagline"
+   * @returns {{value: string|null, language: string}}
+   */
+  function resolve(entry, field) {
+    const localized = entry?.localized || {};
+
+    for (const lang of getLanguageChain()) {
+      if (lang === ORIGINAL) {
+        const original =
+          (field === "title" && entry.originalTitle) ||
+          localized[entry.originalLanguage]?.[field];
+        if (original) return { value: original, language: ORIGINAL };
+        continue;
+      }
+
+      const value = localized[lang]?.[field];
+      if (value) return { value, language: lang };
+    }
+
+    return { value: entry?.[field] || null, language: ORIGINAL };
+  }
+
+  /**
+   * Copy of an entry with title / plot / tagline taken from the language chain.
+   * Entries without variants are returned unchanged.
+   * @param {Object} entry - Stored title entry
+   * @returns {Object}
+   */
+  function localize(entry) {
+    if (!entry?.localized) return entry;
+
+    const result = { ...entry };
+    for (const field of LOCALIZED_FIELDS) {
+      const { value } = resolve(entry, field);
+      if (value) result[field] = value;
+    }
+
+    // Hero Banner items carry the catalog display name
+    if (entry.extractedTitle && result.title !== entry.title) {
+      result.extractedTitle = result.title;
+    }
+
+    return result;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EXPORTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const LocalizationUtils = {
+    ORIGINAL,
+    LOCALIZED_FIELDS,
+    getPrimaryLanguage,
+    getLanguageChain,
+    getStoredLanguages,
+    getMissingLanguages,
+    resolve,
+    localize,
+  };
+
+  // Expose globally
+  window.MetadataModules = window.MetadataModules || {};
+  window.MetadataModules.localizationUtils = LocalizationUtils;
+
+  console.log("[LocalizationUtils] ✅ Shared localization utilities loaded");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).localizationUtils =
+    `(${localizationUtilsModule})();`;
+})();
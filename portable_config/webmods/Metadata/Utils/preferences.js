@@ -4,7 +4,7 @@
  * Handles storage, retrieval, and event dispatching for settings
  */
 
-(function () {
+(function preferencesModule() {
   "use strict";
 
   if (window.MetadataModules?.preferences?.initialized) return;
@@ -16,6 +16,10 @@
   // Default values
   const DEFAULTS = {
     language: "en",
+    // Languages tried after `language` before the original title (see localization-utils.js)
+    languageFallback: ["en"],
+    // TVDB episode order: "official" (aired), "dvd" or "absolute"
+    tvdbSeasonType: "official",
     ratings: {
       imdb: true,
       tmdb: true,
@@ -98,4 +102,8 @@
   window.MetadataModules.preferences.initialized = true;
 
   console.log("[Metadata Preferences] Initialized");
+
+  // Core worker source (see core-worker.js)
+  (window.MetadataModules.workerSources ||= {}).preferences =
+    `(${preferencesModule})();`;
 })();
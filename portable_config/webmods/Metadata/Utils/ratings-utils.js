@@ -17,6 +17,7 @@
   const LOGOS = {
     imdb: "https://upload.wikimedia.org/wikipedia/commons/5/57/IMDb_Logo_Rectangle.svg",
     mal: "https://upload.wikimedia.org/wikipedia/commons/9/9b/MyAnimeList_favicon.svg",
+    anilist: "https://anilist.co/img/icons/icon.svg",
     letterboxd:
       "https://a.ltrbxd.com/logos/letterboxd-decal-dots-neg-rgb-500px.png",
     mdblist: "https://mdblist.com/static/mdblist_logo.png",
@@ -232,6 +233,29 @@
       html += malUrl ? "</button>" : "</div>";
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // PRIORITY 2b: AniList (next to MAL, score is 0-100)
+    // ─────────────────────────────────────────────────────────────────────────
+    const anilistRating = getRating("anilist");
+    const anilistVotes = getVotes("anilist");
+    if (show("anilist") && anilistRating != null) {
+      hasRatings = true;
+      const anilistId = Array.isArray(metadata.anilist)
+        ? metadata.anilist[0]
+        : metadata.anilist;
+      const anilistUrl =
+        metadata.anilistUrl ||
+        (anilistId
+          ? `https://anilist.co/anime/${anilistId}`
+          : "https://anilist.co/");
+      const anilistTooltip = formatVotesTooltip("AniList", anilistVotes);
+      html += `
+        <button class="${prefix}-item" onclick="event.stopPropagation(); window.open('${anilistUrl}', '_blank')" title="${anilistTooltip}">
+          <img src="${LOGOS.anilist}" class="${prefix}-logo" alt="AniList" decoding="async">
+          <span class="${prefix}-anilist">${anilistRating}%</span>
+        </button>`;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // PRIORITY 3: MDBList Score (aggregate of all ratings)
     // ─────────────────────────────────────────────────────────────────────────
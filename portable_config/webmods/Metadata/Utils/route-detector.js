@@ -1,17 +1,21 @@
 /**
  * @name Route Detector
  * @description Shared utility for Stremio route detection and ID extraction
- * @version 1.2.0
+ * @version 1.4.0
  * @author allecsc
  * @changelog
  *   v1.0.0 - Initial extraction from show-page-enhancer.js
  *   v1.1.0 - Enhanced PLAYER route regex to extract IMDb ID from end of URL
  *   v1.2.0 - Added anime ID extraction (mal:, anilist:, kitsu:) from player URLs
+ *   v1.3.0 - Added season/episode extraction from player URLs
+ *   v1.4.0 - Added route-scoped AbortSignal for background work (kai-route-changed event)
  *
  * @exports {Class} RouteDetector - Exposed globally as window.RouteDetector
  *
  * Provides centralized route state detection with caching for all webmod scripts.
  * Handles Stremio's complex URL structures including player, detail, and streams pages.
+ * Background work started on a route can carry getRouteSignal(), which aborts as soon
+ * as the user navigates to a different route.
  */
 
 (function () {
@@ -33,6 +37,9 @@
     // Route state cache (invalidated on hash change)
     static _cache = { hash: "", state: null };
 
+    // Abort controller for the current route's background work
+    static _scope = { key: null, controller: null };
+
     // Known Route Regular Expressions
     static ROUTES = {
       PLAYER: /^#\/player\//, // Detect player route (IDs parsed inline)
@@ -56,8 +63,10 @@
         const decoded = decodeURIComponent(hash);
 
         // Extract IMDb ID (always at end of player URL in format tt1234567:season:episode or just tt1234567)
-        const imdbMatch = decoded.match(/\/(tt\d+)(?::\d+:\d+)?(?:\/|$)/);
+        const imdbMatch = decoded.match(/\/(tt\d+)(?::(\d+):(\d+))?(?:\/|$)/);
         const imdbId = imdbMatch ? imdbMatch[1] : null;
+        const season = imdbMatch?.[2] ? Number(imdbMatch[2]) : null;
+        const episode = imdbMatch?.[3] ? Number(imdbMatch[3]) : null;
 
         // Extract content type
         const typeMatch = decoded.match(/\/(movie|series)\//);
@@ -83,6 +92,8 @@
           type: type,
           source: animeIds ? "anime" : "imdb",
           animeIds: animeIds, // New: { mal, anilist, kitsu } or null
+          season: season, // null for movies
+          episode: episode,
         };
         RouteDetector._cache = { hash, state };
         return state;
@@ -135,6 +146,46 @@
       RouteDetector._cache = { hash: "", state: null };
     }
 
+    /**
+     * Route identity: the hash path (query changes like ?season= stay on the route)
+     */
+    static getRouteKey() {
+      return window.location.hash.split("?")[0];
+    }
+
+    /**
+     * AbortSignal for work scoped to the current route. It aborts (AbortError)
+     * when the user navigates away; a new signal is handed out for the next route.
+     * @returns {AbortSignal}
+     */
+    static getRouteSignal() {
+      RouteDetector.checkRouteChange();
+      return RouteDetector._scope.controller.signal;
+    }
+
+    /**
+     * Abort the previous route's scope if the route changed.
+     * Dispatches "kai-route-changed" ({ from, to }) on window.
+     * @returns {boolean} True if the route changed
+     */
+    static checkRouteChange() {
+      const key = RouteDetector.getRouteKey();
+      const scope = RouteDetector._scope;
+      if (scope.controller && scope.key === key) return false;
+
+      const previous = scope.controller;
+      const from = scope.key;
+      RouteDetector._scope = { key, controller: new AbortController() };
+      if (!previous) return false;
+
+      RouteDetector.invalidateCache();
+      previous.abort(new DOMException("Route changed", "AbortError"));
+      window.dispatchEvent(
+        new CustomEvent("kai-route-changed", { detail: { from, to: key } }),
+      );
+      return true;
+    }
+
     static parseId(idString) {
       if (!idString) return { id: null, source: "imdb" };
 
@@ -195,6 +246,9 @@
     }
   }
 
+  // Listeners registered before this one may already have rotated the scope
+  window.addEventListener("hashchange", () => RouteDetector.checkRouteChange());
+
   // Expose globally
   window.RouteDetector = RouteDetector;
 })();
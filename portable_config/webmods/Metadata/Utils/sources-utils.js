@@ -0,0 +1,136 @@
+/**
+ * Sources Utilities - Field provenance display for debugging
+ * Used by: hover-popup.js, details-enhancer.js
+ *
+ * Renders entry.provenance ({field: {source, updatedAt}}, recorded by
+ * MetadataStorage) as a list of field / provider / age rows. Fields in a
+ * stale field group are flagged. Only shown while metadata debug logging is
+ * on (kai-metadata-debug).
+ *
+ * NOTE: This module generates HTML with CSS class names. All styling must be in CSS files.
+ * - hover-popup.css for .metadata-popup-sources-* classes
+ * - details-enhancer.css for .show-page-sources-* classes
+ */
+
+(function () {
+  "use strict";
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CONSTANTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const DEBUG_STORAGE_KEY = "kai-metadata-debug";
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function isEnabled() {
+    return localStorage.getItem(DEBUG_STORAGE_KEY) === "true";
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * "just now", "5m ago", "3h ago", "12d ago"
+   */
+  function formatAge(timestamp) {
+    if (!timestamp) return "unknown";
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+  }
+
+  /**
+   * Provenance rows sorted by field group, then field name
+   * @param {Object} entry - Stored title entry
+   * @returns {Array<{field, group, source, label, updatedAt, age, stale}>}
+   */
+  function getRows(entry) {
+    const provenance = entry?.provenance;
+    if (!provenance) return [];
+
+    const registry = window.MetadataModules?.providerRegistry;
+    const groupOrder = Object.keys(registry?.FIELD_GROUPS || {});
+    const staleGroups = window.metadataStorage?.getStaleGroups?.(entry) || [];
+
+    return Object.entries(provenance)
+      .map(([field, record]) => {
+        const group = registry?.getGroup(field.split(".")[0]) || null;
+        return {
+          field,
+          group,
+          source: record.source,
+          label: registry?.getProvider(record.source)?.label || record.source,
+          updatedAt: record.updatedAt,
+          age: formatAge(record.updatedAt),
+          stale: !!group && staleGroups.includes(group),
+        };
+      })
+      .sort((a, b) => {
+        const rank = (row) =>
+          row.group ? groupOrder.indexOf(row.group) : groupOrder.length;
+        return rank(a) - rank(b) || a.field.localeCompare(b.field);
+      });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HTML GENERATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Generate the provenance list
+   * @param {Object} entry - Stored title entry
+   * @param {Object} options
+   * @param {string} options.prefix - CSS class prefix
+   * @returns {string} HTML string, empty when the entry has no provenance
+   */
+  function createSourcesHTML(
+    entry,
+    { prefix = "metadata-popup-sources" } = {},
+  ) {
+    const rows = getRows(entry);
+    if (!rows.length) return "";
+
+    const html = rows
+      .map(
+        (row) => `
+        <div class="${prefix}-row${row.stale ? ` ${prefix}-stale` : ""}" title="${escapeHtml(
+          new Date(row.updatedAt || 0).toLocaleString(),
+        )}">
+          <span class="${prefix}-field">${escapeHtml(row.field)}</span>
+          <span class="${prefix}-source">${escapeHtml(row.label)}</span>
+          <span class="${prefix}-age">${row.age}${row.stale ? " · stale" : ""}</span>
+        </div>`,
+      )
+      .join("");
+
+    return `<div class="${prefix}-list">${html}</div>`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EXPORTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const SourcesUtils = {
+    isEnabled,
+    formatAge,
+    getRows,
+    createSourcesHTML,
+  };
+
+  // Expose globally
+  window.MetadataModules = window.MetadataModules || {};
+  window.MetadataModules.sourcesUtils = SourcesUtils;
+
+  console.log("[SourcesUtils] ✅ Shared provenance utilities loaded");
+})();
@@ -237,6 +237,15 @@ class IdUtils {
     const unique = new Set([...existingArr, ...incomingArr]);
     return Array.from(unique);
   }
+
+  /**
+   * Checks that a value is a well-formed IMDb title id (tt1234567)
+   * @param {*} id - Value to check
+   * @returns {boolean} True if valid
+   */
+  static isValidImdbId(id) {
+    return typeof id === "string" && /^tt\d+$/.test(id);
+  }
 }
 
 // Runtime Utilities - static class for runtime parsing and formatting
@@ -424,3 +433,18 @@ window.MetadataModules.imageUtils = {
 window.MetadataModules.scrollUtils = {
   ScrollUtils,
 };
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).titleUtils = [
+  `const YEAR_PATTERN = ${YEAR_PATTERN};`,
+  TitleUtils,
+  IdUtils,
+  RuntimeUtils,
+  ImageUtils,
+  ScrollUtils,
+  "window.MetadataModules.titleUtils = { TitleUtils };",
+  "window.MetadataModules.idUtils = { IdUtils };",
+  "window.MetadataModules.runtimeUtils = { RuntimeUtils };",
+  "window.MetadataModules.imageUtils = { ImageUtils };",
+  "window.MetadataModules.scrollUtils = { ScrollUtils };",
+].join("\n");
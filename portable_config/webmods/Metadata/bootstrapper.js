@@ -6,13 +6,24 @@
 const MetadataBootstrapper = {
   requiredModules: [
     "config",
+    "localDb", // Dexie / in-memory database factory (must load before metadataStorage)
+    "connectivity", // Offline monitor (pauses rate limiter, defers enrichment)
     "rateLimiter",
     "ratingsUtils", // Shared ratings utility (must load before hoverPopup)
+    "sourcesUtils", // Field provenance rows for the debug Sources panels
+    "localizationUtils", // Language fallback chain for localized titles / plots
     "metadataFetcher",
+    "anilistFetcher", // AniList GraphQL enrichment (anilist rate limiter queue)
     "idConversion",
     "titleSearch",
     "idLookup",
+    "providerRegistry", // Provider descriptors and per-field source priority
     "metadataStorage",
+    "watchHistory", // Player session recorder (watchSessions table)
+    "episodeService", // Per-episode metadata (episodes table)
+    "dbMaintenance", // Duplicate merge, orphan purge and LRU size cap for titles
+    "coreWorker", // Runs the services above in a Web Worker (main.js falls back to the UI thread)
+    "artworkCache", // Image blobs in Cache Storage (LRU) + persisted image selections
     "domProcessor",
     "hoverPopup",
     "apiKeys",
@@ -79,14 +90,14 @@ const MetadataBootstrapper = {
   },
 
   waitForDexie(retryCount = 0) {
-    return new Promise((resolve, reject) => {
+    return new Promise((resolve) => {
       if (typeof Dexie !== "undefined") {
-        return resolve();
+        return resolve(true);
       }
 
-      if (retryCount > 100) {
-        // 10 seconds max
-        return reject("Timeout waiting for Dexie.js");
+      if (retryCount > 50) {
+        // 5 seconds max - storage falls back to the in-memory database
+        return resolve(false);
       }
 
       if (retryCount % 10 === 0) {
@@ -94,13 +105,7 @@ const MetadataBootstrapper = {
           `[MetadataBootstrapper] Waiting for Dexie.js... (${retryCount})`
         );
       }
-      setTimeout(
-        () =>
-          this.waitForDexie(retryCount + 1)
-            .then(resolve)
-            .catch(reject),
-        100
-      );
+      setTimeout(() => this.waitForDexie(retryCount + 1).then(resolve), 100);
     });
   },
 
@@ -108,17 +113,21 @@ const MetadataBootstrapper = {
     console.log("[MetadataBootstrapper] Beginning initialization sequence...");
 
     try {
-      // 1. Initialize Config (Loads Dexie)
+      // 1. Initialize Config
       if (window.MetadataModules.config && window.MetadataModules.config.init) {
-        console.log(
-          "[MetadataBootstrapper] Initializing Config (Loading Dexie)..."
-        );
+        console.log("[MetadataBootstrapper] Initializing Config...");
         window.MetadataModules.config.init();
       }
 
-      // 2. Wait for Dexie to be fully loaded
-      await this.waitForDexie();
-      console.log("[MetadataBootstrapper] Dexie.js confirmed loaded.");
+      // 2. Wait for the bundled Dexie (storage falls back to memory without it)
+      const hasDexie = await this.waitForDexie();
+      if (hasDexie) {
+        console.log("[MetadataBootstrapper] Dexie.js confirmed loaded.");
+      } else {
+        console.warn(
+          "[MetadataBootstrapper] Dexie.js unavailable, continuing with in-memory storage."
+        );
+      }
 
       // 3. Initialize Main (Starts the Manager)
       if (window.MetadataModules.main && window.MetadataModules.main.init) {
@@ -1,6 +1,6 @@
 /**
  * @name Metadata Helper - Config Module
- * @description Configuration constants and Dexie loading for the metadata system
+ * @description Configuration constants for the metadata system (Dexie.js is bundled in Metadata/Vendor)
  */
 
 // Configuration constants
@@ -8,11 +8,13 @@ const METADATA_CONFIG = {
   cinemetaApiBase: "https://cinemeta-live.strem.io/meta",
   //    cinemetaApiV3: 'https://v3-cinemeta.strem.io/meta',
   imdbApiBase: "https://api.imdbapi.dev",
+  anilistApiBase: "https://graphql.anilist.co",
 
   // Private API endpoints
   tmdbApiBase: "https://api.themoviedb.org/3",
   mdblistApiBase: "https://api.mdblist.com",
   tvdbApiBase: "https://api4.thetvdb.com/v4",
+  omdbApiBase: "https://www.omdbapi.com",
 
   // TMDB image base URL
   tmdbImageBase: "https://image.tmdb.org/t/p/",
@@ -35,10 +37,124 @@ const METADATA_CONFIG = {
     idConversion: 30 * 24 * 60 * 60 * 1000, // 30 days for ID mappings
     metadata: 7 * 24 * 60 * 60 * 1000, // 7 days for metadata
     authToken: 28 * 24 * 60 * 60 * 1000, // 28 days for TVDB tokens
+    episodes: 7 * 24 * 60 * 60 * 1000, // 7 days before re-fetching a TMDB season
+
+    // Per field group (see provider-registry FIELD_GROUPS); others use staleThreshold
+    fieldGroups: {
+      ratings: 24 * 60 * 60 * 1000, // 1 day - scores and vote counts move
+      titles: 30 * 24 * 60 * 60 * 1000,
+      overview: 30 * 24 * 60 * 60 * 1000,
+      translations: 30 * 24 * 60 * 60 * 1000,
+      artwork: 14 * 24 * 60 * 60 * 1000,
+      cast: 30 * 24 * 60 * 60 * 1000,
+      runtime: 30 * 24 * 60 * 60 * 1000,
+    },
+  },
+
+  // Rate limiter queues (token bucket per API, see rate-limiter.js)
+  // rate: requests/second, burst: bucket size, concurrency: requests in flight
+  // keyProvider: api-keys provider marked rate-limited while the queue is paused
+  // quotas: daily / monthly request budgets, persisted across restarts
+  rateLimits: {
+    apis: {
+      imdb: { rate: 5, burst: 1, concurrency: 1 },
+      haglund: { rate: 2, burst: 1, concurrency: 1 },
+      cinemeta: { rate: 20, burst: 1, concurrency: 1 },
+      imdbScraper: {
+        rate: 10,
+        burst: 1,
+        concurrency: 1,
+        quotas: { daily: 500 },
+      },
+      jikan: { rate: 1, burst: 1, concurrency: 1 },
+      anilist: { rate: 0.5, burst: 1, concurrency: 1 }, // 30 req/min (AniList's degraded limit)
+      tmdb: { rate: 20, burst: 10, concurrency: 6, keyProvider: "TMDB" },
+      // Free tier; the real limit comes from /user/limits and X-RateLimit headers
+      mdblist: {
+        rate: 2,
+        burst: 2,
+        concurrency: 2,
+        keyProvider: "MDBLIST",
+        quotas: { daily: 1000 },
+        quotaUtc: true,
+        quotaFromHeaders: true,
+      },
+    },
+    reservedForPriority: 0.1, // Share of each quota background enrichment can't use
+    backoffBase: 2000, // First 429 without headers pauses 2s, doubling per repeat
+    backoffMax: 10 * 60 * 1000, // 10 minutes
+    maxPause: 24 * 60 * 60 * 1000, // Upper bound for Retry-After / reset headers
+  },
+
+  // Per-provider circuit breaker (see fetch-utils.js)
+  // Network errors, timeouts and 5xx count as failures; 4xx / 429 don't
+  circuitBreaker: {
+    windowMs: 60 * 1000, // Error-rate window
+    minRequests: 5, // Requests in the window before the error rate applies
+    errorRate: 0.5, // Failure share that opens the circuit
+    consecutiveFailures: 3, // Opens the circuit regardless of the rate
+    openDuration: 30 * 1000, // First cool-off before a half-open trial, doubling per repeat
+    maxOpenDuration: 10 * 60 * 1000,
+    latencySamples: 20, // Successful requests averaged for the health panel
+    // Host -> provider (matches rateLimits.apis / api-keys names)
+    hosts: {
+      "api.imdbapi.dev": "imdb",
+      "arm.haglund.dev": "haglund",
+      "api.jikan.moe": "jikan",
+      "imdb.iamidiotareyoutoo.com": "imdbScraper",
+      "graphql.anilist.co": "anilist",
+      "cinemeta-live.strem.io": "cinemeta",
+      "v3-cinemeta.strem.io": "cinemeta",
+      "api.themoviedb.org": "tmdb",
+      "api.mdblist.com": "mdblist",
+      "api4.thetvdb.com": "tvdb",
+      "www.omdbapi.com": "omdb",
+    },
+  },
+
+  // Connectivity monitor (offline / cache-only mode)
+  connectivity: {
+    probeUrl: "https://v3-cinemeta.strem.io/manifest.json",
+    probeInterval: 15000, // 15 seconds between reconnection probes
+    failureThreshold: 3, // Consecutive network failures before going offline
+    maxDeferredTasks: 200, // Enrichment tasks kept for replay
+    replayDelay: 250, // Spacing between replayed tasks
   },
 
-  // Rate limit fallback cooldown (1 hour)
-  rateLimitCooldown: 60 * 60 * 1000,
+  // Metadata DB maintenance (see db-maintenance.js)
+  // Watched titles and titles with mpv overrides are never evicted
+  dbMaintenance: {
+    maxEntries: 20000, // Titles kept before the least recently accessed are evicted
+    maxBytes: 100 * 1024 * 1024, // 100 MB, estimated from serialized entries
+    targetRatio: 0.9, // Eviction trims to this share of the caps
+    orphanAge: 24 * 60 * 60 * 1000, // Entries without an IMDb id older than this are purged
+    interval: 24 * 60 * 60 * 1000, // Between automatic runs
+    startDelay: 60 * 1000, // First run after startup, once catalog enrichment settles
+    touchInterval: 60 * 60 * 1000, // Min spacing between last-accessed writes per title
+  },
+
+  // Artwork cache (image blobs in Cache Storage)
+  artworkCache: {
+    maxBytes: 200 * 1024 * 1024, // 200 MB before least recently used images are evicted
+    maxEntryBytes: 10 * 1024 * 1024, // Larger images are shown but not stored
+    maxObjectUrls: 500, // Object URLs kept alive per session
+    touchInterval: 60 * 1000, // Min spacing between last-used writes per image
+    selectionTTL: 14 * 24 * 60 * 60 * 1000, // 14 days for persisted image selections
+    fetchTimeout: 10000,
+    // Only these hosts are cached (they must allow CORS reads)
+    hosts: ["image.tmdb.org", "images.metahub.space", "artworks.thetvdb.com"],
+  },
+
+  // Enrichment core worker (see core-worker.js)
+  // The core runs on the UI thread instead when the worker can't start
+  coreWorker: {
+    enabled: true,
+    // The bundled Dexie is injected as text and has no URL the worker could import;
+    // this is the same release. Offline starts keep the core on the UI thread.
+    dexieUrl: "https://unpkg.com/dexie@3.2.4/dist/dexie.min.js",
+    readyTimeout: 15000, // Module evaluation + database open inside the worker
+    snapshotInterval: 2000, // Min spacing between quota / provider health pushes
+  },
 
   // DOM Selectors
   domSelectors: {
@@ -55,31 +171,20 @@ window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.config = {
   METADATA_CONFIG,
 
-  // Initialize dependencies (Dexie.js)
+  // Report storage dependencies (Dexie.js ships locally, no network needed)
   init: function () {
     if (typeof Dexie !== "undefined") {
-      console.log("[Metadata Helper] Dexie.js already loaded");
-      return;
+      console.log(
+        `[Metadata Helper] Dexie.js ${Dexie.semVer} loaded (bundled)`,
+      );
+    } else {
+      console.log("[Metadata Helper] Bundled Dexie.js not registered yet");
     }
-
-    const loadScript = () => {
-      if (!document.head) {
-        console.warn(
-          "[Metadata Helper] document.head not available, retrying in 1s",
-        );
-        setTimeout(loadScript, 1000);
-        return;
-      }
-
-      const script = document.createElement("script");
-      script.src = "https://unpkg.com/dexie@3.2.4/dist/dexie.min.js";
-      script.onload = () =>
-        console.log("[Metadata Helper] Dexie.js loaded from CDN");
-      script.onerror = () =>
-        console.warn("[Metadata Helper] Failed to load Dexie.js");
-      document.head.appendChild(script);
-    };
-
-    loadScript();
   },
 };
+
+// Core worker source (see core-worker.js)
+(window.MetadataModules.workerSources ||= {}).config = [
+  `const METADATA_CONFIG = ${JSON.stringify(METADATA_CONFIG)};`,
+  "window.MetadataModules.config = { METADATA_CONFIG };",
+].join("\n");
@@ -1,15 +1,26 @@
 /**
  * @name Metadata Helper - Main Module
  * @description Service initialization and API exports with Lifecycle Management
+ *
+ * PersistentCore runs in a Web Worker when possible (see Services/core-worker.js):
+ * the worker rebuilds this class from source, the UI thread gets a proxy facade
+ * with the same properties. Otherwise it is constructed here as before.
  */
 
 class PersistentCore {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.watchHistory=true] - Record player routes (UI thread only)
+     */
+    constructor({ watchHistory = true } = {}) {
         console.log('[METADATA] Initializing Persistent Core...');
         
         // Initialize services that should persist for the app's lifetime
         this.rateLimiter = new window.MetadataModules.rateLimiter.GlobalRateLimiter();
+        // Shared by fetchUtils.makeRequest({ queue }) and the Hero Banner
+        window.MetadataModules.rateLimiter.instance = this.rateLimiter;
         this.metadataFetcher = new window.MetadataModules.metadataFetcher.MetadataFetcher(this.rateLimiter);
+        this.anilistFetcher = new window.MetadataModules.anilistFetcher.AnilistFetcher(this.rateLimiter);
         this.idConverter = new window.MetadataModules.idConversion.IdConversionService(this.rateLimiter);
         this.titleSearcher = new window.MetadataModules.titleSearch.TitleSearchService(this.rateLimiter);
         this.idLookup = new window.MetadataModules.idLookup.IdLookupService(this.idConverter, this.titleSearcher);
@@ -22,6 +33,20 @@ class PersistentCore {
 
         // Link services
         this.idLookup.setStorage(this.metadataStorage);
+
+        // Per-episode metadata (Cinemeta videos are routed here by saveTitle)
+        this.episodeService = new window.MetadataModules.episodeService.EpisodeService(this.metadataStorage);
+        this.metadataStorage.setEpisodeService(this.episodeService);
+
+        // Watch history records player routes for the app's lifetime
+        if (watchHistory) {
+            this.watchHistory = new window.MetadataModules.watchHistory.WatchHistoryService(this.metadataStorage);
+            this.watchHistory.start();
+        }
+
+        // Daily merge / orphan purge / size cap for the titles table
+        this.dbMaintenance = new window.MetadataModules.dbMaintenance.DatabaseMaintenanceService(this.metadataStorage);
+        this.dbMaintenance.start();
     }
 }
 
@@ -61,12 +86,16 @@ class MetadataManager {
     init() {
         // 1. Initialize Core (Once)
         if (!this.core) {
-            this.core = new PersistentCore();
+            const coreWorker = window.MetadataModules.coreWorker;
+            this.core = coreWorker.isSupported()
+                ? coreWorker.createCore(PersistentCore)
+                : new PersistentCore();
         }
 
         // 2. Initialize UI (Transient)
         // We wait for the app to be fully loaded (routes container) to avoid attaching observers too early
-        this.waitForApp().then(() => {
+        // The worker-backed core also has to be up (`ready` is undefined for the in-thread core)
+        Promise.all([this.core.ready, this.waitForApp()]).then(() => {
             this.startUI();
         });
     }
@@ -127,7 +156,7 @@ class MetadataManager {
     exposeGlobalAPI() {
         if (typeof window === 'undefined') return;
 
-        const { metadataStorage, idLookup, metadataFetcher, idConverter, rateLimiter, titleSearcher } = this.core;
+        const { metadataStorage, idLookup, metadataFetcher, anilistFetcher, idConverter, rateLimiter, titleSearcher, watchHistory, episodeService, dbMaintenance } = this.core;
         const { domProcessor } = this.ui;
 
         // Debugging & Stats
@@ -139,14 +168,19 @@ class MetadataManager {
 
     // Expose storage for manual operations
         window.metadataStorage = metadataStorage;
+        window.watchHistory = watchHistory;
+        window.episodeService = episodeService;
+        window.dbMaintenance = dbMaintenance;
 
     // Expose services for debugging and testing
         window.metadataServices = {
             idConverter,
             rateLimiter,
             metadataFetcher,
+            anilistFetcher,
             titleSearcher,
-            idLookup
+            idLookup,
+            episodeService
         };
 
         // External API
@@ -167,6 +201,7 @@ class MetadataManager {
 
             // Storage
             getTitle: (imdbId) => metadataStorage.getTitle(imdbId),
+            findTitleForPlayback: (routeState) => metadataStorage.findTitleForPlayback(routeState),
             hasTitle: (imdbId) => metadataStorage.hasTitle(imdbId),
 
         // Database access for advanced queries
@@ -229,10 +264,15 @@ function bootstrap(retryCount = 0) {
         !window.MetadataModules.config ||
         !window.MetadataModules.rateLimiter || 
         !window.MetadataModules.metadataFetcher || 
+        !window.MetadataModules.anilistFetcher ||
         !window.MetadataModules.idConversion ||
         !window.MetadataModules.titleSearch ||
         !window.MetadataModules.idLookup ||
         !window.MetadataModules.metadataStorage ||
+        !window.MetadataModules.watchHistory ||
+        !window.MetadataModules.episodeService ||
+        !window.MetadataModules.dbMaintenance ||
+        !window.MetadataModules.coreWorker ||
         !window.MetadataModules.domProcessor ||
         !window.MetadataModules.hoverPopup) {
         
@@ -258,4 +298,4 @@ function bootstrap(retryCount = 0) {
 window.MetadataModules = window.MetadataModules || {};
 window.MetadataModules.main = {
     init: bootstrap
-};
\ No newline at end of file
+};
\ No newline at end of file
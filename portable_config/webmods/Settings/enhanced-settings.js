@@ -5,11 +5,20 @@
  * Features:
  * - Native-style dropdowns (ported from api-selector.js)
  * - API Key inputs with validation
- * - Language selection
+ * - Language selection and fallback chain
+ * - TVDB episode order selection
+ * - Per-field-group source priority (provider registry)
  * - Comprehensive Rating Toggles
+ * - Metadata cache export/import
+ * - Database maintenance (size cap, orphan cleanup, last run report)
+ * - Artwork cache size readout and clear
+ * - API quota used today (persisted rate limiter counters)
+ * - Provider health (circuit breaker state, latency, errors)
+ * - Settings backup/restore
+ * - Named settings profiles
  *
  * @module settings-ui
- * @version 2.4.0
+ * @version 2.11.0
  */
 
 (function () {
@@ -219,10 +228,18 @@
       { code: "zu", label: "Zulu" },
     ],
 
+    // TVDB season types (see tvdb-fetcher.js SEASON_TYPES)
+    EPISODE_ORDERS: [
+      { code: "official", label: "Aired Order" },
+      { code: "dvd", label: "DVD Order" },
+      { code: "absolute", label: "Absolute Order" },
+    ],
+
     // Rating Providers Sorted by Priority
     RATING_PROVIDERS: [
       { id: "imdb", label: "IMDb" },
       { id: "mal", label: "MyAnimeList" },
+      { id: "anilist", label: "AniList" },
       { id: "mdblist", label: "MDBList" },
       { id: "rottenTomatoes", label: "Rotten Tomatoes (Critics)" },
       { id: "rottenTomatoesAudience", label: "Rotten Tomatoes (Audience)" },
@@ -258,6 +275,10 @@
 
       HEART:
         '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" stroke-linejoin="round" class="kai-icon kai-icon-heart" style="width: 18px; height: 18px; margin-left: 6px;"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78L12 21.23l8.84-8.84a5.5 5.5 0 0 0 0-7.78z"/></svg>',
+
+      // Database Icon - 30x30, stroke #e6e6e6
+      DATABASE:
+        '<svg xmlns="http://www.w3.org/2000/svg" width="30" height="30" viewBox="0 0 24 24" fill="none" stroke="#e6e6e6" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><ellipse cx="12" cy="5" rx="8" ry="3"/><path d="M4 5v14c0 1.66 3.58 3 8 3s8-1.34 8-3V5"/><path d="M4 12c0 1.66 3.58 3 8 3s8-1.34 8-3"/></svg>',
     },
 
     buildCategoryHeader(label, iconSvg) {
@@ -452,25 +473,16 @@
           if (selectedCode === currentLangCode) return;
 
           const confirmChange = confirm(
-            "Changing language requires a reload and will clear metadata caches. Reload now?",
+            "Changing language requires a reload. Cached titles keep their data and pick up the new language as they refresh. Reload now?",
           );
 
           if (confirmChange) {
             // 1. Update Preference
+            // Cached entries keep per-language variants; missing languages are
+            // fetched when an entry is next shown (see localization-utils.js)
             window.MetadataModules.preferences.set("language", selectedCode);
 
-            // 2. Clear Metadata Database (Dexie)
-            try {
-              if (window.metadataStorage?.db) {
-                console.log("[Settings] Clearing Metadata DB...");
-                await window.metadataStorage.db.delete();
-                console.log("[Settings] Metadata DB Cleared.");
-              }
-            } catch (e) {
-              console.error("[Settings] Failed to clear DB:", e);
-            }
-
-            // 3. Clear Hero Banner Cache (LocalStorage)
+            // 2. Clear Hero Banner Cache (LocalStorage)
             try {
               console.log("[Settings] Clearing Hero Banner Cache...");
               const keys = [
@@ -483,7 +495,7 @@
               console.error("[Settings] Failed to clear Hero Cache:", e);
             }
 
-            // 4. Reload
+            // 3. Reload
             window.location.reload();
           } else {
             // Just update preference silently if user cancels reload
@@ -522,6 +534,195 @@
       return row;
     },
 
+    buildLanguageFallbackRow() {
+      const localization = window.MetadataModules.localizationUtils;
+
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `<div class="label-FFamJ">Fallback Language</div>`;
+      const chainHint = document.createElement("div");
+      chainHint.className = "kai-api-key-hint";
+      labelContainer.appendChild(chainHint);
+      row.appendChild(labelContainer);
+
+      const inputContainer = document.createElement("div");
+      inputContainer.className =
+        "option-input-container-NPgpT multiselect-container-w0c9l label-container-XOyzm label-container-dhjQS button-container-zVLH6";
+      inputContainer.tabIndex = 0;
+
+      const options = [
+        { code: "none", label: "None (original title)" },
+        ...CONFIG.LANGUAGES,
+      ];
+      const labelFor = (code) =>
+        code === localization?.ORIGINAL
+          ? "Original"
+          : CONFIG.LANGUAGES.find((l) => l.code === code)?.label || code;
+
+      const valueLabel = document.createElement("div");
+      valueLabel.className = "label-AR_l8";
+      valueLabel.style.maxWidth = "11.5rem";
+      inputContainer.appendChild(valueLabel);
+
+      inputContainer.insertAdjacentHTML("beforeend", this.ICONS.CHECK);
+
+      let menu = null;
+      const render = () => {
+        const fallback =
+          window.MetadataModules.preferences.get("languageFallback") || [];
+        const selected = fallback[0] || "none";
+        valueLabel.textContent = options.find(
+          (o) => o.code === selected,
+        )?.label;
+        chainHint.textContent = (localization?.getLanguageChain() || [])
+          .map(labelFor)
+          .join(" › ");
+
+        if (menu) menu.remove();
+        menu = this.buildMenu(options, selected, (code) => {
+          window.MetadataModules.preferences.set(
+            "languageFallback",
+            code === "none" ? [] : [code],
+          );
+          inputContainer.classList.remove("active");
+          render();
+        });
+        inputContainer.appendChild(menu);
+      };
+      render();
+
+      inputContainer.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const wasActive = inputContainer.classList.contains("active");
+        this.closeAllDropdowns(inputContainer);
+        inputContainer.classList.toggle("active", !wasActive);
+      });
+
+      row.appendChild(inputContainer);
+      return row;
+    },
+
+    buildEpisodeOrderRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Episode Order</div>
+        <div class="kai-api-key-hint">TVDB numbering used to match episode details</div>
+      `;
+      row.appendChild(labelContainer);
+
+      const inputContainer = document.createElement("div");
+      inputContainer.className =
+        "option-input-container-NPgpT multiselect-container-w0c9l label-container-XOyzm label-container-dhjQS button-container-zVLH6";
+      inputContainer.tabIndex = 0;
+
+      const currentOrder =
+        window.MetadataModules.preferences.get("tvdbSeasonType") || "official";
+
+      const valueLabel = document.createElement("div");
+      valueLabel.className = "label-AR_l8";
+      valueLabel.textContent =
+        CONFIG.EPISODE_ORDERS.find((o) => o.code === currentOrder)?.label ||
+        CONFIG.EPISODE_ORDERS[0].label;
+      inputContainer.appendChild(valueLabel);
+
+      inputContainer.insertAdjacentHTML("beforeend", this.ICONS.CHECK);
+
+      let menu = null;
+      const renderMenu = (selected) => {
+        if (menu) menu.remove();
+        menu = this.buildMenu(CONFIG.EPISODE_ORDERS, selected, (code) => {
+          window.MetadataModules.preferences.set("tvdbSeasonType", code);
+          valueLabel.textContent = CONFIG.EPISODE_ORDERS.find(
+            (o) => o.code === code,
+          ).label;
+          inputContainer.classList.remove("active");
+          renderMenu(code);
+        });
+        inputContainer.appendChild(menu);
+      };
+      renderMenu(currentOrder);
+
+      inputContainer.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const wasActive = inputContainer.classList.contains("active");
+        this.closeAllDropdowns(inputContainer);
+        inputContainer.classList.toggle("active", !wasActive);
+      });
+
+      row.appendChild(inputContainer);
+      return row;
+    },
+
+    buildSourcePriorityRow(group, label) {
+      const registry = window.MetadataModules.providerRegistry;
+
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `<div class="label-FFamJ">${label}</div>`;
+      const orderHint = document.createElement("div");
+      orderHint.className = "kai-api-key-hint";
+      labelContainer.appendChild(orderHint);
+      row.appendChild(labelContainer);
+
+      const inputContainer = document.createElement("div");
+      inputContainer.className =
+        "option-input-container-NPgpT multiselect-container-w0c9l label-container-XOyzm label-container-dhjQS button-container-zVLH6";
+      inputContainer.tabIndex = 0;
+
+      const options = registry
+        .getGroupProviders(group)
+        .map((p) => ({ code: p.id, label: p.label }));
+      const labelFor = (id) => options.find((o) => o.code === id)?.label || id;
+
+      const valueLabel = document.createElement("div");
+      valueLabel.className = "label-AR_l8";
+      inputContainer.appendChild(valueLabel);
+
+      inputContainer.insertAdjacentHTML("beforeend", this.ICONS.CHECK);
+
+      let menu = null;
+      const render = () => {
+        const order = registry.getPriority(group);
+        valueLabel.textContent = labelFor(order[0]);
+        orderHint.textContent = order.map(labelFor).join(" › ");
+
+        if (menu) menu.remove();
+        menu = this.buildMenu(options, order[0], (code) => {
+          registry.setPreferred(group, code);
+          inputContainer.classList.remove("active");
+          render();
+        });
+        inputContainer.appendChild(menu);
+      };
+      render();
+
+      inputContainer.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const wasActive = inputContainer.classList.contains("active");
+        this.closeAllDropdowns(inputContainer);
+        inputContainer.classList.toggle("active", !wasActive);
+      });
+
+      row.appendChild(inputContainer);
+      return row;
+    },
+
     buildToggleRow(id, label) {
       const row = document.createElement("div");
       row.className = "option-container-EGlcv";
@@ -554,14 +755,703 @@
       return row;
     },
 
+    buildActionButton(label, onClick) {
+      const button = document.createElement("div");
+      button.className = "kai-settings-button button-container-zVLH6";
+      button.tabIndex = 0;
+      button.textContent = label;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+      });
+      return button;
+    },
+
+    updateActionStatus(statusEl, status, message) {
+      statusEl.dataset.status = status;
+      statusEl.textContent = message;
+    },
+
+    downloadJson(data, filename) {
+      const blob = new Blob([JSON.stringify(data)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    buildCacheTransferRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Export / Import Metadata Cache</div>
+        <div class="kai-api-key-hint">Copy cached titles to another machine instead of re-fetching them from TMDB/MDBList</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const status = document.createElement("div");
+      status.className = "kai-settings-action-status";
+
+      const fileInput = document.createElement("input");
+      fileInput.type = "file";
+      fileInput.accept = ".json,application/json";
+      fileInput.style.display = "none";
+
+      const exportButton = this.buildActionButton("Export", async () => {
+        const storage = window.metadataStorage;
+        if (!storage) {
+          this.updateActionStatus(
+            status,
+            "invalid",
+            "Metadata database is not ready yet.",
+          );
+          return;
+        }
+
+        try {
+          this.updateActionStatus(status, "validating", "Exporting...");
+          const payload = await storage.exportTitles();
+          const date = new Date().toISOString().slice(0, 10);
+          this.downloadJson(payload, `stremio-kai-metadata-${date}.json`);
+          this.updateActionStatus(
+            status,
+            "valid",
+            `Exported ${payload.count} titles.`,
+          );
+        } catch (e) {
+          console.error("[Settings] Metadata cache export failed:", e);
+          this.updateActionStatus(
+            status,
+            "invalid",
+            `Export failed: ${e.message}`,
+          );
+        }
+      });
+
+      const importButton = this.buildActionButton("Import", () =>
+        fileInput.click(),
+      );
+
+      fileInput.addEventListener("change", async () => {
+        const file = fileInput.files[0];
+        fileInput.value = "";
+        if (!file) return;
+
+        const storage = window.metadataStorage;
+        if (!storage) {
+          this.updateActionStatus(
+            status,
+            "invalid",
+            "Metadata database is not ready yet.",
+          );
+          return;
+        }
+
+        try {
+          this.updateActionStatus(status, "validating", "Importing...");
+          const payload = JSON.parse(await file.text());
+          const { inserted, merged, skipped } =
+            await storage.importTitles(payload);
+          this.updateActionStatus(
+            status,
+            "valid",
+            `Imported: ${inserted} new, ${merged} merged, ${skipped} skipped.`,
+          );
+        } catch (e) {
+          console.error("[Settings] Metadata cache import failed:", e);
+          this.updateActionStatus(
+            status,
+            "invalid",
+            `Import failed: ${e.message}`,
+          );
+        }
+      });
+
+      actions.appendChild(exportButton);
+      actions.appendChild(importButton);
+      actions.appendChild(fileInput);
+      actions.appendChild(status);
+      row.appendChild(actions);
+
+      return row;
+    },
+
+    buildQuotaUsageRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const reserved = Math.round(
+        (window.MetadataModules.config?.METADATA_CONFIG?.rateLimits
+          ?.reservedForPriority || 0) * 100,
+      );
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">API Quota Used</div>
+        <div class="kai-api-key-hint">Requests counted against provider limits. The last ${reserved}% is kept for titles you open; background enrichment stops before it.</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const status = document.createElement("div");
+      status.className = "kai-settings-action-status";
+
+      const QUOTA_LABELS = { imdbScraper: "IMDb Search", mdblist: "MDBList" };
+      const PERIOD_LABELS = { daily: "today", monthly: "this month" };
+
+      const showUsage = () => {
+        const rateLimiter = window.MetadataModules.rateLimiter?.instance;
+        if (!rateLimiter) {
+          this.updateActionStatus(
+            status,
+            "invalid",
+            "Metadata services are not ready yet.",
+          );
+          return;
+        }
+
+        const quotas = rateLimiter.getQuotas();
+        const text = quotas
+          .map(
+            ({ api, period, count, limit }) =>
+              `${QUOTA_LABELS[api] || api}: ${Math.min(count, limit)} / ${limit} ${PERIOD_LABELS[period]}`,
+          )
+          .join(" · ");
+        const exhausted = quotas.some(({ count, limit }) => count >= limit);
+
+        this.updateActionStatus(
+          status,
+          exhausted ? "invalid" : "valid",
+          text || "No quota-limited APIs.",
+        );
+      };
+
+      const refreshButton = this.buildActionButton("Refresh", async () => {
+        // MDBList reports its own count (requests made from other apps too)
+        const mdblist = window.MetadataModules.mdblistFetcher;
+        if (mdblist && window.MetadataModules.apiKeys?.hasKey("MDBLIST")) {
+          this.updateActionStatus(status, "validating", "Refreshing...");
+          await mdblist.fetchUserLimits();
+        }
+        showUsage();
+      });
+
+      actions.appendChild(refreshButton);
+      actions.appendChild(status);
+      row.appendChild(actions);
+
+      showUsage();
+      return row;
+    },
+
+    buildProviderHealthRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Provider Health</div>
+        <div class="kai-api-key-hint">Providers that keep failing are skipped for a while, then retried with a single request.</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const list = document.createElement("div");
+      list.className = "kai-provider-health";
+
+      const STATE_LABELS = {
+        closed: "OK",
+        "half-open": "Recovering",
+        open: "Down",
+      };
+
+      const showHealth = () => {
+        list.innerHTML = "";
+
+        const metadataService = window.MetadataModules.metadataService;
+        if (!metadataService) {
+          const status = document.createElement("div");
+          status.className = "kai-settings-action-status";
+          this.updateActionStatus(
+            status,
+            "invalid",
+            "Metadata services are not ready yet.",
+          );
+          list.appendChild(status);
+          return;
+        }
+
+        const health = metadataService.getProviderHealth();
+        for (const provider of Object.values(health)) {
+          const parts = [`${provider.label}: ${STATE_LABELS[provider.state]}`];
+
+          if (provider.state === "open") {
+            const seconds = Math.max(
+              0,
+              Math.ceil((provider.openUntil - Date.now()) / 1000),
+            );
+            parts[0] += ` (retry in ${seconds}s)`;
+          }
+          if (provider.latency !== null) parts.push(`${provider.latency} ms`);
+          parts.push(
+            `${provider.failures} / ${provider.requests} failed` +
+              (provider.windowRequests
+                ? ` (${provider.windowFailures} / ${provider.windowRequests} last minute)`
+                : ""),
+          );
+          if (!provider.hasKey) parts.push("no key");
+          if (provider.isRateLimited) parts.push("rate limited");
+
+          const status = document.createElement("div");
+          status.className = "kai-settings-action-status";
+          if (provider.lastError) status.title = provider.lastError;
+
+          const healthy =
+            provider.state === "closed" && !provider.isRateLimited;
+          this.updateActionStatus(
+            status,
+            healthy
+              ? "valid"
+              : provider.state === "open"
+                ? "invalid"
+                : "validating",
+            parts.join(" · "),
+          );
+          list.appendChild(status);
+        }
+      };
+
+      const refreshButton = this.buildActionButton("Refresh", showHealth);
+
+      actions.appendChild(refreshButton);
+      actions.appendChild(list);
+      row.appendChild(actions);
+
+      showHealth();
+      return row;
+    },
+
+    buildDbMaintenanceRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Database Maintenance</div>
+        <div class="kai-api-key-hint">Runs daily: merges duplicate anime entries, removes leftover entries without an IMDb id and evicts the least recently viewed titles over the size cap. Watched titles and titles with mpv overrides are kept.</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const status = document.createElement("div");
+      status.className = "kai-settings-action-status";
+
+      const maintenance = window.dbMaintenance;
+      const describe = (report) =>
+        window.MetadataModules.dbMaintenance.DatabaseMaintenanceService.describe(
+          report,
+        );
+
+      const showStatus = async () => {
+        if (!maintenance) {
+          this.updateActionStatus(
+            status,
+            "invalid",
+            "Database maintenance is not loaded.",
+          );
+          return;
+        }
+
+        try {
+          const { entries, maxEntries, lastReport } =
+            await maintenance.getStatus();
+          const lastRun = lastReport
+            ? `Last run ${new Date(lastReport.ranAt).toLocaleString()}: ${describe(lastReport)}`
+            : "Not run yet";
+          this.updateActionStatus(
+            status,
+            "valid",
+            `${entries} of ${maxEntries} titles · ${lastRun}`,
+          );
+        } catch (e) {
+          console.error("[Settings] Database maintenance status failed:", e);
+          this.updateActionStatus(status, "invalid", `Failed: ${e.message}`);
+        }
+      };
+
+      const runButton = this.buildActionButton("Run Now", async () => {
+        if (!maintenance) return;
+        try {
+          this.updateActionStatus(status, "validating", "Running...");
+          await maintenance.run();
+          await showStatus();
+        } catch (e) {
+          console.error("[Settings] Database maintenance failed:", e);
+          this.updateActionStatus(
+            status,
+            "invalid",
+            `Maintenance failed: ${e.message}`,
+          );
+        }
+      });
+
+      actions.appendChild(runButton);
+      actions.appendChild(status);
+      row.appendChild(actions);
+
+      showStatus();
+      return row;
+    },
+
+    buildArtworkCacheRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Artwork Cache</div>
+        <div class="kai-api-key-hint">Posters, backdrops, logos and cast photos kept on disk. Least recently used images are removed when the limit is reached.</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const status = document.createElement("div");
+      status.className = "kai-settings-action-status";
+
+      const artworkCache = window.MetadataModules.artworkCache;
+
+      const showStats = async () => {
+        if (!artworkCache) {
+          this.updateActionStatus(
+            status,
+            "invalid",
+            "Artwork cache is not loaded.",
+          );
+          return;
+        }
+
+        try {
+          const { supported, count, bytes, maxBytes } =
+            await artworkCache.getStats();
+          if (!supported) {
+            this.updateActionStatus(
+              status,
+              "invalid",
+              "Cache Storage is unavailable, images load from the network.",
+            );
+            return;
+          }
+          this.updateActionStatus(
+            status,
+            "valid",
+            `${count} images · ${artworkCache.formatBytes(bytes)} of ${artworkCache.formatBytes(maxBytes)}`,
+          );
+        } catch (e) {
+          console.error("[Settings] Artwork cache stats failed:", e);
+          this.updateActionStatus(status, "invalid", `Failed: ${e.message}`);
+        }
+      };
+
+      const clearButton = this.buildActionButton("Clear", async () => {
+        if (!artworkCache) return;
+        try {
+          this.updateActionStatus(status, "validating", "Clearing...");
+          await artworkCache.clear();
+          await showStats();
+        } catch (e) {
+          console.error("[Settings] Artwork cache clear failed:", e);
+          this.updateActionStatus(
+            status,
+            "invalid",
+            `Clear failed: ${e.message}`,
+          );
+        }
+      });
+
+      actions.appendChild(clearButton);
+      actions.appendChild(status);
+      row.appendChild(actions);
+
+      showStats();
+      return row;
+    },
+
+    buildSettingsBackupRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Backup / Restore Settings</div>
+        <div class="kai-api-key-hint">Save player, theme, Hero Banner and metadata settings to a file. API keys are only included when selected.</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const backup = window.MetadataModules.settingsBackup;
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const status = document.createElement("div");
+      status.className = "kai-settings-action-status";
+
+      if (!backup) {
+        this.updateActionStatus(
+          status,
+          "invalid",
+          "Settings backup module is not loaded.",
+        );
+        actions.appendChild(status);
+        row.appendChild(actions);
+        return row;
+      }
+
+      // Section selection (sensitive sections start unchecked)
+      const sectionList = document.createElement("div");
+      sectionList.className = "kai-settings-section-list";
+      const defaults = backup.getDefaultSectionIds();
+
+      backup.SECTIONS.forEach(({ id, label, sensitive }) => {
+        const chip = document.createElement("div");
+        chip.className = "kai-settings-section-chip button-container-zVLH6";
+        chip.tabIndex = 0;
+        chip.dataset.section = id;
+        chip.textContent = label;
+        chip.classList.toggle("checked", defaults.includes(id));
+        if (sensitive) chip.classList.add("sensitive");
+        chip.addEventListener("click", () => chip.classList.toggle("checked"));
+        sectionList.appendChild(chip);
+      });
+
+      const getSelected = () =>
+        Array.from(sectionList.querySelectorAll(".checked")).map(
+          (chip) => chip.dataset.section,
+        );
+
+      const fileInput = document.createElement("input");
+      fileInput.type = "file";
+      fileInput.accept = ".json,application/json";
+      fileInput.style.display = "none";
+
+      const exportButton = this.buildActionButton("Export", () => {
+        const selected = getSelected();
+        if (selected.length === 0) {
+          this.updateActionStatus(status, "invalid", "Select a section first.");
+          return;
+        }
+
+        const payload = backup.createBackup(selected);
+        const count = Object.values(payload.sections).reduce(
+          (sum, values) => sum + Object.keys(values).length,
+          0,
+        );
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadJson(payload, `stremio-kai-settings-${date}.json`);
+        this.updateActionStatus(status, "valid", `Exported ${count} settings.`);
+      });
+
+      const importButton = this.buildActionButton("Restore", () =>
+        fileInput.click(),
+      );
+
+      fileInput.addEventListener("change", async () => {
+        const file = fileInput.files[0];
+        fileInput.value = "";
+        if (!file) return;
+
+        try {
+          const data = JSON.parse(await file.text());
+          const { restored, skipped } = backup.restoreBackup(
+            data,
+            getSelected(),
+          );
+          this.updateActionStatus(
+            status,
+            "valid",
+            `Restored ${restored} settings${skipped ? `, ignored ${skipped} unknown` : ""}. Reloading...`,
+          );
+          // Most modules read settings once at startup
+          if (restored > 0) setTimeout(() => location.reload(), 1500);
+        } catch (e) {
+          console.error("[Settings] Settings restore failed:", e);
+          this.updateActionStatus(
+            status,
+            "invalid",
+            `Restore failed: ${e.message}`,
+          );
+        }
+      });
+
+      actions.appendChild(sectionList);
+      actions.appendChild(exportButton);
+      actions.appendChild(importButton);
+      actions.appendChild(fileInput);
+      actions.appendChild(status);
+      row.appendChild(actions);
+
+      return row;
+    },
+
+    buildProfilesRow() {
+      const row = document.createElement("div");
+      row.className = "option-container-EGlcv kai-api-key-row";
+
+      const labelContainer = document.createElement("div");
+      labelContainer.className = "option-name-container-exGMI";
+      labelContainer.innerHTML = `
+        <div class="label-FFamJ">Settings Profiles</div>
+        <div class="kai-api-key-hint">Save the current player, theme and metadata settings under a name, then switch with one click. Applies to a playing video immediately.</div>
+       `;
+      row.appendChild(labelContainer);
+
+      const profiles = window.MetadataModules.settingsProfiles;
+      const actions = document.createElement("div");
+      actions.className = "kai-settings-actions";
+
+      const status = document.createElement("div");
+      status.className = "kai-settings-action-status";
+
+      if (!profiles) {
+        this.updateActionStatus(
+          status,
+          "invalid",
+          "Settings profiles module is not loaded.",
+        );
+        actions.appendChild(status);
+        row.appendChild(actions);
+        return row;
+      }
+
+      const profileList = document.createElement("div");
+      profileList.className = "kai-settings-section-list";
+
+      const renderProfiles = () => {
+        profileList.innerHTML = "";
+        const list = profiles.listProfiles();
+
+        if (list.length === 0) {
+          const empty = document.createElement("div");
+          empty.className = "kai-api-key-hint";
+          empty.textContent = "No profiles saved yet.";
+          profileList.appendChild(empty);
+          return;
+        }
+
+        list.forEach(({ name, active }) => {
+          const chip = document.createElement("div");
+          chip.className = "kai-settings-section-chip button-container-zVLH6";
+          chip.tabIndex = 0;
+          chip.textContent = name;
+          chip.title = active ? "Active profile" : `Switch to "${name}"`;
+          chip.classList.toggle("checked", active);
+          chip.addEventListener("click", () => {
+            try {
+              const { changed, pushed } = profiles.applyProfile(name);
+              this.updateActionStatus(
+                status,
+                "valid",
+                `Switched to "${name}" (${changed.length} changed${pushed ? ", sent to player" : ""}).`,
+              );
+            } catch (e) {
+              this.updateActionStatus(status, "invalid", e.message);
+            }
+            renderProfiles();
+          });
+          profileList.appendChild(chip);
+        });
+      };
+
+      const inputWrapper = document.createElement("div");
+      inputWrapper.className = "kai-settings-input-wrapper";
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "kai-settings-input";
+      nameInput.placeholder = "Profile name (e.g. Living room TV)";
+      nameInput.maxLength = 40;
+      nameInput.value = profiles.getActiveProfile() || "";
+      inputWrapper.appendChild(nameInput);
+
+      const saveButton = this.buildActionButton("Save current", () => {
+        try {
+          const name = profiles.saveProfile(nameInput.value);
+          nameInput.value = name;
+          this.updateActionStatus(status, "valid", `Saved "${name}".`);
+          renderProfiles();
+        } catch (e) {
+          this.updateActionStatus(status, "invalid", e.message);
+        }
+      });
+
+      const deleteButton = this.buildActionButton("Delete", () => {
+        const name = nameInput.value.trim();
+        if (!name || !confirm(`Delete profile "${name}"?`)) return;
+
+        if (profiles.deleteProfile(name)) {
+          nameInput.value = "";
+          this.updateActionStatus(status, "valid", `Deleted "${name}".`);
+          renderProfiles();
+        } else {
+          this.updateActionStatus(
+            status,
+            "invalid",
+            `No profile named "${name}".`,
+          );
+        }
+      });
+
+      renderProfiles();
+
+      actions.appendChild(profileList);
+      actions.appendChild(inputWrapper);
+      actions.appendChild(saveButton);
+      actions.appendChild(deleteButton);
+      actions.appendChild(status);
+      row.appendChild(actions);
+
+      return row;
+    },
+
     updatePreferencesState() {
       const languageContainer = document.getElementById(
         "kai-language-container",
       );
       const ratingsContainer = document.getElementById("kai-ratings-container");
+      const episodeOrderContainer = document.getElementById(
+        "kai-episode-order-container",
+      );
+      const sourcePriorityContainer = document.getElementById(
+        "kai-source-priority-container",
+      );
 
       const hasTmdb = window.MetadataModules.apiKeys?.hasKey("tmdb");
       const hasMdblist = window.MetadataModules.apiKeys?.hasKey("mdblist");
+      const hasTvdb = window.MetadataModules.apiKeys?.hasKey("tvdb");
+      const hasOmdb = window.MetadataModules.apiKeys?.hasKey("omdb");
 
       // Language dropdown: hidden if no TMDB key
       if (languageContainer) {
@@ -572,14 +1462,27 @@
         }
       }
 
-      // Rating toggles: hidden if no MDBlist key
+      // Rating toggles: hidden if no ratings provider key (MDBList or OMDb)
       if (ratingsContainer) {
-        if (hasMdblist) {
+        if (hasMdblist || hasOmdb) {
           ratingsContainer.classList.remove("hidden");
         } else {
           ratingsContainer.classList.add("hidden");
         }
       }
+
+      // Episode order: hidden if no TVDB key
+      if (episodeOrderContainer) {
+        episodeOrderContainer.classList.toggle("hidden", !hasTvdb);
+      }
+
+      // Source priority: hidden until a provider can compete with public data
+      if (sourcePriorityContainer) {
+        sourcePriorityContainer.classList.toggle(
+          "hidden",
+          !(hasTmdb || hasMdblist || hasOmdb),
+        );
+      }
     },
 
     // Inject Styles for Dropdown Visibility
@@ -633,6 +1536,27 @@
       });
       if (mdbRow) section.appendChild(mdbRow);
 
+      const tvdbRow = this.buildApiInputRow({
+        id: "tvdb",
+        label: "TVDB API Key",
+        hint: "Project key at",
+        hintLink: "https://thetvdb.com/api-information",
+        hintLinkText: "thetvdb.com",
+      });
+      if (tvdbRow) section.appendChild(tvdbRow);
+
+      const omdbRow = this.buildApiInputRow({
+        id: "omdb",
+        label: "OMDb API Key",
+        hint: "Ratings fallback without MDBList, free key at",
+        hintLink: "https://www.omdbapi.com/apikey.aspx",
+        hintLinkText: "omdbapi.com",
+      });
+      if (omdbRow) section.appendChild(omdbRow);
+
+      section.appendChild(this.buildQuotaUsageRow());
+      section.appendChild(this.buildProviderHealthRow());
+
       // --- 2. PREFERENCES SUB-SECTION ---
       const prefsContainer = document.createElement("div");
       prefsContainer.id = "kai-prefs-container";
@@ -645,9 +1569,16 @@
       const languageContainer = document.createElement("div");
       languageContainer.id = "kai-language-container";
       languageContainer.appendChild(this.buildLanguageRow());
+      languageContainer.appendChild(this.buildLanguageFallbackRow());
       prefsContainer.appendChild(languageContainer);
 
-      // Rating Toggles (requires MDBlist key)
+      // Episode Order (requires TVDB key)
+      const episodeOrderContainer = document.createElement("div");
+      episodeOrderContainer.id = "kai-episode-order-container";
+      episodeOrderContainer.appendChild(this.buildEpisodeOrderRow());
+      prefsContainer.appendChild(episodeOrderContainer);
+
+      // Rating Toggles (requires MDBlist or OMDb key)
       const ratingsContainer = document.createElement("div");
       ratingsContainer.id = "kai-ratings-container";
       CONFIG.RATING_PROVIDERS.forEach((p) => {
@@ -657,6 +1588,38 @@
 
       section.appendChild(prefsContainer);
 
+      // --- 2b. SOURCE PRIORITY SUB-SECTION (requires a metadata key) ---
+      const registry = window.MetadataModules.providerRegistry;
+      if (registry) {
+        const sourcePriorityContainer = document.createElement("div");
+        sourcePriorityContainer.id = "kai-source-priority-container";
+        sourcePriorityContainer.appendChild(
+          this.buildCategoryHeader("Source Priority", this.ICONS.COG),
+        );
+        Object.entries(registry.FIELD_GROUPS)
+          // Groups with a single supplier (translations) have nothing to choose
+          .filter(([group]) => registry.getGroupProviders(group).length > 1)
+          .forEach(([group, { label }]) => {
+            sourcePriorityContainer.appendChild(
+              this.buildSourcePriorityRow(group, label),
+            );
+          });
+        section.appendChild(sourcePriorityContainer);
+      }
+
+      // --- 3. PROFILES SUB-SECTION ---
+      section.appendChild(this.buildCategoryHeader("Profiles", this.ICONS.COG));
+      section.appendChild(this.buildProfilesRow());
+
+      // --- 4. METADATA CACHE SUB-SECTION ---
+      section.appendChild(
+        this.buildCategoryHeader("Metadata Cache", this.ICONS.DATABASE),
+      );
+      section.appendChild(this.buildCacheTransferRow());
+      section.appendChild(this.buildDbMaintenanceRow());
+      section.appendChild(this.buildArtworkCacheRow());
+      section.appendChild(this.buildSettingsBackupRow());
+
       // Footer
       const footer = document.createElement("div");
       footer.className = "wrapper-FMNA6";
@@ -795,6 +795,169 @@
     return note;
   }
 
+  /**
+   * Create the Track Memory manager (Smart Track Selector's per-title choices).
+   * Lists are fetched from mpv through MpvBridge.trackMemory; the last known
+   * list is shown if the player does not answer.
+   */
+  function createTrackMemoryManager() {
+    const container = document.createElement("div");
+    container.className =
+      "option-container-EGlcv kai-mpv-setting kai-track-memory";
+
+    const list = document.createElement("div");
+    list.className = "kai-track-memory-list";
+
+    const status = document.createElement("div");
+    status.className = "kai-settings-action-status";
+
+    const setStatus = (state, message) => {
+      status.dataset.status = state;
+      status.textContent = message;
+    };
+
+    const createButton = (label, onClick) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "kai-settings-button";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      return button;
+    };
+
+    const createLangInput = (value, placeholder) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "kai-settings-input";
+      input.value = value || "";
+      input.placeholder = placeholder;
+      return input;
+    };
+
+    // Resolve "tt1234567" to a readable title when the metadata DB knows it
+    const resolveTitleName = (titleId, labelEl) => {
+      window.metadataHelper
+        ?.getTitle?.(titleId)
+        .then((entry) => {
+          if (entry?.title) labelEl.textContent = entry.title;
+        })
+        .catch(() => {});
+    };
+
+    const render = (entries) => {
+      list.innerHTML = "";
+      const titleIds = Object.keys(entries).sort(
+        (a, b) => (entries[b].timestamp || 0) - (entries[a].timestamp || 0),
+      );
+
+      if (titleIds.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "kai-track-memory-empty";
+        empty.textContent =
+          "No remembered titles yet. Enable 'Remember track selection' and change tracks during playback.";
+        list.appendChild(empty);
+        return;
+      }
+
+      titleIds.forEach((titleId) => {
+        const entry = entries[titleId];
+        const row = document.createElement("div");
+        row.className = "kai-track-memory-row";
+
+        const name = document.createElement("div");
+        name.className = "kai-track-memory-title";
+        name.textContent = titleId;
+        name.title = titleId;
+        resolveTitleName(titleId, name);
+
+        const audioInput = createLangInput(
+          entry.audio?.lang,
+          "Audio (e.g. jpn)",
+        );
+        const subInput = createLangInput(
+          entry.sub?.lang,
+          "Subtitles (none = off)",
+        );
+
+        const save = createButton("Save", () =>
+          run(
+            window.MpvBridge.trackMemory.set(titleId, {
+              audioLang: audioInput.value,
+              subLang: subInput.value,
+              subForced:
+                subInput.value.trim() === entry.sub?.lang
+                  ? !!entry.sub?.is_forced
+                  : false,
+            }),
+            "Saved",
+          ),
+        );
+        const forget = createButton("Forget", () =>
+          run(window.MpvBridge.trackMemory.remove(titleId), "Forgotten"),
+        );
+
+        row.append(name, audioInput, subInput, save, forget);
+        list.appendChild(row);
+      });
+    };
+
+    // Send an action and re-render with the table mpv replies with
+    const run = (promise, successMessage) => {
+      setStatus("pending", "Waiting for player...");
+      return promise
+        .then((entries) => {
+          render(entries);
+          setStatus("valid", successMessage);
+        })
+        .catch((e) => {
+          console.warn("[MPV Settings] Track memory request failed:", e);
+          setStatus("invalid", "Player not reachable. Changes were not saved.");
+        });
+    };
+
+    const refresh = () => {
+      const bridge = window.MpvBridge?.trackMemory;
+      if (!bridge) {
+        setStatus("invalid", "MPV bridge not loaded.");
+        return;
+      }
+
+      render(bridge.getCached());
+      setStatus("pending", "Loading from player...");
+      bridge
+        .list()
+        .then((entries) => {
+          render(entries);
+          setStatus("", "");
+        })
+        .catch(() => {
+          setStatus(
+            "invalid",
+            "Player not reachable. Showing last known list.",
+          );
+        });
+    };
+
+    const actions = document.createElement("div");
+    actions.className = "kai-settings-actions";
+    actions.append(
+      createButton("Refresh", refresh),
+      createButton("Forget all", () => {
+        if (
+          !confirm("Forget remembered audio/subtitle tracks for every title?")
+        ) {
+          return;
+        }
+        run(window.MpvBridge.trackMemory.clear(), "Track memory cleared");
+      }),
+      status,
+    );
+
+    container.append(list, actions);
+    refresh();
+    return container;
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // INJECTION LOGIC
   // ═══════════════════════════════════════════════════════════════════════════
@@ -948,6 +1111,18 @@
     );
     svpToggle.appendChild(svpNote);
 
+    // 5. Track Memory section header
+    const trackMemoryHeader = createSectionHeader(
+      "Track Memory",
+      `<svg class="icon-REQkK" viewBox="0 0 24 24" fill="none"><path d="M9 18V5L21 3V16M9 18C9 19.6569 7.65685 21 6 21C4.34315 21 3 19.6569 3 18C3 16.3431 4.34315 15 6 15C7.65685 15 9 16.3431 9 18ZM21 16C21 17.6569 19.6569 19 18 19C16.3431 19 15 17.6569 15 16C15 14.3431 16.3431 13 18 13C19.6569 13 21 14.3431 21 16Z" stroke="#000000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="stroke: currentcolor;"/></svg>`,
+    );
+    const trackMemoryNote = createNote(
+      "info",
+      "<strong>Note:</strong> Audio/subtitle choices remembered per title by the Smart Track Selector. Edits apply from the next playback.",
+    );
+    const trackMemoryManager = createTrackMemoryManager();
+    trackMemoryManager.appendChild(trackMemoryNote);
+
     // ─────────────────────────────────────────────────────────────────────────
     // WRAP & ORGANIZE SECTIONS
     // ─────────────────────────────────────────────────────────────────────────
@@ -981,6 +1156,12 @@
       svpToggle, // svpNote is already inside
     );
 
+    // Wrap Track Memory Section
+    const trackMemorySection = wrapInSection(
+      trackMemoryHeader,
+      trackMemoryManager, // trackMemoryNote is already inside
+    );
+
     // ─────────────────────────────────────────────────────────────────────────
     // EXTENDED INJECTION (SMART TRACKS)
     // ─────────────────────────────────────────────────────────────────────────
@@ -1225,12 +1406,16 @@
       const parent = controlsContainer.parentNode;
       parent.insertBefore(displaySection, controlsContainer);
       parent.insertBefore(animeSection, controlsContainer);
-      console.log("[MPV Settings] Injected Custom Sections (Display/Anime)");
+      parent.insertBefore(trackMemorySection, controlsContainer);
+      console.log(
+        "[MPV Settings] Injected Custom Sections (Display/Anime/Track Memory)",
+      );
     } else {
       // Fallback append
       if (targetSection) {
         targetSection.appendChild(displaySection);
         targetSection.appendChild(animeSection);
+        targetSection.appendChild(trackMemorySection);
       }
     }
 
@@ -1355,6 +1540,9 @@
   window.MpvSettings.getColorProfile = getColorProfile;
   window.MpvSettings.getIccProfile = getIccProfile;
 
+  // Key list for settings backup/restore (settings-backup.js)
+  window.MpvSettings.STORAGE_KEYS = Object.freeze({ ...STORAGE_KEYS });
+
   // Start observing when DOM is ready
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", observeSettings);
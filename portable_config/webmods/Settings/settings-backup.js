@@ -0,0 +1,352 @@
+/**
+ * Settings Backup Module
+ *
+ * Exports and restores Stremio Kai settings that live in localStorage
+ * (metadata preferences, named profiles, mpv settings, theme/startup toggles,
+ * Hero Banner sources and, optionally, API keys) as a single versioned JSON file.
+ *
+ * Only known keys are written back on restore. Keys renamed between
+ * releases are mapped through RENAMED_KEYS before validation.
+ *
+ * @module settings-backup
+ */
+
+(function () {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.settingsBackup?.initialized) {
+    console.log("[Settings Backup] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONSTANTS
+  // ─────────────────────────────────────────────────────────────────────────────
+  const BACKUP_FORMAT = "kai-settings-backup";
+  const BACKUP_VERSION = 1;
+
+  // Fallback mpv keys if mpv-settings.js has not registered yet
+  const MPV_KEYS_FALLBACK = [
+    "kai-hdr-passthrough",
+    "kai-anime4k-preset",
+    "kai-svp-enabled",
+    "kai-color-profile",
+    "kai-icc-profile",
+    "kai-smart-track-match-audio",
+    "kai-smart-track-use-forced",
+    "kai-smart-track-reject-audio",
+    "kai-smart-track-reject-subs",
+    "kai-smart-track-reject-audio-keywords",
+    "kai-smart-track-reject-sub-keywords",
+    "kai-notify-auto-skip",
+    "kai-notify-show-notifications",
+    "kai-hdr-target-peak",
+    "kai-osd-profile-messages",
+    "kai-vulkan-api",
+    "kai-ultrawide-zoom",
+  ];
+
+  /**
+   * Backup sections. Each section owns exact `keys` and/or key `prefixes`.
+   * `sensitive` sections are excluded unless explicitly selected.
+   */
+  const SECTIONS = [
+    {
+      id: "metadata",
+      label: "Metadata Preferences",
+      prefixes: ["kai-pref-"],
+      keys: ["kai-metadata-debug"],
+    },
+    {
+      id: "profiles",
+      label: "Settings Profiles",
+      keys: ["kai-settings-profiles"],
+    },
+    {
+      id: "player",
+      label: "Player & mpv",
+      getKeys: () =>
+        window.MpvSettings?.STORAGE_KEYS
+          ? Object.values(window.MpvSettings.STORAGE_KEYS)
+          : MPV_KEYS_FALLBACK,
+    },
+    {
+      id: "appearance",
+      label: "Theme & Startup",
+      keys: ["stremio-oled-theme-enabled", "stremio-auto-fullscreen"],
+    },
+    {
+      id: "heroBanner",
+      label: "Hero Banner",
+      getKeys: () => {
+        const heroConfig = window.HeroPlugin?.Config;
+        return [
+          heroConfig?.CATALOG_PERSIST_KEY || "heroCatalogPreference",
+          heroConfig?.CUSTOM_MOVIE_URL_KEY || "heroCustomMovieUrl",
+          heroConfig?.CUSTOM_SERIES_URL_KEY || "heroCustomSeriesUrl",
+          "hero-movie-source-index",
+          "hero-series-source-index",
+        ];
+      },
+    },
+    {
+      id: "apiKeys",
+      label: "API Keys",
+      sensitive: true,
+      keys: [
+        "kai-api-key-tmdb",
+        "kai-api-key-mdblist",
+        "kai-api-key-tvdb",
+        "kai-api-key-omdb",
+      ],
+    },
+  ];
+
+  /**
+   * Migration hook: keys renamed between releases (old key -> current key).
+   * Applied to every backup before validation, so older files keep restoring.
+   */
+  const RENAMED_KEYS = {
+    // "kai-old-key-name": "kai-new-key-name",
+  };
+
+  /**
+   * Format migrations, indexed by the version they upgrade FROM.
+   * Each step receives the parsed backup and returns it at version + 1.
+   */
+  const VERSION_MIGRATIONS = {
+    // 1: (backup) => ({ ...backup, version: 2 }),
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // KEY HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function getSection(id) {
+    return SECTIONS.find((section) => section.id === id) || null;
+  }
+
+  function getSectionKeys(section) {
+    return [...(section.keys || []), ...(section.getKeys?.() || [])];
+  }
+
+  function sectionOwnsKey(section, key) {
+    return (
+      getSectionKeys(section).includes(key) ||
+      (section.prefixes || []).some((prefix) => key.startsWith(prefix))
+    );
+  }
+
+  /**
+   * Collect the current localStorage values that belong to a section
+   * @returns {Object<string, string>}
+   */
+  function readSection(section) {
+    const values = {};
+
+    getSectionKeys(section).forEach((key) => {
+      const value = localStorage.getItem(key);
+      if (value !== null) values[key] = value;
+    });
+
+    if (section.prefixes?.length) {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && sectionOwnsKey(section, key)) {
+          values[key] = localStorage.getItem(key);
+        }
+      }
+    }
+
+    return values;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // BACKUP / RESTORE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Section ids selected by default (everything except sensitive sections)
+   * @returns {string[]}
+   */
+  function getDefaultSectionIds() {
+    return SECTIONS.filter((section) => !section.sensitive).map((s) => s.id);
+  }
+
+  /**
+   * Build a backup of the selected sections
+   * @param {string[]} [sectionIds] - Sections to include (defaults exclude API keys)
+   * @returns {Object} Backup payload ready for JSON serialization
+   */
+  function createBackup(sectionIds = getDefaultSectionIds()) {
+    const sections = {};
+
+    sectionIds.forEach((id) => {
+      const section = getSection(id);
+      if (section) sections[id] = readSection(section);
+    });
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      sections,
+    };
+  }
+
+  /**
+   * Upgrade an older backup and apply key renames
+   * @param {Object} backup - Parsed backup file
+   * @returns {Object} Backup at BACKUP_VERSION
+   */
+  function migrateBackup(backup) {
+    let migrated = backup;
+
+    while (migrated.version < BACKUP_VERSION) {
+      const step = VERSION_MIGRATIONS[migrated.version];
+      if (!step) {
+        throw new Error(`No migration from backup version ${migrated.version}`);
+      }
+      migrated = step(migrated);
+    }
+
+    const sections = {};
+    Object.entries(migrated.sections || {}).forEach(([id, values]) => {
+      sections[id] = {};
+      Object.entries(values || {}).forEach(([key, value]) => {
+        sections[id][RENAMED_KEYS[key] || key] = value;
+      });
+    });
+
+    return { ...migrated, sections };
+  }
+
+  /**
+   * Validate a parsed backup file against known sections and keys
+   * @param {Object} data - Parsed JSON
+   * @returns {{valid: boolean, error?: string, backup?: Object, sections: Array<{id: string, label: string, count: number, sensitive: boolean}>, unknownKeys: string[]}}
+   */
+  function inspectBackup(data) {
+    const result = { valid: false, sections: [], unknownKeys: [] };
+
+    if (data?.format !== BACKUP_FORMAT || typeof data.sections !== "object") {
+      return { ...result, error: "Not a Stremio Kai settings backup" };
+    }
+    if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+      return {
+        ...result,
+        error: `Unsupported backup version ${data.version} (supported: ${BACKUP_VERSION})`,
+      };
+    }
+
+    let backup;
+    try {
+      backup = migrateBackup(data);
+    } catch (e) {
+      return { ...result, error: e.message };
+    }
+
+    const cleanSections = {};
+    Object.entries(backup.sections).forEach(([id, values]) => {
+      const section = getSection(id);
+      if (!section) {
+        result.unknownKeys.push(...Object.keys(values || {}));
+        return;
+      }
+
+      cleanSections[id] = {};
+      Object.entries(values || {}).forEach(([key, value]) => {
+        if (typeof value === "string" && sectionOwnsKey(section, key)) {
+          cleanSections[id][key] = value;
+        } else {
+          result.unknownKeys.push(key);
+        }
+      });
+
+      result.sections.push({
+        id,
+        label: section.label,
+        count: Object.keys(cleanSections[id]).length,
+        sensitive: !!section.sensitive,
+      });
+    });
+
+    return {
+      ...result,
+      valid: true,
+      backup: { ...backup, sections: cleanSections },
+    };
+  }
+
+  /**
+   * Restore selected sections from a backup file
+   * @param {Object} data - Parsed JSON backup
+   * @param {string[]} [sectionIds] - Sections to restore (defaults exclude API keys)
+   * @returns {{restored: number, skipped: number, sections: string[]}}
+   * @throws {Error} If the backup is invalid
+   */
+  function restoreBackup(data, sectionIds = getDefaultSectionIds()) {
+    const inspection = inspectBackup(data);
+    if (!inspection.valid) {
+      throw new Error(inspection.error);
+    }
+
+    let restored = 0;
+    const restoredSections = [];
+
+    Object.entries(inspection.backup.sections).forEach(([id, values]) => {
+      if (!sectionIds.includes(id)) return;
+
+      Object.entries(values).forEach(([key, value]) => {
+        localStorage.setItem(key, value);
+        restored++;
+      });
+      restoredSections.push(id);
+    });
+
+    if (inspection.unknownKeys.length > 0) {
+      console.warn(
+        "[Settings Backup] Ignored unknown keys:",
+        inspection.unknownKeys,
+      );
+    }
+    console.log(
+      `[Settings Backup] Restored ${restored} settings (${restoredSections.join(", ") || "none"})`,
+    );
+
+    // Let live listeners (mpv bridge, metadata) pick up the new values
+    window.dispatchEvent(new CustomEvent("kai-settings-changed"));
+
+    return {
+      restored,
+      skipped: inspection.unknownKeys.length,
+      sections: restoredSections,
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  window.MetadataModules.settingsBackup = {
+    initialized: true,
+
+    SECTIONS: SECTIONS.map(({ id, label, sensitive }) => ({
+      id,
+      label,
+      sensitive: !!sensitive,
+    })),
+    BACKUP_VERSION,
+
+    getDefaultSectionIds,
+    createBackup,
+    inspectBackup,
+    restoreBackup,
+  };
+
+  console.log("[Settings Backup] Module initialized.");
+})();
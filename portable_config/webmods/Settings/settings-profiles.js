@@ -0,0 +1,262 @@
+/**
+ * Settings Profiles Module
+ *
+ * Named snapshots of player, theme and metadata settings
+ * (e.g. "Living room TV", "Laptop on battery", "Anime night").
+ * Switching a profile rewrites the relevant localStorage keys and pushes the
+ * new config to a running player through mpv-bridge.js, without a restart.
+ *
+ * @module settings-profiles
+ */
+
+(function () {
+  "use strict";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INITIALIZATION GUARD
+  // ─────────────────────────────────────────────────────────────────────────────
+  if (window.MetadataModules?.settingsProfiles?.initialized) {
+    console.log("[Settings Profiles] Already initialized, skipping.");
+    return;
+  }
+
+  window.MetadataModules = window.MetadataModules || {};
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // CONSTANTS
+  // ─────────────────────────────────────────────────────────────────────────────
+  const STORAGE_KEY = "kai-settings-profiles";
+  const MAX_NAME_LENGTH = 40;
+
+  // mpv-settings.js STORAGE_KEYS entries captured by a profile
+  const MPV_PROFILE_KEYS = {
+    colorProfile: "kai-color-profile",
+    iccProfile: "kai-icc-profile",
+    anime4kPreset: "kai-anime4k-preset",
+    svpEnabled: "kai-svp-enabled",
+    hdrPassthrough: "kai-hdr-passthrough",
+    HDR_TARGET_PEAK: "kai-hdr-target-peak",
+    VULKAN_API: "kai-vulkan-api",
+    ULTRAWIDE_ZOOM: "kai-ultrawide-zoom",
+  };
+
+  const THEME_KEYS = ["stremio-oled-theme-enabled"];
+  const PREFERENCE_PREFIX = "kai-pref-";
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // KEY HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function getMpvKeys() {
+    const liveKeys = window.MpvSettings?.STORAGE_KEYS || {};
+    return Object.entries(MPV_PROFILE_KEYS).map(
+      ([name, fallback]) => liveKeys[name] || fallback,
+    );
+  }
+
+  function getPreferenceKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(PREFERENCE_PREFIX)) keys.push(key);
+    }
+    return keys;
+  }
+
+  function isProfileKey(key) {
+    return (
+      getMpvKeys().includes(key) ||
+      THEME_KEYS.includes(key) ||
+      key.startsWith(PREFERENCE_PREFIX)
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PERSISTENCE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @returns {{active: string|null, profiles: Object<string, {values: Object<string, string|null>, savedAt: string}>}}
+   */
+  function loadStore() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (parsed && typeof parsed.profiles === "object") {
+        return { active: parsed.active || null, profiles: parsed.profiles };
+      }
+    } catch (e) {
+      console.warn("[Settings Profiles] Corrupt profile store, resetting:", e);
+    }
+    return { active: null, profiles: {} };
+  }
+
+  function saveStore(store) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  }
+
+  function normalizeName(name) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) throw new Error("Profile name is required");
+    return trimmed.slice(0, MAX_NAME_LENGTH);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PROFILES
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Snapshot the current values of every profile key.
+   * Missing keys are stored as null so applying the profile restores defaults.
+   * @returns {Object<string, string|null>}
+   */
+  function captureCurrent() {
+    const values = {};
+    [...getMpvKeys(), ...THEME_KEYS, ...getPreferenceKeys()].forEach((key) => {
+      values[key] = localStorage.getItem(key);
+    });
+    return values;
+  }
+
+  /**
+   * @returns {{name: string, savedAt: string, active: boolean}[]}
+   */
+  function listProfiles() {
+    const store = loadStore();
+    return Object.entries(store.profiles)
+      .map(([name, profile]) => ({
+        name,
+        savedAt: profile.savedAt,
+        active: store.active === name,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function getActiveProfile() {
+    return loadStore().active;
+  }
+
+  /**
+   * Save (or overwrite) a profile from the current settings and mark it active
+   * @param {string} name - Profile name
+   * @returns {string} Normalized profile name
+   */
+  function saveProfile(name) {
+    const profileName = normalizeName(name);
+    const store = loadStore();
+
+    store.profiles[profileName] = {
+      values: captureCurrent(),
+      savedAt: new Date().toISOString(),
+    };
+    store.active = profileName;
+    saveStore(store);
+
+    console.log(`[Settings Profiles] Saved "${profileName}"`);
+    return profileName;
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile existed
+   */
+  function deleteProfile(name) {
+    const store = loadStore();
+    if (!store.profiles[name]) return false;
+
+    delete store.profiles[name];
+    if (store.active === name) store.active = null;
+    saveStore(store);
+
+    console.log(`[Settings Profiles] Deleted "${name}"`);
+    return true;
+  }
+
+  /**
+   * Rewrite settings from a profile and push them to the live player
+   * @param {string} name - Profile name
+   * @returns {{changed: string[], pushed: boolean}}
+   * @throws {Error} If the profile does not exist
+   */
+  function applyProfile(name) {
+    const store = loadStore();
+    const profile = store.profiles[name];
+    if (!profile) throw new Error(`Unknown profile "${name}"`);
+
+    const changed = [];
+    Object.entries(profile.values || {}).forEach(([key, value]) => {
+      if (!isProfileKey(key)) return;
+      if (localStorage.getItem(key) === value) return;
+
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+      changed.push(key);
+    });
+
+    store.active = name;
+    saveStore(store);
+
+    notifyChanges(changed);
+
+    // Push to mpv directly; no-op if the player is not open
+    const pushed = window.MpvBridge?.pushPlayerConfig?.() || false;
+
+    window.dispatchEvent(
+      new CustomEvent("kai-profile-applied", {
+        detail: { name, changed },
+      }),
+    );
+
+    console.log(
+      `[Settings Profiles] Applied "${name}" (${changed.length} changed${pushed ? ", pushed to player" : ""})`,
+    );
+    return { changed, pushed };
+  }
+
+  /**
+   * Let live modules react to rewritten keys
+   * @param {string[]} keys - Changed localStorage keys
+   */
+  function notifyChanges(keys) {
+    keys.forEach((key) => {
+      if (key.startsWith(PREFERENCE_PREFIX)) {
+        let value = null;
+        try {
+          value = JSON.parse(localStorage.getItem(key));
+        } catch {
+          // Malformed preference, report as null
+        }
+        window.dispatchEvent(
+          new CustomEvent("kai-pref-changed", {
+            detail: { key: key.slice(PREFERENCE_PREFIX.length), value },
+          }),
+        );
+      } else if (THEME_KEYS.includes(key)) {
+        // Same mechanism as the welcome wizard (theme toggle listens to storage)
+        window.dispatchEvent(
+          new StorageEvent("storage", {
+            key,
+            newValue: localStorage.getItem(key),
+          }),
+        );
+      }
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // PUBLIC API
+  // ─────────────────────────────────────────────────────────────────────────────
+  window.MetadataModules.settingsProfiles = {
+    initialized: true,
+
+    listProfiles,
+    getActiveProfile,
+    saveProfile,
+    deleteProfile,
+    applyProfile,
+  };
+
+  console.log("[Settings Profiles] Module initialized.");
+})();
@@ -554,6 +554,9 @@ window.HeroPlugin.Main = {
     window.addEventListener("hero-start-rotation", startAutoRotate);
     window.addEventListener("hero-stop-rotation", stopAutoRotate);
     window.addEventListener("hero-banner-created", startAutoRotate);
+    window.addEventListener("kai-connectivity-changed", () =>
+      UI.updateOfflineIndicator()
+    );
 
     // Navigation Events
     window.addEventListener("hashchange", debouncedNavigation);
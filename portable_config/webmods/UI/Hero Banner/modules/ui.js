@@ -278,11 +278,24 @@ window.HeroPlugin.UI = {
     return items.join(" • ");
   },
 
+  /**
+   * Points an image at a URL, served from the artwork cache when available.
+   */
+  setImageSource(img, url) {
+    const artworkCache = window.MetadataModules?.artworkCache;
+    if (artworkCache) {
+      artworkCache.apply(img, url);
+    } else {
+      img.src = url;
+    }
+  },
+
   /**
    * Generates the HTML string.
    */
   createHeroHTML(title) {
     const HeroState = window.HeroPlugin.State;
+    title = window.MetadataModules?.localizationUtils?.localize(title) ?? title;
 
     // Ratings on its own row (uses metadata-popup-rating prefix for shared CSS)
     const ratingsHTML = this.createRatingsHTML(title);
@@ -380,6 +393,7 @@ window.HeroPlugin.UI = {
 
   updateHeroContent(title, animate = true) {
     const HeroState = window.HeroPlugin.State;
+    title = window.MetadataModules?.localizationUtils?.localize(title) ?? title;
 
     // Refresh Cache if empty (first run or re-creation)
     if (!this.elements.image) {
@@ -407,7 +421,7 @@ window.HeroPlugin.UI = {
 
     // --- Update Logic ---
     const updateContent = () => {
-      el.image.src = title.background;
+      this.setImageSource(el.image, title.background);
 
       // Check if we need to swap element type (IMG <-> H1)
       const needsImage = !!title.logo;
@@ -429,7 +443,7 @@ window.HeroPlugin.UI = {
       }
 
       if (needsImage) {
-        el.logo.src = title.logo;
+        this.setImageSource(el.logo, title.logo);
         el.logo.title = title.extractedTitle || title.title || "";
 
         // Safety Fallback: If image fails to load (despite validation), revert to text title
@@ -676,6 +690,34 @@ window.HeroPlugin.UI = {
     }
   },
 
+  // ==========================================
+  // OFFLINE INDICATOR
+  // ==========================================
+
+  /**
+   * Show/hide the "offline – showing cached data" badge based on the
+   * metadata connectivity monitor.
+   */
+  updateOfflineIndicator() {
+    const heroContainer = document.querySelector(".hero-container");
+    if (!heroContainer) return;
+
+    const isOnline = window.MetadataModules?.connectivity?.isOnline() ?? true;
+    let badge = heroContainer.querySelector(".hero-offline-badge");
+
+    if (isOnline) {
+      if (badge) badge.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement("div");
+      badge.className = "hero-offline-badge";
+      badge.textContent = "Offline – showing cached data";
+      heroContainer.appendChild(badge);
+    }
+  },
+
   // ==========================================
   // DOM UTILS
   // ==========================================
@@ -779,8 +821,12 @@ window.HeroPlugin.UI = {
       // Apply Layout Fixes
       document.body.classList.add("hero-active");
 
+      // Swap background / logo to cached copies
+      window.MetadataModules?.artworkCache?.hydrate(insertedHero);
+
       this._attachHoverListeners(insertedHero);
       this._attachGenreClickListeners(insertedHero);
+      this.updateOfflineIndicator();
 
       // Attach Momentum Scroll
       if (window.MetadataModules?.scrollUtils?.ScrollUtils) {
@@ -67,8 +67,55 @@
     GENRES_CLASS: "show-page-section-genres",
     CAST_SECTION_CLASS: "show-page-section-cast",
     DESC_CLASS: "episode-description-spe",
+    MPV_OVERRIDES_CLASS: "show-page-mpv-overrides",
+    SOURCES_CLASS: "show-page-sources",
+
+    // Per-title mpv overrides panel (values validated by MetadataStorage.MPV_OVERRIDE_OPTIONS)
+    MPV_OVERRIDE_FIELDS: [
+      {
+        field: "shaderPreset",
+        label: "Anime4K Shaders",
+        options: [
+          { value: "none", label: "Off" },
+          { value: "optimized", label: "Optimized+" },
+          { value: "fast", label: "Eye Candy (Fast)" },
+          { value: "hq", label: "Eye Candy (HQ)" },
+        ],
+      },
+      {
+        field: "svpEnabled",
+        label: "SVP Frame Interpolation",
+        options: [
+          { value: true, label: "On" },
+          { value: false, label: "Off" },
+        ],
+      },
+      {
+        field: "colorProfile",
+        label: "Color Profile",
+        options: [
+          { value: "original", label: "Original (Neutral)" },
+          { value: "kai", label: "Kai" },
+          { value: "vivid", label: "Vivid (High Contrast)" },
+        ],
+      },
+    ],
   };
 
+  /**
+   * Point an image at a URL, served from the artwork cache when available
+   * @param {HTMLImageElement} img
+   * @param {string} url
+   */
+  function setImageSource(img, url) {
+    const artworkCache = window.MetadataModules?.artworkCache;
+    if (artworkCache) {
+      artworkCache.apply(img, url);
+    } else {
+      img.src = url;
+    }
+  }
+
   /**
    * Route detector and ID extractor with caching
    */
@@ -209,7 +256,7 @@
     static clearInjectedContent() {
       // 1. Remove specifically injected section elements
       const sections = document.querySelectorAll(
-        `.${CONFIG.RATINGS_CLASS}, .${CONFIG.GENRES_CLASS}, .${CONFIG.CAST_SECTION_CLASS}, .show-page-tagline, .show-page-meta-row`,
+        `.${CONFIG.RATINGS_CLASS}, .${CONFIG.GENRES_CLASS}, .${CONFIG.CAST_SECTION_CLASS}, .${CONFIG.MPV_OVERRIDES_CLASS}, .${CONFIG.SOURCES_CLASS}, .show-page-tagline, .show-page-meta-row`,
       );
       sections.forEach((el) => el.remove());
 
@@ -234,6 +281,11 @@
     static injectMetadata(metadata, intersectionObserver) {
       if (!metadata) return;
 
+      // Title / plot / tagline in the user's language fallback chain
+      metadata =
+        window.MetadataModules?.localizationUtils?.localize(metadata) ??
+        metadata;
+
       const metaContainer = document.querySelector(CONFIG.META_CONTAINER);
       if (!metaContainer) {
         console.error(
@@ -323,7 +375,7 @@
 
       // LOGO: Replace content if needed
       if (mainLogo && metadata.logo) {
-        mainLogo.src = metadata.logo;
+        setImageSource(mainLogo, metadata.logo);
       }
 
       // 1. Tagline Element
@@ -504,6 +556,18 @@
         replaced++;
       }
 
+      const overridesPanel = this.createMpvOverridesPanel(metadata);
+      if (overridesPanel) {
+        metaContainer.appendChild(overridesPanel);
+        replaced++;
+      }
+
+      const sourcesPanel = this.createSourcesPanel(metadata);
+      if (sourcesPanel) {
+        metaContainer.appendChild(sourcesPanel);
+        replaced++;
+      }
+
       // Lazy images
       if (intersectionObserver) {
         metaContainer
@@ -522,13 +586,119 @@
     static activateLazyImages(container) {
       container.querySelectorAll("img[data-src]").forEach((img) => {
         if (img.dataset.src) {
-          img.src = img.dataset.src;
+          setImageSource(img, img.dataset.src);
           img.removeAttribute("data-src");
           img.classList.remove("lazy");
         }
       });
     }
 
+    /**
+     * Create the collapsible field provenance panel (debug logging only).
+     * Lists which provider set each stored field and how old it is.
+     */
+    static createSourcesPanel(metadata) {
+      const sourcesUtils = window.MetadataModules?.sourcesUtils;
+      if (!sourcesUtils?.isEnabled()) return null;
+
+      const html = sourcesUtils.createSourcesHTML(metadata, {
+        prefix: CONFIG.SOURCES_CLASS,
+      });
+      if (!html) return null;
+
+      const panel = document.createElement("details");
+      panel.className = CONFIG.SOURCES_CLASS;
+
+      const summary = document.createElement("summary");
+      summary.className = "show-page-sources-summary";
+      const staleCount = sourcesUtils
+        .getRows(metadata)
+        .filter((row) => row.stale).length;
+      summary.textContent = staleCount
+        ? `Sources (${staleCount} stale)`
+        : "Sources";
+      panel.appendChild(summary);
+
+      panel.insertAdjacentHTML("beforeend", html);
+      return panel;
+    }
+
+    /**
+     * Create the collapsible per-title playback panel (shaders / SVP / color).
+     * Saved to entry.mpvOverrides; mpv-bridge applies it the next time the title plays.
+     */
+    static createMpvOverridesPanel(metadata) {
+      const storage = window.metadataStorage;
+      if (!metadata.imdb || !storage?.setMpvOverrides) return null;
+
+      const current = metadata.mpvOverrides || {};
+      const panel = document.createElement("details");
+      panel.className = CONFIG.MPV_OVERRIDES_CLASS;
+
+      const summary = document.createElement("summary");
+      summary.className = "show-page-mpv-overrides-summary";
+      panel.appendChild(summary);
+
+      const updateSummary = (overrides) => {
+        const count = Object.keys(overrides || {}).length;
+        summary.textContent = count
+          ? `Playback Profile (${count} override${count > 1 ? "s" : ""})`
+          : "Playback Profile (global settings)";
+      };
+      updateSummary(current);
+
+      const grid = document.createElement("div");
+      grid.className = "show-page-mpv-overrides-grid";
+
+      const status = document.createElement("div");
+      status.className = "show-page-mpv-overrides-status";
+
+      const selects = CONFIG.MPV_OVERRIDE_FIELDS.map(
+        ({ field, label, options }) => {
+          const wrapper = document.createElement("label");
+          wrapper.className = "show-page-mpv-overrides-field";
+          wrapper.textContent = label;
+
+          const select = document.createElement("select");
+          select.dataset.field = field;
+          select.add(new Option("Global setting", ""));
+          options.forEach((opt, index) => {
+            const option = new Option(opt.label, String(index));
+            option.selected = current[field] === opt.value;
+            select.add(option);
+          });
+
+          wrapper.appendChild(select);
+          grid.appendChild(wrapper);
+          return { field, options, select };
+        },
+      );
+
+      grid.addEventListener("change", async () => {
+        const overrides = {};
+        selects.forEach(({ field, options, select }) => {
+          overrides[field] =
+            select.value === "" ? null : options[Number(select.value)].value;
+        });
+
+        try {
+          const saved = await storage.setMpvOverrides(metadata.imdb, overrides);
+          metadata.mpvOverrides = saved || undefined;
+          updateSummary(saved);
+          status.dataset.status = "valid";
+          status.textContent = "Saved. Applies the next time this title plays.";
+        } catch (e) {
+          console.error("[Show Page Enhancer] Failed to save overrides:", e);
+          status.dataset.status = "invalid";
+          status.textContent = `Could not save: ${e.message}`;
+        }
+      });
+
+      panel.appendChild(grid);
+      panel.appendChild(status);
+      return panel;
+    }
+
     /**
      * Create combined section with Directors (first) and Cast (rest)
      */
@@ -613,6 +783,8 @@
     constructor() {
       this.processedEpisodes = new Set();
       this.currentMetadata = null;
+      this.seasonEpisodes = new Map(); // season -> rows from the episodes table
+      this.loadingSeasons = new Set();
     }
 
     init() {
@@ -622,11 +794,15 @@
     disconnect() {
       this.cleanupInjectedContent();
       this.processedEpisodes.clear();
+      this.seasonEpisodes.clear();
       this.currentMetadata = null;
     }
 
     // Context Strategy: Receive full metadata object
     updateContext(metadata) {
+      if (metadata?.imdb !== this.currentMetadata?.imdb) {
+        this.seasonEpisodes.clear();
+      }
       this.currentMetadata = metadata;
 
       // Re-run if we have a container already
@@ -656,6 +832,8 @@
       const season = this.getCurrentSeason();
       if (season === null || season === undefined) return;
 
+      this.loadSeason(season);
+
       const episodes = container.querySelectorAll(CONFIG.EPISODE_ITEM);
 
       for (const episodeEl of episodes) {
@@ -666,6 +844,39 @@
       }
     }
 
+    /**
+     * Load a season from the episodes table (fetching it from TMDB when
+     * needed), then re-inject descriptions with the stored rows
+     */
+    loadSeason(season) {
+      const episodeService = window.episodeService;
+      const imdb = this.currentMetadata?.imdb;
+      if (!episodeService || !imdb || this.currentMetadata.type !== "series") {
+        return;
+      }
+      if (this.seasonEpisodes.has(season) || this.loadingSeasons.has(season)) {
+        return;
+      }
+
+      this.loadingSeasons.add(season);
+      episodeService
+        .ensureSeason(this.currentMetadata, season)
+        .then((episodes) => {
+          if (this.currentMetadata?.imdb !== imdb) return;
+          this.seasonEpisodes.set(season, episodes);
+
+          if (episodes.length && this.getCurrentSeason() === season) {
+            this.reset();
+            const container = document.querySelector(CONFIG.EPISODES_CONTAINER);
+            if (container) this.handleEpisodesMutation(container);
+          }
+        })
+        .catch((err) =>
+          console.warn("[Show Page Enhancer] Episode load failed:", err),
+        )
+        .finally(() => this.loadingSeasons.delete(season));
+    }
+
     // Correctly locate the ACTIVE season
     getCurrentSeason() {
       // Priority 1: Check Route State (Most Reliable)
@@ -737,27 +948,15 @@
     }
 
     /**
-     * Find matching episode using hybrid approach:
-     * 1. Try exact season+episode match (fast path)
-     * 2. Fallback to title matching (robust path)
+     * Find an episode whose title matches the DOM title
      */
-    findMatchingEpisode(season, episodeNum, domTitle) {
-      const videos = this.currentMetadata?.videos;
-      if (!videos || !Array.isArray(videos)) return null;
+    findByTitle(episodes, domTitle) {
+      if (!domTitle) return null;
+      const normalizedDomTitle = this.normalizeTitle(domTitle);
+      if (!normalizedDomTitle) return null;
 
-      // Fast path: Exact season + episode match
-      let episode = videos.find(
-        (ep) =>
-          parseInt(ep.season) === season && parseInt(ep.episode) === episodeNum,
-      );
-
-      if (episode) return episode;
-
-      // Fallback: Title matching (for absolute vs seasonal numbering mismatch)
-      if (domTitle) {
-        const normalizedDomTitle = this.normalizeTitle(domTitle);
-
-        episode = videos.find((ep) => {
+      return (
+        episodes.find((ep) => {
           if (!ep.title) return false;
           const normalizedDbTitle = this.normalizeTitle(ep.title);
           // Check if either contains the other (handles partial matches)
@@ -765,14 +964,73 @@
             normalizedDbTitle.includes(normalizedDomTitle) ||
             normalizedDomTitle.includes(normalizedDbTitle)
           );
-        });
+        }) || null
+      );
+    }
 
-        if (episode) {
-          // Title fallback matched - silent unless debugging
-        }
-      }
+    /**
+     * Find an episode in the TVDB list (tvdbEpisodes, in the user's episode order).
+     * Addons often list long series as a single season, so absolute numbers are
+     * tried for season 1. A candidate confirmed by title wins.
+     */
+    findTvdbEpisode(season, episodeNum, domTitle) {
+      const episodes = this.currentMetadata?.tvdbEpisodes;
+      if (!Array.isArray(episodes) || episodes.length === 0) return null;
+
+      const bySeason = episodes.find(
+        (ep) => ep.season === season && ep.episode === episodeNum,
+      );
+      const byAbsolute =
+        season <= 1
+          ? episodes.find((ep) => ep.absoluteEpisode === episodeNum)
+          : null;
+
+      const candidates = [bySeason, byAbsolute].filter(Boolean);
+      return (
+        this.findByTitle(candidates, domTitle) ||
+        this.findByTitle(episodes, domTitle) ||
+        candidates[0] ||
+        null
+      );
+    }
+
+    /**
+     * Find matching episode using hybrid approach:
+     * 1. Stored episode row for season+episode (episodes table)
+     * 2. Exact season+episode match in legacy entry videos
+     * 3. TVDB episode orders (aired / DVD / absolute numbering)
+     * 4. Fallback to title matching (robust path)
+     */
+    findMatchingEpisode(season, episodeNum, domTitle) {
+      const seasonRows = this.seasonEpisodes.get(season) || [];
+      const stored = seasonRows.find((ep) => ep.episode === episodeNum);
+      if (stored?.overview) return stored;
 
-      return episode;
+      // Entries saved before the episodes table still carry Cinemeta videos
+      const videos = Array.isArray(this.currentMetadata?.videos)
+        ? this.currentMetadata.videos
+        : [];
+
+      // Fast path: Exact season + episode match
+      const exact = videos.find(
+        (ep) =>
+          parseInt(ep.season) === season && parseInt(ep.episode) === episodeNum,
+      );
+
+      if (exact?.overview) return exact;
+
+      // TVDB: fills episodes Cinemeta lacks or numbers differently
+      const tvdbEpisode = this.findTvdbEpisode(season, episodeNum, domTitle);
+      if (tvdbEpisode?.overview) return tvdbEpisode;
+
+      // Fallback: Title matching (for absolute vs seasonal numbering mismatch)
+      return (
+        exact ||
+        this.findByTitle(seasonRows, domTitle) ||
+        this.findByTitle(videos, domTitle) ||
+        tvdbEpisode ||
+        stored
+      );
     }
 
     // Feature: Inject episode description using hybrid matching
@@ -847,7 +1105,7 @@
         return;
       }
 
-      // Init Episode Injector (no storage needed - uses in-memory videos array)
+      // Init Episode Injector (seasons load lazily from window.episodeService)
       this.episodeInjector.init();
 
       // Setup listeners
@@ -932,7 +1190,7 @@
             if (entry.isIntersecting) {
               const img = entry.target;
               if (img.dataset.src) {
-                img.src = img.dataset.src;
+                setImageSource(img, img.dataset.src);
                 img.removeAttribute("data-src");
                 img.classList.remove("lazy");
                 img.classList.add("fade-in");
@@ -69,11 +69,17 @@ class PopupTemplates {
       isStudio = true;
     }
 
+    // Object URL once the artwork cache has loaded the logo this session
+    const badgeLogo = badgeEntity?.logo
+      ? (window.MetadataModules?.artworkCache?.src(badgeEntity.logo) ??
+        badgeEntity.logo)
+      : null;
+
     const networkBadge = badgeEntity
       ? `<div class="metadata-network-badge ${isStudio ? "is-studio" : ""}" title="${badgeEntity.name}">
            ${
-             badgeEntity.logo
-               ? `<img src="${badgeEntity.logo}" 
+             badgeLogo
+               ? `<img src="${badgeLogo}" 
                        alt="${badgeEntity.name}" 
                        loading="lazy" 
                        class="${
@@ -331,6 +337,24 @@ class PopupTemplates {
         `;
   }
 
+  // Debug-only field provenance (see Metadata/Utils/sources-utils.js)
+  static createSourcesSection(metadata) {
+    const sourcesUtils = window.MetadataModules?.sourcesUtils;
+    if (!sourcesUtils?.isEnabled()) return "";
+
+    const html = sourcesUtils.createSourcesHTML(metadata, {
+      prefix: "metadata-popup-sources",
+    });
+    if (!html) return "";
+
+    return `
+            <div class="metadata-popup-sources">
+                <div class="metadata-popup-sources-label">Sources</div>
+                ${html}
+            </div>
+        `;
+  }
+
   static createPersonItem(person, role, options = {}) {
     return `
             <div class="metadata-popup-person-item" data-person-name="${
@@ -536,6 +560,13 @@ class PopupUtils {
       '<div class="metadata-popup-loading">Loading metadata...</div>'; // Placeholder content with loading animation
 
     popup.appendChild(content);
+
+    // Cache-only mode badge (shown via .is-offline on the popup)
+    const offlineBadge = document.createElement("div");
+    offlineBadge.className = "metadata-popup-offline-badge";
+    offlineBadge.textContent = "Offline – showing cached data";
+    popup.appendChild(offlineBadge);
+
     return popup;
   }
 
@@ -788,14 +819,21 @@ class MetadataHoverPopupService {
             img.addEventListener("load", handleLoad);
             img.addEventListener("error", handleError);
 
-            // Start loading
-            img.src = src;
+            // Start loading, from the artwork cache when the host allows it
+            const artworkCache = window.MetadataModules.artworkCache;
+            const cachedSrc = artworkCache?.isCacheable(src)
+              ? artworkCache.get(src)
+              : Promise.resolve(null);
             img.classList.remove("lazy");
 
-            // Handle cached images that load immediately
-            if (img.complete) {
-              img.parentElement.classList.add("loaded");
-            }
+            cachedSrc.then((objectUrl) => {
+              img.src = objectUrl || src;
+
+              // Handle cached images that load immediately
+              if (img.complete) {
+                img.parentElement?.classList.add("loaded");
+              }
+            });
 
             this.imageObserver.unobserve(img);
           }
@@ -811,6 +849,9 @@ class MetadataHoverPopupService {
     // Attach event handlers once to the single popup
     this.attachPopupEventHandlers();
 
+    // Reflect offline / cache-only mode on the popup
+    this.setupConnectivityIndicator();
+
     // Start immediately
     this.start();
   }
@@ -827,6 +868,19 @@ class MetadataHoverPopupService {
     PopupUtils.log("info", "Hover popup service started successfully");
   }
 
+  setupConnectivityIndicator() {
+    const update = (online) =>
+      this.popup?.classList.toggle("is-offline", !online);
+
+    this.boundConnectivityChange = (event) => update(event.detail.online);
+    window.addEventListener(
+      "kai-connectivity-changed",
+      this.boundConnectivityChange,
+    );
+
+    update(window.MetadataModules?.connectivity?.isOnline() ?? true);
+  }
+
   setupMemoryCleanup() {
     // Periodic cleanup to prevent memory bloat
     this.cleanupInterval = setInterval(() => {
@@ -1153,6 +1207,7 @@ class MetadataHoverPopupService {
   _applyContent(contentElement, content, callback) {
     // Update content
     contentElement.innerHTML = content;
+    window.MetadataModules?.artworkCache?.hydrate(contentElement);
 
     // Attach Momentum Scroll (Shared Utility)
     if (window.MetadataModules?.scrollUtils?.ScrollUtils) {
@@ -1633,6 +1688,10 @@ class MetadataHoverPopupService {
 
   // Generate rich HTML content for popup
   generatePopupContent(metadata) {
+    // Title / plot / tagline in the user's language fallback chain
+    metadata =
+      window.MetadataModules?.localizationUtils?.localize(metadata) ?? metadata;
+
     // Create cache key from metadata object (stable serialization)
     const cacheKey = MemoizationCache.generateKey(metadata);
 
@@ -1662,6 +1721,7 @@ class MetadataHoverPopupService {
             ${PopupTemplates.createPersonSection(metadata.stars, "actor", 4, {
               showCharacter: true,
             })}
+            ${PopupTemplates.createSourcesSection(metadata)}
         `;
 
     PopupUtils.log("debug", "Generated popup content (cached for future use)");
@@ -1832,6 +1892,14 @@ class MetadataHoverPopupService {
     // Remove delegated listeners
     this.teardownDelegatedListeners();
 
+    if (this.boundConnectivityChange) {
+      window.removeEventListener(
+        "kai-connectivity-changed",
+        this.boundConnectivityChange,
+      );
+      this.boundConnectivityChange = null;
+    }
+
     // Clear memoization caches
     positionCache.clear();
     contentCache.clear();
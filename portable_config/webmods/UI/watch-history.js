@@ -0,0 +1,342 @@
+/**
+ * @name Library Watch History
+ * @description Adds a "History" view to the Library page built from recorded player sessions
+ * @version 1.0.0
+ * @author allecsc
+ *
+ * Sessions are recorded by Metadata/Services/watch-history.js. This view lists
+ * per-title aggregates (total time on the player, last episode, applied mpv profile)
+ * with type / anime / period filters and a title search.
+ */
+
+(function () {
+  "use strict";
+
+  // Idempotency Guard
+  if (window.WatchHistoryView?.initialized) return;
+
+  window.WatchHistoryView = {
+    initialized: true,
+    cleanup: null, // Will be set after init
+  };
+
+  // Configuration
+  const CONFIG = {
+    // Route detection
+    LIBRARY_ROUTE_PATTERN: /^#\/library/,
+
+    // DOM Selectors (Stremio Library page)
+    LIBRARY_CONTENT: ".library-content-PgX4O",
+    INPUTS_CONTAINER: ".selectable-inputs-container-hR3or",
+
+    // CSS Markers
+    TOGGLE_CLASS: "kai-history-toggle",
+    VIEW_CLASS: "kai-history-view",
+    ACTIVE_CLASS: "kai-history-active",
+
+    // Timing
+    DEBOUNCE_DELAY: 150,
+
+    PERIODS: [
+      { value: "7", label: "Last 7 days" },
+      { value: "30", label: "Last 30 days" },
+      { value: "365", label: "Last year" },
+      { value: "all", label: "All time" },
+    ],
+    TYPES: [
+      { value: "", label: "All types" },
+      { value: "movie", label: "Movies" },
+      { value: "series", label: "Series" },
+    ],
+    ANIME: [
+      { value: "", label: "Anime & other" },
+      { value: "true", label: "Anime only" },
+      { value: "false", label: "No anime" },
+    ],
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // The service is exposed once the metadata UI starts; the core owns it earlier
+  const getService = () =>
+    window.watchHistory || window.metadataManager?.core?.watchHistory || null;
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // FORMATTING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return `${hours}h ${minutes % 60}m`;
+  }
+
+  function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  }
+
+  function formatEpisode(aggregate) {
+    if (aggregate.lastSeason === null || aggregate.lastSeason === undefined) {
+      return null;
+    }
+    return `S${aggregate.lastSeason}E${aggregate.lastEpisode}`;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // VIEW
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class HistoryView {
+    constructor() {
+      this.filters = { period: "30", type: "", anime: "", query: "" };
+      this.element = this.build();
+      this.renderToken = 0;
+    }
+
+    build() {
+      const view = document.createElement("div");
+      view.className = CONFIG.VIEW_CLASS;
+
+      const filters = document.createElement("div");
+      filters.className = "kai-history-filters";
+
+      const search = document.createElement("input");
+      search.type = "text";
+      search.className = "kai-history-search";
+      search.placeholder = "Search history...";
+      search.addEventListener("input", () => {
+        this.filters.query = search.value;
+        this.render();
+      });
+
+      filters.append(
+        search,
+        this.buildSelect("period", CONFIG.PERIODS),
+        this.buildSelect("type", CONFIG.TYPES),
+        this.buildSelect("anime", CONFIG.ANIME),
+        this.buildButton("Clear history", () => this.clearHistory()),
+      );
+
+      this.summary = document.createElement("div");
+      this.summary.className = "kai-history-summary";
+
+      this.list = document.createElement("div");
+      this.list.className = "kai-history-list";
+
+      view.append(filters, this.summary, this.list);
+      return view;
+    }
+
+    buildSelect(filterKey, options) {
+      const select = document.createElement("select");
+      select.className = "kai-history-select";
+      options.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = this.filters[filterKey];
+      select.addEventListener("change", () => {
+        this.filters[filterKey] = select.value;
+        this.render();
+      });
+      return select;
+    }
+
+    buildButton(label, onClick) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "kai-history-button";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      return button;
+    }
+
+    getQueryFilters() {
+      const { period, type, anime, query } = this.filters;
+      return {
+        since: period === "all" ? 0 : Date.now() - Number(period) * DAY_MS,
+        type: type || undefined,
+        isAnime: anime === "" ? undefined : anime === "true",
+        query,
+      };
+    }
+
+    async render() {
+      const service = getService();
+      if (!service) {
+        this.summary.textContent = "Watch history is still loading...";
+        this.list.innerHTML = "";
+        return;
+      }
+
+      // Drop results of an older render that finished late
+      const token = ++this.renderToken;
+      let aggregates;
+      try {
+        aggregates = await service.getTitleAggregates(this.getQueryFilters());
+      } catch (error) {
+        console.error("[Watch History] Failed to load history:", error);
+        this.summary.textContent = "Failed to load watch history.";
+        return;
+      }
+      if (token !== this.renderToken) return;
+
+      const totalMs = aggregates.reduce((sum, a) => sum + a.totalMs, 0);
+      this.summary.textContent =
+        aggregates.length > 0
+          ? `${aggregates.length} title${aggregates.length === 1 ? "" : "s"} · ${formatDuration(totalMs)} on player`
+          : "No playback recorded for these filters yet.";
+
+      this.list.innerHTML = "";
+      aggregates.forEach((aggregate) =>
+        this.list.appendChild(this.buildRow(aggregate)),
+      );
+    }
+
+    buildRow(aggregate) {
+      const row = document.createElement("div");
+      row.className = "kai-history-row";
+
+      const title = document.createElement(aggregate.imdb ? "a" : "div");
+      title.className = "kai-history-title";
+      title.textContent = aggregate.title || aggregate.titleKey;
+      if (aggregate.imdb) {
+        title.href = `#/detail/${aggregate.type || "movie"}/${aggregate.imdb}`;
+      }
+
+      const details = document.createElement("div");
+      details.className = "kai-history-details";
+      const parts = [
+        formatEpisode(aggregate) && `Last: ${formatEpisode(aggregate)}`,
+        `${formatDuration(aggregate.totalMs)} on player`,
+        `${aggregate.sessionCount} session${aggregate.sessionCount === 1 ? "" : "s"}`,
+        formatDate(aggregate.lastWatchedAt),
+        aggregate.lastProfile && `Profile: ${aggregate.lastProfile}`,
+      ].filter(Boolean);
+      details.textContent = parts.join(" · ");
+
+      const info = document.createElement("div");
+      info.className = "kai-history-info";
+      info.append(title, details);
+
+      if (aggregate.isAnime) {
+        const badge = document.createElement("span");
+        badge.className = "kai-history-badge";
+        badge.textContent = "Anime";
+        title.appendChild(badge);
+      }
+
+      const remove = this.buildButton("Remove", async () => {
+        await getService()?.deleteTitle(aggregate.titleKey);
+        this.render();
+      });
+
+      row.append(info, remove);
+      return row;
+    }
+
+    async clearHistory() {
+      if (!confirm("Delete the entire watch history?")) return;
+      await getService()?.clear();
+      this.render();
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // LIBRARY INTEGRATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  class LibraryHistoryEnhancer {
+    constructor() {
+      this.view = null;
+      this.observer = null;
+      this.debounceTimer = null;
+      this.hashChangeHandler = () => this.handleRouteChange();
+    }
+
+    init() {
+      window.addEventListener("hashchange", this.hashChangeHandler);
+      this.handleRouteChange();
+      window.WatchHistoryView.cleanup = () => this.destroy();
+    }
+
+    destroy() {
+      window.removeEventListener("hashchange", this.hashChangeHandler);
+      this.disconnect();
+    }
+
+    handleRouteChange() {
+      if (CONFIG.LIBRARY_ROUTE_PATTERN.test(window.location.hash)) {
+        this.connect();
+        this.inject();
+      } else {
+        this.disconnect();
+      }
+    }
+
+    // Stremio re-renders the Library page, so keep watching while it is open
+    connect() {
+      if (this.observer) return;
+      this.observer = new MutationObserver(() => {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(
+          () => this.inject(),
+          CONFIG.DEBOUNCE_DELAY,
+        );
+      });
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    disconnect() {
+      clearTimeout(this.debounceTimer);
+      this.observer?.disconnect();
+      this.observer = null;
+    }
+
+    inject() {
+      const content = document.querySelector(CONFIG.LIBRARY_CONTENT);
+      const inputs = content?.querySelector(CONFIG.INPUTS_CONTAINER);
+      if (!content || !inputs) return;
+
+      if (!inputs.querySelector(`.${CONFIG.TOGGLE_CLASS}`)) {
+        const toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.className = CONFIG.TOGGLE_CLASS;
+        toggle.textContent = "History";
+        toggle.addEventListener("click", () => this.toggle(content, toggle));
+        inputs.appendChild(toggle);
+      }
+
+      if (!this.view) this.view = new HistoryView();
+      if (!content.contains(this.view.element)) {
+        content.appendChild(this.view.element);
+        // A re-render drops our state class, restore the active view
+        const active = content.classList.contains(CONFIG.ACTIVE_CLASS);
+        inputs
+          .querySelector(`.${CONFIG.TOGGLE_CLASS}`)
+          .classList.toggle("active", active);
+      }
+    }
+
+    toggle(content, toggle) {
+      const active = content.classList.toggle(CONFIG.ACTIVE_CLASS);
+      toggle.classList.toggle("active", active);
+      if (active) this.view.render();
+    }
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () =>
+      new LibraryHistoryEnhancer().init(),
+    );
+  } else {
+    new LibraryHistoryEnhancer().init();
+  }
+})();
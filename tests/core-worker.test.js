@@ -0,0 +1,575 @@
+/**
+ * Core Worker: PersistentCore behind the UI-thread proxies
+ *
+ * Loads the real metadata modules into a jsdom window and runs the worker
+ * script built by core-worker.js in its own vm context (jsdom has no Worker).
+ * Messages cross as structured clones and both sides share one fake IndexedDB,
+ * like a dedicated worker and its page.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM } = require("jsdom");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+
+const METADATA = path.join(
+  __dirname,
+  "..",
+  "portable_config",
+  "webmods",
+  "Metadata",
+);
+const DEXIE = fs.readFileSync(
+  path.join(METADATA, "Vendor", "dexie.min.js"),
+  "utf8",
+);
+const SCRIPTS = [
+  "Vendor/dexie.min.js",
+  "config.js",
+  "Utils/local-db.js",
+  "Utils/connectivity.js",
+  "Utils/fetch-utils.js",
+  "Services/rate-limiter.js",
+  "Utils/title-utils.js",
+  "Utils/anime-detection.js",
+  "Utils/preferences.js",
+  "Utils/localization-utils.js",
+  "Services/api-keys.js",
+  "Services/provider-registry.js",
+  "Services/metadata-service.js",
+  "Fetchers/metadata-fetcher.js",
+  "Fetchers/anilist-fetcher.js",
+  "Fetchers/mdblist-fetcher.js",
+  "Fetchers/omdb-fetcher.js",
+  "Fetchers/tmdb-fetcher.js",
+  "Fetchers/tvdb-fetcher.js",
+  "Utils/id-conversion.js",
+  "Fetchers/title-search.js",
+  "Utils/id-lookup.js",
+  "Services/metadata-storage.js",
+  "Services/episode-service.js",
+  "Services/db-maintenance.js",
+  "Services/artwork-cache.js",
+  "Utils/route-detector.js",
+  "Services/watch-history.js",
+  "Services/core-worker.js",
+  "main.js",
+].map((file) => fs.readFileSync(path.join(METADATA, file), "utf8"));
+
+const quietConsole = process.env.DEBUG_TESTS
+  ? console
+  : { ...console, log() {}, warn() {}, info() {}, debug() {} };
+
+// No network in tests: every provider answers 404
+const offlineFetch = async () =>
+  new Response("{}", {
+    status: 404,
+    headers: { "Content-Type": "application/json" },
+  });
+
+let dom;
+let window;
+let workers;
+let cores;
+
+/**
+ * Runs a worker script in its own vm context. Timers are tracked so
+ * terminate() leaves nothing running. importScripts() serves the vendored
+ * Dexie for the configured URL.
+ */
+function startWorkerContext(source, { indexedDB, dexieUrl, onMessage }) {
+  const target = new EventTarget();
+  const timers = new Set();
+  const track = (schedule, clear) => ({
+    schedule: (fn, ms, ...args) => {
+      const id = schedule(fn, ms, ...args);
+      timers.add(() => clear(id));
+      return id;
+    },
+    clear,
+  });
+  const timeout = track(setTimeout, clearTimeout);
+  const interval = track(setInterval, clearInterval);
+
+  const sandbox = {
+    console: quietConsole,
+    setTimeout: timeout.schedule,
+    clearTimeout: timeout.clear,
+    setInterval: interval.schedule,
+    clearInterval: interval.clear,
+    queueMicrotask,
+    structuredClone,
+    AbortController,
+    AbortSignal,
+    DOMException,
+    Event,
+    EventTarget,
+    CustomEvent,
+    URL,
+    URLSearchParams,
+    Headers,
+    Request,
+    Response,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+    navigator: { onLine: true, language: "en-US", languages: ["en-US"] },
+    indexedDB,
+    IDBKeyRange,
+    fetch: offlineFetch,
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+    dispatchEvent: target.dispatchEvent.bind(target),
+    postMessage: (message) => onMessage(structuredClone(message)),
+    imported: [],
+    importScripts(url) {
+      sandbox.imported.push(url);
+      if (url !== dexieUrl) {
+        throw new DOMException(`Failed to load ${url}`, "NetworkError");
+      }
+      vm.runInContext(DEXIE, sandbox);
+    },
+  };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(source, sandbox);
+
+  return {
+    sandbox,
+    deliver(message) {
+      const event = new Event("message");
+      event.data = structuredClone(message);
+      target.dispatchEvent(event);
+    },
+    terminate() {
+      timers.forEach((clear) => clear());
+    },
+  };
+}
+
+function loadModules({ workerFails = false } = {}) {
+  // A catalog container, so MetadataManager starts its UI right away
+  const container = "<div class='meta-items-container-n8vNz'></div>";
+  dom = new JSDOM(`<!DOCTYPE html><body>${container}</body>`, {
+    url: "https://web.stremio.com/#/",
+    runScripts: "outside-only",
+  });
+  window = dom.window;
+  window.console = quietConsole;
+  window.fetch = offlineFetch;
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+  workers = [];
+  cores = [];
+
+  // jsdom's Blob can't be read back as text
+  window.Blob = class {
+    constructor(parts) {
+      this.parts = parts;
+    }
+
+    text() {
+      return Promise.resolve(this.parts.join(""));
+    }
+  };
+  const blobs = new Map();
+  window.URL.createObjectURL = (blob) => {
+    const url = `blob:test/${blobs.size}`;
+    blobs.set(url, blob);
+    return url;
+  };
+  window.URL.revokeObjectURL = () => {};
+
+  const indexedDB = window.indexedDB;
+  window.Worker = class extends window.EventTarget {
+    constructor(url) {
+      super();
+      if (workerFails)
+        throw new window.DOMException("Blocked", "SecurityError");
+
+      this.inbox = [];
+      this.context = null;
+      this.terminated = false;
+      workers.push(this);
+
+      blobs
+        .get(url)
+        .text()
+        .then((source) => {
+          if (this.terminated) return;
+          this.context = startWorkerContext(source, {
+            indexedDB,
+            // Stands in for the network
+            dexieUrl:
+              window.MetadataModules.config.METADATA_CONFIG.coreWorker.dexieUrl,
+            onMessage: (data) =>
+              setTimeout(() => {
+                if (this.terminated) return;
+                this.dispatchEvent(
+                  new window.MessageEvent("message", { data }),
+                );
+              }),
+          });
+          this.inbox
+            .splice(0)
+            .forEach((message) => this.context.deliver(message));
+        });
+    }
+
+    postMessage(message) {
+      const data = structuredClone(message); // Throws DataCloneError like a worker
+      if (this.terminated) return;
+      setTimeout(() => {
+        if (this.context) this.context.deliver(data);
+        else this.inbox.push(data);
+      });
+    }
+
+    terminate() {
+      this.terminated = true;
+      this.context?.terminate();
+    }
+  };
+
+  // As scripts (not eval) so main.js's classes land in the global scope
+  const context = dom.getInternalVMContext();
+  SCRIPTS.forEach((source) => new vm.Script(source).runInContext(context));
+
+  // Keep the start() promise so a test can let watch history settle
+  const { WatchHistoryService } = window.MetadataModules.watchHistory;
+  const start = WatchHistoryService.prototype.start;
+  WatchHistoryService.prototype.start = function () {
+    this.starting = start.call(this);
+    return this.starting;
+  };
+}
+
+/** Copy a value out of the jsdom realm so deepStrictEqual sees plain objects */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100; i++) {
+    if (predicate()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Timed out");
+};
+
+function createCore() {
+  const PersistentCore = window.eval("PersistentCore");
+  const core = window.MetadataModules.coreWorker.createCore(PersistentCore);
+  cores.push(core);
+  return core;
+}
+
+const SHAWSHANK = {
+  imdb: "tt0111161",
+  type: "movie",
+  title: "The Shawshank Redemption",
+  year: 1994,
+};
+
+beforeEach(() => loadModules());
+
+afterEach(async () => {
+  // Let watch history finish its first route sync before the window goes away
+  await Promise.all(cores.map((core) => core.ready));
+  await Promise.all(cores.map((core) => core.watchHistory.starting));
+  await Promise.all(cores.map((core) => core.watchHistory.routeQueue));
+  workers.forEach((worker) => worker.terminate());
+  window.close();
+});
+
+test("every worker module registers its source", () => {
+  const { coreWorker, workerSources } = window.MetadataModules;
+  assert.deepEqual(
+    plain(coreWorker.WORKER_MODULES.filter((name) => !workerSources[name])),
+    [],
+  );
+  assert.ok(
+    coreWorker.WORKER_MODULES.every(
+      (name) => typeof workerSources[name] === "string",
+    ),
+  );
+  assert.equal(coreWorker.isSupported(), true);
+});
+
+test("storage calls run in the worker and share the database", async () => {
+  const core = createCore();
+  await core.ready;
+  assert.equal(core.host.local, null);
+  assert.equal(workers.length, 1);
+  // Dexie comes from its own URL, the vendored bundle isn't rebuilt
+  assert.deepEqual(plain(workers[0].context.sandbox.imported), [
+    window.MetadataModules.config.METADATA_CONFIG.coreWorker.dexieUrl,
+  ]);
+
+  const updates = [];
+  window.addEventListener("metadata-updated", (event) =>
+    updates.push(plain(event.detail)),
+  );
+
+  const saved = await core.metadataStorage.saveTitle({ ...SHAWSHANK });
+  assert.equal(saved.imdb, SHAWSHANK.imdb);
+
+  // Through the worker, and directly from the UI thread's connection
+  const stored = await core.metadataStorage.getTitle(SHAWSHANK.imdb);
+  assert.equal(stored.title, SHAWSHANK.title);
+  const row = await core.metadataStorage.db.titles
+    .where("imdb")
+    .equals(SHAWSHANK.imdb)
+    .first();
+  assert.equal(row.title, SHAWSHANK.title);
+
+  await waitFor(() => updates.length > 0);
+  assert.deepEqual(updates[0], {
+    imdb: SHAWSHANK.imdb,
+    id: SHAWSHANK.imdb,
+    type: "movie",
+    source: "storage",
+  });
+
+  // Synchronous helpers stay on the UI thread
+  assert.equal(core.metadataStorage.isStale(stored), false);
+  assert.ok(Array.isArray(core.metadataStorage.getStaleGroups(stored)));
+});
+
+test("proxies keep data members and only forward methods", async () => {
+  const core = createCore();
+  await core.ready;
+  const storage = core.metadataStorage;
+
+  assert.equal(storage.isPersistent, true);
+  assert.equal(storage.fetcher, core.metadataFetcher);
+  assert.equal(storage.idLookup, core.idLookup);
+  assert.equal(storage.episodeService, core.episodeService);
+  assert.equal(typeof core.anilistFetcher.apiBase, "string");
+  assert.equal(core.episodeService.db, storage.db);
+
+  assert.equal(typeof storage.getTitle, "function");
+  assert.equal(storage.noSuchMember, undefined);
+  assert.equal(storage.then, undefined);
+  assert.equal(await Promise.resolve(storage), storage);
+});
+
+test("the exposed globals keep their API", async () => {
+  // UI services are out of scope here
+  window.MetadataModules.domProcessor = {
+    DOMTitleProcessor: class {
+      disconnect() {}
+    },
+  };
+  window.MetadataModules.hoverPopup = {
+    MetadataHoverPopupService: class {
+      destroy() {}
+    },
+  };
+
+  const manager = new (window.eval("MetadataManager"))();
+  cores.push(manager.core);
+  await manager.core.ready;
+  await waitFor(() => window.metadataHelper);
+
+  await window.metadataStorage.saveTitle({ ...SHAWSHANK });
+  assert.equal(
+    (await window.metadataHelper.getTitle(SHAWSHANK.imdb)).title,
+    SHAWSHANK.title,
+  );
+  assert.equal(await window.metadataHelper.hasTitle(SHAWSHANK.imdb), true);
+  assert.equal(window.metadataHelper.db, window.metadataStorage.db);
+  assert.equal(
+    (await window.metadataServices.idLookup.findByAnyId(SHAWSHANK.imdb, "imdb"))
+      .imdb,
+    SHAWSHANK.imdb,
+  );
+  assert.equal(
+    typeof (await window.dbMaintenance.getStatus()).entries,
+    "number",
+  );
+
+  const rateLimiter = window.MetadataModules.rateLimiter.instance;
+  assert.equal(rateLimiter, window.metadataServices.rateLimiter);
+  assert.equal(rateLimiter.hasQueue("tmdb"), true);
+  assert.equal(rateLimiter.hasQueue("nope"), false);
+  assert.ok(rateLimiter.getQuotas().some(({ api }) => api === "mdblist"));
+  assert.equal(
+    typeof window.MetadataModules.metadataService.getProviderHealth(),
+    "object",
+  );
+
+  manager.stopUI();
+});
+
+test("only the core's localStorage keys are mirrored", async () => {
+  const { setItem } = window.Storage.prototype;
+  window.localStorage.setItem("kai-pref-language", '"de"');
+  window.localStorage.setItem("streaming_server_url", "http://127.0.0.1");
+
+  const core = createCore();
+  await core.ready;
+  const workerStorage = workers[0].context.sandbox.localStorage;
+
+  // The page's Storage is left alone, the worker only gets the core keys
+  assert.equal(window.Storage.prototype.setItem, setItem);
+  assert.equal(workerStorage.getItem("kai-pref-language"), '"de"');
+  assert.equal(workerStorage.getItem("streaming_server_url"), null);
+
+  // UI thread -> worker: an API key saved in the settings
+  window.MetadataModules.apiKeys.setKey(
+    "tmdb",
+    "0123456789abcdef0123456789abcdef",
+  );
+  const status = await core.host.call("metadataService", "getApiStatus", []);
+  assert.equal(status.tmdb.hasKey, true);
+
+  // ... a preference
+  window.MetadataModules.preferences.set("language", "fr");
+  await waitFor(() => workerStorage.getItem("kai-pref-language") === '"fr"');
+
+  // ... and nothing else
+  window.localStorage.setItem("kai-theme", "dark");
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(workerStorage.getItem("kai-theme"), null);
+
+  // Worker -> UI thread
+  await core.host.call("metadataService", "setDebug", [true]);
+  await waitFor(
+    () => window.localStorage.getItem("kai-metadata-debug") === "true",
+  );
+});
+
+test("artwork selections survive a worker round trip", async () => {
+  const IMAGE = "https://images.metahub.space/poster/medium/tt0111161/img";
+  const { ImageUtils } = window.MetadataModules.imageUtils;
+  const { artworkCache } = window.MetadataModules;
+
+  // First session: the image validates and the selection is persisted
+  ImageUtils.validateUrl = async () => true;
+  let core = createCore();
+  await core.ready;
+  assert.equal(await core.metadataFetcher.validateImageUrl(null, IMAGE), IMAGE);
+  await waitFor(() => artworkCache.instance.db);
+  for (let i = 0; i < 100; i++) {
+    if (await artworkCache.getSelection(`validated:null|${IMAGE}`)) break;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.equal(
+    await artworkCache.getSelection(`validated:null|${IMAGE}`),
+    IMAGE,
+  );
+
+  // Next session: a fresh worker reads it back instead of validating again
+  ImageUtils.validateUrl = async () => false;
+  core = createCore();
+  await core.ready;
+  assert.equal(await core.metadataFetcher.validateImageUrl(null, IMAGE), IMAGE);
+});
+
+test("processAndSaveTitleElement extracts on the UI thread", async () => {
+  const core = createCore();
+  await core.ready;
+  await core.metadataStorage.saveTitle({ ...SHAWSHANK });
+
+  const element = window.document.createElement("a");
+  element.dataset.metadataProcessed = "true";
+  const processor = {
+    processTitleElement: async (el) => {
+      assert.equal(el, element);
+      return {
+        extractedIds: { imdb: SHAWSHANK.imdb },
+        extractedTitle: SHAWSHANK.title,
+        extractedType: "movie",
+        year: 1994,
+        titleKey: `movie:${SHAWSHANK.title}`,
+      };
+    },
+  };
+
+  const result = await core.metadataStorage.processAndSaveTitleElement(
+    element,
+    processor,
+    true,
+  );
+  assert.equal(result.imdb, SHAWSHANK.imdb);
+  assert.equal(element.dataset.metadataProcessed, "true");
+});
+
+test("RPC passes callbacks and abort signals by reference", async () => {
+  const { createRpcEndpoint } = window.MetadataModules.coreWorker;
+  let left;
+  let right;
+  const link = (getOther) => (message) => {
+    const data = structuredClone(message);
+    setTimeout(() => getOther().receive(data));
+  };
+
+  let aborted = null;
+  left = createRpcEndpoint(
+    link(() => right),
+    () => {},
+  );
+  right = createRpcEndpoint(
+    link(() => left),
+    async (target, method, args) => {
+      if (method === "progress") {
+        const [, { onProgress }] = args;
+        await onProgress("half");
+        return args[0] * 2;
+      }
+      if (method === "wait") {
+        const [{ signal }] = args;
+        return new Promise((resolve) =>
+          signal.addEventListener("abort", () => {
+            aborted = signal.reason.name;
+            resolve("stopped");
+          }),
+        );
+      }
+      throw new TypeError(`no ${method}`);
+    },
+  );
+
+  const progress = [];
+  assert.equal(
+    await left.call("svc", "progress", [
+      21,
+      { onProgress: (p) => progress.push(p) },
+    ]),
+    42,
+  );
+  assert.deepEqual(progress, ["half"]);
+
+  const controller = new window.AbortController();
+  const waiting = left.call("svc", "wait", [{ signal: controller.signal }]);
+  controller.abort(new window.DOMException("Route changed", "AbortError"));
+  assert.equal(await waiting, "stopped");
+  assert.equal(aborted, "AbortError");
+
+  await assert.rejects(left.call("svc", "missing", []), {
+    name: "TypeError",
+    message: "no missing",
+  });
+});
+
+test("falls back to the UI thread when the worker can't start", async () => {
+  window.close();
+  loadModules({ workerFails: true });
+
+  const core = createCore();
+  await core.ready;
+  assert.ok(core.host.local);
+  assert.equal(core.host.worker, null);
+
+  await core.metadataStorage.saveTitle({ ...SHAWSHANK });
+  assert.equal(
+    (await core.metadataStorage.getTitle(SHAWSHANK.imdb)).title,
+    SHAWSHANK.title,
+  );
+  assert.equal(core.metadataStorage.db, core.host.local.metadataStorage.db);
+  assert.equal(core.metadataStorage.isPersistent, true);
+  assert.ok(core.rateLimiter.getQuotas().length > 0);
+});
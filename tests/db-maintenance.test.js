@@ -0,0 +1,148 @@
+/**
+ * Database Maintenance: duplicate merges against the live titles table
+ *
+ * Loads the storage modules into a jsdom window backed by a fake IndexedDB.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM } = require("jsdom");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+
+const METADATA = path.join(
+  __dirname,
+  "..",
+  "portable_config",
+  "webmods",
+  "Metadata",
+);
+const SCRIPTS = [
+  "Vendor/dexie.min.js",
+  "config.js",
+  "Utils/local-db.js",
+  "Utils/title-utils.js",
+  "Services/metadata-storage.js",
+  "Services/db-maintenance.js",
+].map((file) => fs.readFileSync(path.join(METADATA, file), "utf8"));
+
+const quietConsole = process.env.DEBUG_TESTS
+  ? console
+  : { ...console, log() {}, warn() {}, info() {}, debug() {} };
+
+// Old enough to be past the in-flight grace period
+const LONG_AGO = Date.now() - 24 * 60 * 60 * 1000;
+
+let window;
+let storage;
+let maintenance;
+
+beforeEach(async () => {
+  const dom = new JSDOM("<!DOCTYPE html>", {
+    url: "https://web.stremio.com/#/",
+    runScripts: "outside-only",
+  });
+  window = dom.window;
+  window.console = quietConsole;
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+
+  const context = dom.getInternalVMContext();
+  SCRIPTS.forEach((source) => new vm.Script(source).runInContext(context));
+
+  const { MetadataStorage } = window.MetadataModules.metadataStorage;
+  const { DatabaseMaintenanceService } = window.MetadataModules.dbMaintenance;
+  storage = new MetadataStorage();
+  await storage.init();
+  maintenance = new DatabaseMaintenanceService(storage);
+});
+
+afterEach(() => {
+  storage.db.close();
+  window.close();
+});
+
+const newReport = () => ({ merged: 0, ambiguous: 0 });
+
+test("merges from the rows as they are, not the scan", async () => {
+  const { titles } = storage.db;
+  const keeperId = await titles.add({
+    imdb: "tt0388629",
+    type: "series",
+    title: "One Piece",
+    mal: [21],
+    lastUpdated: LONG_AGO,
+  });
+  const otherId = await titles.add({
+    type: "series",
+    title: "ONE PIECE",
+    mal: [21],
+    anilist: [21],
+    lastUpdated: LONG_AGO,
+  });
+  const scan = await titles.toArray();
+
+  // saveTitle lands between the scan and the merge
+  await titles.update(keeperId, { plot: "Gol D. Roger...", tmdb: 37854 });
+
+  const report = newReport();
+  const remaining = await maintenance.mergeDuplicates(scan, report);
+
+  assert.equal(report.merged, 1);
+  assert.equal(await titles.get(otherId), undefined);
+  const merged = await titles.get(keeperId);
+  assert.equal(merged.plot, "Gol D. Roger...");
+  assert.equal(merged.tmdb, 37854);
+  assert.deepEqual([...merged.anilist], [21]);
+  assert.deepEqual(
+    remaining.map((entry) => entry.id),
+    [keeperId],
+  );
+  assert.equal(remaining[0].plot, "Gol D. Roger...");
+});
+
+test("skips rows deleted since the scan", async () => {
+  const { titles } = storage.db;
+  const keeperId = await titles.add({
+    imdb: "tt0388629",
+    mal: [21],
+    lastUpdated: LONG_AGO,
+  });
+  const otherId = await titles.add({ mal: [21], lastUpdated: LONG_AGO });
+  const scan = await titles.toArray();
+  await titles.delete(otherId);
+
+  const report = newReport();
+  const remaining = await maintenance.mergeDuplicates(scan, report);
+
+  assert.equal(report.merged, 0);
+  assert.equal((await titles.get(keeperId)).imdb, "tt0388629");
+  assert.deepEqual(
+    remaining.map((entry) => entry.id),
+    [keeperId],
+  );
+});
+
+test("the merged entry keeps every row's anime ids", async () => {
+  const { titles } = storage.db;
+  const keeperId = await titles.add({
+    imdb: "tt0388629",
+    mal: [21],
+    kitsu: 12,
+    lastUpdated: LONG_AGO,
+  });
+  await titles.add({ mal: [21, 1234], anilist: [21], lastUpdated: LONG_AGO });
+  await titles.add({ anilist: [21, 2000], kitsu: [], lastUpdated: LONG_AGO });
+
+  const report = newReport();
+  await maintenance.mergeDuplicates(await titles.toArray(), report);
+
+  assert.equal(report.merged, 2);
+  const merged = await titles.get(keeperId);
+  assert.deepEqual([...merged.mal].sort(), [1234, 21].sort());
+  assert.deepEqual([...merged.anilist].sort(), [2000, 21].sort());
+  assert.deepEqual([...merged.kitsu], [12]);
+  assert.equal(await titles.count(), 1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Metadata Storage: cache file export / import
+ *
+ * Loads the storage modules into a jsdom window backed by a fake IndexedDB.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { JSDOM } = require("jsdom");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+
+const METADATA = path.join(
+  __dirname,
+  "..",
+  "portable_config",
+  "webmods",
+  "Metadata",
+);
+const SCRIPTS = [
+  "Vendor/dexie.min.js",
+  "config.js",
+  "Utils/local-db.js",
+  "Utils/title-utils.js",
+  "Services/metadata-storage.js",
+].map((file) => fs.readFileSync(path.join(METADATA, file), "utf8"));
+
+const quietConsole = process.env.DEBUG_TESTS
+  ? console
+  : { ...console, log() {}, warn() {}, info() {}, debug() {} };
+
+const SHAWSHANK = {
+  imdb: "tt0111161",
+  type: "movie",
+  title: "The Shawshank Redemption",
+  year: 1994,
+};
+
+let window;
+let storage;
+
+beforeEach(async () => {
+  const dom = new JSDOM("<!DOCTYPE html>", {
+    url: "https://web.stremio.com/#/",
+    runScripts: "outside-only",
+  });
+  window = dom.window;
+  window.console = quietConsole;
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+
+  const context = dom.getInternalVMContext();
+  SCRIPTS.forEach((source) => new vm.Script(source).runInContext(context));
+
+  const { MetadataStorage } = window.MetadataModules.metadataStorage;
+  storage = new MetadataStorage();
+  await storage.init();
+});
+
+afterEach(() => {
+  storage.db.close();
+  window.close();
+});
+
+test("exports carry the file version, not the database version", async () => {
+  const { MetadataStorage } = window.MetadataModules.metadataStorage;
+  await storage.db.titles.add({ ...SHAWSHANK });
+
+  const payload = await storage.exportTitles();
+
+  assert.equal(payload.version, MetadataStorage.EXPORT_VERSION);
+  assert.equal(payload.schemaVersion, undefined);
+  assert.equal(payload.count, 1);
+});
+
+test("a database upgrade doesn't invalidate exported files", async () => {
+  const { MetadataStorage } = window.MetadataModules.metadataStorage;
+  const file = {
+    format: MetadataStorage.EXPORT_FORMAT,
+    titles: [{ ...SHAWSHANK }],
+  };
+
+  // Files from before the version field carry the Dexie schema version
+  const legacy = { ...file, schemaVersion: MetadataStorage.SCHEMA_VERSION + 1 };
+  assert.equal((await storage.importTitles(legacy)).inserted, 1);
+
+  const current = { ...file, version: MetadataStorage.EXPORT_VERSION };
+  assert.equal((await storage.importTitles(current)).merged, 1);
+
+  const newer = { ...file, version: MetadataStorage.EXPORT_VERSION + 1 };
+  await assert.rejects(storage.importTitles(newer), /Unsupported cache file/);
+  await assert.rejects(storage.importTitles(file), /Unsupported cache file/);
+});
@@ -0,0 +1,331 @@
+/**
+ * MPV Bridge: route → outbound payload sequence
+ *
+ * Loads the real RouteDetector and MPV Bridge into a jsdom window, swaps in
+ * the recording transport and drives hash changes into the player route.
+ * Asserts the exact messages (order, wire format, JSON payloads) that reach
+ * notify_skip, smart-track-selector and profile-manager.lua.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const WEBMODS = path.join(__dirname, "..", "portable_config", "webmods");
+const SCRIPTS = [
+  "Metadata/Utils/route-detector.js",
+  "Metadata/Services/mpv-bridge.js",
+].map((file) => fs.readFileSync(path.join(WEBMODS, file), "utf8"));
+
+const REQUEST_ID = /^kai-[0-9a-z]+-\d+$/;
+
+const ENTRIES = {
+  tt0388629: {
+    imdb: "tt0388629",
+    isAnime: true,
+    animeReason: "T1: MAL id",
+  },
+  tt0111161: {
+    imdb: "tt0111161",
+    isAnime: false,
+    mpvOverrides: { shaderPreset: "hq", svpEnabled: false },
+  },
+};
+
+let dom;
+let window;
+let transport;
+
+function loadBridge() {
+  dom = new JSDOM("<!DOCTYPE html><body></body>", {
+    url: "https://web.stremio.com/#/",
+    runScripts: "outside-only",
+  });
+  window = dom.window;
+  // Keep the test output readable
+  window.console = { ...console, log() {} };
+
+  window.localStorage.setItem(
+    "localProfile",
+    JSON.stringify({
+      defaultSubtitleLanguages: ["eng"],
+      defaultAudioLanguages: ["jpn"],
+      subtitlePriorityKeywords: ["signs", "songs"],
+      rememberTrackSelection: true,
+      subtitleSelectionMode: "forced",
+    }),
+  );
+  window.localStorage.setItem("kai-notify-auto-skip", "true");
+
+  window.MpvSettings = {
+    expandLanguage: (code) => ({ eng: "eng,en", jpn: "jpn,ja" })[code] || code,
+    getSmartTrackConfig: () => ({
+      sub_reject_langs: ["rus"],
+      audio_reject_langs: [],
+      audio_reject_keywords: ["commentary"],
+      sub_reject_keywords: [],
+      match_audio_to_video: true,
+      use_forced_for_native: false,
+    }),
+  };
+
+  window.metadataHelper = {
+    lookups: [],
+    getTitle: async (imdbId) => ENTRIES[imdbId] || null,
+    async findTitleForPlayback(state) {
+      this.lookups.push(state);
+      if (state.id) return ENTRIES[state.id] || null;
+      return state.animeIds?.mal === "1535" ? ENTRIES.tt0388629 : null;
+    },
+  };
+
+  SCRIPTS.forEach((source) => window.eval(source));
+
+  transport = window.MpvBridge.createRecordingTransport();
+  window.MpvBridge.setTransport(transport);
+}
+
+/** Navigate and wait for jsdom to dispatch hashchange */
+function navigate(hash) {
+  return new Promise((resolve) => {
+    window.addEventListener("hashchange", () => setTimeout(resolve), {
+      once: true,
+    });
+    window.location.hash = hash;
+  });
+}
+
+/** Copy a value out of the jsdom realm so deepStrictEqual sees plain objects */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/** Wait until the bridge has sent `count` script messages */
+async function waitForMessages(count) {
+  for (let i = 0; i < 50; i++) {
+    if (transport.scriptMessages().length >= count) break;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return plain(transport.scriptMessages());
+}
+
+/** Check the generated request_id format, then drop it for deepEqual */
+function withoutRequestId(payload) {
+  const { request_id: requestId, ...rest } = payload;
+  assert.match(requestId, REQUEST_ID);
+  return rest;
+}
+
+beforeEach(() => {
+  loadBridge();
+  transport.clear();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+test("non-player routes send nothing", async () => {
+  await navigate("#/detail/series/tt0388629");
+  await navigate("#/discover");
+  assert.deepEqual(plain(transport.sent), []);
+});
+
+test("player route sends the exact payload sequence", async () => {
+  await navigate("#/player/eAEB/series/tt0388629%3A1%3A2");
+  const messages = await waitForMessages(4);
+
+  assert.deepEqual(
+    messages.map(({ command, target, message }) => [command, target, message]),
+    [
+      ["script-message-to", "notify_skip", "content-metadata"],
+      ["script-message", null, "track-selector-config"],
+      ["script-message", null, "notify-skip-config"],
+      ["script-message-to", "profile_manager", "anime-metadata"],
+    ],
+  );
+
+  // Wire format of a shell message
+  assert.deepEqual(JSON.parse(messages[0].raw), {
+    type: 6,
+    object: "transport",
+    method: "handleInboundJSON",
+    args: [
+      "mpv-command",
+      [
+        "script-message-to",
+        "notify_skip",
+        "content-metadata",
+        '{"content_type":"series","imdb_id":"tt0388629"}',
+      ],
+    ],
+  });
+
+  const [content, trackSelector, notifySkip, animeMetadata] = messages;
+
+  assert.deepEqual(content.payload, {
+    content_type: "series",
+    imdb_id: "tt0388629",
+  });
+
+  assert.deepEqual(withoutRequestId(trackSelector.payload), {
+    sub_preferred_langs: "eng,en",
+    audio_preferred_langs: "jpn,ja",
+    sub_priority_keywords: "signs,songs",
+    sub_reject_langs: "rus",
+    audio_reject_langs: "",
+    audio_reject_keywords: "commentary",
+    sub_reject_keywords: "",
+    match_audio_to_video: true,
+    use_forced_for_native: false,
+    title_id: "tt0388629",
+    remember_track_selection: true,
+    subtitle_selection_mode: "forced",
+  });
+
+  assert.deepEqual(notifySkip.payload, {
+    auto_skip: true,
+    show_notification: true,
+  });
+
+  assert.deepEqual(withoutRequestId(animeMetadata.payload), {
+    is_anime: true,
+    detection_reason: "T1: MAL id",
+    imdb_id: "tt0388629",
+    title_overrides: [],
+    content_type: "series",
+    hdr_passthrough: false,
+    shader_preset: "optimized",
+    svp_enabled: true,
+    color_profile: "kai",
+    icc_profile: false,
+    target_peak: "auto",
+    osd_profile_messages: true,
+    vulkan_mode: false,
+    ultrawide_zoom: false,
+  });
+
+  // Nothing else went out (e.g. duplicate sends from the hashchange listeners)
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(transport.sent.length, 4);
+});
+
+test("per-title overrides reach profile-manager with their keys", async () => {
+  await navigate("#/player/eAEB/movie/tt0111161");
+  const messages = await waitForMessages(4);
+  const animeMetadata = messages.at(-1);
+
+  assert.equal(animeMetadata.message, "anime-metadata");
+  assert.deepEqual(
+    {
+      is_anime: animeMetadata.payload.is_anime,
+      content_type: animeMetadata.payload.content_type,
+      title_overrides: animeMetadata.payload.title_overrides,
+      shader_preset: animeMetadata.payload.shader_preset,
+      svp_enabled: animeMetadata.payload.svp_enabled,
+    },
+    {
+      is_anime: false,
+      content_type: "movie",
+      title_overrides: ["shaderPreset", "svpEnabled"],
+      shader_preset: "hq",
+      svp_enabled: false,
+    },
+  );
+});
+
+test("anime-only player routes resolve the entry by anime id", async () => {
+  await navigate("#/player/eAEB/series/mal%3A1535");
+  const messages = await waitForMessages(4);
+
+  assert.deepEqual(messages[0].payload, {
+    content_type: "series",
+    imdb_id: null,
+  });
+  assert.deepEqual(plain(window.metadataHelper.lookups.at(-1).animeIds), {
+    mal: "1535",
+    anilist: null,
+    kitsu: null,
+  });
+  assert.equal(messages.at(-1).payload.is_anime, true);
+  assert.equal(messages.at(-1).payload.imdb_id, "tt0388629");
+});
+
+test("each player navigation sends a fresh sequence", async () => {
+  await navigate("#/player/eAEB/series/tt0388629%3A1%3A1");
+  await waitForMessages(4);
+  await navigate("#/player/eAEB/series/tt0388629%3A1%3A2");
+  const messages = await waitForMessages(8);
+
+  assert.deepEqual(
+    messages.map(({ message }) => message),
+    [
+      "content-metadata",
+      "track-selector-config",
+      "notify-skip-config",
+      "anime-metadata",
+      "content-metadata",
+      "track-selector-config",
+      "notify-skip-config",
+      "anime-metadata",
+    ],
+  );
+  const requestIds = messages
+    .map(({ payload }) => payload.request_id)
+    .filter(Boolean);
+  assert.equal(new Set(requestIds).size, requestIds.length);
+});
+
+test("reply() settles the request that caused it", async () => {
+  await navigate("#/player/eAEB/series/tt0388629%3A1%3A2");
+  await waitForMessages(4);
+
+  const pending = window.MpvBridge.request(
+    "profile_manager",
+    "anime-metadata",
+    { imdb_id: "tt0388629" },
+    "profile-applied",
+  );
+  transport.reply("profile-applied", { profile: "anime-sdr" });
+
+  const event = await pending;
+  assert.equal(event.type, "profile-applied");
+  assert.equal(
+    event.requestId,
+    transport.scriptMessages().at(-1).payload.request_id,
+  );
+  assert.deepEqual(plain(event.data), { profile: "anime-sdr" });
+});
+
+test("createMockTransport keeps the v3.0 raw `sent` shape", async () => {
+  const mock = window.MpvBridge.createMockTransport();
+  window.MpvBridge.setTransport(mock);
+  mock.clear();
+
+  await navigate("#/player/eAEB/movie/tt0111161");
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.equal(mock.sent.length, 4);
+  assert.deepEqual(plain(mock.sent[2]), {
+    type: 6,
+    object: "transport",
+    method: "handleInboundJSON",
+    args: [
+      "mpv-command",
+      [
+        "script-message",
+        "notify-skip-config",
+        '{"auto_skip":true,"show_notification":true}',
+      ],
+    ],
+  });
+  assert.deepEqual(
+    plain(mock.scriptMessages()).map(({ message }) => message),
+    [
+      "content-metadata",
+      "track-selector-config",
+      "notify-skip-config",
+      "anime-metadata",
+    ],
+  );
+});